@@ -0,0 +1,74 @@
+/**
+ * @file Admin custom claim with the Admin SDK
+ * @description Grants and revokes the `admin` custom claim from the admin panel, replacing
+ * the local scripts/setAdminClaim.js run. After a change the user's claimsRefresh/{uid}
+ * document is touched: the app listens to it and refreshes the ID token, so the new
+ * privileges apply without logging out.
+ */
+/* eslint-env node */
+
+const { Timestamp } = require("firebase-admin/firestore");
+
+/**
+ * Admin claim failure shown to the user
+ * @param {string} httpsCode - HttpsError code reported to the client
+ * @param {string} message - Italian message
+ * @returns {Error} Error with httpsCode
+ */
+function adminError(httpsCode, message) {
+  const err = new Error(message);
+  err.httpsCode = httpsCode;
+  return err;
+}
+
+/**
+ * Lists the accounts holding the admin claim
+ * @param {import("firebase-admin/auth").Auth} auth - Auth instance
+ * @returns {Promise<Array<string>>} User identifiers
+ */
+async function listAdminIds(auth) {
+  const ids = [];
+  let pageToken;
+  do {
+    const page = await auth.listUsers(1000, pageToken);
+    page.users.forEach((u) => {
+      if (u.customClaims?.admin === true) ids.push(u.uid);
+    });
+    pageToken = page.pageToken;
+  } while (pageToken);
+  return ids;
+}
+
+/**
+ * Grants or revokes the admin claim, keeping the other custom claims
+ * @param {import("firebase-admin/auth").Auth} auth - Auth instance
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {Object} params
+ * @param {string} params.actorUid - Admin requesting the change
+ * @param {string} params.userId - Target user
+ * @param {boolean} params.admin - true to grant, false to revoke
+ * @returns {Promise<{ before: boolean, after: boolean, email: string|null }>} Claim before and after
+ */
+async function setAdminClaim(auth, db, { actorUid, userId, admin }) {
+  if (!admin && userId === actorUid) {
+    throw adminError("failed-precondition", "Non puoi revocare i tuoi privilegi di admin");
+  }
+  let user;
+  try {
+    user = await auth.getUser(userId);
+  } catch {
+    throw adminError("not-found", "Utente non trovato");
+  }
+  const before = user.customClaims?.admin === true;
+  if (before !== admin) {
+    const { admin: _previous, ...otherClaims } = user.customClaims || {};
+    await auth.setCustomUserClaims(userId, admin ? { ...otherClaims, admin: true } : otherClaims);
+    await db.collection("claimsRefresh").doc(userId).set({ updatedAt: Timestamp.now() });
+  }
+  return { before, after: admin, email: user.email ?? null };
+}
+
+module.exports = {
+  listAdminIds,
+  setAdminClaim,
+};
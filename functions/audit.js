@@ -0,0 +1,59 @@
+/**
+ * @file Audit log with the Admin SDK
+ * @description Entries of the append-only auditLog collection for the admin operations
+ * run by Cloud Functions (scoring, rollback, formation edits). The admin panel logs its
+ * own direct writes (src/services/auditLog.js) with the same shape.
+ */
+/* eslint-env node */
+
+const { FieldValue } = require("firebase-admin/firestore");
+
+/**
+ * Builds an audit entry
+ * @param {Object} entry
+ * @param {string} entry.actorUid - Admin who requested the operation
+ * @param {string|null} [entry.actorEmail] - Admin email from the token
+ * @param {string} entry.action - Action key (e.g. "scoring.race")
+ * @param {string} entry.target - Path of the document changed
+ * @param {*} [entry.before] - Values before the change
+ * @param {*} [entry.after] - Values after the change
+ * @returns {Object} Document data
+ */
+function buildAuditEntry({ actorUid, actorEmail = null, action, target, before = null, after = null }) {
+  return {
+    action,
+    target,
+    before: before ?? null,
+    after: after ?? null,
+    actorUid,
+    actorEmail,
+    source: "functions",
+    createdAt: FieldValue.serverTimestamp(),
+  };
+}
+
+/**
+ * Adds an audit entry to a running transaction or batch
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {FirebaseFirestore.Transaction|FirebaseFirestore.WriteBatch} writer - Transaction or batch
+ * @param {Object} entry - See buildAuditEntry
+ * @returns {void}
+ */
+function addAuditEntry(db, writer, entry) {
+  writer.set(db.collection("auditLog").doc(), buildAuditEntry(entry));
+}
+
+/**
+ * Writes an audit entry on its own (after an operation committed in several chunks)
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {Object} entry - See buildAuditEntry
+ * @returns {Promise<void>}
+ */
+async function writeAuditEntry(db, entry) {
+  await db.collection("auditLog").add(buildAuditEntry(entry));
+}
+
+module.exports = {
+  addAuditEntry,
+  writeAuditEntry,
+};
@@ -0,0 +1,581 @@
+/**
+ * @file Formation submissions with the Admin SDK
+ * @description Owns the writes of player formations: deadlines, the late submission
+ * window, the jolly2 spend/refund and the late flag are validated and applied
+ * server-side, in a single transaction with the ranking document.
+ *
+ * Submissions are sealed by the rules until the race's deadlines; other players see
+ * only the public status kept in races/{raceId}/submissionStatus/{userId}.
+ *
+ * Submissions, status and ranking are scoped per league (shared/leaguePaths.mjs): a
+ * player submits one formation per league and must be a member of it.
+ *
+ * Every save appends an immutable revision to races/{raceId}/submissions/{userId}/revisions.
+ * Revisions are hash-chained: each receipt covers the formation and the previous receipt,
+ * so a rewritten revision no longer matches the receipt the player was given.
+ *
+ * The main formation also carries the optional answers to the bonus questions (bonusPicks,
+ * shared/scoringEngine.mjs), under the same deadline.
+ *
+ * A player boosts one main formation per season (submission.boost, see BOOST_MULTIPLIER in
+ * shared/scoringEngine.mjs): ranking.boostRaceId records the race, and removing the boost
+ * before the deadline frees it again, like the jolly2.
+ *
+ * Answers to the prop questions of a race (propPicks) are saved apart, each question
+ * under its own deadline. They are not part of the formation: revisions and receipts
+ * do not cover them.
+ */
+/* eslint-env node */
+
+const { createHash } = require("crypto");
+const { FieldValue, Timestamp } = require("firebase-admin/firestore");
+const { addAuditEntry } = require("./audit");
+const { loadEngine, loadLeaguePaths } = require("./leagues");
+
+/** Highest accepted answer to the number of retirements */
+const MAX_DNF_COUNT = 30;
+
+/** Submission fields per mode */
+const MODE_FIELDS = {
+  main: { P1: "mainP1", P2: "mainP2", P3: "mainP3", jolly: "mainJolly" },
+  sprint: { P1: "sprintP1", P2: "sprintP2", P3: "sprintP3", jolly: "sprintJolly" },
+};
+
+/** Formation fields covered by revisions and receipts (fixed order) */
+const FORMATION_FIELDS = [
+  "mainP1", "mainP2", "mainP3", "mainJolly", "mainJolly2",
+  "sprintP1", "sprintP2", "sprintP3", "sprintJolly",
+];
+
+/**
+ * Validation failure shown to the player
+ * @param {string} httpsCode - HttpsError code reported to the client
+ * @param {string} message - Italian message
+ * @returns {Error} Error with httpsCode
+ */
+function formationError(httpsCode, message) {
+  const err = new Error(message);
+  err.httpsCode = httpsCode;
+  return err;
+}
+
+/**
+ * Converts a Firestore Timestamp (or missing value) to milliseconds
+ * @param {Timestamp|undefined} ts - Timestamp
+ * @returns {number|null} Milliseconds or null
+ */
+function toMillis(ts) {
+  return ts?.toMillis ? ts.toMillis() : null;
+}
+
+/**
+ * Classifies a submission time against the deadline of a mode
+ * @param {Object} race - Race data
+ * @param {"main"|"sprint"} mode - Submission mode
+ * @param {number} now - Current time in ms
+ * @param {number} lateWindowMinutes - LATE_SUBMISSION_WINDOW_MINUTES of the shared engine
+ * @returns {"open"|"late"|"closed"} Deadline status
+ */
+function getDeadlineStatus(race, mode, now, lateWindowMinutes) {
+  const deadline = toMillis(mode === "main" ? race.qualiUTC : race.qualiSprintUTC);
+  if (!deadline) return "closed";
+  if (now < deadline) return "open";
+  if (now <= deadline + lateWindowMinutes * 60 * 1000) return "late";
+  return "closed";
+}
+
+/**
+ * Validates the picks of a mode (all required, no duplicates)
+ * @param {"main"|"sprint"} mode - Submission mode
+ * @param {Object} picks - { P1, P2, P3, jolly, jolly2? }
+ * @returns {Object} Normalized picks
+ */
+function validatePicks(mode, picks = {}) {
+  const required = ["P1", "P2", "P3", "jolly"];
+  if (required.some((k) => typeof picks[k] !== "string" || !picks[k])) {
+    throw formationError("invalid-argument", "Formazione incompleta");
+  }
+  const jolly2 = mode === "main" && typeof picks.jolly2 === "string" && picks.jolly2 ? picks.jolly2 : null;
+  const selected = [picks.P1, picks.P2, picks.P3, picks.jolly, jolly2].filter(Boolean);
+  if (new Set(selected).size !== selected.length) {
+    throw formationError("invalid-argument", "Piloti duplicati nella formazione");
+  }
+  return { P1: picks.P1, P2: picks.P2, P3: picks.P3, jolly: picks.jolly, jolly2 };
+}
+
+/**
+ * Validates the answers to the bonus questions; every answer is optional
+ * @param {Object|null} [bonus] - { pole, fastestLap, dnfCount, firstRetirement }
+ * @returns {Promise<Object|null>} Answered questions only, or null when none is answered
+ */
+async function validateBonusPicks(bonus) {
+  if (bonus == null) return null;
+  if (typeof bonus !== "object") throw formationError("invalid-argument", "Domande bonus non valide");
+  const { BONUS_QUESTIONS, DRIVER_BONUS_QUESTIONS } = await loadEngine();
+
+  const picks = {};
+  for (const question of Object.values(BONUS_QUESTIONS)) {
+    const value = bonus[question];
+    if (value == null || value === "") continue;
+    const valid = DRIVER_BONUS_QUESTIONS.includes(question)
+      ? typeof value === "string"
+      : Number.isInteger(value) && value >= 0 && value <= MAX_DNF_COUNT;
+    if (!valid) throw formationError("invalid-argument", "Domande bonus non valide");
+    picks[question] = value;
+  }
+  return Object.keys(picks).length > 0 ? picks : null;
+}
+
+/**
+ * Computes the receipt of a revision: SHA-256 of the formation chained to the previous receipt.
+ * Bonus picks and the boost are covered only when present, so receipts given before they
+ * existed still verify.
+ * @param {Object} params
+ * @param {string} params.raceId - Race identifier
+ * @param {string} params.userId - Submission owner
+ * @param {number} params.revision - Revision number (1-based)
+ * @param {string|null} params.previousReceipt - Receipt of the previous revision
+ * @param {Object} params.fields - Formation fields
+ * @param {boolean} params.isLate - Late flag
+ * @param {Object|null} [params.bonusPicks] - Answers to the bonus questions
+ * @param {boolean} [params.boost] - Boosted formation
+ * @returns {string} Hex receipt
+ */
+function computeReceipt({ raceId, userId, revision, previousReceipt, fields, isLate, bonusPicks = null, boost = false }) {
+  const canonical = [
+    raceId,
+    userId,
+    revision,
+    previousReceipt ?? null,
+    FORMATION_FIELDS.map((f) => fields[f] ?? null),
+    Boolean(isLate),
+  ];
+  if (bonusPicks) canonical.push(Object.keys(bonusPicks).sort().map((q) => [q, bonusPicks[q]]));
+  if (boost) canonical.push("boost");
+  return createHash("sha256").update(JSON.stringify(canonical)).digest("hex");
+}
+
+/**
+ * Appends a revision inside a transaction. The revision number and the last receipt
+ * are kept on the submission, so the caller must merge the returned fields into its write.
+ * @param {FirebaseFirestore.Transaction} tx - Running transaction
+ * @param {FirebaseFirestore.DocumentReference} subRef - Submission reference
+ * @param {Object|null} existing - Submission data before the write
+ * @param {Object} formation - Formation after the write (FORMATION_FIELDS + isLate + bonusPicks + boost)
+ * @param {Object} author
+ * @param {string} author.uid - Author of the change
+ * @param {boolean} author.isAdmin - Whether the author edited as admin
+ * @param {string} author.mode - "main", "sprint" or "admin"
+ * @returns {{ revision: number, receipt: string }} Fields to merge into the submission
+ */
+function appendRevision(tx, subRef, existing, formation, { uid, isAdmin, mode }) {
+  const revision = (existing?.revision ?? 0) + 1;
+  const previousReceipt = existing?.receipt ?? null;
+  const fields = Object.fromEntries(FORMATION_FIELDS.map((f) => [f, formation[f] ?? null]));
+  const isLate = Boolean(formation.isLate);
+  const bonusPicks = formation.bonusPicks ?? null;
+  const boost = Boolean(formation.boost);
+  const receipt = computeReceipt({
+    raceId: subRef.parent.parent.id,
+    userId: subRef.id,
+    revision,
+    previousReceipt,
+    fields,
+    isLate,
+    bonusPicks,
+    boost,
+  });
+
+  // create() fails if the revision already exists: revisions are never overwritten
+  tx.create(subRef.collection("revisions").doc(String(revision)), {
+    revision,
+    fields,
+    ...(bonusPicks ? { bonusPicks } : {}),
+    ...(boost ? { boost } : {}),
+    isLate,
+    mode,
+    authorUid: uid,
+    isAdmin,
+    receipt,
+    previousReceipt,
+    createdAt: FieldValue.serverTimestamp(),
+  });
+  return { revision, receipt };
+}
+
+/**
+ * Moves the season boost to or from a race. A boost already spent on another race
+ * cannot be moved: it must be removed from that formation first.
+ * @param {Object} ranking - Ranking data (boostRaceId)
+ * @param {string} raceId - Race of the formation
+ * @param {boolean} hadBoost - Whether the formation was boosted before the write
+ * @param {boolean} boost - Whether the formation is boosted after the write
+ * @returns {Object} Ranking fields to write (empty when unchanged)
+ */
+function boostUpdate(ranking, raceId, hadBoost, boost) {
+  if (boost && !hadBoost) {
+    if (ranking.boostRaceId && ranking.boostRaceId !== raceId) {
+      throw formationError("failed-precondition", "Boost già utilizzato in questa stagione");
+    }
+    return { boostRaceId: raceId };
+  }
+  if (!boost && hadBoost && ranking.boostRaceId === raceId) return { boostRaceId: null };
+  return {};
+}
+
+/**
+ * Saves a formation for a race
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {Object} params
+ * @param {string} params.userId - Player (the caller)
+ * @param {string} params.raceId - Race identifier
+ * @param {"main"|"sprint"} params.mode - Submission mode
+ * @param {Object} params.picks - { P1, P2, P3, jolly, jolly2?, bonus?, boost? } (bonus, boost: main mode only)
+ * @param {boolean} [params.isAdmin] - Bypasses deadlines and the late window
+ * @param {string} [params.leagueId] - League (main when missing)
+ * @returns {Promise<{ isLate: boolean, isEdit: boolean, jolly: number, revision: number, receipt: string }>}
+ */
+async function submitFormation(db, { userId, raceId, mode, picks, isAdmin = false, leagueId }) {
+  if (!MODE_FIELDS[mode]) throw formationError("invalid-argument", "Modalità non valida");
+  const valid = validatePicks(mode, picks);
+  const bonusPicks = mode === "main" ? await validateBonusPicks(picks?.bonus) : null;
+  const boost = mode === "main" && picks?.boost === true;
+  const fields = MODE_FIELDS[mode];
+  const { rankingPath, submissionsPath } = await loadLeaguePaths();
+  const { LATE_SUBMISSION_WINDOW_MINUTES } = await loadEngine();
+
+  const raceRef = db.collection("races").doc(raceId);
+  const subRef = db.collection(submissionsPath(leagueId, raceId)).doc(userId);
+  const rankingRef = db.collection(rankingPath(leagueId)).doc(userId);
+
+  return db.runTransaction(async (tx) => {
+    const [raceSnap, subSnap, rankingSnap] = await Promise.all([
+      tx.get(raceRef),
+      tx.get(subRef),
+      tx.get(rankingRef),
+    ]);
+    if (!raceSnap.exists) throw formationError("not-found", "Gara non trovata");
+    if (!rankingSnap.exists) throw formationError("failed-precondition", "Partecipante non trovato");
+
+    const race = raceSnap.data();
+    const ranking = rankingSnap.data();
+    const existing = subSnap.exists ? subSnap.data() : null;
+
+    if (mode === "sprint" && !race.qualiSprintUTC) {
+      throw formationError("failed-precondition", "Questa gara non ha la sprint");
+    }
+    if (mode === "main" ? race.cancelledMain : race.cancelledSprint) {
+      throw formationError("failed-precondition", "Gara cancellata");
+    }
+
+    // Deadlines: open → normal save, late window → uses the late submission
+    const status = isAdmin ? "open" : getDeadlineStatus(race, mode, Date.now(), LATE_SUBMISSION_WINDOW_MINUTES);
+    if (status === "closed") throw formationError("failed-precondition", "Deadline chiusa");
+    const isLate = status === "late";
+    if (isLate && ranking.usedLateSubmission) {
+      throw formationError("failed-precondition", "Late submission già utilizzata");
+    }
+
+    const payload = {
+      userId,
+      user: ranking.name ?? "",
+      [fields.P1]: valid.P1,
+      [fields.P2]: valid.P2,
+      [fields.P3]: valid.P3,
+      [fields.jolly]: valid.jolly,
+    };
+    // A submission holding only prop answers gets its submittedAt with the first formation
+    if (!existing?.submittedAt) payload.submittedAt = Timestamp.now();
+    if (isLate) {
+      payload.isLate = true;
+      payload.lateAt = Timestamp.now();
+    }
+
+    // Jolly2: spending one requires a jolly left, removing it refunds it
+    let jolly = ranking.jolly || 0;
+    const rankingUpdate = {};
+    if (mode === "main") {
+      const hadJolly2 = Boolean(existing?.mainJolly2);
+      if (valid.jolly2 && !hadJolly2) {
+        if (jolly < 1) throw formationError("failed-precondition", "Nessun jolly disponibile");
+        jolly -= 1;
+        rankingUpdate.jolly = jolly;
+      } else if (!valid.jolly2 && hadJolly2) {
+        jolly += 1;
+        rankingUpdate.jolly = jolly;
+      }
+      payload.mainJolly2 = valid.jolly2 ?? FieldValue.delete();
+      payload.bonusPicks = bonusPicks ?? FieldValue.delete();
+      payload.boost = boost || FieldValue.delete();
+      Object.assign(rankingUpdate, boostUpdate(ranking, raceId, Boolean(existing?.boost), boost));
+    }
+    if (isLate) rankingUpdate.usedLateSubmission = true;
+
+    const formation = { ...existing, ...payload, isLate: isLate || Boolean(existing?.isLate) };
+    if (mode === "main") {
+      formation.mainJolly2 = valid.jolly2;
+      formation.bonusPicks = bonusPicks;
+      formation.boost = boost;
+    }
+    const { revision, receipt } = appendRevision(tx, subRef, existing, formation, {
+      uid: userId,
+      isAdmin,
+      mode,
+    });
+
+    tx.set(subRef, { ...payload, revision, receipt }, { merge: true });
+    if (Object.keys(rankingUpdate).length > 0) tx.update(rankingRef, rankingUpdate);
+
+    return { isLate, isEdit: Boolean(existing), jolly, revision, receipt };
+  });
+}
+
+/**
+ * Saves a whole formation (main + optional sprint) on behalf of a player, from the admin
+ * panel. No deadline or jolly checks: the admin edit is recorded as a revision instead.
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {Object} params
+ * @param {{ actorUid: string, actorEmail: string|null }} params.actor - Admin making the change
+ * @param {string} params.userId - Player
+ * @param {string} params.raceId - Race identifier
+ * @param {Object} params.formation - Formation fields (FORMATION_FIELDS), plus bonusPicks and boost
+ * @param {boolean} [params.isLate] - Marks the formation as late (uses the late submission)
+ * @param {string} [params.leagueId] - League (main when missing)
+ * @returns {Promise<{ isEdit: boolean, revision: number, receipt: string }>}
+ */
+async function saveFormationAsAdmin(db, { actor, userId, raceId, formation = {}, isLate = false, leagueId }) {
+  const main = validatePicks("main", {
+    P1: formation.mainP1,
+    P2: formation.mainP2,
+    P3: formation.mainP3,
+    jolly: formation.mainJolly,
+    jolly2: formation.mainJolly2,
+  });
+  const hasSprint = ["sprintP1", "sprintP2", "sprintP3", "sprintJolly"].some((f) => formation[f]);
+  const sprint = hasSprint
+    ? validatePicks("sprint", {
+        P1: formation.sprintP1,
+        P2: formation.sprintP2,
+        P3: formation.sprintP3,
+        jolly: formation.sprintJolly,
+      })
+    : null;
+  const bonusPicks = await validateBonusPicks(formation.bonusPicks);
+  const { rankingPath, submissionsPath } = await loadLeaguePaths();
+
+  const raceRef = db.collection("races").doc(raceId);
+  const subRef = db.collection(submissionsPath(leagueId, raceId)).doc(userId);
+  const rankingRef = db.collection(rankingPath(leagueId)).doc(userId);
+
+  return db.runTransaction(async (tx) => {
+    const [raceSnap, subSnap, rankingSnap] = await Promise.all([
+      tx.get(raceRef),
+      tx.get(subRef),
+      tx.get(rankingRef),
+    ]);
+    if (!raceSnap.exists) throw formationError("not-found", "Gara non trovata");
+    if (!rankingSnap.exists) throw formationError("failed-precondition", "Partecipante non trovato");
+    const existing = subSnap.exists ? subSnap.data() : null;
+    const boost = formation.boost === true;
+    const rankingUpdate = boostUpdate(rankingSnap.data(), raceId, Boolean(existing?.boost), boost);
+
+    const payload = {
+      user: rankingSnap.data().name ?? "",
+      userId,
+      mainP1: main.P1,
+      mainP2: main.P2,
+      mainP3: main.P3,
+      mainJolly: main.jolly,
+      mainJolly2: main.jolly2,
+      sprintP1: sprint?.P1 ?? null,
+      sprintP2: sprint?.P2 ?? null,
+      sprintP3: sprint?.P3 ?? null,
+      sprintJolly: sprint?.jolly ?? null,
+      bonusPicks: bonusPicks ?? FieldValue.delete(),
+      boost: boost || FieldValue.delete(),
+      submittedAt: Timestamp.now(),
+    };
+    if (isLate) {
+      payload.isLate = true;
+      payload.lateAt = Timestamp.now();
+      rankingUpdate.usedLateSubmission = true;
+    }
+    if (Object.keys(rankingUpdate).length > 0) tx.update(rankingRef, rankingUpdate);
+
+    const after = { ...payload, bonusPicks, boost, isLate: isLate || Boolean(existing?.isLate) };
+    const { revision, receipt } = appendRevision(tx, subRef, existing, after, {
+      uid: actor.actorUid,
+      isAdmin: true,
+      mode: "admin",
+    });
+
+    tx.set(subRef, { ...payload, revision, receipt }, { merge: true });
+    const pickFormation = (data) =>
+      Object.fromEntries([...FORMATION_FIELDS, "bonusPicks", "boost", "isLate"].map((f) => [f, data[f] ?? null]));
+    addAuditEntry(db, tx, {
+      ...actor,
+      action: existing ? "formation.update" : "formation.create",
+      target: subRef.path,
+      before: existing ? pickFormation(existing) : null,
+      after: pickFormation(after),
+    });
+    return { isEdit: Boolean(existing), revision, receipt };
+  });
+}
+
+/**
+ * Saves a player's answers to the prop questions of a race. Only the questions sent are
+ * changed: each must exist and still be open, unless the caller is an admin.
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {Object} params
+ * @param {string} params.userId - Player (the caller)
+ * @param {string} params.raceId - Race identifier
+ * @param {Object} params.answers - { [propId]: option index, or null to clear the answer }
+ * @param {boolean} [params.isAdmin] - Bypasses the deadlines
+ * @param {string} [params.leagueId] - League (main when missing)
+ * @returns {Promise<{ propPicks: Object }>} Answers saved after the write
+ */
+async function submitPropAnswers(db, { userId, raceId, answers, isAdmin = false, leagueId }) {
+  if (!answers || typeof answers !== "object" || Array.isArray(answers)) {
+    throw formationError("invalid-argument", "Risposte non valide");
+  }
+  const { isPropOpen } = await loadEngine();
+  const { rankingPath, submissionsPath } = await loadLeaguePaths();
+
+  const raceRef = db.collection("races").doc(raceId);
+  const subRef = db.collection(submissionsPath(leagueId, raceId)).doc(userId);
+  const rankingRef = db.collection(rankingPath(leagueId)).doc(userId);
+
+  return db.runTransaction(async (tx) => {
+    const [raceSnap, subSnap, rankingSnap] = await Promise.all([
+      tx.get(raceRef),
+      tx.get(subRef),
+      tx.get(rankingRef),
+    ]);
+    if (!raceSnap.exists) throw formationError("not-found", "Gara non trovata");
+    if (!rankingSnap.exists) throw formationError("failed-precondition", "Partecipante non trovato");
+
+    const race = raceSnap.data();
+    if (race.cancelledMain) throw formationError("failed-precondition", "Gara cancellata");
+
+    const props = race.props || [];
+    const propPicks = { ...(subSnap.exists ? subSnap.data().propPicks : null) };
+    const now = Date.now();
+    for (const [propId, value] of Object.entries(answers)) {
+      const prop = props.find((p) => p.id === propId);
+      if (!prop) throw formationError("not-found", "Domanda non trovata");
+      if (!isAdmin && !isPropOpen(prop, now)) {
+        throw formationError("failed-precondition", `Deadline chiusa: ${prop.question}`);
+      }
+      if (value == null) {
+        delete propPicks[propId];
+        continue;
+      }
+      if (!Number.isInteger(value) || value < 0 || value >= prop.options.length) {
+        throw formationError("invalid-argument", "Risposte non valide");
+      }
+      propPicks[propId] = value;
+    }
+
+    tx.set(subRef, {
+      userId,
+      user: rankingSnap.data().name ?? "",
+      propPicks: Object.keys(propPicks).length > 0 ? propPicks : FieldValue.delete(),
+    }, { merge: true });
+    return { propPicks };
+  });
+}
+
+/**
+ * Saves a player's championship picks (three drivers and three constructors), until the
+ * championship deadline (championshipDeadlineMs) unless the caller is an admin
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {Object} params
+ * @param {string} params.userId - Player (the caller)
+ * @param {Array<string>} params.drivers - Drivers in predicted order
+ * @param {Array<string>} params.constructors - Constructors in predicted order
+ * @param {boolean} [params.isAdmin] - Bypasses the deadline
+ * @param {string} [params.leagueId] - League (main when missing)
+ * @returns {Promise<{ isEdit: boolean }>}
+ */
+async function submitChampionshipPicks(db, { userId, drivers, constructors, isAdmin = false, leagueId }) {
+  const validList = (list) =>
+    Array.isArray(list) && list.length === 3
+    && list.every((v) => typeof v === "string" && v)
+    && new Set(list).size === 3;
+  if (!validList(drivers) || !validList(constructors)) {
+    throw formationError("invalid-argument", "Formazione campionato non valida");
+  }
+  const { championshipDeadlineMs } = await loadEngine();
+  const { rankingPath } = await loadLeaguePaths();
+
+  if (!isAdmin) {
+    const [racesSnap, configSnap] = await Promise.all([
+      db.collection("races").get(),
+      db.collection("config").doc("championship").get(),
+    ]);
+    const deadline = championshipDeadlineMs(
+      racesSnap.docs.map((d) => d.data()),
+      configSnap.exists ? configSnap.data().deadlineOverride : null
+    );
+    if (Date.now() > deadline) throw formationError("failed-precondition", "Deadline campionato chiusa");
+  }
+
+  const rankingRef = db.collection(rankingPath(leagueId)).doc(userId);
+  return db.runTransaction(async (tx) => {
+    const rankingSnap = await tx.get(rankingRef);
+    if (!rankingSnap.exists) throw formationError("failed-precondition", "Partecipante non trovato");
+    const isEdit = Array.isArray(rankingSnap.data().championshipPiloti)
+      && rankingSnap.data().championshipPiloti.length > 0;
+    tx.update(rankingRef, { championshipPiloti: drivers, championshipCostruttori: constructors });
+    return { isEdit };
+  });
+}
+
+/**
+ * Mirrors a submission into its public status document (submitted / not submitted),
+ * readable by everyone while the picks themselves are sealed.
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {string} leagueId - League identifier
+ * @param {string} raceId - Race identifier
+ * @param {string} userId - Submission owner
+ * @param {Object|undefined} before - Submission data before the write
+ * @param {Object|undefined} after - Submission data after the write (undefined when deleted)
+ * @returns {Promise<void>}
+ */
+async function syncSubmissionStatus(db, leagueId, raceId, userId, before, after) {
+  const { submissionStatusPath } = await loadLeaguePaths();
+  const statusRef = db.collection(submissionStatusPath(leagueId, raceId)).doc(userId);
+  if (!after) {
+    await statusRef.delete();
+    return;
+  }
+
+  const toStatus = (sub) => ({
+    user: sub?.user ?? "",
+    main: Boolean(sub?.mainP1),
+    sprint: Boolean(sub?.sprintP1),
+    isLate: Boolean(sub?.isLate),
+  });
+  const next = toStatus(after);
+  const prev = before ? toStatus(before) : null;
+
+  // Scoring writes (pointsEarned) do not change the status
+  if (prev && Object.keys(next).every((k) => prev[k] === next[k])) return;
+
+  await statusRef.set({
+    ...next,
+    submittedAt: after.submittedAt ?? null,
+    updatedAt: Timestamp.now(),
+  });
+}
+
+module.exports = {
+  FORMATION_FIELDS,
+  computeReceipt,
+  submitFormation,
+  saveFormationAsAdmin,
+  submitPropAnswers,
+  submitChampionshipPicks,
+  syncSubmissionStatus,
+};
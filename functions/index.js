@@ -1,6 +1,9 @@
 /**
  * @file Cloud Functions for FantaF1 Push Notifications
- * @description Scheduled functions that send qualifying reminders.
+ * @description Scheduled functions that send qualifying reminders, the scoring callables,
+ * the Firestore trigger that scores a race when its official results change, the
+ * callable that saves player formations, the league callables, the join request and
+ * account merge callables and the admin claim callables.
  * @version 3.0.0
  *
  * Notification schedule per session type (Main Race and Sprint treated separately):
@@ -14,13 +17,23 @@
 /* eslint-env node */
 
 const { onSchedule } = require("firebase-functions/v2/scheduler");
+const { onCall, HttpsError } = require("firebase-functions/v2/https");
+const { onDocumentWritten } = require("firebase-functions/v2/firestore");
 const { initializeApp } = require("firebase-admin/app");
 const { getFirestore, Timestamp } = require("firebase-admin/firestore");
 const { getMessaging } = require("firebase-admin/messaging");
+const { getAuth } = require("firebase-admin/auth");
 
 initializeApp();
 const db = getFirestore();
 
+const scoring = require("./scoring");
+const formations = require("./formations");
+const audit = require("./audit");
+const leagues = require("./leagues");
+const admins = require("./admins");
+const participants = require("./participants");
+
 // ─── Configuration ───────────────────────────────────────────────────────────
 
 /** How often the 1h check runs (every 10 minutes) */
@@ -626,32 +639,27 @@ async function checkAndNotifyEvening(targetTimezones, tzGroups) {
 
 /**
  * Calcola la scadenza del campionato (metà stagione) lato server.
- * Usa una query count + mirata per evitare di leggere tutti i documenti.
+ * I round ripartono da 1 ogni stagione: conta solo la stagione dell'ultima gara
+ * in calendario, letta con una query per intervallo di date.
  * La scadenza corrisponde all'orario di inizio della gara di metà stagione.
  *
  * @returns {Promise<Date|null>}
  */
 async function getChampionshipDeadlineUTC() {
   try {
-    // Count total races without reading documents (free operation)
-    const countSnap = await db.collection("races").count().get();
-    const totalRaces = countSnap.data().count;
-
-    if (totalRaces === 0) return new Date("2025-09-07T23:59:00Z");
+    const latestSnap = await db.collection("races").orderBy("raceUTC", "desc").limit(1).get();
+    if (latestSnap.empty) return new Date("2025-09-07T23:59:00Z");
 
-    const midRound = Math.ceil(totalRaces / 2);
-
-    // Read only the mid-season race (1 read instead of all)
-    const midSnap = await db
+    const season = latestSnap.docs[0].data().raceUTC.toDate().getUTCFullYear();
+    const seasonSnap = await db
       .collection("races")
-      .where("round", "==", midRound)
-      .limit(1)
+      .where("raceUTC", ">=", Timestamp.fromDate(new Date(Date.UTC(season, 0, 1))))
+      .where("raceUTC", "<", Timestamp.fromDate(new Date(Date.UTC(season + 1, 0, 1))))
       .get();
 
-    if (!midSnap.empty) {
-      const midRace = midSnap.docs[0].data();
-      if (midRace.raceUTC) return midRace.raceUTC.toDate();
-    }
+    const midRound = Math.ceil(seasonSnap.size / 2);
+    const midRace = seasonSnap.docs.map((d) => d.data()).find((r) => r.round === midRound);
+    if (midRace?.raceUTC) return midRace.raceUTC.toDate();
 
     return new Date("2025-09-07T23:59:00Z");
   } catch (err) {
@@ -794,3 +802,713 @@ exports.sendQualiReminderEvening = onSchedule(
   }
 );
 
+// ─── Scoring ─────────────────────────────────────────────────────────────────
+
+/** Options shared by the scoring callables (a full recalculation can take a while) */
+const SCORING_CALL_OPTIONS = {
+  region: "europe-west1",
+  timeoutSeconds: 300,
+  memory: "512MiB",
+};
+
+/**
+ * Rejects callers without the admin custom claim
+ * @param {Object} request - Callable request
+ * @throws {HttpsError} permission-denied
+ */
+function assertAdmin(request) {
+  if (!request.auth) {
+    throw new HttpsError("unauthenticated", "Autenticazione richiesta");
+  }
+  if (request.auth.token?.admin !== true) {
+    throw new HttpsError("permission-denied", "Operazione riservata agli admin");
+  }
+}
+
+/**
+ * Rejects callers whose league role does not grant a permission (shared/leagueRoles.mjs).
+ * Admins hold every permission in every league.
+ * @param {Object} request - Callable request
+ * @param {string} permission - Permission key (e.g. "results")
+ * @param {string} [leagueId] - League acted on (main when missing)
+ * @returns {Promise<void>}
+ * @throws {HttpsError} unauthenticated / permission-denied
+ */
+async function assertLeaguePermission(request, permission, leagueId) {
+  if (!request.auth) {
+    throw new HttpsError("unauthenticated", "Autenticazione richiesta");
+  }
+  const isAdmin = request.auth.token?.admin === true;
+  if (isAdmin) return;
+  const [roles, { hasLeaguePermission }] = await Promise.all([
+    leagues.getMemberRoles(db, { userId: request.auth.uid, isAdmin, leagueId }),
+    leagues.loadLeagueRoles(),
+  ]);
+  if (!hasLeaguePermission(roles, permission)) {
+    throw new HttpsError("permission-denied", "Operazione non consentita dal tuo ruolo nella lega");
+  }
+}
+
+/**
+ * Actor of an admin callable, for the audit log
+ * @param {Object} request - Callable request
+ * @returns {{ actorUid: string, actorEmail: string|null }} Actor
+ */
+function auditActor(request) {
+  return { actorUid: request.auth.uid, actorEmail: request.auth.token?.email ?? null };
+}
+
+/**
+ * Reads the scoring state of a race before an operation (audit "before" value)
+ * @param {string} raceId - Race identifier
+ * @returns {Promise<Object|null>} Official results, status, flag and last calculation
+ */
+async function readRaceScoringState(raceId) {
+  const snap = await db.collection("races").doc(raceId).get();
+  if (!snap.exists) return null;
+  const race = snap.data();
+  return {
+    officialResults: race.officialResults ?? null,
+    status: race.status ?? "full",
+    pointsCalculated: race.pointsCalculated ?? false,
+    lastCalculationId: race.lastCalculationId ?? null,
+  };
+}
+
+/**
+ * Converts a scoring failure to an HttpsError, keeping the rollback outcome in details
+ * @param {Error} err - Error thrown by the scoring module
+ * @returns {HttpsError} Error for the client
+ */
+function toHttpsError(err) {
+  if (err instanceof HttpsError) return err;
+  const details = err.rolledBack === undefined
+    ? undefined
+    : { rolledBack: err.rolledBack, calculationId: err.calculationId };
+  return new HttpsError(
+    err.rolledBack === undefined ? "failed-precondition" : "aborted",
+    err.message,
+    details
+  );
+}
+
+/**
+ * Callable: scores a race.
+ * data: { raceId, officialResults?, status?, jobId?, dryRun? } — officialResults and the race
+ * status (full / reduced) are saved in the same commit; with dryRun nothing is written and the
+ * per-participant preview is returned.
+ */
+exports.calculateRacePoints = onCall(SCORING_CALL_OPTIONS, async (request) => {
+  await assertLeaguePermission(request, "results");
+  const { raceId, officialResults = null, status = null, jobId = null, dryRun = false } = request.data || {};
+  if (!raceId || typeof raceId !== "string") {
+    throw new HttpsError("invalid-argument", "raceId mancante");
+  }
+  try {
+    if (dryRun === true) {
+      return await scoring.calculateRace(db, raceId, { officialResults, status, jobId, dryRun: true });
+    }
+    const before = await readRaceScoringState(raceId);
+    const result = await scoring.calculateRace(db, raceId, { officialResults, status, jobId });
+    await audit.writeAuditEntry(db, {
+      ...auditActor(request),
+      action: "scoring.race",
+      target: `races/${raceId}`,
+      before,
+      after: await readRaceScoringState(raceId),
+    });
+    return result;
+  } catch (err) {
+    console.error(`Errore calcolo gara ${raceId}:`, err);
+    throw toHttpsError(err);
+  }
+});
+
+/**
+ * Callable: scores the championship picks of every user.
+ * data: { results?, jobId?, dryRun? } — results (P1-P3, C1-C3) are saved in the same commit;
+ * with dryRun nothing is written and the per-participant preview is returned.
+ */
+exports.calculateChampionshipPoints = onCall(SCORING_CALL_OPTIONS, async (request) => {
+  await assertLeaguePermission(request, "results");
+  const { results = null, jobId = null, dryRun = false } = request.data || {};
+  try {
+    const result = await scoring.calculateChampionship(db, { results, jobId, dryRun: dryRun === true });
+    if (dryRun !== true) {
+      await audit.writeAuditEntry(db, {
+        ...auditActor(request),
+        action: "scoring.championship",
+        target: "championship",
+        after: { results, calculationId: result.calculationId },
+      });
+    }
+    return result;
+  } catch (err) {
+    console.error("Errore calcolo campionato:", err);
+    throw toHttpsError(err);
+  }
+});
+
+/**
+ * Callable: recalculates every race with official results.
+ * data: { jobId? }
+ */
+exports.recalculateAllRaces = onCall(SCORING_CALL_OPTIONS, async (request) => {
+  assertAdmin(request);
+  const { jobId = null } = request.data || {};
+  try {
+    const result = await scoring.recalculateAll(db, { jobId });
+    await audit.writeAuditEntry(db, {
+      ...auditActor(request),
+      action: "scoring.recalculateAll",
+      target: "races",
+      after: { calculationId: result.calculationId, message: result.message },
+    });
+    return result;
+  } catch (err) {
+    console.error("Errore ricalcolo gare:", err);
+    throw toHttpsError(err);
+  }
+});
+
+/**
+ * Callable: undoes the scoring of a single race (other races are untouched).
+ * data: { raceId, jobId? }
+ */
+exports.rollbackRacePoints = onCall(SCORING_CALL_OPTIONS, async (request) => {
+  await assertLeaguePermission(request, "results");
+  const { raceId, jobId = null } = request.data || {};
+  if (!raceId || typeof raceId !== "string") {
+    throw new HttpsError("invalid-argument", "raceId mancante");
+  }
+  try {
+    const before = await readRaceScoringState(raceId);
+    const result = await scoring.rollbackRace(db, raceId, { jobId });
+    await audit.writeAuditEntry(db, {
+      ...auditActor(request),
+      action: "scoring.rollback",
+      target: `races/${raceId}`,
+      before,
+      after: await readRaceScoringState(raceId),
+    });
+    return result;
+  } catch (err) {
+    console.error(`Errore annullamento calcolo ${raceId}:`, err);
+    throw toHttpsError(err);
+  }
+});
+
+/**
+ * Callable: closes a season (see scoring.rolloverSeason).
+ * data: { season, jobId? } — season is the year to archive.
+ */
+exports.rolloverSeason = onCall(SCORING_CALL_OPTIONS, async (request) => {
+  assertAdmin(request);
+  const { season, jobId = null } = request.data || {};
+  if (!Number.isInteger(season) || season < 2000 || season > 2100) {
+    throw new HttpsError("invalid-argument", "Stagione non valida");
+  }
+  try {
+    const result = await scoring.rolloverSeason(db, { season, archivedBy: request.auth.uid, jobId });
+    await audit.writeAuditEntry(db, {
+      ...auditActor(request),
+      action: "season.rollover",
+      target: `seasons/${season}`,
+      after: { calculationId: result.calculationId, message: result.message },
+    });
+    return result;
+  } catch (err) {
+    console.error(`Errore archiviazione stagione ${season}:`, err);
+    throw toHttpsError(err);
+  }
+});
+
+/**
+ * Trigger: scores a race when its official podium is written or changed outside
+ * of a calculation (e.g. edited directly in the console).
+ * Writes produced by a calculation stamp a new calculationId and are ignored.
+ */
+exports.onOfficialResultsWritten = onDocumentWritten(
+  {
+    document: "races/{raceId}",
+    region: "europe-west1",
+  },
+  async (event) => {
+    const before = event.data?.before?.data();
+    const after = event.data?.after?.data();
+    if (!scoring.shouldScoreOnWrite(before, after)) return;
+
+    const { raceId } = event.params;
+    try {
+      console.log(`Risultati ufficiali aggiornati per ${raceId}, calcolo punti...`);
+      const { message } = await scoring.calculateRace(db, raceId, { jobId: `trigger_${raceId}` });
+      console.log(message);
+    } catch (err) {
+      console.error(`Errore calcolo automatico ${raceId}:`, err);
+    }
+  }
+);
+
+// ─── Formations ──────────────────────────────────────────────────────────────
+
+/**
+ * Callable: saves the caller's formation for a race.
+ * data: { raceId, mode: "main" | "sprint", picks: { P1, P2, P3, jolly, jolly2?, bonus?, boost? }, leagueId? }
+ * Deadlines, the late window, the jolly2 spend and the season boost are validated server-side;
+ * admins bypass the deadlines.
+ */
+exports.submitFormation = onCall({ region: "europe-west1" }, async (request) => {
+  if (!request.auth) {
+    throw new HttpsError("unauthenticated", "Autenticazione richiesta");
+  }
+  const { raceId, mode, picks, leagueId } = request.data || {};
+  if (!raceId || typeof raceId !== "string") {
+    throw new HttpsError("invalid-argument", "raceId mancante");
+  }
+  // Spectators follow the league without playing
+  await assertLeaguePermission(request, "submit", leagueId);
+  try {
+    return await formations.submitFormation(db, {
+      userId: request.auth.uid,
+      raceId,
+      mode,
+      picks,
+      isAdmin: request.auth.token?.admin === true,
+      leagueId,
+    });
+  } catch (err) {
+    if (err.httpsCode) throw new HttpsError(err.httpsCode, err.message);
+    console.error(`Errore salvataggio formazione ${raceId}:`, err);
+    throw new HttpsError("internal", "Errore salvataggio formazione");
+  }
+});
+
+/**
+ * Callable: saves the caller's answers to the prop questions of a race.
+ * Each question has its own deadline; admins bypass them.
+ */
+exports.submitPropAnswers = onCall({ region: "europe-west1" }, async (request) => {
+  if (!request.auth) {
+    throw new HttpsError("unauthenticated", "Autenticazione richiesta");
+  }
+  const { raceId, answers, leagueId } = request.data || {};
+  if (!raceId || typeof raceId !== "string") {
+    throw new HttpsError("invalid-argument", "raceId mancante");
+  }
+  await assertLeaguePermission(request, "submit", leagueId);
+  try {
+    return await formations.submitPropAnswers(db, {
+      userId: request.auth.uid,
+      raceId,
+      answers,
+      isAdmin: request.auth.token?.admin === true,
+      leagueId,
+    });
+  } catch (err) {
+    if (err.httpsCode) throw new HttpsError(err.httpsCode, err.message);
+    console.error(`Errore salvataggio risposte ${raceId}:`, err);
+    throw new HttpsError("internal", "Errore salvataggio risposte");
+  }
+});
+
+/**
+ * Callable: saves the caller's championship picks.
+ * data: { drivers, constructors, leagueId? } — three each, in predicted order.
+ * The championship deadline is checked server-side; admins bypass it.
+ */
+exports.submitChampionshipPicks = onCall({ region: "europe-west1" }, async (request) => {
+  if (!request.auth) {
+    throw new HttpsError("unauthenticated", "Autenticazione richiesta");
+  }
+  const { drivers, constructors, leagueId } = request.data || {};
+  await assertLeaguePermission(request, "submit", leagueId);
+  try {
+    return await formations.submitChampionshipPicks(db, {
+      userId: request.auth.uid,
+      drivers,
+      constructors,
+      isAdmin: request.auth.token?.admin === true,
+      leagueId,
+    });
+  } catch (err) {
+    if (err.httpsCode) throw new HttpsError(err.httpsCode, err.message);
+    console.error("Errore salvataggio formazione campionato:", err);
+    throw new HttpsError("internal", "Errore salvataggio formazione campionato");
+  }
+});
+
+/**
+ * Callable: admin edit of a player's whole formation (main + sprint), recorded as a
+ * revision authored by the admin. Moderators and league owners also play: they cannot
+ * edit their own formation this way, past the deadlines that submitFormation enforces.
+ */
+exports.saveFormationAsAdmin = onCall({ region: "europe-west1" }, async (request) => {
+  const { raceId, userId, formation, isLate, leagueId } = request.data || {};
+  await assertLeaguePermission(request, "formations", leagueId);
+  if (!raceId || typeof raceId !== "string" || !userId || typeof userId !== "string") {
+    throw new HttpsError("invalid-argument", "raceId o userId mancante");
+  }
+  if (userId === request.auth.uid && request.auth.token?.admin !== true) {
+    throw new HttpsError("permission-denied", "Non puoi modificare la tua formazione dal pannello");
+  }
+  try {
+    return await formations.saveFormationAsAdmin(db, {
+      actor: auditActor(request),
+      userId,
+      raceId,
+      formation,
+      isLate: isLate === true,
+      leagueId,
+    });
+  } catch (err) {
+    if (err.httpsCode) throw new HttpsError(err.httpsCode, err.message);
+    console.error(`Errore salvataggio formazione ${raceId}/${userId}:`, err);
+    throw new HttpsError("internal", "Errore salvataggio formazione");
+  }
+});
+
+/**
+ * Trigger: keeps the public submission status (submitted / not submitted) in sync with
+ * every write path (callable, admin edits, backup restore), since the picks are sealed
+ * until the deadline.
+ */
+exports.onSubmissionWritten = onDocumentWritten(
+  {
+    document: "races/{raceId}/submissions/{userId}",
+    region: "europe-west1",
+  },
+  async (event) => {
+    const { raceId, userId } = event.params;
+    try {
+      await formations.syncSubmissionStatus(
+        db,
+        null,
+        raceId,
+        userId,
+        event.data?.before?.data(),
+        event.data?.after?.data()
+      );
+    } catch (err) {
+      console.error(`Errore aggiornamento stato formazione ${raceId}/${userId}:`, err);
+    }
+  }
+);
+
+/**
+ * Trigger: same as onSubmissionWritten for the submissions of the other leagues.
+ */
+exports.onLeagueSubmissionWritten = onDocumentWritten(
+  {
+    document: "leagues/{leagueId}/races/{raceId}/submissions/{userId}",
+    region: "europe-west1",
+  },
+  async (event) => {
+    const { leagueId, raceId, userId } = event.params;
+    try {
+      await formations.syncSubmissionStatus(
+        db,
+        leagueId,
+        raceId,
+        userId,
+        event.data?.before?.data(),
+        event.data?.after?.data()
+      );
+    } catch (err) {
+      console.error(`Errore aggiornamento stato formazione ${leagueId}/${raceId}/${userId}:`, err);
+    }
+  }
+);
+
+// ─── Leagues ─────────────────────────────────────────────────────────────────
+
+/**
+ * Callable: creates a league owned by the caller.
+ * data: { name }
+ * Returns { leagueId, inviteCode }.
+ */
+exports.createLeague = onCall({ region: "europe-west1" }, async (request) => {
+  if (!request.auth) {
+    throw new HttpsError("unauthenticated", "Autenticazione richiesta");
+  }
+  try {
+    return await leagues.createLeague(db, {
+      userId: request.auth.uid,
+      name: request.data?.name,
+    });
+  } catch (err) {
+    if (err.httpsCode) throw new HttpsError(err.httpsCode, err.message);
+    console.error("Errore creazione lega:", err);
+    throw new HttpsError("internal", "Errore creazione lega");
+  }
+});
+
+/**
+ * Callable: joins the league with the given invite code.
+ * data: { inviteCode }
+ * Returns { leagueId, name, alreadyMember }.
+ */
+exports.joinLeague = onCall({ region: "europe-west1" }, async (request) => {
+  if (!request.auth) {
+    throw new HttpsError("unauthenticated", "Autenticazione richiesta");
+  }
+  try {
+    return await leagues.joinLeague(db, {
+      userId: request.auth.uid,
+      inviteCode: request.data?.inviteCode,
+    });
+  } catch (err) {
+    if (err.httpsCode) throw new HttpsError(err.httpsCode, err.message);
+    console.error("Errore iscrizione lega:", err);
+    throw new HttpsError("internal", "Errore iscrizione lega");
+  }
+});
+
+/**
+ * Callable: changes the role of a league member (moderator, player, spectator).
+ * data: { leagueId?, userId, role } — reserved to the owners of the league.
+ * Returns { before, after }.
+ */
+exports.setLeagueRole = onCall({ region: "europe-west1" }, async (request) => {
+  const { leagueId, userId, role } = request.data || {};
+  if (!userId || typeof userId !== "string" || (leagueId != null && typeof leagueId !== "string")) {
+    throw new HttpsError("invalid-argument", "userId mancante");
+  }
+  await assertLeaguePermission(request, "participants", leagueId);
+  try {
+    const { before, after, path } = await leagues.setLeagueRole(db, { leagueId, userId, role });
+    await audit.writeAuditEntry(db, {
+      ...auditActor(request),
+      action: "league.role",
+      target: `${path}/roles/${userId}`,
+      before: { role: before },
+      after: { role: after },
+    });
+    return { before, after };
+  } catch (err) {
+    if (err.httpsCode) throw new HttpsError(err.httpsCode, err.message);
+    console.error(`Errore cambio ruolo ${leagueId ?? "main"}/${userId}:`, err);
+    throw new HttpsError("internal", "Errore cambio ruolo");
+  }
+});
+
+/**
+ * Callable: removes a member from a league (ranking document, members and roles).
+ * data: { leagueId, userId } — reserved to the owners of the league.
+ * Returns { removed: true }.
+ */
+exports.removeLeagueMember = onCall({ region: "europe-west1" }, async (request) => {
+  const { leagueId, userId } = request.data || {};
+  if (!userId || typeof userId !== "string" || !leagueId || typeof leagueId !== "string") {
+    throw new HttpsError("invalid-argument", "leagueId o userId mancante");
+  }
+  await assertLeaguePermission(request, "participants", leagueId);
+  try {
+    const { before, path } = await leagues.removeLeagueMember(db, { leagueId, userId });
+    await audit.writeAuditEntry(db, {
+      ...auditActor(request),
+      action: "participant.delete",
+      target: path,
+      before,
+    });
+    return { removed: true };
+  } catch (err) {
+    if (err.httpsCode) throw new HttpsError(err.httpsCode, err.message);
+    console.error(`Errore rimozione membro ${leagueId}/${userId}:`, err);
+    throw new HttpsError("internal", "Errore rimozione membro");
+  }
+});
+
+// ─── Participants ────────────────────────────────────────────────────────────
+
+/**
+ * Loads a join request for a callable, checking the caller may manage its league
+ * @param {Object} request - Callable request
+ * @returns {Promise<Object>} Join request
+ * @throws {HttpsError} invalid-argument / not-found / permission-denied
+ */
+async function loadJoinRequestFor(request) {
+  if (!request.auth) {
+    throw new HttpsError("unauthenticated", "Autenticazione richiesta");
+  }
+  const requestId = request.data?.requestId;
+  if (!requestId || typeof requestId !== "string") {
+    throw new HttpsError("invalid-argument", "requestId mancante");
+  }
+  let joinRequest;
+  try {
+    joinRequest = await participants.getJoinRequest(db, requestId);
+  } catch (err) {
+    if (err.httpsCode) throw new HttpsError(err.httpsCode, err.message);
+    throw err;
+  }
+  await assertLeaguePermission(request, "participants", joinRequest.leagueId);
+  return joinRequest;
+}
+
+/**
+ * Callable: approves a join request, creating the ranking entry of the new player.
+ * data: { requestId, placeholderId? } — with placeholderId the ranking document created by
+ * hand for the player (points and submissions) is moved to the new account.
+ * Returns { userId, placeholderId, movedSubmissions }.
+ */
+exports.approveJoinRequest = onCall({ region: "europe-west1" }, async (request) => {
+  const joinRequest = await loadJoinRequestFor(request);
+  const placeholderId = request.data?.placeholderId || null;
+  if (placeholderId !== null && typeof placeholderId !== "string") {
+    throw new HttpsError("invalid-argument", "placeholderId non valido");
+  }
+  try {
+    const result = await participants.approveJoinRequest(db, {
+      requestId: joinRequest.id,
+      placeholderId,
+      decidedBy: request.auth.uid,
+    });
+    await audit.writeAuditEntry(db, {
+      ...auditActor(request),
+      action: "joinRequest.approve",
+      target: `joinRequests/${joinRequest.id}`,
+      before: { status: joinRequest.status },
+      after: {
+        status: participants.JOIN_STATUS.APPROVED,
+        userId: result.userId,
+        placeholderId: result.placeholderId,
+        movedSubmissions: result.movedSubmissions,
+      },
+    });
+    return {
+      userId: result.userId,
+      placeholderId: result.placeholderId,
+      movedSubmissions: result.movedSubmissions,
+    };
+  } catch (err) {
+    if (err.httpsCode) throw new HttpsError(err.httpsCode, err.message);
+    console.error(`Errore approvazione richiesta ${joinRequest.id}:`, err);
+    throw new HttpsError("internal", "Errore approvazione richiesta");
+  }
+});
+
+/**
+ * Callable: rejects a pending join request.
+ * data: { requestId }
+ * Returns { userId }.
+ */
+exports.rejectJoinRequest = onCall({ region: "europe-west1" }, async (request) => {
+  const joinRequest = await loadJoinRequestFor(request);
+  try {
+    const { userId } = await participants.rejectJoinRequest(db, {
+      requestId: joinRequest.id,
+      decidedBy: request.auth.uid,
+    });
+    await audit.writeAuditEntry(db, {
+      ...auditActor(request),
+      action: "joinRequest.reject",
+      target: `joinRequests/${joinRequest.id}`,
+      before: { status: joinRequest.status },
+      after: { status: participants.JOIN_STATUS.REJECTED },
+    });
+    return { userId };
+  } catch (err) {
+    if (err.httpsCode) throw new HttpsError(err.httpsCode, err.message);
+    console.error(`Errore rifiuto richiesta ${joinRequest.id}:`, err);
+    throw new HttpsError("internal", "Errore rifiuto richiesta");
+  }
+});
+
+/**
+ * Callable: previews the merge of a duplicate account into the account kept.
+ * data: { targetId, sourceId }
+ * Returns the moved submissions and the conflicts of every league of the duplicate.
+ */
+exports.previewParticipantMerge = onCall({ region: "europe-west1" }, async (request) => {
+  assertAdmin(request);
+  const { targetId, sourceId } = request.data || {};
+  if (typeof targetId !== "string" || typeof sourceId !== "string") {
+    throw new HttpsError("invalid-argument", "targetId o sourceId mancante");
+  }
+  try {
+    return await participants.previewMerge(db, { targetId, sourceId });
+  } catch (err) {
+    if (err.httpsCode) throw new HttpsError(err.httpsCode, err.message);
+    console.error(`Errore anteprima unione ${sourceId} → ${targetId}:`, err);
+    throw new HttpsError("internal", "Errore anteprima unione");
+  }
+});
+
+/**
+ * Callable: merges a duplicate account into the account kept and deletes the duplicate.
+ * data: { targetId, sourceId, resolutions } — resolutions choose "target" or "source" for
+ * every conflict of the preview: { [leagueId]: { races: { [raceId]: side }, championship } }.
+ * Returns { accountDeleted }.
+ */
+exports.mergeParticipants = onCall({ region: "europe-west1", timeoutSeconds: 300 }, async (request) => {
+  assertAdmin(request);
+  const { targetId, sourceId, resolutions = {} } = request.data || {};
+  if (typeof targetId !== "string" || typeof sourceId !== "string") {
+    throw new HttpsError("invalid-argument", "targetId o sourceId mancante");
+  }
+  try {
+    const { before, after } = await participants.mergeParticipants(db, getAuth(), { targetId, sourceId, resolutions });
+    await audit.writeAuditEntry(db, {
+      ...auditActor(request),
+      action: "participant.merge",
+      target: `users/${sourceId}`,
+      before,
+      after,
+    });
+    return { accountDeleted: after.accountDeleted };
+  } catch (err) {
+    if (err.httpsCode) throw new HttpsError(err.httpsCode, err.message);
+    console.error(`Errore unione ${sourceId} → ${targetId}:`, err);
+    throw new HttpsError("internal", "Errore unione partecipanti");
+  }
+});
+
+// ─── Admins ──────────────────────────────────────────────────────────────────
+
+/**
+ * Callable: lists the accounts holding the admin claim.
+ * Returns { adminIds }.
+ */
+exports.listAdmins = onCall({ region: "europe-west1" }, async (request) => {
+  assertAdmin(request);
+  try {
+    return { adminIds: await admins.listAdminIds(getAuth()) };
+  } catch (err) {
+    console.error("Errore lettura admin:", err);
+    throw new HttpsError("internal", "Errore lettura admin");
+  }
+});
+
+/**
+ * Callable: grants or revokes the admin claim of another user.
+ * data: { userId, admin: boolean } — the caller cannot revoke their own claim.
+ * Returns { before, after }.
+ */
+exports.setAdminClaim = onCall({ region: "europe-west1" }, async (request) => {
+  assertAdmin(request);
+  const { userId, admin } = request.data || {};
+  if (!userId || typeof userId !== "string" || typeof admin !== "boolean") {
+    throw new HttpsError("invalid-argument", "userId o admin mancante");
+  }
+  try {
+    const { before, after, email } = await admins.setAdminClaim(getAuth(), db, {
+      actorUid: request.auth.uid,
+      userId,
+      admin,
+    });
+    if (before !== after) {
+      await audit.writeAuditEntry(db, {
+        ...auditActor(request),
+        action: admin ? "admin.grant" : "admin.revoke",
+        target: `users/${userId}`,
+        before: { admin: before, email },
+        after: { admin: after, email },
+      });
+    }
+    return { before, after };
+  } catch (err) {
+    if (err.httpsCode) throw new HttpsError(err.httpsCode, err.message);
+    console.error(`Errore modifica admin ${userId}:`, err);
+    throw new HttpsError("internal", "Errore modifica admin");
+  }
+});
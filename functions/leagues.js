@@ -0,0 +1,350 @@
+/**
+ * @file Leagues with the Admin SDK
+ * @description Creation of leagues and joins by invite code. Membership of a league is its
+ * ranking document (shared/leaguePaths.mjs); the league document keeps the member list
+ * for the league switcher. Every account belongs to the main league. Roles (owner,
+ * moderator, player, spectator) follow shared/leagueRoles.mjs; spectators are members
+ * without a ranking document, so they never appear in the standings.
+ */
+/* eslint-env node */
+
+const { FieldValue, Timestamp } = require("firebase-admin/firestore");
+
+/** Invite code alphabet (no 0/O, 1/I to avoid typos) */
+const INVITE_ALPHABET = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+const INVITE_LENGTH = 8;
+
+/** Default values of a new ranking document */
+const DEFAULT_RANKING = {
+  puntiTotali: 0,
+  jolly: 0,
+  usedLateSubmission: false,
+  boostRaceId: null,
+  pointsByRace: {},
+  championshipPiloti: [],
+  championshipCostruttori: [],
+  championshipPts: 0,
+};
+
+/** The paths are an ES module shared with the web app: load them once, lazily */
+let pathsPromise = null;
+function loadLeaguePaths() {
+  if (!pathsPromise) pathsPromise = import("./shared/leaguePaths.mjs");
+  return pathsPromise;
+}
+
+/** Roles and permissions, shared with the web app */
+let rolesPromise = null;
+function loadLeagueRoles() {
+  if (!rolesPromise) rolesPromise = import("./shared/leagueRoles.mjs");
+  return rolesPromise;
+}
+
+/** Scoring engine (join policy credits), shared with the web app */
+let enginePromise = null;
+function loadEngine() {
+  if (!enginePromise) enginePromise = import("./shared/scoringEngine.mjs");
+  return enginePromise;
+}
+
+/**
+ * League failure shown to the user
+ * @param {string} httpsCode - HttpsError code reported to the client
+ * @param {string} message - Italian message
+ * @returns {Error} Error with httpsCode
+ */
+function leagueError(httpsCode, message) {
+  const err = new Error(message);
+  err.httpsCode = httpsCode;
+  return err;
+}
+
+/**
+ * Ranking document of a new member, the same for every path that adds one (league creation,
+ * invite code, approved join request, spectator becoming a player). The member records
+ * when it joined and the league's join policy: races already scored are credited by that
+ * policy (last-place total or league average), and are never penalised as missed.
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {Object} params
+ * @param {string} [params.leagueId] - League (main when missing)
+ * @param {string} params.name - Display name
+ * @returns {Promise<Object>} Ranking document data
+ */
+async function buildMemberRanking(db, { leagueId, name }) {
+  const [{ leagueDocPath, rankingPath }, engine] = await Promise.all([loadLeaguePaths(), loadEngine()]);
+  const { normalizeJoinPolicy, buildJoinCreditEntry, ledgerEntryTotal, applyLedgerChanges } = engine;
+  const [leagueSnap, rankingSnap] = await Promise.all([
+    db.doc(leagueDocPath(leagueId)).get(),
+    db.collection(rankingPath(leagueId)).get(),
+  ]);
+  const joinPolicy = normalizeJoinPolicy(leagueSnap.data()?.joinPolicy);
+
+  // Totals of every scored race, from the members who played it
+  const totalsByRace = {};
+  rankingSnap.forEach((doc) => {
+    Object.entries(doc.data().pointsByRace || {}).forEach(([raceId, entry]) => {
+      if (entry.joinCredit) return;
+      if (!totalsByRace[raceId]) totalsByRace[raceId] = [];
+      totalsByRace[raceId].push(ledgerEntryTotal(entry));
+    });
+  });
+  const races = {};
+  Object.entries(totalsByRace).forEach(([raceId, totals]) => {
+    const entry = buildJoinCreditEntry(joinPolicy, totals);
+    if (entry) races[raceId] = entry;
+  });
+
+  const ranking = { name, ...DEFAULT_RANKING, joinedAt: Timestamp.now(), joinPolicy };
+  return { ...ranking, ...applyLedgerChanges(ranking, { races }) };
+}
+
+/**
+ * Generates a random invite code
+ * @returns {string} Invite code
+ */
+function createInviteCode() {
+  let code = "";
+  for (let i = 0; i < INVITE_LENGTH; i++) {
+    code += INVITE_ALPHABET[Math.floor(Math.random() * INVITE_ALPHABET.length)];
+  }
+  return code;
+}
+
+/**
+ * Lists every league, main league first, with the bonus questions it asks
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @returns {Promise<Array<{ id: string, name: string|null, bonusQuestions: Object|null }>>}
+ *   Leagues (main has name null)
+ */
+async function listLeagues(db) {
+  const { DEFAULT_LEAGUE_ID, leagueDocPath } = await loadLeaguePaths();
+  const [snap, mainSnap] = await Promise.all([
+    db.collection("leagues").get(),
+    db.doc(leagueDocPath(DEFAULT_LEAGUE_ID)).get(),
+  ]);
+  return [
+    { id: DEFAULT_LEAGUE_ID, name: null, bonusQuestions: mainSnap.data()?.bonusQuestions ?? null },
+    ...snap.docs.map((d) => ({
+      id: d.id,
+      name: d.data().name ?? d.id,
+      bonusQuestions: d.data().bonusQuestions ?? null,
+    })),
+  ];
+}
+
+/**
+ * Display name of a user for a new ranking document
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {string} userId - User identifier
+ * @returns {Promise<string>} Nickname (or the main league name)
+ */
+async function getMemberName(db, userId) {
+  const [profile, mainRanking] = await Promise.all([
+    db.collection("users").doc(userId).get(),
+    db.collection("ranking").doc(userId).get(),
+  ]);
+  return profile.data()?.nickname || mainRanking.data()?.name || "";
+}
+
+/**
+ * Creates a league owned by the caller, who becomes its first member
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {Object} params
+ * @param {string} params.userId - Owner
+ * @param {string} params.name - League name
+ * @returns {Promise<{ leagueId: string, inviteCode: string }>}
+ */
+async function createLeague(db, { userId, name }) {
+  const trimmed = typeof name === "string" ? name.trim() : "";
+  if (trimmed.length < 3 || trimmed.length > 40) {
+    throw leagueError("invalid-argument", "Il nome della lega deve avere tra 3 e 40 caratteri");
+  }
+  const { rankingPath } = await loadLeaguePaths();
+  const memberName = await getMemberName(db, userId);
+
+  const leagueRef = db.collection("leagues").doc();
+  const inviteCode = createInviteCode();
+  const batch = db.batch();
+  batch.set(leagueRef, {
+    name: trimmed,
+    ownerId: userId,
+    inviteCode,
+    members: [userId],
+    createdAt: Timestamp.now(),
+  });
+  batch.set(
+    db.collection(rankingPath(leagueRef.id)).doc(userId),
+    await buildMemberRanking(db, { leagueId: leagueRef.id, name: memberName })
+  );
+  await batch.commit();
+
+  return { leagueId: leagueRef.id, inviteCode };
+}
+
+/**
+ * Adds the caller to the league with the given invite code
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {Object} params
+ * @param {string} params.userId - New member
+ * @param {string} params.inviteCode - Invite code (case-insensitive)
+ * @returns {Promise<{ leagueId: string, name: string, alreadyMember: boolean }>}
+ */
+async function joinLeague(db, { userId, inviteCode }) {
+  const code = typeof inviteCode === "string" ? inviteCode.trim().toUpperCase() : "";
+  if (!code) throw leagueError("invalid-argument", "Codice invito mancante");
+
+  const snap = await db.collection("leagues").where("inviteCode", "==", code).limit(1).get();
+  if (snap.empty) throw leagueError("not-found", "Codice invito non valido");
+  const leagueDoc = snap.docs[0];
+  const league = leagueDoc.data();
+  if ((league.members || []).includes(userId)) {
+    return { leagueId: leagueDoc.id, name: league.name, alreadyMember: true };
+  }
+
+  const { rankingPath } = await loadLeaguePaths();
+  const memberName = await getMemberName(db, userId);
+  const batch = db.batch();
+  batch.update(leagueDoc.ref, { members: FieldValue.arrayUnion(userId) });
+  batch.set(
+    db.collection(rankingPath(leagueDoc.id)).doc(userId),
+    await buildMemberRanking(db, { leagueId: leagueDoc.id, name: memberName })
+  );
+  await batch.commit();
+
+  return { leagueId: leagueDoc.id, name: league.name, alreadyMember: false };
+}
+
+/**
+ * Roles of a user in the main league and in the league acted on
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {Object} params
+ * @param {string} params.userId - User identifier
+ * @param {boolean} [params.isAdmin] - Admin custom claim
+ * @param {string} [params.leagueId] - League acted on (main when missing)
+ * @returns {Promise<{ main: string, league: string }>} Roles (see LEAGUE_ROLES)
+ */
+async function getMemberRoles(db, { userId, isAdmin = false, leagueId }) {
+  const [{ DEFAULT_LEAGUE_ID, leagueDocPath }, { resolveLeagueRole }] = await Promise.all([
+    loadLeaguePaths(),
+    loadLeagueRoles(),
+  ]);
+  const targetId = leagueId || DEFAULT_LEAGUE_ID;
+  const [mainSnap, leagueSnap] = await Promise.all([
+    db.doc(leagueDocPath(DEFAULT_LEAGUE_ID)).get(),
+    targetId === DEFAULT_LEAGUE_ID ? null : db.doc(leagueDocPath(targetId)).get(),
+  ]);
+  const main = resolveLeagueRole({ userId, isAdmin, leagueId: DEFAULT_LEAGUE_ID, league: mainSnap.data() });
+  return {
+    main,
+    league: leagueSnap
+      ? resolveLeagueRole({ userId, isAdmin, leagueId: targetId, league: leagueSnap.data() })
+      : main,
+  };
+}
+
+/**
+ * Changes the role of a member. A spectator has no ranking document: becoming one removes
+ * it (only before the member scored any point), leaving the role recreates it.
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {Object} params
+ * @param {string} [params.leagueId] - League (main when missing)
+ * @param {string} params.userId - Member
+ * @param {string} params.role - moderator, player or spectator
+ * @returns {Promise<{ before: string, after: string, path: string }>} Previous and new role
+ */
+async function setLeagueRole(db, { leagueId, userId, role }) {
+  const [{ DEFAULT_LEAGUE_ID, leagueDocPath, rankingPath }, { ASSIGNABLE_ROLES, LEAGUE_ROLES }] =
+    await Promise.all([loadLeaguePaths(), loadLeagueRoles()]);
+  if (!ASSIGNABLE_ROLES.includes(role)) throw leagueError("invalid-argument", "Ruolo non valido");
+  const isMain = !leagueId || leagueId === DEFAULT_LEAGUE_ID;
+
+  const leagueRef = db.doc(leagueDocPath(leagueId));
+  const rankingRef = db.collection(rankingPath(leagueId)).doc(userId);
+  const memberRanking = await buildMemberRanking(db, { leagueId, name: await getMemberName(db, userId) });
+
+  return db.runTransaction(async (tx) => {
+    const [leagueSnap, rankingSnap, profileSnap] = await Promise.all([
+      tx.get(leagueRef),
+      tx.get(rankingRef),
+      tx.get(db.collection("users").doc(userId)),
+    ]);
+    const league = leagueSnap.data() || {};
+    if (isMain ? !profileSnap.exists : !(league.members || []).includes(userId)) {
+      throw leagueError("not-found", "Utente non iscritto alla lega");
+    }
+    if (!isMain && league.ownerId === userId) {
+      throw leagueError("failed-precondition", "Il ruolo del proprietario della lega non può essere cambiato");
+    }
+
+    const before = league.roles?.[userId] ?? LEAGUE_ROLES.PLAYER;
+    if (role === LEAGUE_ROLES.SPECTATOR && rankingSnap.exists) {
+      // Join credits are not points the member scored
+      const ranking = rankingSnap.data();
+      const entries = Object.values(ranking.pointsByRace || {});
+      const credited = entries.filter((e) => e.joinCredit).reduce((sum, e) => sum + (e.mainPts || 0), 0);
+      if ((ranking.puntiTotali || 0) !== credited || entries.some((e) => !e.joinCredit)) {
+        throw leagueError("failed-precondition", "Il partecipante ha già punti in classifica: non può diventare spettatore");
+      }
+      tx.delete(rankingRef);
+    }
+    if (role !== LEAGUE_ROLES.SPECTATOR && !rankingSnap.exists) {
+      tx.set(rankingRef, memberRanking);
+    }
+    tx.set(
+      leagueRef,
+      { roles: { [userId]: role === LEAGUE_ROLES.PLAYER ? FieldValue.delete() : role } },
+      { merge: true }
+    );
+    return { before, after: role, path: leagueRef.path };
+  });
+}
+
+/**
+ * Removes a member from a league: deletes the ranking document and drops the member from
+ * members and roles. The owner cannot be removed.
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {Object} params
+ * @param {string} params.leagueId - League (not the main one)
+ * @param {string} params.userId - Member
+ * @returns {Promise<{ before: Object|null, path: string }>} Removed ranking and its path
+ */
+async function removeLeagueMember(db, { leagueId, userId }) {
+  const { DEFAULT_LEAGUE_ID, leagueDocPath, rankingPath } = await loadLeaguePaths();
+  if (!leagueId || leagueId === DEFAULT_LEAGUE_ID) {
+    throw leagueError("invalid-argument", "La lega principale non ha membri da rimuovere");
+  }
+
+  const leagueRef = db.doc(leagueDocPath(leagueId));
+  const rankingRef = db.collection(rankingPath(leagueId)).doc(userId);
+
+  return db.runTransaction(async (tx) => {
+    const [leagueSnap, rankingSnap] = await Promise.all([tx.get(leagueRef), tx.get(rankingRef)]);
+    const league = leagueSnap.data() || {};
+    if (!(league.members || []).includes(userId)) {
+      throw leagueError("not-found", "Utente non iscritto alla lega");
+    }
+    if (league.ownerId === userId) {
+      throw leagueError("failed-precondition", "Il proprietario non può essere rimosso dalla lega");
+    }
+
+    if (rankingSnap.exists) tx.delete(rankingRef);
+    tx.update(leagueRef, {
+      members: FieldValue.arrayRemove(userId),
+      [`roles.${userId}`]: FieldValue.delete(),
+    });
+    return { before: rankingSnap.exists ? rankingSnap.data() : null, path: rankingRef.path };
+  });
+}
+
+module.exports = {
+  loadLeaguePaths,
+  loadLeagueRoles,
+  loadEngine,
+  buildMemberRanking,
+  getMemberRoles,
+  setLeagueRole,
+  removeLeagueMember,
+  listLeagues,
+  createLeague,
+  joinLeague,
+};
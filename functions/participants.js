@@ -0,0 +1,619 @@
+/**
+ * @file Join requests and account merges with the Admin SDK
+ * @description New accounts do not get a ranking document on registration: they create a
+ * pending joinRequests/{leagueId}_{uid} document and an admin approves or rejects it from
+ * the admin panel. Approving creates the ranking entry through buildMemberRanking (the
+ * same as every other join) or adopts a placeholder — a ranking document created by hand
+ * before the player had an account — moving its points and submissions to the new uid.
+ * Moved revisions keep their original data, so their receipts still verify.
+ *
+ * Duplicate accounts (a player registered twice) are merged into one: the submissions,
+ * ledger, jolly, late flag, ranking snapshots, league memberships and FCM tokens of the
+ * duplicate move to the account kept, then the duplicate is deleted. Races both accounts
+ * played, and championship picks both made, are conflicts the admin resolves first.
+ */
+/* eslint-env node */
+
+const { FieldValue, Timestamp } = require("firebase-admin/firestore");
+const { loadLeaguePaths, buildMemberRanking } = require("./leagues");
+
+/** The engine is an ES module: load it once, lazily */
+let enginePromise = null;
+function loadEngine() {
+  if (!enginePromise) enginePromise = import("./shared/scoringEngine.mjs");
+  return enginePromise;
+}
+
+/** Join request states */
+const JOIN_STATUS = {
+  PENDING: "pending",
+  APPROVED: "approved",
+  REJECTED: "rejected",
+};
+
+/** Writes per batch when moving submissions (Firestore limit is 500) */
+const MOVE_BATCH_SIZE = 400;
+
+/** Writes of a merge, committed in a single batch */
+const MERGE_MAX_WRITES = 500;
+
+/** Sides of a merge conflict */
+const MERGE_SIDES = ["target", "source"];
+
+/** Precedence of the roles when two accounts merge (no entry = player) */
+const ROLE_RANK = { spectator: 0, player: 1, moderator: 2 };
+
+/**
+ * Join request or merge failure shown to the user
+ * @param {string} httpsCode - HttpsError code reported to the client
+ * @param {string} message - Italian message
+ * @returns {Error} Error with httpsCode
+ */
+function participantError(httpsCode, message) {
+  const err = new Error(message);
+  err.httpsCode = httpsCode;
+  return err;
+}
+
+/**
+ * Loads a join request
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {string} requestId - Request identifier ({leagueId}_{uid})
+ * @returns {Promise<Object>} Request data with its id
+ * @throws {Error} not-found
+ */
+async function getJoinRequest(db, requestId) {
+  const snap = await db.collection("joinRequests").doc(requestId).get();
+  if (!snap.exists) throw participantError("not-found", "Richiesta di iscrizione non trovata");
+  return { id: snap.id, ...snap.data() };
+}
+
+/**
+ * Moves every submission of a placeholder (with its revisions) to the new account.
+ * Each submission is copied and deleted in the same batch, so a retry after a failure
+ * only finds the submissions still to move.
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {Object} params
+ * @param {string} params.leagueId - League
+ * @param {string} params.fromId - Placeholder ranking document
+ * @param {string} params.toId - New account
+ * @param {string} params.name - Display name written on the moved submissions
+ * @returns {Promise<number>} Number of submissions moved
+ */
+async function moveSubmissions(db, { leagueId, fromId, toId, name }) {
+  const { submissionsPath } = await loadLeaguePaths();
+  const racesSnap = await db.collection("races").get();
+
+  let batch = db.batch();
+  let writes = 0;
+  let moved = 0;
+  for (const race of racesSnap.docs) {
+    const fromRef = db.collection(submissionsPath(leagueId, race.id)).doc(fromId);
+    const fromSnap = await fromRef.get();
+    if (!fromSnap.exists) continue;
+    const toRef = db.collection(submissionsPath(leagueId, race.id)).doc(toId);
+    const revisions = await fromRef.collection("revisions").get();
+
+    if (writes + 2 + revisions.size * 2 > MOVE_BATCH_SIZE && writes > 0) {
+      await batch.commit();
+      batch = db.batch();
+      writes = 0;
+    }
+    batch.set(toRef, { ...fromSnap.data(), userId: toId, user: name });
+    batch.delete(fromRef);
+    revisions.docs.forEach((rev) => {
+      batch.set(toRef.collection("revisions").doc(rev.id), rev.data());
+      batch.delete(rev.ref);
+    });
+    writes += 2 + revisions.size * 2;
+    moved++;
+  }
+  if (writes > 0) await batch.commit();
+  return moved;
+}
+
+/**
+ * Approves a join request: creates the ranking entry, or adopts a placeholder
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {Object} params
+ * @param {string} params.requestId - Request identifier
+ * @param {string|null} [params.placeholderId] - Ranking document created by hand to merge
+ * @param {string} params.decidedBy - Approving admin
+ * @returns {Promise<{ leagueId: string, userId: string, placeholderId: string|null, movedSubmissions: number }>}
+ */
+async function approveJoinRequest(db, { requestId, placeholderId = null, decidedBy }) {
+  const joinRequest = await getJoinRequest(db, requestId);
+  if (joinRequest.status === JOIN_STATUS.APPROVED) {
+    throw participantError("failed-precondition", "Richiesta già approvata");
+  }
+  const { leagueId, userId, name } = joinRequest;
+  const { rankingPath } = await loadLeaguePaths();
+  const rankingRef = db.collection(rankingPath(leagueId)).doc(userId);
+  if ((await rankingRef.get()).exists) {
+    throw participantError("already-exists", "L'utente è già in classifica");
+  }
+
+  let ranking;
+  let movedSubmissions = 0;
+  const batch = db.batch();
+  if (placeholderId) {
+    if (placeholderId === userId) throw participantError("invalid-argument", "Segnaposto non valido");
+    const placeholderRef = db.collection(rankingPath(leagueId)).doc(placeholderId);
+    const [placeholderSnap, accountSnap] = await Promise.all([
+      placeholderRef.get(),
+      db.collection("users").doc(placeholderId).get(),
+    ]);
+    if (!placeholderSnap.exists) throw participantError("not-found", "Segnaposto non trovato");
+    if (accountSnap.exists) {
+      throw participantError("failed-precondition", "Il partecipante scelto ha già un account");
+    }
+    movedSubmissions = await moveSubmissions(db, { leagueId, fromId: placeholderId, toId: userId, name });
+    ranking = { ...placeholderSnap.data(), name };
+    batch.delete(placeholderRef);
+  } else {
+    ranking = await buildMemberRanking(db, { leagueId, name });
+  }
+
+  batch.set(rankingRef, ranking);
+  batch.update(db.collection("joinRequests").doc(requestId), {
+    status: JOIN_STATUS.APPROVED,
+    placeholderId,
+    decidedAt: Timestamp.now(),
+    decidedBy,
+  });
+  await batch.commit();
+
+  return { leagueId, userId, placeholderId, movedSubmissions };
+}
+
+/**
+ * Rejects a pending join request
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {Object} params
+ * @param {string} params.requestId - Request identifier
+ * @param {string} params.decidedBy - Rejecting admin
+ * @returns {Promise<{ leagueId: string, userId: string }>}
+ */
+async function rejectJoinRequest(db, { requestId, decidedBy }) {
+  const joinRequest = await getJoinRequest(db, requestId);
+  if (joinRequest.status !== JOIN_STATUS.PENDING) {
+    throw participantError("failed-precondition", "La richiesta non è più in attesa");
+  }
+  await db.collection("joinRequests").doc(requestId).update({
+    status: JOIN_STATUS.REJECTED,
+    decidedAt: Timestamp.now(),
+    decidedBy,
+  });
+  return { leagueId: joinRequest.leagueId, userId: joinRequest.userId };
+}
+
+/**
+ * Loads the submission of a user for every race, with its revisions
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {Object} params
+ * @param {string} params.leagueId - League
+ * @param {string} params.userId - User
+ * @param {Array<FirebaseFirestore.QueryDocumentSnapshot>} params.races - Race documents
+ * @returns {Promise<Map<string, { ref: Object, data: Object, revisions: Array<Object> }>>} raceId → submission
+ */
+async function loadUserSubmissions(db, { leagueId, userId, races }) {
+  const { submissionsPath } = await loadLeaguePaths();
+  const submissions = new Map();
+  for (const race of races) {
+    const ref = db.collection(submissionsPath(leagueId, race.id)).doc(userId);
+    const snap = await ref.get();
+    if (!snap.exists) continue;
+    const revisions = await ref.collection("revisions").get();
+    submissions.set(race.id, { ref, data: snap.data(), revisions: revisions.docs });
+  }
+  return submissions;
+}
+
+/**
+ * Loads everything a merge of two accounts reads, in every league of the duplicate
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {Object} params
+ * @param {string} params.targetId - Account kept
+ * @param {string} params.sourceId - Duplicate account, deleted by the merge
+ * @returns {Promise<Object>} Merge plan (accounts, races and one entry per league)
+ */
+async function buildMergePlan(db, { targetId, sourceId }) {
+  if (!targetId || !sourceId || targetId === sourceId) {
+    throw participantError("invalid-argument", "Scegli due partecipanti diversi");
+  }
+  const { DEFAULT_LEAGUE_ID, leagueDocPath, rankingPath, rankingHistoryPath } = await loadLeaguePaths();
+  const [targetProfile, sourceProfile, racesSnap, privateLeagues] = await Promise.all([
+    db.collection("users").doc(targetId).get(),
+    db.collection("users").doc(sourceId).get(),
+    db.collection("races").orderBy("raceUTC", "asc").get(),
+    db.collection("leagues").where("members", "array-contains", sourceId).get(),
+  ]);
+  if (!targetProfile.exists) {
+    throw participantError("failed-precondition", "Il partecipante da mantenere deve avere un account");
+  }
+
+  const leagues = [];
+  for (const leagueId of [DEFAULT_LEAGUE_ID, ...privateLeagues.docs.map((d) => d.id)]) {
+    const leagueRef = db.doc(leagueDocPath(leagueId));
+    const [leagueSnap, targetRanking, sourceRanking, history] = await Promise.all([
+      leagueRef.get(),
+      db.collection(rankingPath(leagueId)).doc(targetId).get(),
+      db.collection(rankingPath(leagueId)).doc(sourceId).get(),
+      db.collection(rankingHistoryPath(leagueId)).get(),
+    ]);
+    const [targetSubs, sourceSubs] = await Promise.all([
+      loadUserSubmissions(db, { leagueId, userId: targetId, races: racesSnap.docs }),
+      loadUserSubmissions(db, { leagueId, userId: sourceId, races: racesSnap.docs }),
+    ]);
+    leagues.push({
+      leagueId,
+      leagueRef,
+      league: leagueSnap.data() || {},
+      targetRanking: targetRanking.data() ?? null,
+      sourceRanking: sourceRanking.data() ?? null,
+      targetSubs,
+      sourceSubs,
+      history: history.docs,
+    });
+  }
+
+  return {
+    targetId,
+    sourceId,
+    targetProfile: targetProfile.data(),
+    sourceProfile: sourceProfile.data() ?? null,
+    races: racesSnap.docs,
+    leagues,
+  };
+}
+
+/**
+ * Conflicts of a league: races both accounts submitted, championship picks both made
+ * @param {Object} entry - League entry of the merge plan
+ * @returns {{ races: Array<string>, championship: boolean }} Conflicting race ids and championship flag
+ */
+function leagueConflicts(entry) {
+  const hasPicks = (ranking) => (ranking?.championshipPiloti || []).length > 0;
+  return {
+    races: [...entry.sourceSubs.keys()].filter((raceId) => entry.targetSubs.has(raceId)),
+    championship: Boolean(entry.targetRanking) && hasPicks(entry.targetRanking) && hasPicks(entry.sourceRanking),
+  };
+}
+
+/**
+ * Short description of a submission for the conflict preview
+ * @param {Object} submission - Submission data
+ * @param {Object|undefined} ledgerEntry - pointsByRace entry of the race
+ * @param {Function} ledgerEntryTotal - Engine helper
+ * @returns {Object} Picks, jolly, sprint picks, submission time and points
+ */
+function describeSubmission(submission, ledgerEntry, ledgerEntryTotal) {
+  return {
+    picks: [submission.mainP1, submission.mainP2, submission.mainP3],
+    jolly: submission.mainJolly ?? null,
+    sprint: submission.sprintP1 ? [submission.sprintP1, submission.sprintP2, submission.sprintP3] : null,
+    submittedAt: submission.submittedAt?.toMillis?.() ?? null,
+    points: ledgerEntry ? ledgerEntryTotal(ledgerEntry) : null,
+  };
+}
+
+/**
+ * Preview of a merge: what moves and which conflicts need a choice
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {Object} params
+ * @param {string} params.targetId - Account kept
+ * @param {string} params.sourceId - Duplicate account
+ * @returns {Promise<Object>} Accounts and, per league, moved submissions, conflicts and snapshots
+ */
+async function previewMerge(db, { targetId, sourceId }) {
+  const plan = await buildMergePlan(db, { targetId, sourceId });
+  const { ledgerEntryTotal } = await loadEngine();
+  const raceNames = new Map(plan.races.map((r) => [r.id, r.data().name ?? r.id]));
+
+  return {
+    target: { id: targetId, name: plan.targetProfile.nickname ?? targetId, email: plan.targetProfile.email ?? null },
+    source: {
+      id: sourceId,
+      name: plan.sourceProfile?.nickname ?? plan.leagues[0].sourceRanking?.name ?? sourceId,
+      email: plan.sourceProfile?.email ?? null,
+    },
+    leagues: plan.leagues.map((entry) => {
+      const conflicts = leagueConflicts(entry);
+      return {
+        leagueId: entry.leagueId,
+        name: entry.league.name ?? null,
+        targetPoints: entry.targetRanking?.puntiTotali ?? null,
+        sourcePoints: entry.sourceRanking?.puntiTotali ?? null,
+        movedSubmissions: entry.sourceSubs.size - conflicts.races.length,
+        snapshots: entry.history.filter((d) => (d.data().snapshot || []).some((e) => e.userId === sourceId)).length,
+        raceConflicts: conflicts.races.map((raceId) => ({
+          raceId,
+          raceName: raceNames.get(raceId),
+          target: describeSubmission(entry.targetSubs.get(raceId).data, entry.targetRanking?.pointsByRace?.[raceId], ledgerEntryTotal),
+          source: describeSubmission(entry.sourceSubs.get(raceId).data, entry.sourceRanking?.pointsByRace?.[raceId], ledgerEntryTotal),
+        })),
+        championshipConflict: conflicts.championship
+          ? {
+            target: { piloti: entry.targetRanking.championshipPiloti, costruttori: entry.targetRanking.championshipCostruttori || [] },
+            source: { piloti: entry.sourceRanking.championshipPiloti, costruttori: entry.sourceRanking.championshipCostruttori || [] },
+          }
+          : null,
+      };
+    }),
+  };
+}
+
+/**
+ * Checks that every conflict of the plan has a choice
+ * @param {Object} plan - Merge plan
+ * @param {Object} resolutions - { [leagueId]: { races: { [raceId]: side }, championship: side } }
+ * @throws {Error} failed-precondition when a conflict is unresolved
+ */
+function assertResolved(plan, resolutions) {
+  for (const entry of plan.leagues) {
+    const conflicts = leagueConflicts(entry);
+    const choice = resolutions?.[entry.leagueId] || {};
+    const unresolved = conflicts.races.filter((raceId) => !MERGE_SIDES.includes(choice.races?.[raceId]));
+    if (unresolved.length > 0 || (conflicts.championship && !MERGE_SIDES.includes(choice.championship))) {
+      throw participantError("failed-precondition", "Risolvi tutti i conflitti prima di unire i partecipanti");
+    }
+  }
+}
+
+/**
+ * Ranking document of the account kept in a league. Races played only by the duplicate,
+ * or whose conflict keeps the duplicate's submission, take its ledger entry; the jolly
+ * balance follows the jolly earned and the jolly2 spent on those submissions.
+ * @param {Object} entry - League entry of the merge plan
+ * @param {Object} choice - Resolutions of the league
+ * @param {string} name - Display name of the account kept
+ * @returns {Promise<{ ranking: Object|null, sourceRaces: Array<string>, takeChampionship: boolean }>}
+ *   Merged ranking, races taken from the duplicate and whether its championship picks replace the kept ones
+ */
+async function mergeLeagueRanking(entry, choice, name) {
+  const { applyLedgerChanges } = await loadEngine();
+  const { targetRanking: target, sourceRanking: source, targetSubs, sourceSubs } = entry;
+  const sourceRaces = [...sourceSubs.keys()].filter(
+    (raceId) => !targetSubs.has(raceId) || choice.races?.[raceId] === "source"
+  );
+  if (!source) return { ranking: null, sourceRaces, takeChampionship: false };
+  if (!target) return { ranking: { ...source, name }, sourceRaces, takeChampionship: false };
+
+  const races = {};
+  let jollySpent = 0;
+  sourceRaces.forEach((raceId) => {
+    if (source.pointsByRace?.[raceId]) races[raceId] = source.pointsByRace[raceId];
+    if (sourceSubs.get(raceId).data.mainJolly2) jollySpent += 1;
+    if (targetSubs.get(raceId)?.data.mainJolly2) jollySpent -= 1;
+  });
+  const takeChampionship = (target.championshipPiloti || []).length === 0
+    ? (source.championshipPiloti || []).length > 0
+    : choice.championship === "source";
+
+  const ranking = {
+    ...target,
+    ...applyLedgerChanges(target, {
+      races,
+      championship: takeChampionship ? (source.championshipLedger ?? null) : undefined,
+    }),
+    usedLateSubmission: Boolean(target.usedLateSubmission || source.usedLateSubmission),
+  };
+  ranking.jolly = Math.max(0, ranking.jolly - jollySpent);
+  // One boost per season: the kept account's, unless its formation was replaced by the duplicate's
+  const targetBoost = target.boostRaceId && !sourceRaces.includes(target.boostRaceId) ? target.boostRaceId : null;
+  const sourceBoost = source.boostRaceId && sourceRaces.includes(source.boostRaceId) ? source.boostRaceId : null;
+  ranking.boostRaceId = targetBoost ?? sourceBoost ?? null;
+  // The merged account joined when the older of the two did; one without joinedAt was always in
+  if (target.joinedAt && source.joinedAt) {
+    if (source.joinedAt.toMillis() < target.joinedAt.toMillis()) {
+      ranking.joinedAt = source.joinedAt;
+      ranking.joinPolicy = source.joinPolicy;
+    }
+  } else {
+    delete ranking.joinedAt;
+    delete ranking.joinPolicy;
+  }
+  if (takeChampionship) {
+    ranking.championshipPiloti = source.championshipPiloti || [];
+    ranking.championshipCostruttori = source.championshipCostruttori || [];
+  }
+  return { ranking, sourceRaces, takeChampionship };
+}
+
+/**
+ * Ranking snapshot entries with the duplicate folded into the account kept. When both
+ * appear, the kept entry gains the points the duplicate's races brought (races up to the
+ * snapshot's race) and the positions are recomputed. Snapshot entries carry no ledger, so
+ * the tie-breakers cannot run again: players level on points keep the order and the
+ * tieBreaker the snapshot stored, and the entry changed by the merge shares the position
+ * of anyone it now ties with.
+ * @param {Array<Object>} snapshot - Snapshot entries
+ * @param {Object} params
+ * @param {string} params.targetId - Account kept
+ * @param {string} params.sourceId - Duplicate account
+ * @param {string} params.name - Display name of the account kept
+ * @param {number} params.pointsDelta - Points the merge adds to the kept entry in this snapshot
+ * @returns {Array<Object>|null} New entries, null when the duplicate is not in the snapshot
+ */
+function mergeSnapshotEntries(snapshot, { targetId, sourceId, name, pointsDelta }) {
+  const sourceEntry = snapshot.find((e) => e.userId === sourceId);
+  if (!sourceEntry) return null;
+  const targetEntry = snapshot.find((e) => e.userId === targetId);
+
+  const entries = targetEntry
+    ? snapshot
+      .filter((e) => e.userId !== sourceId)
+      .map((e) => (e.userId === targetId ? { ...e, points: (e.points || 0) + pointsDelta } : e))
+    : snapshot.map((e) => (e.userId === sourceId ? { ...e, userId: targetId, name } : e));
+  const changedId = targetEntry && pointsDelta ? targetId : null;
+
+  const sorted = entries
+    .map((entry, index) => ({ entry, index }))
+    .sort((a, b) =>
+      (b.entry.points || 0) - (a.entry.points || 0) ||
+      (a.entry.position ?? Infinity) - (b.entry.position ?? Infinity) ||
+      a.index - b.index)
+    .map(({ entry }) => entry);
+
+  let position = 1;
+  return sorted.map((e, index) => {
+    if (index === 0) return { ...e, position, tieBreaker: null };
+    const prev = sorted[index - 1];
+    const level = (e.points || 0) === (prev.points || 0);
+    // Level on points: the stored positions hold the tie-breakers' verdict
+    const storedBehind = e.userId !== changedId && prev.userId !== changedId &&
+      (e.position ?? 0) > (prev.position ?? 0);
+    if (!level || storedBehind) position = index + 1;
+    return { ...e, position, tieBreaker: level && storedBehind ? e.tieBreaker ?? null : null };
+  });
+}
+
+/**
+ * Merges the duplicate account into the account kept, in a single batch
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {import("firebase-admin/auth").Auth} auth - Auth instance
+ * @param {Object} params
+ * @param {string} params.targetId - Account kept
+ * @param {string} params.sourceId - Duplicate account, deleted
+ * @param {Object} params.resolutions - { [leagueId]: { races: { [raceId]: "target"|"source" }, championship } }
+ * @returns {Promise<{ before: Object, after: Object }>} Summary for the audit log (after.accountDeleted
+ *   is false when the duplicate's sign-in could not be removed)
+ */
+async function mergeParticipants(db, auth, { targetId, sourceId, resolutions }) {
+  const plan = await buildMergePlan(db, { targetId, sourceId });
+  assertResolved(plan, resolutions);
+  let sourceUser = null;
+  try {
+    sourceUser = await auth.getUser(sourceId);
+  } catch {
+    // Placeholder without an account
+  }
+  if (sourceUser?.customClaims?.admin === true) {
+    throw participantError("failed-precondition", "Revoca i privilegi di admin del duplicato prima di unirlo");
+  }
+
+  const { rankingPath } = await loadLeaguePaths();
+  const { ledgerEntryTotal } = await loadEngine();
+  const raceOrder = new Map(plan.races.map((r, index) => [r.id, index]));
+  const name = plan.targetProfile.nickname ?? plan.leagues[0].targetRanking?.name ?? targetId;
+
+  const batch = db.batch();
+  let writes = 0;
+  const write = (fn) => { fn(batch); writes += 1; };
+  const before = {};
+  const after = {};
+
+  for (const entry of plan.leagues) {
+    const choice = resolutions?.[entry.leagueId] || {};
+    const { ranking, sourceRaces, takeChampionship } = await mergeLeagueRanking(entry, choice, name);
+
+    // Submissions: the duplicate's move to the kept account, the discarded side is deleted
+    for (const [raceId, sub] of entry.sourceSubs) {
+      const targetSub = entry.targetSubs.get(raceId);
+      if (!sourceRaces.includes(raceId)) {
+        sub.revisions.forEach((rev) => write((b) => b.delete(rev.ref)));
+        write((b) => b.delete(sub.ref));
+        continue;
+      }
+      const toRef = sub.ref.parent.doc(targetId);
+      const sourceRevisionIds = sub.revisions.map((rev) => rev.id);
+      (targetSub?.revisions || [])
+        .filter((rev) => !sourceRevisionIds.includes(rev.id))
+        .forEach((rev) => write((b) => b.delete(rev.ref)));
+      sub.revisions.forEach((rev) => {
+        write((b) => b.set(toRef.collection("revisions").doc(rev.id), rev.data()));
+        write((b) => b.delete(rev.ref));
+      });
+      write((b) => b.set(toRef, { ...sub.data, userId: targetId, user: name }));
+      write((b) => b.delete(sub.ref));
+    }
+
+    // Ledger, jolly, late flag and championship picks
+    const rankingCol = db.collection(rankingPath(entry.leagueId));
+    if (ranking) write((b) => b.set(rankingCol.doc(targetId), ranking));
+    if (entry.sourceRanking) write((b) => b.delete(rankingCol.doc(sourceId)));
+
+    // Snapshots: points the duplicate's races brought up to each snapshot's race
+    const raceDelta = (raceId) => ledgerEntryTotal(entry.sourceRanking?.pointsByRace?.[raceId])
+      - ledgerEntryTotal(entry.targetRanking?.pointsByRace?.[raceId]);
+    const championshipDelta = takeChampionship
+      ? (entry.sourceRanking.championshipPts || 0) - (entry.targetRanking?.championshipPts || 0)
+      : 0;
+    entry.history.forEach((snap) => {
+      const data = snap.data();
+      const limit = data.raceId ? raceOrder.get(data.raceId) ?? Infinity : Infinity;
+      const pointsDelta = sourceRaces
+        .filter((raceId) => raceOrder.get(raceId) <= limit)
+        .reduce((sum, raceId) => sum + raceDelta(raceId), 0)
+        + (data.type === "championship" ? championshipDelta : 0);
+      const snapshot = mergeSnapshotEntries(data.snapshot || [], { targetId, sourceId, name, pointsDelta });
+      if (snapshot) write((b) => b.update(snap.ref, { snapshot }));
+    });
+
+    // Membership, ownership and roles (the higher role of the two is kept)
+    const league = entry.league;
+    const roles = league.roles || {};
+    const rankOf = (uid) => ROLE_RANK[roles[uid] ?? "player"];
+    const keptRole = rankOf(sourceId) > rankOf(targetId) ? roles[sourceId] : roles[targetId];
+    const leagueUpdate = {
+      [`roles.${sourceId}`]: FieldValue.delete(),
+      [`roles.${targetId}`]: !keptRole || keptRole === "player" ? FieldValue.delete() : keptRole,
+    };
+    if (ranking && keptRole === "spectator") leagueUpdate[`roles.${targetId}`] = FieldValue.delete();
+    if (league.members) {
+      leagueUpdate.members = [...new Set(league.members.map((uid) => (uid === sourceId ? targetId : uid)))];
+    }
+    if (league.ownerId === sourceId) leagueUpdate.ownerId = targetId;
+    if (league.members || league.roles) write((b) => b.update(entry.leagueRef, leagueUpdate));
+
+    before[entry.leagueId] = {
+      target: entry.targetRanking?.puntiTotali ?? null,
+      source: entry.sourceRanking?.puntiTotali ?? null,
+    };
+    after[entry.leagueId] = { points: ranking?.puntiTotali ?? null, sourceRaces };
+  }
+
+  // Account: FCM tokens move to the kept profile, the duplicate's documents are deleted
+  const tokens = [...new Set([
+    ...(plan.targetProfile.fcmTokens || []),
+    ...(plan.sourceProfile?.fcmTokens || []),
+  ])];
+  write((b) => b.update(db.collection("users").doc(targetId), { fcmTokens: tokens }));
+  if (plan.sourceProfile) write((b) => b.delete(db.collection("users").doc(sourceId)));
+  write((b) => b.delete(db.collection("joinRequests").doc(`${plan.leagues[0].leagueId}_${sourceId}`)));
+  write((b) => b.delete(db.collection("claimsRefresh").doc(sourceId)));
+
+  if (writes > MERGE_MAX_WRITES) {
+    throw participantError(
+      "failed-precondition",
+      `Unione troppo grande per un'unica scrittura (${writes} operazioni, massimo ${MERGE_MAX_WRITES})`
+    );
+  }
+  await batch.commit();
+
+  // The duplicate can no longer sign in: the player uses the kept account
+  let accountDeleted = false;
+  if (sourceUser) {
+    try {
+      await auth.deleteUser(sourceId);
+      accountDeleted = true;
+    } catch (err) {
+      console.error(`Errore eliminazione account ${sourceId}:`, err);
+    }
+  }
+
+  return {
+    before: { sourceEmail: plan.sourceProfile?.email ?? null, leagues: before },
+    after: { targetId, leagues: after, resolutions: resolutions ?? {}, accountDeleted },
+  };
+}
+
+module.exports = {
+  JOIN_STATUS,
+  getJoinRequest,
+  moveSubmissions,
+  approveJoinRequest,
+  rejectJoinRequest,
+  previewMerge,
+  mergeParticipants,
+};
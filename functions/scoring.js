@@ -0,0 +1,844 @@
+/**
+ * @file Scoring with the Admin SDK
+ * @description Loads races, submissions and ranking, scores them with the shared engine
+ * (shared/scoringEngine.mjs, also used by the web app) and commits the result atomically.
+ *
+ * Races and official results are global: every calculation scores all leagues, each with
+ * its own submissions and ranking, in the same commit.
+ *
+ * Closing a season (rolloverSeason) archives the final standings and starts a clean one;
+ * races of archived seasons are never re-scored.
+ *
+ * Progress of each run is written to calculations/{jobId} so the admin UI can follow it.
+ * Writes go in a single batch when they fit (500 writes); larger runs are split in chunks
+ * and, if a chunk fails, the chunks already committed are restored.
+ */
+/* eslint-env node */
+
+const { FieldValue, Timestamp } = require("firebase-admin/firestore");
+const { listLeagues, loadLeaguePaths } = require("./leagues");
+
+/** Firestore limit of writes per batch */
+const MAX_BATCH_WRITES = 500;
+
+/** Ranking fields written by the race calculator */
+const RACE_RANKING_FIELDS = ["pointsByRace", "puntiTotali", "jolly"];
+
+/** Ranking fields written by the championship calculator */
+const CHAMPIONSHIP_RANKING_FIELDS = [
+  ...RACE_RANKING_FIELDS,
+  "championshipPts",
+  "championshipLedger",
+];
+
+/** The engine is an ES module: load it once, lazily */
+let enginePromise = null;
+function loadEngine() {
+  if (!enginePromise) enginePromise = import("./shared/scoringEngine.mjs");
+  return enginePromise;
+}
+
+// ─── Helpers ──────────────────────────────────────────────────────────────────
+
+/**
+ * Generates an identifier shared by all the writes of one calculation
+ * @param {string} scope - Race ID, "championship" or "recalc"
+ * @returns {string} Calculation ID
+ */
+function createCalculationId(scope) {
+  return `${scope}_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
+}
+
+/**
+ * Reports progress of a run to calculations/{jobId} (no-op without jobId)
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {string|null} jobId - Job document ID chosen by the caller
+ * @param {Object} data - Fields to merge (status, step, progress, message...)
+ */
+async function reportProgress(db, jobId, data) {
+  if (!jobId) return;
+  try {
+    await db.collection("calculations").doc(jobId).set(
+      { ...data, updatedAt: Timestamp.now() },
+      { merge: true }
+    );
+  } catch (err) {
+    // Progress is informative only: never fail the calculation because of it
+    console.error("Errore aggiornamento progresso calcolo:", err);
+  }
+}
+
+/**
+ * Loads config/scoring and returns a resolver season → ruleset
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @returns {Promise<Function>} (season) => ruleset
+ */
+async function loadRulesResolver(db) {
+  const { resolveScoringRules } = await loadEngine();
+  const snap = await db.collection("config").doc("scoring").get();
+  const config = snap.exists ? snap.data() : { seasons: {} };
+  return (season) => resolveScoringRules(config, season);
+}
+
+/**
+ * Loads the whole ranking collection of a league
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {string} leagueId - League identifier
+ * @returns {Promise<{ original: Map, ranking: Map }>} Untouched copy and working copy
+ */
+async function loadRanking(db, leagueId) {
+  const { rankingPath } = await loadLeaguePaths();
+  const snap = await db.collection(rankingPath(leagueId)).get();
+  const original = new Map(snap.docs.map((d) => [d.id, d.data()]));
+  return { original, ranking: new Map(original) };
+}
+
+/**
+ * Loads the submissions of a race in a league
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {string} raceId - Race identifier
+ * @param {string} leagueId - League identifier
+ * @returns {Promise<Map<string, Object>>} userId → submission data
+ */
+async function loadSubmissions(db, raceId, leagueId) {
+  const { submissionsPath } = await loadLeaguePaths();
+  const snap = await db.collection(submissionsPath(leagueId, raceId)).get();
+  return new Map(snap.docs.map((d) => [d.id, d.data()]));
+}
+
+/**
+ * Loads the ranking of every league
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @returns {Promise<Array<{ leagueId, leagueName, bonusQuestions, original: Map, ranking: Map }>>} Leagues
+ */
+async function loadLeagueRankings(db) {
+  const leagues = await listLeagues(db);
+  return Promise.all(leagues.map(async ({ id, name, bonusQuestions }) => ({
+    leagueId: id,
+    leagueName: name,
+    bonusQuestions,
+    ...(await loadRanking(db, id)),
+  })));
+}
+
+/**
+ * Loads the years of the archived seasons (seasons/{year}), whose races are frozen
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @returns {Promise<Set<number>>} Archived season years
+ */
+async function loadArchivedSeasons(db) {
+  const snap = await db.collection("seasons").get();
+  return new Set(snap.docs.map((d) => Number(d.id)));
+}
+
+/**
+ * Rejects operations on a race of an archived season
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {Object} raceData - Race document data
+ * @throws {Error} When the race season is archived
+ */
+async function assertSeasonOpen(db, raceData) {
+  const { getSeasonFromRace } = await loadEngine();
+  const season = getSeasonFromRace(raceData);
+  if ((await loadArchivedSeasons(db)).has(season)) {
+    throw new Error(`Stagione ${season} archiviata: i punteggi delle sue gare non si modificano più`);
+  }
+}
+
+/**
+ * Dry-run rows of every league, tagged with the league
+ * @param {Function} buildScoringPreview - Engine preview builder
+ * @param {Array<Object>} leagues - Leagues with original, ranking and entries
+ * @param {Object} standings - tieBreakers and lastRaceId of the positions
+ * @returns {Array<Object>} Preview rows
+ */
+function buildLeaguesPreview(buildScoringPreview, leagues, standings) {
+  return leagues.flatMap(({ leagueId, leagueName, original, ranking, entries }) =>
+    buildScoringPreview(original, ranking, entries, standings).map((row) => ({ ...row, leagueId, leagueName }))
+  );
+}
+
+/**
+ * Builds the update that restores the given fields to their previous values
+ * @param {Object} data - Fields that were written
+ * @param {Object} [previous] - Document data before the calculation
+ * @returns {Object} Restore update (missing fields are deleted)
+ */
+function restoreFields(data, previous) {
+  const restore = {};
+  Object.keys(data).forEach((key) => {
+    restore[key] = previous && previous[key] !== undefined ? previous[key] : FieldValue.delete();
+  });
+  return restore;
+}
+
+/**
+ * Builds ranking writes from the in-memory state of a calculation
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {string} rankingCollection - Ranking collection path of the league
+ * @param {Map<string, Object>} original - userId → ranking data before the calculation
+ * @param {Map<string, Object>} ranking - userId → ranking data after the calculation
+ * @param {Array<string>} fields - Ranking fields to write
+ * @returns {Array<{ ref, data, previous }>} Writes
+ */
+function buildRankingWrites(db, rankingCollection, original, ranking, fields) {
+  return [...ranking.entries()].map(([userId, data]) => ({
+    ref: db.collection(rankingCollection).doc(userId),
+    data: Object.fromEntries(fields.map((f) => [f, data[f] ?? null])),
+    previous: original.get(userId),
+  }));
+}
+
+/**
+ * Builds the ranking snapshot of a league (rankingHistory) after a calculation. Positions
+ * follow points and the season's tie-breakers, like the leaderboard.
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {Function} rankLedgers - Engine standings builder
+ * @param {string} historyCollection - Ranking history collection path of the league
+ * @param {Map<string, Object>} ranking - userId → ranking data after the calculation
+ * @param {Object} standings - tieBreakers and lastRaceId of the positions
+ * @param {Object} meta
+ * @param {string} meta.type - "race" or "championship"
+ * @param {string|null} [meta.raceId] - Race scored (race snapshots only)
+ * @returns {{ ref, data, upsert: true }} Write (a new document)
+ */
+function buildSnapshotWrite(db, rankLedgers, historyCollection, ranking, standings, { type, raceId = null }) {
+  const snapshot = rankLedgers(ranking, standings)
+    .map(({ userId, name, points, jolly, position, tieBreaker }) => ({
+      userId,
+      name: name ?? "",
+      points,
+      jolly: jolly ?? 0,
+      position,
+      tieBreaker: tieBreaker ?? null,
+    }));
+  return {
+    ref: db.collection(historyCollection).doc(`snapshot_${Date.now()}`),
+    data: { snapshot, createdAt: Timestamp.now(), type, raceId },
+    upsert: true,
+  };
+}
+
+/**
+ * Builds the marker stamped on the scored document (race or championship results).
+ * It is committed last, so a document carrying a calculationId was fully scored.
+ * @param {FirebaseFirestore.DocumentReference} ref - Document reference
+ * @param {Object} previous - Document data before the calculation
+ * @param {string} calculationId - Calculation ID
+ * @param {Object} [extra] - Additional fields (e.g. pointsCalculated, officialResults)
+ * @returns {{ ref, data, previous }} Write
+ */
+function buildCalculationMarker(ref, previous, calculationId, extra = {}) {
+  return {
+    ref,
+    data: { ...extra, lastCalculationId: calculationId, calculatedAt: Timestamp.now() },
+    previous,
+  };
+}
+
+/**
+ * Commits scoring writes atomically (see file description)
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {Array<{ ref, data, previous, upsert?, remove? }>} writes - Updates with the previous
+ *   document data (upsert creates the document when missing, remove deletes it)
+ * @param {string} calculationId - Calculation ID (reported on failure)
+ * @param {Function} [onChunk] - Called with (committedWrites, totalWrites) after each chunk
+ * @returns {Promise<number>} Number of writes committed
+ * @throws {Error} With rolledBack = true when nothing was left applied,
+ *   false when the rollback itself failed
+ */
+async function commitScoringWrites(db, writes, calculationId, onChunk) {
+  const chunks = [];
+  for (let i = 0; i < writes.length; i += MAX_BATCH_WRITES) {
+    chunks.push(writes.slice(i, i + MAX_BATCH_WRITES));
+  }
+
+  const committed = [];
+  let done = 0;
+  for (const chunk of chunks) {
+    const batch = db.batch();
+    chunk.forEach(({ ref, data, upsert, remove }) => {
+      if (remove) batch.delete(ref);
+      else if (upsert) batch.set(ref, data, { merge: true });
+      else batch.update(ref, data);
+    });
+    try {
+      await batch.commit();
+      committed.push(chunk);
+      done += chunk.length;
+      if (onChunk) await onChunk(done, writes.length);
+    } catch (err) {
+      console.error(`Commit fallito per ${calculationId}:`, err);
+      let rolledBack = true;
+      for (const undoChunk of committed.reverse()) {
+        const undo = db.batch();
+        undoChunk.forEach(({ ref, data, previous, upsert, remove }) => {
+          if (remove) undo.set(ref, previous);
+          else if (upsert && previous === undefined) undo.delete(ref);
+          else undo.update(ref, restoreFields(data, previous));
+        });
+        try {
+          await undo.commit();
+        } catch (undoErr) {
+          console.error(`Rollback fallito per ${calculationId}:`, undoErr);
+          rolledBack = false;
+        }
+      }
+      const failure = new Error(
+        rolledBack
+          ? `Calcolo annullato: nessuna modifica salvata (${err.message})`
+          : `Calcolo interrotto e rollback incompleto [${calculationId}]: ripristina l'ultimo backup (${err.message})`
+      );
+      failure.rolledBack = rolledBack;
+      failure.calculationId = calculationId;
+      throw failure;
+    }
+  }
+  return writes.length;
+}
+
+/**
+ * Runs a calculation body with progress reporting and error bookkeeping
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {string|null} jobId - Progress document ID
+ * @param {Object} meta - Static job info (type, raceId)
+ * @param {Function} body - async (progress) => result
+ * @returns {Promise<Object>} Result of body
+ */
+async function runJob(db, jobId, meta, body) {
+  await reportProgress(db, jobId, {
+    ...meta,
+    status: "running",
+    step: "loading",
+    progress: 0,
+    startedAt: Timestamp.now(),
+  });
+  try {
+    const result = await body((data) => reportProgress(db, jobId, data));
+    await reportProgress(db, jobId, {
+      status: "done",
+      step: "done",
+      progress: 100,
+      message: result.message,
+      calculationId: result.calculationId || null,
+      finishedAt: Timestamp.now(),
+    });
+    return result;
+  } catch (err) {
+    await reportProgress(db, jobId, {
+      status: "failed",
+      message: err.message,
+      rolledBack: err.rolledBack ?? null,
+      finishedAt: Timestamp.now(),
+    });
+    throw err;
+  }
+}
+
+// ─── Calculations ─────────────────────────────────────────────────────────────
+
+/**
+ * Calculates and persists the points of a race, with a ranking snapshot per league. Every
+ * path that scores a race (callable, trigger, status change) runs through here.
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {string} raceId - Race identifier
+ * @param {Object} [options]
+ * @param {Object} [options.officialResults] - Results to save with the scoring (same commit)
+ * @param {string} [options.status] - Race status to save with the scoring (full or reduced)
+ * @param {string} [options.jobId] - Progress document ID
+ * @param {boolean} [options.dryRun] - Score in memory only and return the preview
+ * @returns {Promise<{ message: string, calculationId?: string, preview?: Array }>}
+ */
+async function calculateRace(
+  db,
+  raceId,
+  { officialResults = null, status = null, jobId = null, dryRun = false } = {}
+) {
+  return runJob(db, dryRun ? null : jobId, { type: "race", raceId }, async (progress) => {
+    const { scoreRace, getSeasonFromRace, buildScoringPreview, rankLedgers, RACE_STATUSES } = await loadEngine();
+    if (status !== null && status !== RACE_STATUSES.FULL && status !== RACE_STATUSES.REDUCED) {
+      throw new Error("Stato gara non valido");
+    }
+    const { rankingPath, rankingHistoryPath, submissionsPath } = await loadLeaguePaths();
+
+    const raceRef = db.collection("races").doc(raceId);
+    const raceSnap = await raceRef.get();
+    if (!raceSnap.exists) throw new Error("Gara non trovata");
+    const raceData = raceSnap.data();
+    await assertSeasonOpen(db, raceData);
+
+    const calculationId = createCalculationId(raceId);
+    const results = officialResults
+      ? { ...officialResults, calculationId, savedAt: Timestamp.now() }
+      : { ...(raceData.officialResults || {}), calculationId };
+    const statusUpdate = status ? { status } : {};
+    const race = { ...raceData, ...statusUpdate, officialResults: results };
+
+    const [resolveRules, leagueRankings] = await Promise.all([
+      loadRulesResolver(db),
+      loadLeagueRankings(db),
+    ]);
+    const rules = resolveRules(getSeasonFromRace(raceData));
+    await progress({ step: "scoring", progress: 25 });
+
+    // Same race, scored in every league against its own submissions and ranking
+    const leagues = await Promise.all(leagueRankings.map(async (league) => {
+      const submissions = await loadSubmissions(db, raceId, league.leagueId);
+      const { submissionUpdates, entries } = scoreRace({
+        raceId,
+        race,
+        submissions,
+        ranking: league.ranking,
+        rules,
+        bonusQuestions: league.bonusQuestions,
+      });
+      return { ...league, submissions, submissionUpdates, entries };
+    }));
+    const submissionCount = leagues.reduce((n, l) => n + l.submissions.size, 0);
+    const rankingCount = leagues.reduce((n, l) => n + l.ranking.size, 0);
+
+    if (dryRun) {
+      return {
+        dryRun: true,
+        preview: buildLeaguesPreview(buildScoringPreview, leagues, {
+          tieBreakers: rules.TIE_BREAKERS,
+          lastRaceId: raceId,
+        }),
+        message: `Anteprima: ${submissionCount} submissions, ${rankingCount} ranking (nessuna modifica salvata)`,
+      };
+    }
+
+    // Official results travel in the marker: results and scores can never diverge.
+    // Every league gets its ranking snapshot in the same commit, whoever started the run.
+    const writes = [
+      ...leagues.flatMap(({ leagueId, submissions, submissionUpdates, original, ranking }) => [
+        ...submissionUpdates.map(({ userId, data }) => ({
+          ref: db.collection(submissionsPath(leagueId, raceId)).doc(userId),
+          data,
+          previous: submissions.get(userId),
+        })),
+        ...buildRankingWrites(db, rankingPath(leagueId), original, ranking, RACE_RANKING_FIELDS),
+        buildSnapshotWrite(db, rankLedgers, rankingHistoryPath(leagueId), ranking, {
+          tieBreakers: rules.TIE_BREAKERS,
+          lastRaceId: raceId,
+        }, { type: "race", raceId }),
+      ]),
+      buildCalculationMarker(raceRef, raceData, calculationId, {
+        ...statusUpdate,
+        officialResults: results,
+        pointsCalculated: true,
+      }),
+    ];
+
+    await progress({ step: "saving", progress: 50 });
+    await commitScoringWrites(db, writes, calculationId, (done, total) =>
+      progress({ progress: 50 + Math.round((done / total) * 50) })
+    );
+
+    return {
+      calculationId,
+      message: `✔️ Calcolo completato: aggiornate ${submissionCount} submissions e ${rankingCount} ranking (${leagues.length} leghe)`,
+    };
+  });
+}
+
+/**
+ * Calculates and persists championship points for every user, with a ranking snapshot per league
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {Object} [options]
+ * @param {Object} [options.results] - Results (P1-P3, C1-C3) to save with the scoring (same commit)
+ * @param {string} [options.jobId] - Progress document ID
+ * @param {boolean} [options.dryRun] - Score in memory only and return the preview
+ * @returns {Promise<{ message: string, calculationId?: string, preview?: Array }>}
+ */
+async function calculateChampionship(db, { results: newResults = null, jobId = null, dryRun = false } = {}) {
+  return runJob(db, dryRun ? null : jobId, { type: "championship" }, async (progress) => {
+    const { scoreChampionship, getSeasonFromRace, buildScoringPreview, lastScoredRaceId, rankLedgers } =
+      await loadEngine();
+    const { rankingPath, rankingHistoryPath } = await loadLeaguePaths();
+
+    const resultsRef = db.collection("championship").doc("results");
+    const resultsSnap = await resultsRef.get();
+    if (!resultsSnap.exists && !newResults) throw new Error("Risultati campionato non trovati");
+    const previousResults = resultsSnap.exists ? resultsSnap.data() : undefined;
+    const results = { ...(previousResults || {}), ...(newResults || {}) };
+
+    // Championship season = year of the last race outside the archived seasons
+    const [resolveRules, racesSnap, leagueRankings, archivedSeasons] = await Promise.all([
+      loadRulesResolver(db),
+      db.collection("races").orderBy("raceUTC", "asc").get(),
+      loadLeagueRankings(db),
+      loadArchivedSeasons(db),
+    ]);
+    const seasons = racesSnap.docs
+      .map((d) => getSeasonFromRace(d.data()))
+      .filter((y) => y != null && !archivedSeasons.has(y));
+    const season = seasons.length ? Math.max(...seasons) : new Date().getUTCFullYear();
+    await progress({ step: "scoring", progress: 25 });
+
+    const rules = resolveRules(season);
+    const raceIds = racesSnap.docs.map((d) => d.id);
+    const leagues = leagueRankings.map((league) => ({
+      ...league,
+      entries: scoreChampionship({ results, ranking: league.ranking, rules }),
+      standings: {
+        tieBreakers: rules.TIE_BREAKERS,
+        lastRaceId: lastScoredRaceId(league.ranking.values(), raceIds),
+      },
+    }));
+    const rankingCount = leagues.reduce((n, l) => n + l.ranking.size, 0);
+
+    if (dryRun) {
+      return {
+        dryRun: true,
+        preview: leagues.flatMap((league) => buildLeaguesPreview(buildScoringPreview, [league], league.standings)),
+        message: `Anteprima: ${rankingCount} utenti (nessuna modifica salvata)`,
+      };
+    }
+
+    // New results travel in the marker, committed with the scores
+    const calculationId = createCalculationId("championship");
+    const marker = buildCalculationMarker(
+      resultsRef,
+      previousResults,
+      calculationId,
+      newResults ? { ...newResults, savedAt: Timestamp.now() } : {}
+    );
+    const writes = [
+      ...leagues.flatMap(({ leagueId, original, ranking, standings }) => [
+        ...buildRankingWrites(db, rankingPath(leagueId), original, ranking, CHAMPIONSHIP_RANKING_FIELDS),
+        buildSnapshotWrite(db, rankLedgers, rankingHistoryPath(leagueId), ranking, standings, { type: "championship" }),
+      ]),
+      { ...marker, upsert: true },
+    ];
+
+    await progress({ step: "saving", progress: 50 });
+    await commitScoringWrites(db, writes, calculationId, (done, total) =>
+      progress({ progress: 50 + Math.round((done / total) * 50) })
+    );
+
+    return {
+      calculationId,
+      message: `✔️ Punteggi campionato aggiornati per ${rankingCount} utenti (piloti + costruttori).`,
+    };
+  });
+}
+
+/**
+ * Recalculates every race with official results in a single atomic commit.
+ * Races of archived seasons are skipped: their points live in the season archive.
+ * Ledger entries of races that are no longer scorable are removed.
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {Object} [options]
+ * @param {string} [options.jobId] - Progress document ID
+ * @returns {Promise<{ message: string, calculationId: string }>}
+ */
+async function recalculateAll(db, { jobId = null } = {}) {
+  return runJob(db, jobId, { type: "recalc" }, async (progress) => {
+    const { scoreRace, dropStaleRaceEntries, getSeasonFromRace } = await loadEngine();
+    const { rankingPath, submissionsPath } = await loadLeaguePaths();
+
+    const [resolveRules, racesSnap, leagues, archivedSeasons] = await Promise.all([
+      loadRulesResolver(db),
+      db.collection("races").orderBy("raceUTC", "asc").get(),
+      loadLeagueRankings(db),
+      loadArchivedSeasons(db),
+    ]);
+
+    const calculationId = createCalculationId("recalc");
+    const summary = [];
+    const writes = [];
+    const markers = [];
+    const scoredRaceIds = new Set();
+
+    for (const [index, raceDoc] of racesSnap.docs.entries()) {
+      const raceData = raceDoc.data();
+      const { P1, P2, P3 } = raceData.officialResults || {};
+      if (!P1 || !P2 || !P3 || raceData.cancelledMain) continue;
+      if (archivedSeasons.has(getSeasonFromRace(raceData))) continue;
+
+      try {
+        let submissionCount = 0;
+        for (const { leagueId, ranking, bonusQuestions } of leagues) {
+          const submissions = await loadSubmissions(db, raceDoc.id, leagueId);
+          const { submissionUpdates } = scoreRace({
+            raceId: raceDoc.id,
+            race: raceData,
+            submissions,
+            ranking,
+            rules: resolveRules(getSeasonFromRace(raceData)),
+            bonusQuestions,
+          });
+          submissionUpdates.forEach(({ userId, data }) => writes.push({
+            ref: db.collection(submissionsPath(leagueId, raceDoc.id)).doc(userId),
+            data,
+            previous: submissions.get(userId),
+          }));
+          submissionCount += submissions.size;
+        }
+        markers.push(buildCalculationMarker(raceDoc.ref, raceData, calculationId, { pointsCalculated: true }));
+        scoredRaceIds.add(raceDoc.id);
+        summary.push(`${raceData.name}: ${submissionCount} submissions`);
+      } catch (err) {
+        summary.push(`${raceData.name}: ERRORE - ${err.message}`);
+      }
+      await progress({ step: "scoring", progress: Math.round(((index + 1) / racesSnap.size) * 50) });
+    }
+
+    leagues.forEach(({ ranking }) => dropStaleRaceEntries(ranking, scoredRaceIds));
+    const rankingWrites = leagues.flatMap(({ leagueId, original, ranking }) =>
+      buildRankingWrites(db, rankingPath(leagueId), original, ranking, RACE_RANKING_FIELDS)
+    );
+
+    await progress({ step: "saving", progress: 50 });
+    await commitScoringWrites(
+      db,
+      [...writes, ...rankingWrites, ...markers],
+      calculationId,
+      (done, total) => progress({ progress: 50 + Math.round((done / total) * 50) })
+    );
+
+    return {
+      calculationId,
+      message: `Ricalcolo completato per ${scoredRaceIds.size} gare:\n${summary.join("\n")}`,
+    };
+  });
+}
+
+/**
+ * Undoes the scoring of a single race: removes its ledger entry (points and jolly earned)
+ * from every ranking document, clears the submissions' points and deletes the ranking
+ * snapshots saved after it. Other races are left untouched; official results are kept.
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {string} raceId - Race identifier
+ * @param {Object} [options]
+ * @param {string} [options.jobId] - Progress document ID
+ * @returns {Promise<{ message: string, calculationId: string }>}
+ */
+async function rollbackRace(db, raceId, { jobId = null } = {}) {
+  return runJob(db, jobId, { type: "rollback", raceId }, async (progress) => {
+    const { removeRaceScoring } = await loadEngine();
+    const { rankingPath, rankingHistoryPath, submissionsPath } = await loadLeaguePaths();
+
+    const raceRef = db.collection("races").doc(raceId);
+    const raceSnap = await raceRef.get();
+    if (!raceSnap.exists) throw new Error("Gara non trovata");
+    const raceData = raceSnap.data();
+    await assertSeasonOpen(db, raceData);
+
+    const leagues = await Promise.all((await loadLeagueRankings(db)).map(async (league) => {
+      const [submissions, snapshotsSnap] = await Promise.all([
+        loadSubmissions(db, raceId, league.leagueId),
+        db.collection(rankingHistoryPath(league.leagueId)).where("raceId", "==", raceId).get(),
+      ]);
+      const removed = removeRaceScoring(league.ranking, raceId);
+      return { ...league, submissions, snapshotsSnap, scoredUsers: Object.keys(removed).length };
+    }));
+
+    const scoredUsers = leagues.reduce((n, l) => n + l.scoredUsers, 0);
+    const snapshotCount = leagues.reduce((n, l) => n + l.snapshotsSnap.size, 0);
+    if (!raceData.pointsCalculated && scoredUsers === 0) {
+      throw new Error("Nessun calcolo da annullare per questa gara");
+    }
+    await progress({ step: "scoring", progress: 25 });
+
+    const calculationId = createCalculationId(`rollback_${raceId}`);
+    const writes = [
+      ...leagues.flatMap(({ leagueId, submissions, snapshotsSnap, original, ranking }) => [
+        ...[...submissions.entries()]
+          .filter(([, sub]) => sub.pointsEarned !== undefined || sub.pointsEarnedSprint !== undefined)
+          .map(([userId, sub]) => ({
+            ref: db.collection(submissionsPath(leagueId, raceId)).doc(userId),
+            data: { pointsEarned: FieldValue.delete(), pointsEarnedSprint: FieldValue.delete() },
+            previous: sub,
+          })),
+        ...buildRankingWrites(db, rankingPath(leagueId), original, ranking, RACE_RANKING_FIELDS),
+        ...snapshotsSnap.docs.map((d) => ({ ref: d.ref, previous: d.data(), remove: true })),
+      ]),
+      buildCalculationMarker(raceRef, raceData, calculationId, { pointsCalculated: false }),
+    ];
+
+    await progress({ step: "saving", progress: 50 });
+    await commitScoringWrites(db, writes, calculationId, (done, total) =>
+      progress({ progress: 50 + Math.round((done / total) * 50) })
+    );
+
+    return {
+      calculationId,
+      message: `↩️ Calcolo annullato per ${raceData.name}: ${scoredUsers} ranking aggiornati, ${snapshotCount} snapshot eliminati`,
+    };
+  });
+}
+
+// ─── Seasons ──────────────────────────────────────────────────────────────────
+
+/** Ranking fields of a member at the start of a season */
+const SEASON_START_RANKING = {
+  puntiTotali: 0,
+  jolly: 0,
+  usedLateSubmission: false,
+  boostRaceId: null,
+  pointsByRace: {},
+  championshipPiloti: [],
+  championshipCostruttori: [],
+  championshipPts: 0,
+  championshipLedger: null,
+};
+
+/**
+ * Final standings of a league: points, then the season's tie-breakers (same rule as the
+ * leaderboard and the ranking snapshots), so the title goes to a single player unless
+ * the whole chain is tied
+ * @param {Function} rankLedgers - Engine standings builder
+ * @param {Map<string, Object>} ranking - userId → ranking data
+ * @param {Object} standings - tieBreakers and lastRaceId of the season
+ * @returns {Array<Object>} Ranking entries with userId, position and tieBreaker, best first
+ */
+function buildFinalStandings(rankLedgers, ranking, standings) {
+  return rankLedgers(ranking, standings).map((row) => {
+    const entry = { ...row };
+    delete entry.points;
+    delete entry.stats;
+    return entry;
+  });
+}
+
+/**
+ * Closes a season: archives the final standings of every league, the championship results
+ * and the ranking snapshots into seasons/{year}, then starts a clean season (rankings reset,
+ * championship results and snapshots removed). Races and submissions stay where they are.
+ * The seasons/{year} document is committed last, so an archived season is always complete.
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {Object} params
+ * @param {number} params.season - Season year to close
+ * @param {string} params.archivedBy - Admin uid
+ * @param {string} [params.jobId] - Progress document ID
+ * @returns {Promise<{ message: string, calculationId: string }>}
+ */
+async function rolloverSeason(db, { season, archivedBy, jobId = null }) {
+  return runJob(db, jobId, { type: "rollover", season }, async (progress) => {
+    const { getSeasonFromRace, rankLedgers, lastScoredRaceId } = await loadEngine();
+    const { rankingPath, rankingHistoryPath, seasonStandingsPath, seasonSnapshotsPath } = await loadLeaguePaths();
+
+    const seasonRef = db.collection("seasons").doc(String(season));
+    const resultsRef = db.collection("championship").doc("results");
+    const [seasonSnap, racesSnap, resultsSnap, leagueRankings, resolveRules] = await Promise.all([
+      seasonRef.get(),
+      db.collection("races").orderBy("raceUTC", "asc").get(),
+      resultsRef.get(),
+      loadLeagueRankings(db),
+      loadRulesResolver(db),
+    ]);
+    if (seasonSnap.exists) throw new Error(`Stagione ${season} già archiviata`);
+    const rules = resolveRules(season);
+
+    const races = racesSnap.docs.filter((d) => getSeasonFromRace(d.data()) === season);
+    if (!races.length) throw new Error(`Nessuna gara nella stagione ${season}`);
+    const pending = races.filter((d) => !d.data().cancelledMain && !d.data().pointsCalculated);
+    if (pending.length) {
+      throw new Error(`Gare ancora da calcolare: ${pending.map((d) => d.data().name).join(", ")}`);
+    }
+
+    const leagues = await Promise.all(leagueRankings.map(async (league) => ({
+      ...league,
+      snapshots: (await db.collection(rankingHistoryPath(league.leagueId)).get()).docs,
+    })));
+    await progress({ step: "scoring", progress: 25 });
+
+    const calculationId = createCalculationId(`season_${season}`);
+    const archivedAt = Timestamp.now();
+    const writes = leagues.flatMap(({ leagueId, leagueName, original, snapshots }) => [
+      {
+        ref: db.collection(seasonStandingsPath(season)).doc(leagueId),
+        data: {
+          leagueId,
+          leagueName,
+          ranking: buildFinalStandings(rankLedgers, original, {
+            tieBreakers: rules.TIE_BREAKERS,
+            lastRaceId: lastScoredRaceId(original.values(), races.map((d) => d.id)),
+          }),
+          archivedAt,
+        },
+        upsert: true,
+      },
+      ...snapshots.flatMap((d) => [
+        { ref: db.collection(seasonSnapshotsPath(season, leagueId)).doc(d.id), data: d.data(), upsert: true },
+        { ref: d.ref, previous: d.data(), remove: true },
+      ]),
+      ...[...original.entries()].map(([userId, data]) => ({
+        ref: db.collection(rankingPath(leagueId)).doc(userId),
+        data: SEASON_START_RANKING,
+        previous: data,
+      })),
+    ]);
+    if (resultsSnap.exists) writes.push({ ref: resultsRef, previous: resultsSnap.data(), remove: true });
+    writes.push({
+      ref: seasonRef,
+      data: {
+        season,
+        archivedAt,
+        archivedBy,
+        calculationId,
+        championshipResults: resultsSnap.exists ? resultsSnap.data() : null,
+        raceIds: races.map((d) => d.id),
+        leagueIds: leagues.map((l) => l.leagueId),
+      },
+      upsert: true,
+    });
+
+    await progress({ step: "saving", progress: 50 });
+    await commitScoringWrites(db, writes, calculationId, (done, total) =>
+      progress({ progress: 50 + Math.round((done / total) * 50) })
+    );
+
+    const memberCount = leagues.reduce((n, l) => n + l.original.size, 0);
+    return {
+      calculationId,
+      message: `🗄️ Stagione ${season} archiviata: ${races.length} gare, ${memberCount} classifiche azzerate (${leagues.length} leghe)`,
+    };
+  });
+}
+
+/**
+ * Tells whether two flat maps (e.g. officialResults.bonus) hold the same values
+ * @param {Object|null|undefined} a - First map
+ * @param {Object|null|undefined} b - Second map
+ * @returns {boolean} True when every key has the same value
+ */
+function sameAnswers(a, b) {
+  const keys = new Set([...Object.keys(a || {}), ...Object.keys(b || {})]);
+  return [...keys].every((k) => (a?.[k] ?? null) === (b?.[k] ?? null));
+}
+
+/**
+ * Tells whether a race write changed its official podium, its bonus or prop answers,
+ * its multiplier or its status (used by the Firestore trigger).
+ * Every calculation stamps a new officialResults.calculationId, so a write that changed it
+ * is the calculation's own output (or its rollback) and is skipped. Any other write, e.g. a
+ * podium corrected in the console after a calculation, is scored again.
+ * @param {Object|undefined} before - Race data before the write
+ * @param {Object|undefined} after - Race data after the write
+ * @returns {boolean} True when the race should be scored
+ */
+function shouldScoreOnWrite(before, after) {
+  const results = after?.officialResults;
+  if (!results?.P1 || !results?.P2 || !results?.P3 || after.cancelledMain) return false;
+
+  const keys = ["P1", "P2", "P3", "SP1", "SP2", "SP3", "doublePoints"];
+  const prev = before?.officialResults || {};
+  const changed = keys.some((k) => (prev[k] ?? null) !== (results[k] ?? null))
+    || !sameAnswers(prev.bonus, results.bonus)
+    || !sameAnswers(prev.props, results.props)
+    || (before?.multiplier ?? 1) !== (after.multiplier ?? 1)
+    || (before?.status ?? "full") !== (after.status ?? "full");
+  return changed && (prev.calculationId ?? null) === (results.calculationId ?? null);
+}
+
+module.exports = {
+  calculateRace,
+  calculateChampionship,
+  recalculateAll,
+  rollbackRace,
+  rolloverSeason,
+  shouldScoreOnWrite,
+};
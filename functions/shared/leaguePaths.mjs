@@ -0,0 +1,88 @@
+/**
+ * @file League paths
+ * @description Firestore paths of the data scoped per league, shared by the web app and
+ * Cloud Functions. The main league keeps the original root collections (ranking,
+ * rankingHistory, races/{raceId}/submissions), so existing data needs no migration;
+ * every other league lives under leagues/{leagueId}. The race calendar and the
+ * official results stay global and are shared by all leagues. Archived seasons keep the
+ * final standings of each league under seasons/{year}/standings/{leagueId}.
+ */
+
+/** League every account belongs to (root collections) */
+export const DEFAULT_LEAGUE_ID = "main";
+
+/**
+ * Path prefix of a league
+ * @param {string} [leagueId] - League identifier (main when missing)
+ * @returns {Array<string>} Path segments
+ */
+function leagueBase(leagueId) {
+  return !leagueId || leagueId === DEFAULT_LEAGUE_ID ? [] : ["leagues", leagueId];
+}
+
+/**
+ * Document of a league holding its owner and the roles map. The main league has no league
+ * document: its roles live in config/mainLeague.
+ * @param {string} [leagueId] - League identifier (main when missing)
+ * @returns {string} Document path
+ */
+export function leagueDocPath(leagueId) {
+  return !leagueId || leagueId === DEFAULT_LEAGUE_ID ? "config/mainLeague" : `leagues/${leagueId}`;
+}
+
+/**
+ * Ranking collection of a league (one document per member, championship picks included)
+ * @param {string} leagueId - League identifier
+ * @returns {string} Collection path
+ */
+export function rankingPath(leagueId) {
+  return [...leagueBase(leagueId), "ranking"].join("/");
+}
+
+/**
+ * Ranking snapshots of a league
+ * @param {string} leagueId - League identifier
+ * @returns {string} Collection path
+ */
+export function rankingHistoryPath(leagueId) {
+  return [...leagueBase(leagueId), "rankingHistory"].join("/");
+}
+
+/**
+ * Submissions of a league for a race
+ * @param {string} leagueId - League identifier
+ * @param {string} raceId - Race identifier
+ * @returns {string} Collection path
+ */
+export function submissionsPath(leagueId, raceId) {
+  return [...leagueBase(leagueId), "races", raceId, "submissions"].join("/");
+}
+
+/**
+ * Public submission status of a league for a race
+ * @param {string} leagueId - League identifier
+ * @param {string} raceId - Race identifier
+ * @returns {string} Collection path
+ */
+export function submissionStatusPath(leagueId, raceId) {
+  return [...leagueBase(leagueId), "races", raceId, "submissionStatus"].join("/");
+}
+
+/**
+ * Final standings of the leagues for an archived season (one document per league)
+ * @param {number|string} season - Season year
+ * @returns {string} Collection path
+ */
+export function seasonStandingsPath(season) {
+  return ["seasons", String(season), "standings"].join("/");
+}
+
+/**
+ * Ranking snapshots of a league archived with its season
+ * @param {number|string} season - Season year
+ * @param {string} leagueId - League identifier
+ * @returns {string} Collection path
+ */
+export function seasonSnapshotsPath(season, leagueId) {
+  return [seasonStandingsPath(season), leagueId || DEFAULT_LEAGUE_ID, "rankingHistory"].join("/");
+}
@@ -0,0 +1,72 @@
+/**
+ * @file League roles
+ * @description Roles of a league member and what each role may do, shared by the web app
+ * and Cloud Functions (firestore.rules mirrors the same model). The owner of a league is
+ * its ownerId; in the main league, and in every league for them, the owners are the
+ * accounts with the admin custom claim. Moderators and spectators are listed in the roles
+ * map of the league document (config/mainLeague for the main league, see leagueDocPath);
+ * every other member is a player. Results, the calendar and the other settings are shared
+ * by all leagues, so those permissions come from the role in the main league.
+ */
+
+import { DEFAULT_LEAGUE_ID } from "./leaguePaths.mjs";
+
+/** Roles of a league member */
+export const LEAGUE_ROLES = {
+  OWNER: "owner",
+  MODERATOR: "moderator",
+  PLAYER: "player",
+  SPECTATOR: "spectator",
+};
+
+/** Roles an owner can assign (the owner role follows ownerId / the admin claim) */
+export const ASSIGNABLE_ROLES = [LEAGUE_ROLES.MODERATOR, LEAGUE_ROLES.PLAYER, LEAGUE_ROLES.SPECTATOR];
+
+/**
+ * Permissions:
+ * - submit: save one's own formations
+ * - formations: fix the race and championship formations of the members
+ * - participants: manage members and their roles
+ * - results: enter official results and run the scoring
+ * - settings: calendar, scoring rules, deadlines, seasons, database and audit log
+ */
+export const ROLE_PERMISSIONS = {
+  [LEAGUE_ROLES.OWNER]: ["submit", "formations", "participants", "results", "settings"],
+  [LEAGUE_ROLES.MODERATOR]: ["submit", "formations", "results"],
+  [LEAGUE_ROLES.PLAYER]: ["submit"],
+  [LEAGUE_ROLES.SPECTATOR]: [],
+};
+
+/** Permissions on data shared by every league, granted by the role in the main league */
+export const GLOBAL_PERMISSIONS = ["results", "settings"];
+
+/** Permissions that open the admin panel */
+export const STAFF_PERMISSIONS = ["formations", "participants", "results", "settings"];
+
+/**
+ * Role of a user in a league
+ * @param {Object} params
+ * @param {string|null} params.userId - User identifier
+ * @param {boolean} [params.isAdmin] - Admin custom claim
+ * @param {string} [params.leagueId] - League (main when missing)
+ * @param {Object|null} [params.league] - League document (ownerId, roles), or config/mainLeague
+ * @returns {string} One of LEAGUE_ROLES
+ */
+export function resolveLeagueRole({ userId, isAdmin = false, leagueId, league }) {
+  if (isAdmin) return LEAGUE_ROLES.OWNER;
+  const isMain = !leagueId || leagueId === DEFAULT_LEAGUE_ID;
+  if (!isMain && userId && league?.ownerId === userId) return LEAGUE_ROLES.OWNER;
+  const role = userId ? league?.roles?.[userId] : null;
+  return role === LEAGUE_ROLES.MODERATOR || role === LEAGUE_ROLES.SPECTATOR ? role : LEAGUE_ROLES.PLAYER;
+}
+
+/**
+ * Whether a user may perform an action
+ * @param {{ main: string, league: string }} roles - Role in the main league and in the league acted on
+ * @param {string} permission - Permission key (see ROLE_PERMISSIONS)
+ * @returns {boolean} True when allowed
+ */
+export function hasLeaguePermission(roles, permission) {
+  const role = GLOBAL_PERMISSIONS.includes(permission) ? roles.main : roles.league;
+  return (ROLE_PERMISSIONS[role] || []).includes(permission);
+}
@@ -0,0 +1,1094 @@
+/**
+ * @file scoringEngine.mjs
+ * @description Pure scoring functions shared by the web app (re-exported from
+ * src/utils/scoringEngine.js) and Cloud Functions (functions/scoring.js).
+ * No Firebase imports: every function receives the picks, the official results,
+ * the ranking data and a resolved scoring ruleset.
+ *
+ * Rulesets are stored per season in config/scoring.
+ */
+
+/**
+ * Default ruleset, used when no season version has been configured.
+ * Mirrors POINTS and TIME_CONSTANTS in constants/racing.js.
+ */
+export const DEFAULT_SCORING_RULES = Object.freeze({
+  MAIN: Object.freeze({ 1: 12, 2: 10, 3: 7 }),
+  SPRINT: Object.freeze({ 1: 8, 2: 6, 3: 4 }),
+  BONUS_JOLLY_MAIN: 5,
+  BONUS_JOLLY_SPRINT: 2,
+  PENALTY_EMPTY_LIST: -3,
+  LATE_SUBMISSION_PENALTY: -3,
+  // Perfect podium: 12 + 10 + 7 = 29 → 30, plus one extra jolly
+  PERFECT_PODIUM_BONUS: 1,
+  PERFECT_PODIUM_JOLLY: 1,
+  LAST_RACE_MULTIPLIER: 2,
+  // Share of the position points, jolly bonuses and penalties awarded for a race
+  // with reduced points (see RACE_STATUSES), as a percentage
+  REDUCED_POINTS_PERCENT: 50,
+  // Partial credit for podium picks in the wrong slot (see PARTIAL_CREDIT_MODES),
+  // as a percentage of the points of the position the driver finished in
+  PARTIAL_CREDIT_MODE: "off",
+  PARTIAL_PODIUM_PERCENT: 25,
+  PARTIAL_ONE_OFF_PERCENT: 50,
+  // Ordered chain separating players tied on points (see TIE_BREAKERS)
+  TIE_BREAKERS: Object.freeze(["p1Hits", "perfectPodiums", "fewestPenalties", "lastRace"]),
+});
+
+/** Scalar ruleset keys (everything except the position tables) */
+export const SCORING_RULE_KEYS = [
+  "BONUS_JOLLY_MAIN",
+  "BONUS_JOLLY_SPRINT",
+  "PENALTY_EMPTY_LIST",
+  "LATE_SUBMISSION_PENALTY",
+  "PERFECT_PODIUM_BONUS",
+  "PERFECT_PODIUM_JOLLY",
+  "LAST_RACE_MULTIPLIER",
+  "REDUCED_POINTS_PERCENT",
+  "PARTIAL_PODIUM_PERCENT",
+  "PARTIAL_ONE_OFF_PERCENT",
+];
+
+/**
+ * Partial credit modes for a podium pick that is not an exact match:
+ * off — exact positions only;
+ * podium — PARTIAL_PODIUM_PERCENT when the driver finished in another podium slot;
+ * distance — PARTIAL_ONE_OFF_PERCENT one place off, PARTIAL_PODIUM_PERCENT two places off
+ */
+export const PARTIAL_CREDIT_MODES = Object.freeze({
+  OFF: "off",
+  PODIUM: "podium",
+  DISTANCE: "distance",
+});
+
+const toNumber = (value, fallback) => {
+  const n = Number(value);
+  return Number.isFinite(n) ? n : fallback;
+};
+
+/**
+ * Fills a partial ruleset with defaults and coerces every value to a number
+ * @param {Object} [rules] - Partial ruleset (e.g. as read from Firestore)
+ * @returns {Object} Complete ruleset
+ */
+export function normalizeScoringRules(rules = {}) {
+  const normalized = {
+    MAIN: {},
+    SPRINT: {},
+  };
+  [1, 2, 3].forEach((pos) => {
+    normalized.MAIN[pos] = toNumber(rules.MAIN?.[pos], DEFAULT_SCORING_RULES.MAIN[pos]);
+    normalized.SPRINT[pos] = toNumber(rules.SPRINT?.[pos], DEFAULT_SCORING_RULES.SPRINT[pos]);
+  });
+  SCORING_RULE_KEYS.forEach((key) => {
+    normalized[key] = toNumber(rules[key], DEFAULT_SCORING_RULES[key]);
+  });
+  normalized.PARTIAL_CREDIT_MODE = Object.values(PARTIAL_CREDIT_MODES).includes(rules.PARTIAL_CREDIT_MODE)
+    ? rules.PARTIAL_CREDIT_MODE
+    : DEFAULT_SCORING_RULES.PARTIAL_CREDIT_MODE;
+  normalized.TIE_BREAKERS = normalizeTieBreakers(rules.TIE_BREAKERS);
+  return normalized;
+}
+
+/** Tie-breakers, applied in the order of the ruleset's TIE_BREAKERS */
+export const TIE_BREAKERS = Object.freeze({
+  P1_HITS: "p1Hits", // most exact winners predicted (main race)
+  PERFECT_PODIUMS: "perfectPodiums", // most perfect podiums
+  FEWEST_PENALTIES: "fewestPenalties", // fewest penalty points (empty list, late)
+  LAST_RACE: "lastRace", // best result in the last scored race
+});
+
+/**
+ * Keeps the known tie-breakers, without duplicates, in the given order
+ * @param {Array<string>} [tieBreakers] - Stored chain (defaults when not an array)
+ * @returns {Array<string>} Tie-breaker chain (may be empty: ties are then shared)
+ */
+export function normalizeTieBreakers(tieBreakers) {
+  if (!Array.isArray(tieBreakers)) return [...DEFAULT_SCORING_RULES.TIE_BREAKERS];
+  const known = Object.values(TIE_BREAKERS);
+  return tieBreakers.filter((key, index) => known.includes(key) && tieBreakers.indexOf(key) === index);
+}
+
+/**
+ * Converts a date field (Timestamp, serialized Timestamp, Date or millis) to millis
+ * @param {*} raw - Date value
+ * @returns {number|null} Milliseconds, or null when missing or invalid
+ */
+function toMillis(raw) {
+  if (!raw) return null;
+  let ms;
+  if (typeof raw.toMillis === "function") ms = raw.toMillis();
+  else if (typeof raw.seconds === "number") ms = raw.seconds * 1000;
+  else if (raw instanceof Date) ms = raw.getTime();
+  else ms = Number(raw);
+  return Number.isFinite(ms) ? ms : null;
+}
+
+/**
+ * Extracts the season (UTC year of the race date) a race belongs to
+ * @param {Object} race - Race object with raceUTC (Timestamp, Date or millis)
+ * @returns {number|null} Season year, or null when the date is missing
+ */
+export function getSeasonFromRace(race) {
+  const ms = toMillis(race?.raceUTC);
+  return ms == null ? null : new Date(ms).getUTCFullYear();
+}
+
+/**
+ * Picks the ruleset version active for a season: the exact season if configured,
+ * otherwise the latest configured season before it, otherwise the defaults.
+ * @param {Object} [config] - config/scoring document ({ seasons: { [year]: rules } })
+ * @param {number|string|null} season - Season year
+ * @returns {Object} Complete ruleset
+ */
+export function resolveScoringRules(config, season) {
+  const seasons = config?.seasons || {};
+  const years = Object.keys(seasons)
+    .map(Number)
+    .filter(Number.isFinite)
+    .sort((a, b) => a - b);
+  const target = Number(season);
+
+  let chosen = null;
+  if (Number.isFinite(target)) {
+    years.forEach((y) => { if (y <= target) chosen = y; });
+  }
+  return normalizeScoringRules(chosen != null ? seasons[chosen] : {});
+}
+
+/** How a podium pick matched the official result */
+export const PICK_MATCHES = Object.freeze({
+  EXACT: "exact",
+  ONE_OFF: "oneOff", // distance mode: one place off
+  PODIUM: "podium", // on the podium in another slot
+  MISS: "miss",
+});
+
+/**
+ * Scores each pick of a three-pick podium prediction. Exact picks earn the position's
+ * points; with partial credit (rules.PARTIAL_CREDIT_MODE) a driver who finished in another
+ * podium slot earns a percentage of that slot's points, rounded.
+ * @param {Array<string>} picks - Predicted [P1, P2, P3]
+ * @param {Array<string>} actual - Official [P1, P2, P3]
+ * @param {Object} table - Points per position ({1, 2, 3})
+ * @param {Object} rules - Resolved ruleset
+ * @returns {Array<{ pick: string|null, finished: number|null, match: string, points: number }>}
+ *   One row per slot (see PICK_MATCHES); finished is the official position (1-3) of the pick
+ */
+export function scorePodiumPicks(picks, actual, table, rules) {
+  const mode = rules.PARTIAL_CREDIT_MODE ?? PARTIAL_CREDIT_MODES.OFF;
+  return [0, 1, 2].map((i) => {
+    const pick = picks[i] || null;
+    const index = pick ? actual.indexOf(pick) : -1;
+    if (index < 0) return { pick, finished: null, match: PICK_MATCHES.MISS, points: 0 };
+    const finished = index + 1;
+    if (index === i) return { pick, finished, match: PICK_MATCHES.EXACT, points: table[finished] };
+    if (mode === PARTIAL_CREDIT_MODES.OFF) return { pick, finished, match: PICK_MATCHES.MISS, points: 0 };
+
+    const oneOff = mode === PARTIAL_CREDIT_MODES.DISTANCE && Math.abs(index - i) === 1;
+    const percent = oneOff ? rules.PARTIAL_ONE_OFF_PERCENT : rules.PARTIAL_PODIUM_PERCENT;
+    return {
+      pick,
+      finished,
+      match: oneOff ? PICK_MATCHES.ONE_OFF : PICK_MATCHES.PODIUM,
+      points: Math.round((table[finished] * percent) / 100),
+    };
+  });
+}
+
+/**
+ * Sums position points for a three-pick podium prediction
+ * @param {Array<string>} picks - Predicted [P1, P2, P3]
+ * @param {Array<string>} actual - Official [P1, P2, P3]
+ * @param {Object} table - Points per position ({1, 2, 3})
+ * @param {Object} rules - Resolved ruleset (partial credit)
+ * @returns {{ points: number, hits: number, picks: Array<Object> }} hits counts exact picks only
+ */
+function scorePodium(picks, actual, table, rules) {
+  const scored = scorePodiumPicks(picks, actual, table, rules);
+  return {
+    points: scored.reduce((sum, p) => sum + p.points, 0),
+    hits: scored.filter((p) => p.match === PICK_MATCHES.EXACT).length,
+    picks: scored,
+  };
+}
+
+/**
+ * Scores a main race submission
+ * @param {Object|null} sub - Submission (mainP1-3, mainJolly, mainJolly2, isLate)
+ * @param {Object} official - Official results (P1-P3)
+ * @param {Object} rules - Resolved ruleset
+ * @param {Object} [options]
+ * @param {number} [options.multiplier=1] - Points multiplier (see submissionMultiplier)
+ * @param {number} [options.pointsFraction=1] - Share of the position points, perfect-podium
+ *   bonus, jolly bonuses and penalties awarded (see racePointsFraction)
+ * @param {Object|null} [options.bonusQuestions] - League bonus questions (see scoreBonusPicks),
+ *   settled against official.bonus
+ * @returns {Object} Breakdown: basePts, perfectBonus, jollyPts, penaltyPts, questionPts, jollyEarned,
+ *   perfectPodium, p1Hit, picks (per-slot breakdown, see scorePodiumPicks), questions, submitted, total
+ */
+export function scoreMainSubmission(
+  sub,
+  official,
+  rules,
+  { multiplier = 1, pointsFraction = 1, bonusQuestions = null } = {}
+) {
+  if (!sub?.mainP1) {
+    const penaltyPts = applyMultiplier(
+      rules.PENALTY_EMPTY_LIST + (sub?.isLate ? rules.LATE_SUBMISSION_PENALTY : 0),
+      pointsFraction
+    );
+    return {
+      submitted: false,
+      basePts: 0,
+      perfectBonus: 0,
+      jollyPts: 0,
+      penaltyPts,
+      questionPts: 0,
+      perfectPodium: false,
+      p1Hit: false,
+      picks: [],
+      questions: [],
+      jollyEarned: 0,
+      total: applyMultiplier(penaltyPts, multiplier),
+    };
+  }
+
+  const podium = [official.P1, official.P2, official.P3];
+  const { points: positionPts, hits, picks } = scorePodium(
+    [sub.mainP1, sub.mainP2, sub.mainP3],
+    podium,
+    rules.MAIN,
+    rules
+  );
+
+  const basePts = applyMultiplier(positionPts, pointsFraction);
+  const perfectPodium = hits === 3;
+  const perfectBonus = perfectPodium ? applyMultiplier(rules.PERFECT_PODIUM_BONUS, pointsFraction) : 0;
+
+  let jollyPts = 0;
+  if (sub.mainJolly && podium.includes(sub.mainJolly)) jollyPts += rules.BONUS_JOLLY_MAIN;
+  if (sub.mainJolly2 && podium.includes(sub.mainJolly2)) jollyPts += rules.BONUS_JOLLY_MAIN;
+  jollyPts = applyMultiplier(jollyPts, pointsFraction);
+
+  const penaltyPts = sub.isLate ? applyMultiplier(rules.LATE_SUBMISSION_PENALTY, pointsFraction) : 0;
+  const { points: questionPts, questions } = scoreBonusPicks(sub.bonusPicks, official.bonus, bonusQuestions);
+
+  return {
+    submitted: true,
+    basePts,
+    perfectBonus,
+    jollyPts,
+    penaltyPts,
+    questionPts,
+    perfectPodium,
+    p1Hit: sub.mainP1 === official.P1,
+    picks,
+    questions,
+    jollyEarned: perfectPodium ? rules.PERFECT_PODIUM_JOLLY : 0,
+    total: applyMultiplier(basePts + perfectBonus + jollyPts + penaltyPts + questionPts, multiplier),
+  };
+}
+
+/**
+ * Scores a sprint submission
+ * @param {Object|null} sub - Submission (sprintP1-3, sprintJolly)
+ * @param {Object} official - Official results (SP1-SP3)
+ * @param {Object} rules - Resolved ruleset
+ * @param {Object} [options]
+ * @param {number} [options.multiplier=1] - Points multiplier (see submissionMultiplier)
+ * @param {number} [options.pointsFraction=1] - Share of the position points, jolly bonus and
+ *   penalty awarded (see racePointsFraction)
+ * @returns {Object} Breakdown: basePts, jollyPts, penaltyPts, picks (see scorePodiumPicks), submitted, total
+ */
+export function scoreSprintSubmission(sub, official, rules, { multiplier = 1, pointsFraction = 1 } = {}) {
+  if (!sub?.sprintP1) {
+    const penaltyPts = applyMultiplier(rules.PENALTY_EMPTY_LIST, pointsFraction);
+    return {
+      submitted: false,
+      basePts: 0,
+      jollyPts: 0,
+      penaltyPts,
+      picks: [],
+      total: applyMultiplier(penaltyPts, multiplier),
+    };
+  }
+
+  const podium = [official.SP1, official.SP2, official.SP3];
+  const { points: positionPts, picks } = scorePodium(
+    [sub.sprintP1, sub.sprintP2, sub.sprintP3],
+    podium,
+    rules.SPRINT,
+    rules
+  );
+  const basePts = applyMultiplier(positionPts, pointsFraction);
+  const jollyPts = sub.sprintJolly && podium.includes(sub.sprintJolly)
+    ? applyMultiplier(rules.BONUS_JOLLY_SPRINT, pointsFraction)
+    : 0;
+
+  return {
+    submitted: true,
+    basePts,
+    jollyPts,
+    penaltyPts: 0,
+    picks,
+    total: applyMultiplier(basePts + jollyPts, multiplier),
+  };
+}
+
+/**
+ * Scores championship picks (drivers + constructors). Each podium earns the
+ * perfect-podium bonus and jolly independently; partial credit follows the ruleset
+ * with the main race table.
+ * @param {Array<string>} piloti - Predicted drivers [D1, D2, D3]
+ * @param {Array<string>} costruttori - Predicted constructors [C1, C2, C3]
+ * @param {Object} official - Championship results (P1-P3, C1-C3)
+ * @param {Object} rules - Resolved ruleset
+ * @returns {{ pilotiPts: number, costruttoriPts: number, jollyEarned: number, total: number }}
+ */
+export function scoreChampionshipPicks(piloti = [], costruttori = [], official, rules) {
+  const drivers = scorePodium(piloti, [official.P1, official.P2, official.P3], rules.MAIN, rules);
+  const teams = scorePodium(costruttori, [official.C1, official.C2, official.C3], rules.MAIN, rules);
+
+  let jollyEarned = 0;
+  let pilotiPts = drivers.points;
+  let costruttoriPts = teams.points;
+  if (drivers.hits === 3) {
+    pilotiPts += rules.PERFECT_PODIUM_BONUS;
+    jollyEarned += rules.PERFECT_PODIUM_JOLLY;
+  }
+  if (teams.hits === 3) {
+    costruttoriPts += rules.PERFECT_PODIUM_BONUS;
+    jollyEarned += rules.PERFECT_PODIUM_JOLLY;
+  }
+
+  return {
+    pilotiPts,
+    costruttoriPts,
+    jollyEarned,
+    total: pilotiPts + costruttoriPts,
+  };
+}
+
+/* ==================== RACE MULTIPLIERS ==================== */
+/*
+ * A race is worth races/{raceId}.multiplier (set by the admins, 1 when missing), doubled
+ * again by LAST_RACE_MULTIPLIER on the season finale. Each player can also boost one
+ * formation per season (submission.boost), which multiplies that race by BOOST_MULTIPLIER.
+ * A race weekend stopped early has reduced points (races/{raceId}.status): only a share of the
+ * position points, perfect-podium bonus, jolly bonuses and penalties of the main race and the
+ * sprint is awarded, before the multipliers.
+ */
+
+/** Multiplier of a boosted formation */
+export const BOOST_MULTIPLIER = 2;
+
+/** Bounds of the admin-set race multiplier */
+export const MIN_RACE_MULTIPLIER = 0.5;
+export const MAX_RACE_MULTIPLIER = 3;
+
+/**
+ * Coerces a stored race multiplier, falling back to 1 when missing or out of bounds
+ * @param {*} value - races/{raceId}.multiplier
+ * @returns {number}
+ */
+export function normalizeRaceMultiplier(value) {
+  const n = Number(value);
+  return Number.isFinite(n) && n >= MIN_RACE_MULTIPLIER && n <= MAX_RACE_MULTIPLIER ? n : 1;
+}
+
+/**
+ * Multiplier of a race for every player: the admin-set multiplier, times
+ * LAST_RACE_MULTIPLIER when the official results mark the season finale
+ * @param {Object|null} race - Race document data
+ * @param {Object} rules - Resolved ruleset
+ * @param {Object} [official] - Official results (defaults to race.officialResults)
+ * @returns {number}
+ */
+export function raceMultiplier(race, rules, official = race?.officialResults) {
+  return normalizeRaceMultiplier(race?.multiplier) * (official?.doublePoints ? rules.LAST_RACE_MULTIPLIER : 1);
+}
+
+/**
+ * Multiplier of one player's formation: the race multiplier, doubled by the boost
+ * @param {number} multiplier - Result of raceMultiplier
+ * @param {Object|null} sub - Submission (boost)
+ * @returns {number}
+ */
+export function submissionMultiplier(multiplier, sub) {
+  return sub?.boost ? multiplier * BOOST_MULTIPLIER : multiplier;
+}
+
+/**
+ * Status of a race: full points, reduced points (stopped early, see REDUCED_POINTS_PERCENT)
+ * or cancelled. Cancelled races are flagged by cancelledMain; reduced ones by status.
+ */
+export const RACE_STATUSES = Object.freeze({
+  FULL: "full",
+  REDUCED: "reduced",
+  CANCELLED: "cancelled",
+});
+
+/**
+ * Status of a race (see RACE_STATUSES)
+ * @param {Object|null} race - Race document data (status, cancelledMain)
+ * @returns {string}
+ */
+export function raceStatus(race) {
+  if (race?.cancelledMain) return RACE_STATUSES.CANCELLED;
+  return race?.status === RACE_STATUSES.REDUCED ? RACE_STATUSES.REDUCED : RACE_STATUSES.FULL;
+}
+
+/**
+ * Share of the position points, perfect-podium bonus, jolly bonuses and penalties awarded,
+ * for the main race and the sprint alike (bonus questions and prop questions are not scaled)
+ * @param {Object|null} race - Race document data
+ * @param {Object} rules - Resolved ruleset
+ * @returns {number} 1 for a full race, REDUCED_POINTS_PERCENT / 100 for a reduced one
+ */
+export function racePointsFraction(race, rules) {
+  return raceStatus(race) === RACE_STATUSES.REDUCED ? rules.REDUCED_POINTS_PERCENT / 100 : 1;
+}
+
+/**
+ * Applies a multiplier to a points amount, rounded to whole points
+ * @param {number} points
+ * @param {number} multiplier
+ * @returns {number}
+ */
+export function applyMultiplier(points, multiplier) {
+  return Math.round(points * multiplier);
+}
+
+/* ==================== BONUS QUESTIONS ==================== */
+/*
+ * Optional questions answered with the main formation (submission.bonusPicks) and settled
+ * against officialResults.bonus. Each league sets the points of every question in its
+ * league document (bonusQuestions): a question worth 0 points is not asked.
+ */
+
+/** Bonus questions: pole sitter, fastest lap, number of retirements (DNF), first retirement */
+export const BONUS_QUESTIONS = Object.freeze({
+  POLE: "pole",
+  FASTEST_LAP: "fastestLap",
+  DNF_COUNT: "dnfCount",
+  FIRST_RETIREMENT: "firstRetirement",
+});
+
+/** Questions answered with a driver; the others are answered with a number */
+export const DRIVER_BONUS_QUESTIONS = Object.freeze([
+  BONUS_QUESTIONS.POLE,
+  BONUS_QUESTIONS.FASTEST_LAP,
+  BONUS_QUESTIONS.FIRST_RETIREMENT,
+]);
+
+/**
+ * Points of every bonus question; missing, negative or invalid values disable the question
+ * @param {Object} [config] - League bonusQuestions ({ [question]: points })
+ * @returns {Object} { [question]: points } for every question of BONUS_QUESTIONS
+ */
+export function normalizeBonusQuestions(config) {
+  return Object.fromEntries(Object.values(BONUS_QUESTIONS).map((question) => {
+    const points = Math.round(toNumber(config?.[question], 0));
+    return [question, points > 0 ? points : 0];
+  }));
+}
+
+/**
+ * Questions asked in a league, in BONUS_QUESTIONS order
+ * @param {Object} [config] - League bonusQuestions
+ * @returns {Array<string>}
+ */
+export function activeBonusQuestions(config) {
+  const points = normalizeBonusQuestions(config);
+  return Object.values(BONUS_QUESTIONS).filter((question) => points[question] > 0);
+}
+
+/**
+ * Scores the bonus picks of a submission. A question without an official answer
+ * (e.g. no retirement in the race) is void: nobody scores it.
+ * @param {Object|null} picks - submission.bonusPicks
+ * @param {Object|null} answers - officialResults.bonus
+ * @param {Object} [config] - League bonusQuestions
+ * @returns {{ points: number, questions: Array<{ question: string, pick, answer, hit: boolean, points: number }> }}
+ *   One row per question asked
+ */
+export function scoreBonusPicks(picks, answers, config) {
+  const pointsOf = normalizeBonusQuestions(config);
+  const questions = activeBonusQuestions(config).map((question) => {
+    const pick = picks?.[question] ?? null;
+    const answer = answers?.[question] ?? null;
+    const hit = pick != null && answer != null && pick === answer;
+    return { question, pick, answer, hit, points: hit ? pointsOf[question] : 0 };
+  });
+  return {
+    points: questions.reduce((sum, q) => sum + q.points, 0),
+    questions,
+  };
+}
+
+/* ==================== PROP QUESTIONS ==================== */
+/*
+ * Free-form multiple-choice questions created by the admins for a race (race.props), each
+ * with its own deadline and points. Players answer in submission.propPicks and the admins
+ * settle them in officialResults.props, both as { [propId]: option index }. Prop points are
+ * a ledger component of their own (propsPts), set per question and never multiplied.
+ */
+
+/** Choices a prop question can offer */
+export const MIN_PROP_OPTIONS = 2;
+export const MAX_PROP_OPTIONS = 6;
+
+/**
+ * Tells whether a prop question still accepts answers
+ * @param {Object} prop - Prop question (deadline)
+ * @param {number} [now] - Current time in millis
+ * @returns {boolean}
+ */
+export function isPropOpen(prop, now = Date.now()) {
+  const deadline = toMillis(prop?.deadline);
+  return deadline != null && now < deadline;
+}
+
+/**
+ * Scores the prop answers of a submission. A question not settled yet scores nothing.
+ * @param {Object|null} picks - submission.propPicks
+ * @param {Array<Object>|null} props - race.props ({ id, question, options, deadline, points })
+ * @param {Object|null} answers - officialResults.props
+ * @returns {{ points: number, props: Array<{ id: string, pick, answer, hit: boolean, points: number }> }}
+ *   One row per question of the race
+ */
+export function scorePropPicks(picks, props, answers) {
+  const rows = (props || []).map((prop) => {
+    const pick = picks?.[prop.id] ?? null;
+    const answer = answers?.[prop.id] ?? null;
+    const hit = pick != null && answer != null && pick === answer;
+    const worth = Math.max(0, Math.round(toNumber(prop.points, 0)));
+    return { id: prop.id, pick, answer, hit, points: hit ? worth : 0 };
+  });
+  return {
+    points: rows.reduce((sum, row) => sum + row.points, 0),
+    props: rows,
+  };
+}
+
+/* ==================== SCORING LEDGER ==================== */
+/*
+ * Each scored race writes one ledger entry per user in ranking.pointsByRace[raceId]
+ * and the championship writes ranking.championshipLedger. Entries are replaced, never
+ * incremented, so re-running a calculation always produces the same ranking state.
+ */
+
+/**
+ * Builds the ledger entry for one (race, user) pair
+ * @param {Object} main - Result of scoreMainSubmission
+ * @param {Object|null} sprint - Result of scoreSprintSubmission (null when no sprint)
+ * @param {number} [multiplier=1] - Points multiplier applied to the formation (see submissionMultiplier)
+ * @param {number} [propsPts=0] - Points of the prop questions (scorePropPicks)
+ * @param {boolean} [boost=false] - Whether the player boosted this race
+ * @returns {Object} Ledger entry: mainPts, sprintPts, propsPts, basePts, bonusPts, penaltyPts, questionPts
+ *   (bonus questions, included in mainPts), multiplier, boost, jollyEarned, plus the tie-breaker flags
+ *   p1Hit and perfectPodium
+ */
+export function buildRaceLedgerEntry(main, sprint, multiplier = 1, propsPts = 0, boost = false) {
+  return {
+    mainPts: main.total,
+    sprintPts: sprint ? sprint.total : 0,
+    propsPts,
+    basePts: applyMultiplier(main.basePts + (sprint?.basePts || 0), multiplier),
+    bonusPts: applyMultiplier(main.perfectBonus + main.jollyPts + (sprint?.jollyPts || 0), multiplier),
+    penaltyPts: applyMultiplier(main.penaltyPts + (sprint?.penaltyPts || 0), multiplier),
+    questionPts: applyMultiplier(main.questionPts || 0, multiplier),
+    multiplier,
+    boost: Boolean(boost),
+    jollyEarned: main.jollyEarned,
+    p1Hit: Boolean(main.p1Hit),
+    perfectPodium: Boolean(main.perfectPodium),
+  };
+}
+
+/**
+ * Total points of a race ledger entry
+ * @param {Object} [entry] - pointsByRace entry
+ * @returns {number}
+ */
+export function ledgerEntryTotal(entry) {
+  return (entry?.mainPts || 0) + (entry?.sprintPts || 0) + (entry?.propsPts || 0);
+}
+
+/**
+ * Jolly already credited by a previous entry. Entries written before the ledger
+ * existed have no jollyEarned field: their jolly was already applied with an
+ * increment, so they are assumed to match the entry replacing them.
+ * @param {Object|null} prev - Previous entry
+ * @param {Object|null} next - Replacement entry
+ * @returns {number}
+ */
+function creditedJolly(prev, next) {
+  if (!prev) return 0;
+  return prev.jollyEarned ?? next?.jollyEarned ?? 0;
+}
+
+/**
+ * Applies ledger changes to a ranking document and derives its totals.
+ * puntiTotali = sum of race entries + championship points;
+ * jolly = current balance adjusted by the difference in jolly earned.
+ * @param {Object} data - Current ranking document
+ * @param {Object} changes
+ * @param {Object} [changes.races] - { [raceId]: entry } (null entry removes the race)
+ * @param {Object|null} [changes.championship] - Championship ledger entry (null removes it)
+ * @returns {Object} Fields to write: pointsByRace, puntiTotali, jolly (+ championship fields when changed)
+ */
+export function applyLedgerChanges(data, { races = {}, championship } = {}) {
+  const pointsByRace = { ...(data.pointsByRace || {}) };
+  let jolly = data.jolly || 0;
+
+  Object.entries(races).forEach(([raceId, entry]) => {
+    const prev = pointsByRace[raceId] || null;
+    jolly += (entry?.jollyEarned || 0) - creditedJolly(prev, entry);
+    if (entry) pointsByRace[raceId] = entry;
+    else delete pointsByRace[raceId];
+  });
+
+  const update = { pointsByRace };
+  let championshipPts = data.championshipPts || 0;
+
+  if (championship !== undefined) {
+    const prevChamp = data.championshipLedger
+      || (data.championshipPts ? { jollyEarned: championship?.jollyEarned } : null);
+    jolly += (championship?.jollyEarned || 0) - creditedJolly(prevChamp, championship);
+    championshipPts = championship ? championship.total : 0;
+    update.championshipPts = championshipPts;
+    update.championshipLedger = championship || null;
+  }
+
+  update.puntiTotali = Object.values(pointsByRace).reduce(
+    (sum, entry) => sum + ledgerEntryTotal(entry),
+    championshipPts
+  );
+  update.jolly = jolly;
+  return update;
+}
+
+/* ==================== DEADLINES ==================== */
+/*
+ * A formation can still be sent for LATE_SUBMISSION_WINDOW_MINUTES after its deadline
+ * (qualiUTC / qualiSprintUTC), with the late penalty. The formations of the other players
+ * stay sealed until the late window of the last deadline has closed, so nobody can read
+ * them and then submit late. firestore.rules mirrors the window in lateWindow().
+ */
+
+/** Late submission window in minutes after a deadline */
+export const LATE_SUBMISSION_WINDOW_MINUTES = 10;
+
+/**
+ * Time the formations of a race become readable by every player
+ * @param {Object|null} race - Race data (qualiUTC, qualiSprintUTC)
+ * @returns {number} Milliseconds; 0 when the race has no deadline
+ */
+export function submissionsRevealAt(race) {
+  const lastDeadline = Math.max(race?.qualiUTC?.seconds ?? 0, race?.qualiSprintUTC?.seconds ?? 0) * 1000;
+  return lastDeadline ? lastDeadline + LATE_SUBMISSION_WINDOW_MINUTES * 60 * 1000 : 0;
+}
+
+/** Championship deadline used when the latest season has no mid-season race */
+const FALLBACK_CHAMPIONSHIP_DEADLINE = "2025-09-07T23:59:00";
+
+/**
+ * Deadline of the championship picks: the admin override (config/championship), otherwise
+ * the start of the mid-season race of the latest season
+ * @param {Array<Object>} races - Race data of every season (round, raceUTC)
+ * @param {Object|null} [override] - config/championship.deadlineOverride (Timestamp)
+ * @returns {number} Milliseconds
+ */
+export function championshipDeadlineMs(races, override = null) {
+  const overrideMs = toMillis(override);
+  if (overrideMs != null) return overrideMs;
+
+  // Rounds restart every season: only the latest season counts
+  const season = Math.max(...races.map((r) => getSeasonFromRace(r) ?? 0));
+  const seasonRaces = races.filter((r) => getSeasonFromRace(r) === season);
+  const midRound = Math.ceil(seasonRaces.length / 2);
+  const midRace = seasonRaces.find((r) => r.round === midRound);
+  return toMillis(midRace?.raceUTC) ?? new Date(FALLBACK_CHAMPIONSHIP_DEADLINE).getTime();
+}
+
+/* ==================== JOIN POLICY ==================== */
+/*
+ * Participants joining mid-season store joinedAt and the league's joinPolicy in their
+ * ranking entry. Races whose deadline passed before joinedAt are not penalised: the
+ * policy decides whether they are worth nothing or a credit entry (joinCredit) worth
+ * the last-place total or the league average of that race.
+ */
+
+/** Join policies a league can pick for late entrants */
+export const JOIN_POLICIES = Object.freeze({
+  ZERO: "zero",
+  LAST_PLACE: "lastPlace",
+  AVERAGE: "average",
+});
+
+export const DEFAULT_JOIN_POLICY = JOIN_POLICIES.ZERO;
+
+/**
+ * Falls back to the default for missing or unknown policies
+ * @param {string} [policy] - Stored policy
+ * @returns {string} One of JOIN_POLICIES
+ */
+export function normalizeJoinPolicy(policy) {
+  return Object.values(JOIN_POLICIES).includes(policy) ? policy : DEFAULT_JOIN_POLICY;
+}
+
+/**
+ * Tells whether a participant joined after the submission deadline of a race
+ * @param {Object} member - Ranking data (joinedAt)
+ * @param {Object} race - Race data (qualiUTC, raceUTC)
+ * @returns {boolean} False for members without joinedAt (joined before the season)
+ */
+export function joinedAfterRace(member, race) {
+  const joinedAt = toMillis(member?.joinedAt);
+  const deadline = toMillis(race?.qualiUTC) ?? toMillis(race?.raceUTC);
+  return joinedAt != null && deadline != null && joinedAt > deadline;
+}
+
+/**
+ * Builds the credit entry of a race missed because the participant had not joined yet
+ * @param {string} policy - Join policy
+ * @param {Array<number>} totals - Race totals of the participants who were already in
+ * @returns {Object|null} Ledger entry flagged with joinCredit, or null when nothing is credited
+ */
+export function buildJoinCreditEntry(policy, totals) {
+  const normalized = normalizeJoinPolicy(policy);
+  if (normalized === JOIN_POLICIES.ZERO || totals.length === 0) return null;
+  const credit = normalized === JOIN_POLICIES.LAST_PLACE
+    ? Math.min(...totals)
+    : Math.round(totals.reduce((sum, pts) => sum + pts, 0) / totals.length);
+  return {
+    mainPts: credit,
+    sprintPts: 0,
+    basePts: 0,
+    bonusPts: 0,
+    penaltyPts: 0,
+    jollyEarned: 0,
+    joinCredit: normalized,
+  };
+}
+
+/* ==================== CALCULATIONS (IN MEMORY) ==================== */
+
+/**
+ * Scores a race against in-memory ranking data, without writing anything.
+ * Replaces the race's ledger entry in every ranking document of `ranking`.
+ * Users who joined after the race (see joinedAfterRace) get no penalty: their entry
+ * is the join credit of their policy, or none.
+ * @param {Object} params
+ * @param {string} params.raceId - Race identifier
+ * @param {Object} params.race - Race document data (with officialResults and the optional props)
+ * @param {Map<string, Object>} params.submissions - userId → submission data
+ * @param {Map<string, Object>} params.ranking - userId → ranking data (updated in place)
+ * @param {Object} params.rules - Resolved ruleset for the race's season
+ * @param {Object|null} [params.bonusQuestions] - Bonus questions of the league (see scoreBonusPicks)
+ * @returns {{ submissionUpdates: Array<{ userId, data }>, entries: Object }}
+ *   Submission fields to write and the new ledger entry per user
+ * @throws {Error} When the race is cancelled or the podium is incomplete
+ */
+export function scoreRace({ raceId, race, submissions, ranking, rules, bonusQuestions = null }) {
+  const {
+    P1, P2, P3,
+    SP1 = null, SP2 = null, SP3 = null,
+    doublePoints = false,
+    bonus = null,
+    props: propAnswers = null,
+  } = race.officialResults ?? {};
+
+  if (race.cancelledMain) {
+    throw new Error("⛔ Gara cancellata: il calcolo punti è disabilitato.");
+  }
+  if (!P1 || !P2 || !P3) {
+    throw new Error("Risultati ufficiali incompleti (manca il podio).");
+  }
+
+  const sprintPresent = !!SP1 && !race.cancelledSprint;
+  const multiplier = raceMultiplier(race, rules, { doublePoints });
+  const pointsFraction = racePointsFraction(race, rules);
+  const mainOfficial = { P1, P2, P3, bonus };
+  const sprintOfficial = { SP1, SP2, SP3 };
+
+  const submissionUpdates = [];
+  const entries = {};
+  const joiners = [];
+
+  // Score every submission (or the empty-list penalty for users without one).
+  // Users who joined after the deadline are credited by their join policy instead.
+  for (const [userId, data] of ranking) {
+    const sub = submissions.get(userId) || null;
+    // A submission holding only prop answers is not a formation
+    if (!sub?.mainP1 && !sub?.sprintP1 && joinedAfterRace(data, race)) {
+      joiners.push(userId);
+      continue;
+    }
+
+    const subMultiplier = submissionMultiplier(multiplier, sub);
+    const main = scoreMainSubmission(sub, mainOfficial, rules, { multiplier: subMultiplier, pointsFraction, bonusQuestions });
+    const sprint = sprintPresent
+      ? scoreSprintSubmission(sub, sprintOfficial, rules, { multiplier: subMultiplier, pointsFraction })
+      : null;
+    const { points: propsPts } = scorePropPicks(sub?.propPicks, race.props, propAnswers);
+    const entry = buildRaceLedgerEntry(main, sprint, subMultiplier, propsPts, sub?.boost);
+    entries[userId] = entry;
+
+    if (sub) {
+      submissionUpdates.push({
+        userId,
+        data: { pointsEarned: entry.mainPts, pointsEarnedSprint: entry.sprintPts },
+      });
+    }
+
+    ranking.set(userId, {
+      ...data,
+      ...applyLedgerChanges(data, { races: { [raceId]: entry } }),
+    });
+  }
+
+  const totals = Object.values(entries).map(ledgerEntryTotal);
+  for (const userId of joiners) {
+    const data = ranking.get(userId);
+    const credit = buildJoinCreditEntry(data.joinPolicy, totals);
+    // Prop questions answered after joining still count
+    const { points: propsPts } = scorePropPicks(submissions.get(userId)?.propPicks, race.props, propAnswers);
+    const entry = propsPts > 0
+      ? {
+        mainPts: 0, sprintPts: 0, basePts: 0, bonusPts: 0, penaltyPts: 0, jollyEarned: 0,
+        joinCredit: normalizeJoinPolicy(data.joinPolicy),
+        ...credit,
+        propsPts,
+      }
+      : credit;
+    if (entry) entries[userId] = entry;
+    ranking.set(userId, {
+      ...data,
+      ...applyLedgerChanges(data, { races: { [raceId]: entry } }),
+    });
+  }
+
+  return { submissionUpdates, entries };
+}
+
+/**
+ * Scores the championship picks of every user against in-memory ranking data
+ * @param {Object} params
+ * @param {Object} params.results - Championship results (P1-P3, C1-C3)
+ * @param {Map<string, Object>} params.ranking - userId → ranking data (updated in place)
+ * @param {Object} params.rules - Resolved ruleset for the championship season
+ * @returns {Object} userId → championship ledger entry
+ * @throws {Error} When driver or constructor results are incomplete
+ */
+export function scoreChampionship({ results, ranking, rules }) {
+  const { P1, P2, P3, C1, C2, C3 } = results;
+  if (!P1 || !P2 || !P3) throw new Error("Risultati piloti incompleti");
+  if (!C1 || !C2 || !C3) throw new Error("Risultati costruttori incompleti");
+
+  const entries = {};
+  for (const [userId, data] of ranking) {
+    const entry = scoreChampionshipPicks(
+      data.championshipPiloti ?? [],
+      data.championshipCostruttori ?? [],
+      { P1, P2, P3, C1, C2, C3 },
+      rules
+    );
+    entries[userId] = entry;
+    ranking.set(userId, {
+      ...data,
+      ...applyLedgerChanges(data, { championship: entry }),
+    });
+  }
+  return entries;
+}
+
+/**
+ * Removes the ledger entries of races that are no longer scorable
+ * (cancelled or without results) from in-memory ranking data
+ * @param {Map<string, Object>} ranking - userId → ranking data (updated in place)
+ * @param {Set<string>} scoredRaceIds - Races that are still scored
+ */
+export function dropStaleRaceEntries(ranking, scoredRaceIds) {
+  for (const [userId, data] of ranking) {
+    const stale = Object.keys(data.pointsByRace || {}).filter((id) => !scoredRaceIds.has(id));
+    if (stale.length === 0) continue;
+    const removals = Object.fromEntries(stale.map((id) => [id, null]));
+    ranking.set(userId, { ...data, ...applyLedgerChanges(data, { races: removals }) });
+  }
+}
+
+/**
+ * Removes one race's contribution from in-memory ranking data: its ledger entry,
+ * its share of puntiTotali and the jolly it earned. Other races are untouched.
+ * @param {Map<string, Object>} ranking - userId → ranking data (updated in place)
+ * @param {string} raceId - Race identifier
+ * @returns {Object} userId → removed ledger entry (only users that had one)
+ */
+export function removeRaceScoring(ranking, raceId) {
+  const removed = {};
+  for (const [userId, data] of ranking) {
+    const entry = data.pointsByRace?.[raceId];
+    if (!entry) continue;
+    removed[userId] = entry;
+    ranking.set(userId, {
+      ...data,
+      ...applyLedgerChanges(data, { races: { [raceId]: null } }),
+    });
+  }
+  return removed;
+}
+
+/* ==================== STANDINGS ==================== */
+/*
+ * Players are ordered by points, then by the ruleset's tie-breaker chain. Players still
+ * tied after the whole chain share the position. Every standing (leaderboard, ranking
+ * snapshots, statistics, final standings) goes through rankStandings.
+ */
+
+/** Tie-breaker value of a row: higher is better */
+const TIE_BREAKER_VALUE = {
+  [TIE_BREAKERS.P1_HITS]: (stats) => stats.p1Hits,
+  [TIE_BREAKERS.PERFECT_PODIUMS]: (stats) => stats.perfectPodiums,
+  [TIE_BREAKERS.FEWEST_PENALTIES]: (stats) => stats.penaltyPts, // negative: closer to 0 is better
+  [TIE_BREAKERS.LAST_RACE]: (stats) => stats.lastRacePts,
+};
+
+/**
+ * Value a tie-breaker compares (higher is better)
+ * @param {string} tieBreaker - One of TIE_BREAKERS
+ * @param {Object} stats - Row statistics (see ledgerTieBreakStats)
+ * @returns {number}
+ */
+export function tieBreakerValue(tieBreaker, stats) {
+  return TIE_BREAKER_VALUE[tieBreaker](stats);
+}
+
+/**
+ * Tie-breaker statistics of a ranking document, from its scoring ledger
+ * @param {Object} data - Ranking data (pointsByRace)
+ * @param {string|null} [lastRaceId] - Last scored race
+ * @returns {{ p1Hits: number, perfectPodiums: number, penaltyPts: number, lastRacePts: number }}
+ */
+export function ledgerTieBreakStats(data, lastRaceId = null) {
+  const entries = Object.values(data?.pointsByRace || {});
+  return {
+    p1Hits: entries.filter((e) => e.p1Hit).length,
+    perfectPodiums: entries.filter((e) => e.perfectPodium).length,
+    penaltyPts: entries.reduce((sum, e) => sum + (e.penaltyPts || 0), 0),
+    lastRacePts: lastRaceId ? ledgerEntryTotal(data?.pointsByRace?.[lastRaceId]) : 0,
+  };
+}
+
+/**
+ * Most recent race with a ledger entry in any ranking document
+ * @param {Iterable<Object>} rankings - Ranking data
+ * @param {Array<string>} raceIds - Race identifiers in calendar order
+ * @returns {string|null}
+ */
+export function lastScoredRaceId(rankings, raceIds) {
+  const scored = new Set();
+  for (const data of rankings) Object.keys(data?.pointsByRace || {}).forEach((id) => scored.add(id));
+  return [...raceIds].reverse().find((id) => scored.has(id)) ?? null;
+}
+
+/**
+ * Compares two rows: points first, then each tie-breaker in order
+ * @param {Object} a - Row { points, stats }
+ * @param {Object} b - Row { points, stats }
+ * @param {Array<string>} tieBreakers - Tie-breaker chain
+ * @returns {{ diff: number, tieBreaker: string|null }} diff > 0 when b is ahead, and the
+ *   tie-breaker that separated them (null when points did, or nothing did)
+ */
+function compareRows(a, b, tieBreakers) {
+  if (b.points !== a.points) return { diff: b.points - a.points, tieBreaker: null };
+  for (const key of tieBreakers) {
+    const diff = tieBreakerValue(key, b.stats) - tieBreakerValue(key, a.stats);
+    if (diff !== 0) return { diff, tieBreaker: key };
+  }
+  return { diff: 0, tieBreaker: null };
+}
+
+/**
+ * Orders rows by points and tie-breakers and assigns positions (competition ranking:
+ * players tied after the whole chain share the position)
+ * @param {Array<Object>} rows - Rows with points and stats (see ledgerTieBreakStats)
+ * @param {Array<string>} [tieBreakers] - Tie-breaker chain (see normalizeTieBreakers)
+ * @returns {Array<Object>} Rows best first, with position and tieBreaker: the rule that
+ *   put the row behind the previous one when their points are equal
+ */
+export function rankStandings(rows, tieBreakers = DEFAULT_SCORING_RULES.TIE_BREAKERS) {
+  const chain = normalizeTieBreakers(tieBreakers);
+  const sorted = [...rows].sort((a, b) => compareRows(a, b, chain).diff);
+  let position = 1;
+  return sorted.map((row, index) => {
+    if (index === 0) return { ...row, position, tieBreaker: null };
+    const { diff, tieBreaker } = compareRows(row, sorted[index - 1], chain);
+    if (diff !== 0) position = index + 1;
+    return { ...row, position, tieBreaker };
+  });
+}
+
+/**
+ * Standings of ranking documents
+ * @param {Iterable<[string, Object]>} ranking - userId → ranking data (e.g. a Map)
+ * @param {Object} [options]
+ * @param {Array<string>} [options.tieBreakers] - Tie-breaker chain
+ * @param {string|null} [options.lastRaceId] - Last scored race (lastRace tie-breaker)
+ * @returns {Array<Object>} Ranking data with userId, points, stats, position and tieBreaker, best first
+ */
+export function rankLedgers(ranking, { tieBreakers, lastRaceId = null } = {}) {
+  const rows = [...ranking].map(([userId, data]) => ({
+    ...data,
+    userId,
+    points: data.puntiTotali ?? 0,
+    stats: ledgerTieBreakStats(data, lastRaceId),
+  }));
+  return rankStandings(rows, tieBreakers);
+}
+
+/* ==================== PREVIEW (DRY RUN) ==================== */
+
+/**
+ * Computes leaderboard positions by total points and tie-breakers (as in ranking snapshots)
+ * @param {Map<string, Object>} ranking - userId → ranking data
+ * @param {Object} [options] - tieBreakers and lastRaceId (see rankLedgers)
+ * @returns {Map<string, number>} userId → position (1-based)
+ */
+export function computePositions(ranking, options) {
+  return new Map(rankLedgers(ranking, options).map((row) => [row.userId, row.position]));
+}
+
+/**
+ * Builds the per-participant diff of a calculation scored in memory
+ * @param {Map<string, Object>} original - userId → ranking data before the calculation
+ * @param {Map<string, Object>} ranking - userId → ranking data after the calculation
+ * @param {Object} entries - userId → ledger entry produced by the calculation
+ * @param {Object} [options] - tieBreakers and lastRaceId of the positions (see rankLedgers)
+ * @returns {Array<Object>} Rows { userId, name, points, jollyEarned, penaltyPts, boost,
+ *   oldTotal, newTotal, oldPosition, newPosition }, sorted by new position
+ */
+export function buildScoringPreview(original, ranking, entries, options) {
+  const oldPositions = computePositions(original, options);
+  const newPositions = computePositions(ranking, options);
+
+  return [...ranking.entries()]
+    .map(([userId, data]) => {
+      const entry = entries[userId] || {};
+      return {
+        userId,
+        name: data.name ?? userId,
+        points: entry.total ?? ledgerEntryTotal(entry),
+        jollyEarned: entry.jollyEarned ?? 0,
+        penaltyPts: entry.penaltyPts ?? 0,
+        boost: Boolean(entry.boost),
+        oldTotal: original.get(userId)?.puntiTotali ?? 0,
+        newTotal: data.puntiTotali ?? 0,
+        oldPosition: oldPositions.get(userId),
+        newPosition: newPositions.get(userId),
+      };
+    })
+    .sort((a, b) => a.newPosition - b.newPosition || b.newTotal - a.newTotal);
+}
@@ -1,6 +1,7 @@
 /**
  * @file setAdminClaim.js
- * @description One-time script to set Firebase Auth custom claim 'admin: true'
+ * @description One-time script to set Firebase Auth custom claim 'admin: true' on the first
+ * admin. Further admins are granted from the admin panel (setAdminClaim callable).
  *
  * Usage:
  *   node scripts/setAdminClaim.js <email>
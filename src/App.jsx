@@ -16,6 +16,7 @@ import { useTheme } from "./contexts/ThemeContext";
 import { ThemeProvider } from "./contexts/ThemeContext";
 import { LanguageProvider } from "./contexts/LanguageContext";
 import { AuthProvider } from "./contexts/AuthContext";
+import { LeagueProvider } from "./contexts/LeagueContext";
 import ErrorBoundary from "./components/ErrorBoundary";
 import Navigation from "./components/Navigation";
 import Footer from "./components/Footer";
@@ -23,6 +24,7 @@ import ProtectedRoute from "./components/ProtectedRoute";
 import AdminRoute from "./components/AdminRoute";
 import CompleteProfileModal from "./components/CompleteProfileModal";
 import InstallPwaBanner from "./components/InstallPwaBanner";
+import JoinStatusBanner from "./components/JoinStatusBanner";
 import NotificationPromptModal from "./components/NotificationPromptModal";
 import { syncFromAPI } from "./services/f1DataResolver.js";
 import { warn } from "./utils/logger";
@@ -41,6 +43,7 @@ const History = lazy(() => import("./pages/History"));
 const RaceResults = lazy(() => import("./pages/RaceResults"));
 const AdminPanel = lazy(() => import("./pages/AdminPanel"));
 const Statistics = lazy(() => import("./pages/Statistics"));
+const HallOfFame = lazy(() => import("./pages/HallOfFame"));
 const ProfilePage = lazy(() => import("./pages/ProfilePage"));
 const LoginPage = lazy(() => import("./pages/LoginPage"));
 
@@ -111,6 +114,7 @@ export default function App() {
       <LanguageProvider>
         <ThemeProvider>
           <AuthProvider>
+            <LeagueProvider>
             <Router>
               <Navigation />
               <ThemedToaster />
@@ -119,6 +123,7 @@ export default function App() {
               <NotificationPromptModal />
 
               <BContainer className="py-4">
+                <JoinStatusBanner />
                 <Suspense fallback={null}>
                   <Routes>
                     {/* Public route */}
@@ -132,10 +137,11 @@ export default function App() {
                     <Route path="/history" element={<ProtectedRoute><History /></ProtectedRoute>} />
                     <Route path="/results" element={<ProtectedRoute><RaceResults /></ProtectedRoute>} />
                     <Route path="/statistics" element={<ProtectedRoute><Statistics /></ProtectedRoute>} />
+                    <Route path="/hall-of-fame" element={<ProtectedRoute><HallOfFame /></ProtectedRoute>} />
                     <Route path="/profile" element={<ProtectedRoute><ProfilePage /></ProtectedRoute>} />
 
-                    {/* Admin-only routes */}
-                    <Route path="/calculate" element={<AdminRoute><CalculatePoints /></AdminRoute>} />
+                    {/* Staff routes - owners and moderators of the league */}
+                    <Route path="/calculate" element={<AdminRoute permission="results"><CalculatePoints /></AdminRoute>} />
                     <Route path="/admin" element={<AdminRoute><AdminPanel /></AdminRoute>} />
 
                     {/* Legacy routes */}
@@ -157,6 +163,7 @@ export default function App() {
 
               <Footer />
             </Router>
+            </LeagueProvider>
           </AuthProvider>
         </ThemeProvider>
       </LanguageProvider>
@@ -1,18 +1,21 @@
 /**
  * @file AdminRoute.jsx
- * @description Route guard that redirects non-admin users to home
+ * @description Route guard that redirects users without the required league role to home
  */
 
 import React from "react";
+import PropTypes from "prop-types";
 import { Navigate, useLocation } from "react-router-dom";
 import { Spinner } from "react-bootstrap";
 import { useAuth } from "../hooks/useAuth";
+import { useLeague } from "../hooks/useLeague";
 
-export default function AdminRoute({ children }) {
-  const { user, isAdmin, loading } = useAuth();
+export default function AdminRoute({ children, permission }) {
+  const { user, loading } = useAuth();
+  const { loadingLeagues, hasPermission, isStaff } = useLeague();
   const location = useLocation();
 
-  if (loading) {
+  if (loading || loadingLeagues) {
     return (
       <div className="d-flex justify-content-center align-items-center" style={{ minHeight: "60vh" }}>
         <Spinner animation="border" variant="danger" />
@@ -24,9 +27,15 @@ export default function AdminRoute({ children }) {
     return <Navigate to="/login" state={{ from: location }} replace />;
   }
 
-  if (!isAdmin) {
+  // Without a permission the route is open to the staff of the league (owners, moderators)
+  if (permission ? !hasPermission(permission) : !isStaff) {
     return <Navigate to="/" replace />;
   }
 
   return children;
 }
+
+AdminRoute.propTypes = {
+  children: PropTypes.node.isRequired,
+  permission: PropTypes.string,
+};
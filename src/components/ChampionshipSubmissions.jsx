@@ -10,6 +10,8 @@ import { db } from "../services/firebase";
 import { DRIVER_TEAM, TEAM_LOGOS } from "../constants/racing";
 import { useTheme } from "../contexts/ThemeContext";
 import { useLanguage } from "../hooks/useLanguage";
+import { useLeague } from "../hooks/useLeague";
+import { rankingPath } from "../utils/leaguePaths";
 import { error as logError } from "../utils/logger";
 
 // Use centralized constants
@@ -25,6 +27,7 @@ const teamLogos = TEAM_LOGOS;
 export default function ChampionshipSubmissions({ refresh, currentUserId = null, deadlineMs = null }) {
   const { isDark } = useTheme();
   const { t } = useLanguage();
+  const { currentLeagueId } = useLeague();
   const [subs, setSubs] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
@@ -34,7 +37,7 @@ export default function ChampionshipSubmissions({ refresh, currentUserId = null,
       setLoading(true);
       setError(null);
       try {
-        const snap = await getDocs(collection(db, "ranking"));
+        const snap = await getDocs(collection(db, rankingPath(currentLeagueId)));
         const list = snap.docs
           .map((d) => {
             const data = d.data();
@@ -60,7 +63,7 @@ export default function ChampionshipSubmissions({ refresh, currentUserId = null,
         setLoading(false);
       }
     })();
-  }, [refresh]);
+  }, [refresh, currentLeagueId]);
 
   if (loading) {
     return (
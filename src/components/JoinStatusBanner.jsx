@@ -0,0 +1,50 @@
+/**
+ * @file JoinStatusBanner.jsx
+ * @description Tells a new account that its join request is waiting for an admin, or was
+ * rejected; a rejected request can be filed again from here. Members see nothing.
+ */
+
+import React, { useState } from "react";
+import { Alert, Button, Spinner } from "react-bootstrap";
+import { useAuth } from "../hooks/useAuth";
+import { useLanguage } from "../hooks/useLanguage";
+import { error } from "../utils/logger";
+
+/**
+ * Join request status banner
+ * @returns {JSX.Element|null} Alert while the account is not a member
+ */
+export default function JoinStatusBanner() {
+  const { user, joinStatus, requestJoinAgain } = useAuth();
+  const { t } = useLanguage();
+  const [sending, setSending] = useState(false);
+  const [failed, setFailed] = useState(false);
+
+  if (!user || (joinStatus !== "pending" && joinStatus !== "rejected")) return null;
+
+  const handleRequestAgain = async () => {
+    setSending(true); setFailed(false);
+    try {
+      await requestJoinAgain();
+    } catch (err) {
+      error(err);
+      setFailed(true);
+    } finally {
+      setSending(false);
+    }
+  };
+
+  return (
+    <Alert variant={joinStatus === "pending" ? "info" : "warning"} className="py-2 small">
+      {joinStatus === "pending" ? t("joinRequests.pendingNotice") : t("joinRequests.rejectedNotice")}
+      {joinStatus === "rejected" && (
+        <div className="mt-2 d-flex align-items-center gap-2">
+          <Button size="sm" variant="outline-dark" onClick={handleRequestAgain} disabled={sending}>
+            {sending ? <Spinner animation="border" size="sm" /> : t("joinRequests.requestAgain")}
+          </Button>
+          {failed && <span className="text-danger">{t("common.error")}</span>}
+        </div>
+      )}
+    </Alert>
+  );
+}
@@ -0,0 +1,130 @@
+/**
+ * @file LeagueModal.jsx
+ * @description Creation of a league and join by invite code. Shows the invite code of the
+ * selected league so members can share it.
+ */
+
+import React, { useState } from "react";
+import PropTypes from "prop-types";
+import { Modal, Button, Form, Alert, Spinner } from "react-bootstrap";
+import { createLeague, joinLeague } from "../services/leagueService";
+import { useLeague } from "../hooks/useLeague";
+import { useLanguage } from "../hooks/useLanguage";
+import { error } from "../utils/logger";
+
+/**
+ * Create / join league modal
+ * @param {Object} props
+ * @param {boolean} props.show - Whether the modal is visible
+ * @param {Function} props.onHide - Close handler
+ * @returns {JSX.Element} Modal
+ */
+export default function LeagueModal({ show, onHide }) {
+  const { t } = useLanguage();
+  const { currentLeague, isMainLeague, refreshLeagues, selectLeague } = useLeague();
+  const [name, setName] = useState("");
+  const [inviteCode, setInviteCode] = useState("");
+  const [busy, setBusy] = useState(false);
+  const [message, setMessage] = useState(null);
+
+  /**
+   * Runs a league callable, then selects the resulting league
+   * @param {Function} action - Callable returning { leagueId, ... }
+   * @param {Function} describe - Success text from the callable result
+   */
+  const run = async (action, describe) => {
+    setBusy(true);
+    setMessage(null);
+    try {
+      const result = await action();
+      await refreshLeagues();
+      selectLeague(result.leagueId);
+      setMessage({ type: "success", text: describe(result) });
+      setName("");
+      setInviteCode("");
+    } catch (err) {
+      error(err);
+      setMessage({ type: "danger", text: err.message || t("leagues.error") });
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleCreate = (e) => {
+    e.preventDefault();
+    const leagueName = name.trim();
+    run(
+      () => createLeague(leagueName),
+      (r) => t("leagues.created", { name: leagueName, code: r.inviteCode })
+    );
+  };
+
+  const handleJoin = (e) => {
+    e.preventDefault();
+    run(
+      () => joinLeague(inviteCode),
+      (r) => t(r.alreadyMember ? "leagues.alreadyMember" : "leagues.joined", { name: r.name })
+    );
+  };
+
+  return (
+    <Modal show={show} onHide={onHide} centered>
+      <Modal.Header closeButton>
+        <Modal.Title className="fs-6">{t("leagues.manage")}</Modal.Title>
+      </Modal.Header>
+      <Modal.Body>
+        {message && (
+          <Alert variant={message.type} dismissible onClose={() => setMessage(null)} className="py-2 small">
+            {message.text}
+          </Alert>
+        )}
+        <p className="small text-muted">
+          {isMainLeague
+            ? t("leagues.mainHint")
+            : currentLeague.inviteCode && t("leagues.currentInvite", { name: currentLeague.name, code: currentLeague.inviteCode })}
+        </p>
+
+        <Form onSubmit={handleCreate} className="mb-4">
+          <Form.Label className="small fw-semibold">{t("leagues.create")}</Form.Label>
+          <div className="d-flex gap-2">
+            <Form.Control
+              size="sm"
+              value={name}
+              maxLength={40}
+              onChange={(e) => setName(e.target.value)}
+              placeholder={t("leagues.namePlaceholder")}
+              aria-label={t("leagues.name")}
+            />
+            <Button type="submit" size="sm" variant="danger" disabled={busy || name.trim().length < 3}>
+              {busy ? <Spinner animation="border" size="sm" /> : t("leagues.create")}
+            </Button>
+          </div>
+          <Form.Text>{t("leagues.createHint")}</Form.Text>
+        </Form>
+
+        <Form onSubmit={handleJoin}>
+          <Form.Label className="small fw-semibold">{t("leagues.join")}</Form.Label>
+          <div className="d-flex gap-2">
+            <Form.Control
+              size="sm"
+              value={inviteCode}
+              onChange={(e) => setInviteCode(e.target.value.toUpperCase())}
+              placeholder={t("leagues.inviteCode")}
+              aria-label={t("leagues.inviteCode")}
+              style={{ fontFamily: "monospace", letterSpacing: "0.1em" }}
+            />
+            <Button type="submit" size="sm" variant="secondary" disabled={busy || !inviteCode.trim()}>
+              {busy ? <Spinner animation="border" size="sm" /> : t("leagues.join")}
+            </Button>
+          </div>
+          <Form.Text>{t("leagues.joinHint")}</Form.Text>
+        </Form>
+      </Modal.Body>
+    </Modal>
+  );
+}
+
+LeagueModal.propTypes = {
+  show: PropTypes.bool.isRequired,
+  onHide: PropTypes.func.isRequired,
+};
@@ -1,6 +1,6 @@
 /**
  * @file Navigation.jsx
- * Main navigation bar with theme toggle, language selector, auth state, and mobile menu support.
+ * Main navigation bar with theme toggle, language selector, league switcher, auth state, and mobile menu support.
  */
 import React, { useState } from "react";
 import { useLocation, Link, useNavigate } from "react-router-dom";
@@ -8,7 +8,9 @@ import { Navbar, Container, Nav, Dropdown, Modal, Button } from "react-bootstrap
 import { useTheme } from "../contexts/ThemeContext";
 import { useLanguage } from "../hooks/useLanguage";
 import { useAuth } from "../hooks/useAuth";
+import { useLeague } from "../hooks/useLeague";
 import UserAvatar from "./UserAvatar";
+import LeagueModal from "./LeagueModal";
 
 /**
  * Main navigation component with responsive mobile menu, theme switcher, language selector, and auth controls.
@@ -19,9 +21,11 @@ export default function Navigation() {
   const navigate = useNavigate();
   const [expanded, setExpanded] = useState(false);
   const [showLogoutConfirm, setShowLogoutConfirm] = useState(false);
+  const [showLeagueModal, setShowLeagueModal] = useState(false);
   const { toggleTheme, isDark, themeMode } = useTheme();
   const { currentLanguage, changeLanguage, availableLanguages, t } = useLanguage();
   const { user, userProfile, isAdmin, logout } = useAuth();
+  const { leagues, currentLeagueId, selectLeague, hasPermission, isStaff } = useLeague();
 
   const handleNavClick = () => {
     setExpanded(false);
@@ -70,6 +74,7 @@ export default function Navigation() {
   return (
     <>
     {logoutConfirmModal}
+    <LeagueModal show={showLeagueModal} onHide={() => setShowLeagueModal(false)} />
     <Navbar
       expand="lg"
       expanded={expanded}
@@ -183,6 +188,34 @@ export default function Navigation() {
                 </>
               )}
 
+              {/* League switcher */}
+              {user && (
+                <>
+                  <Dropdown.Header style={{ color: mutedColor, fontSize: "0.75rem" }}>
+                    🏆 {t("leagues.league")}
+                  </Dropdown.Header>
+                  {leagues.map((league) => (
+                    <Dropdown.Item
+                      key={league.id}
+                      onClick={() => selectLeague(league.id)}
+                      active={league.id === currentLeagueId}
+                      style={{ fontSize: "0.85rem" }}
+                      className="user-menu-item"
+                    >
+                      {league.name ?? t("leagues.mainLeague")}
+                    </Dropdown.Item>
+                  ))}
+                  <Dropdown.Item
+                    onClick={() => setShowLeagueModal(true)}
+                    style={{ color: mutedColor, fontSize: "0.8rem" }}
+                    className="user-menu-item"
+                  >
+                    ➕ {t("leagues.manage")}
+                  </Dropdown.Item>
+                  <Dropdown.Divider style={{ borderColor: menuBorder, margin: "0.25rem 0" }} />
+                </>
+              )}
+
               {/* My Profile link */}
               <Dropdown.Item
                 as={Link}
@@ -321,25 +354,33 @@ export default function Navigation() {
             >
               📈 {t("nav.statistics")}
             </Nav.Link>
-            {isAdmin && (
-              <>
-                <Nav.Link
-                  as={Link}
-                  to="/calculate"
-                  onClick={handleNavClick}
-                  className={location.pathname === "/calculate" ? "active" : ""}
-                >
-                  🧮 {t("nav.calculatePoints")}
-                </Nav.Link>
-                <Nav.Link
-                  as={Link}
-                  to="/admin"
-                  onClick={handleNavClick}
-                  className={`admin-link ${location.pathname === "/admin" ? "active" : ""}`}
-                >
-                  ⚙️ {t("nav.admin")}
-                </Nav.Link>
-              </>
+            <Nav.Link
+              as={Link}
+              to="/hall-of-fame"
+              onClick={handleNavClick}
+              className={location.pathname === "/hall-of-fame" ? "active" : ""}
+            >
+              🏛️ {t("nav.hallOfFame")}
+            </Nav.Link>
+            {hasPermission("results") && (
+              <Nav.Link
+                as={Link}
+                to="/calculate"
+                onClick={handleNavClick}
+                className={location.pathname === "/calculate" ? "active" : ""}
+              >
+                🧮 {t("nav.calculatePoints")}
+              </Nav.Link>
+            )}
+            {isStaff && (
+              <Nav.Link
+                as={Link}
+                to="/admin"
+                onClick={handleNavClick}
+                className={`admin-link ${location.pathname === "/admin" ? "active" : ""}`}
+              >
+                ⚙️ {t("nav.admin")}
+              </Nav.Link>
             )}
           </Nav>
         </Navbar.Collapse>
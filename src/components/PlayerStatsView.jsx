@@ -25,9 +25,20 @@ import {
   ResponsiveContainer,
 } from "recharts";
 import { useNavigate } from "react-router-dom";
-import { DRIVER_TEAM, TEAM_LOGOS, POINTS, getDriverTeamDynamic, getTeamLogoDynamic } from "../constants/racing";
+import { DRIVER_TEAM, TEAM_LOGOS, getDriverTeamDynamic, getTeamLogoDynamic } from "../constants/racing";
+import {
+  getSeasonFromRace,
+  raceMultiplier,
+  racePointsFraction,
+  resolveScoringRules,
+  scoreMainSubmission,
+  scoreSprintSubmission,
+  submissionMultiplier,
+} from "../utils/scoringEngine";
+import { useScoringConfig } from "../hooks/useScoringRules";
 import { useTheme } from "../contexts/ThemeContext";
 import { useLanguage } from "../hooks/useLanguage";
+import { useLeague } from "../hooks/useLeague";
 import UserAvatar from "./UserAvatar";
 import "../styles/statistics.css";
 
@@ -138,72 +149,28 @@ CustomTooltip.propTypes = {
 
 /**
  * Calculate points for a race submission
+ * @param {Object} race - Race with submission and officialResults
+ * @param {Object} scoringConfig - Scoring config (config/scoring)
+ * @param {Object|null} [bonusQuestions] - Bonus questions of the league
  */
-const calculateRacePoints = (submission, official, cancelledSprint = false) => {
+const calculateRacePoints = (race, scoringConfig, bonusQuestions = null) => {
+  const { submission, officialResults: official, cancelledSprint = false } = race;
   if (!official) {
     return { mainPoints: null, sprintPoints: null, total: 0 };
   }
 
-  // If no submission at all, mark as not submitted
-  if (!submission) {
-    const mainPoints = -3;
-    const sprintPoints = official.SP1 && !cancelledSprint ? -3 : null;
-    return {
-      mainPoints,
-      sprintPoints,
-      total: mainPoints + (sprintPoints || 0)
-    };
-  }
+  // Ruleset version active for the race's season
+  const rules = resolveScoringRules(scoringConfig, getSeasonFromRace(race));
+  const multiplier = submissionMultiplier(raceMultiplier(race, rules), submission);
 
-  // Calculate main race points
-  let mainPoints = 0;
-  if (!submission.mainP1 && !submission.mainP2 && !submission.mainP3) {
-    mainPoints = -3; // Not submitted
-  } else {
-    // Base position points
-    let basePoints = 0;
-    if (submission.mainP1 === official.P1) basePoints += POINTS.MAIN[1];
-    if (submission.mainP2 === official.P2) basePoints += POINTS.MAIN[2];
-    if (submission.mainP3 === official.P3) basePoints += POINTS.MAIN[3];
-
-    // Perfect podium bonus: 29 → 30
-    if (basePoints === 29) basePoints = 30;
-
-    mainPoints = basePoints;
-
-    // Joker 1 bonus
-    if (submission.mainJolly && [official.P1, official.P2, official.P3].includes(submission.mainJolly)) {
-      mainPoints += POINTS.BONUS_JOLLY_MAIN;
-    }
-
-    // Joker 2 bonus
-    if (submission.mainJolly2 && [official.P1, official.P2, official.P3].includes(submission.mainJolly2)) {
-      mainPoints += POINTS.BONUS_JOLLY_MAIN;
-    }
-
-    // Late submission penalty
-    if (submission.isLate) {
-      mainPoints += (submission.latePenalty || -3);
-    }
-  }
+  // Missing submission / empty lineup → empty-list penalty
+  const pointsFraction = racePointsFraction(race, rules);
+  const mainPoints = scoreMainSubmission(submission, official, rules, { multiplier, pointsFraction, bonusQuestions }).total;
 
-  // Calculate sprint points if present and not cancelled
-  let sprintPoints = null;
-  if (official.SP1 && !cancelledSprint) {
-    if (!submission.sprintP1 && !submission.sprintP2 && !submission.sprintP3) {
-      sprintPoints = -3; // Not submitted
-    } else {
-      sprintPoints = 0;
-      if (submission.sprintP1 === official.SP1) sprintPoints += POINTS.SPRINT[1];
-      if (submission.sprintP2 === official.SP2) sprintPoints += POINTS.SPRINT[2];
-      if (submission.sprintP3 === official.SP3) sprintPoints += POINTS.SPRINT[3];
-
-      // Sprint joker bonus
-      if (submission.sprintJolly && [official.SP1, official.SP2, official.SP3].includes(submission.sprintJolly)) {
-        sprintPoints += POINTS.BONUS_JOLLY_SPRINT;
-      }
-    }
-  }
+  // Sprint points if present and not cancelled
+  const sprintPoints = official.SP1 && !cancelledSprint
+    ? scoreSprintSubmission(submission, official, rules, { multiplier, pointsFraction }).total
+    : null;
 
   const total = mainPoints + (sprintPoints || 0);
   return { mainPoints, sprintPoints, total };
@@ -237,6 +204,8 @@ function PlayerStatsView({
   const { isDark } = useTheme();
   const { t } = useLanguage();
   const navigate = useNavigate();
+  const scoringConfig = useScoringConfig();
+  const { currentLeague } = useLeague();
 
   const accentColor = isDark ? "#ff4d5a" : "#dc3545";
   const bgCard = isDark ? "var(--bg-secondary)" : "#ffffff";
@@ -266,7 +235,7 @@ function PlayerStatsView({
     chartHistory = [];
 
     [...raceHistory].reverse().forEach((race) => {
-      const points = calculateRacePoints(race.submission, race.officialResults, race.cancelledSprint);
+      const points = calculateRacePoints(race, scoringConfig, currentLeague.bonusQuestions);
       cumulativePoints += points.total;
 
       chartRaces.push({
@@ -481,7 +450,7 @@ function PlayerStatsView({
                   </thead>
                   <tbody>
                     {[...raceHistory].reverse().map((race) => {
-                      const points = calculateRacePoints(race.submission, race.officialResults, race.cancelledSprint);
+                      const points = calculateRacePoints(race, scoringConfig, currentLeague.bonusQuestions);
                       const mainColor = pointsColor(points.mainPoints);
                       const sprintColor = points.sprintPoints !== null ? pointsColor(points.sprintPoints) : null;
                       const totalColor = pointsColor(points.total);
@@ -0,0 +1,145 @@
+/**
+ * @file PropQuestionsCard.jsx
+ * @description Prop questions of a race in FormationApp: the player picks one answer per
+ * question and saves them through the submitPropAnswers callable. Each question closes at
+ * its own deadline; only the open ones are sent.
+ */
+
+import React, { useState, useEffect } from "react";
+import PropTypes from "prop-types";
+import { Card, Form, Button, Alert, Badge, Spinner } from "react-bootstrap";
+import { doc, getDoc } from "firebase/firestore";
+import { db } from "../services/firebase";
+import { submitPropAnswers } from "../services/formationService";
+import { useThemeColors } from "../hooks/useThemeColors";
+import { useLanguage } from "../hooks/useLanguage";
+import { useTimezone } from "../hooks/useTimezone";
+import { submissionsPath } from "../utils/leaguePaths";
+import { isPropOpen } from "../utils/scoringEngine";
+import { error } from "../utils/logger";
+
+/**
+ * Prop questions answer form
+ * @param {Object} props - Component props
+ * @param {Object} props.race - Race with its props
+ * @param {string} props.userId - Current user
+ * @param {string} props.leagueId - Selected league
+ * @returns {JSX.Element} Card with one radio group per question
+ */
+export default function PropQuestionsCard({ race, userId, leagueId }) {
+  const colors = useThemeColors();
+  const { t } = useLanguage();
+  const { timezone } = useTimezone();
+  const [answers, setAnswers] = useState({});
+  const [saving, setSaving] = useState(false);
+  const [flash, setFlash] = useState(null);
+
+  const props = race.props ?? [];
+  const now = Date.now();
+  const openProps = props.filter((p) => isPropOpen(p, now));
+
+  // Answers already given in this league
+  useEffect(() => {
+    setAnswers({});
+    setFlash(null);
+    getDoc(doc(db, submissionsPath(leagueId, race.id), userId))
+      .then((snap) => setAnswers(snap.exists() ? snap.data().propPicks ?? {} : {}))
+      .catch(error);
+  }, [race.id, userId, leagueId]);
+
+  const fmtDeadline = (ts) =>
+    new Date(ts.seconds * 1000).toLocaleString("it-IT", {
+      weekday: "short", day: "2-digit", month: "short", hour: "2-digit", minute: "2-digit", timeZone: timezone,
+    });
+
+  const handleSave = async () => {
+    setSaving(true); setFlash(null);
+    try {
+      const sent = Object.fromEntries(openProps.map((p) => [p.id, answers[p.id] ?? null]));
+      const { propPicks } = await submitPropAnswers(race.id, sent, leagueId);
+      setAnswers(propPicks);
+      setFlash({ type: "success", msg: `✓ ${t("props.answersSaved")}` });
+    } catch (err) {
+      error(err);
+      setFlash({ type: "danger", msg: `❌ ${t("common.error")}: ${err.message}` });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Card className="shadow mt-4" style={{ borderLeft: `4px solid ${colors.accent}` }}>
+      <Card.Body>
+        <Card.Title className="text-center mb-3" style={{ color: colors.accent }}>
+          ❓ {t("props.title")}
+        </Card.Title>
+
+        {flash && (
+          <Alert variant={flash.type} dismissible onClose={() => setFlash(null)} className="py-2">
+            {flash.msg}
+          </Alert>
+        )}
+
+        {props.map((p) => {
+          const open = isPropOpen(p, now);
+          return (
+            <Form.Group key={p.id} className="mb-3">
+              <div className="d-flex justify-content-between align-items-start gap-2 mb-1">
+                <Form.Label className="fw-semibold mb-0">{p.question}</Form.Label>
+                <Badge bg="info" className="flex-shrink-0">{t("props.worth", { points: p.points })}</Badge>
+              </div>
+              <div className="small text-muted mb-1">
+                {open ? t("props.closesAt", { date: fmtDeadline(p.deadline) }) : `🔒 ${t("props.closed")}`}
+              </div>
+              {p.options.map((option, i) => (
+                <Form.Check
+                  key={option}
+                  type="radio"
+                  id={`${p.id}-${i}`}
+                  name={p.id}
+                  label={option}
+                  checked={answers[p.id] === i}
+                  disabled={!open || saving}
+                  onChange={() => setAnswers({ ...answers, [p.id]: i })}
+                />
+              ))}
+              <Form.Check
+                type="radio"
+                id={`${p.id}-none`}
+                name={p.id}
+                label={<span className="text-muted">{t("props.noAnswer")}</span>}
+                checked={answers[p.id] == null}
+                disabled={!open || saving}
+                onChange={() => setAnswers({ ...answers, [p.id]: null })}
+              />
+            </Form.Group>
+          );
+        })}
+
+        <Button
+          variant="danger"
+          className="w-100"
+          onClick={handleSave}
+          disabled={saving || openProps.length === 0}
+        >
+          {saving ? <Spinner animation="border" size="sm" /> : `💾 ${t("props.save")}`}
+        </Button>
+      </Card.Body>
+    </Card>
+  );
+}
+
+PropQuestionsCard.propTypes = {
+  race: PropTypes.shape({
+    id: PropTypes.string.isRequired,
+    props: PropTypes.arrayOf(PropTypes.shape({
+      id: PropTypes.string.isRequired,
+      question: PropTypes.string.isRequired,
+      options: PropTypes.arrayOf(PropTypes.string).isRequired,
+      deadline: PropTypes.object.isRequired,
+      points: PropTypes.number.isRequired,
+    })),
+  }).isRequired,
+  userId: PropTypes.string.isRequired,
+  leagueId: PropTypes.string,
+};
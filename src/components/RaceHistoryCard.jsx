@@ -1,7 +1,14 @@
 /**
  * @file RaceHistoryCard.jsx
  * Unified component for displaying race history, lineups and scores.
- * Supports main race, sprint races, double jolly, double points, and dark/light themes.
+ * Supports main race, sprint races, double jolly, race multipliers (double points on the
+ * season finale, the admin-set multiplier and each player's boost), reduced-points races
+ * (see RACE_STATUSES) and dark/light themes.
+ * Before the race's last deadline other players' submissions are sealed by the rules:
+ * the card then shows only their public status (submitted / not submitted).
+ * Pick points come from the shared engine (scorePodiumPicks), partial credit included.
+ * When the league asks bonus questions, the official answers and every player's picks are
+ * listed with the main race.
  */
 import React, { useState, useEffect } from "react";
 import PropTypes from "prop-types";
@@ -12,12 +19,32 @@ import {
   Badge,
   Alert,
 } from "react-bootstrap";
-import { collection, getDocs, onSnapshot } from "firebase/firestore";
+import { collection, doc, getDoc, getDocs, onSnapshot } from "firebase/firestore";
 import { db } from "../services/firebase";
-import { DRIVER_TEAM, TEAM_LOGOS, POINTS, getDriverTeamDynamic, getTeamLogoDynamic } from "../constants/racing";
+import { DRIVER_TEAM, TEAM_LOGOS, getDriverTeamDynamic, getTeamLogoDynamic } from "../constants/racing";
+import {
+  DRIVER_BONUS_QUESTIONS,
+  PICK_MATCHES,
+  RACE_STATUSES,
+  activeBonusQuestions,
+  applyMultiplier,
+  getSeasonFromRace,
+  normalizeBonusQuestions,
+  normalizeRaceMultiplier,
+  raceMultiplier,
+  racePointsFraction,
+  raceStatus,
+  scoreBonusPicks,
+  scorePodiumPicks,
+  submissionMultiplier,
+  submissionsRevealAt,
+} from "../utils/scoringEngine";
+import { useScoringRules } from "../hooks/useScoringRules";
 import { useTheme } from "../contexts/ThemeContext";
 import { useLanguage } from "../hooks/useLanguage";
 import { useTimezone } from "../hooks/useTimezone";
+import { useLeague } from "../hooks/useLeague";
+import { rankingPath, submissionsPath, submissionStatusPath } from "../utils/leaguePaths";
 import { error } from "../utils/logger";
 
 /**
@@ -71,6 +98,59 @@ DriverWithLogo.propTypes = {
   short: PropTypes.bool,
 };
 
+/**
+ * Answer to a bonus question: a driver with the team logo, or the number of retirements.
+ * @param {Object} props - Component props
+ * @param {string} props.question - Question key (BONUS_QUESTIONS)
+ * @param {string|number|null} props.value - Pick or official answer
+ * @param {boolean} props.short - Use short driver names
+ * @returns {JSX.Element} Answer
+ */
+function BonusValue({ question, value, short = false }) {
+  if (value == null) return <>—</>;
+  if (DRIVER_BONUS_QUESTIONS.includes(question)) return <DriverWithLogo name={value} short={short} />;
+  return <>{value}</>;
+}
+
+BonusValue.propTypes = {
+  question: PropTypes.string.isRequired,
+  value: PropTypes.oneOfType([PropTypes.string, PropTypes.number]),
+  short: PropTypes.bool,
+};
+
+/**
+ * Points badge of a pick. Partial credit (driver on the podium in another slot) is shown
+ * apart, with the slot the driver finished in.
+ * @param {Object} props - Component props
+ * @param {number} props.pts - Points of the pick
+ * @param {Object} [props.score] - Slot breakdown from scorePodiumPicks (podium picks only)
+ * @param {Object} [props.style] - Badge style
+ * @returns {JSX.Element} Points badge
+ */
+function PickPointsBadge({ pts, score, style }) {
+  const { t } = useLanguage();
+  const partial = score?.match === PICK_MATCHES.ONE_OFF || score?.match === PICK_MATCHES.PODIUM;
+  return (
+    <Badge
+      bg={partial ? "info" : pts > 0 ? "success" : pts < 0 ? "danger" : "secondary"}
+      pill
+      style={style}
+      title={partial ? t(`history.partial.${score.match}`, { position: score.finished }) : undefined}
+    >
+      {partial && "≈ "}{pts}
+    </Badge>
+  );
+}
+
+PickPointsBadge.propTypes = {
+  pts: PropTypes.number.isRequired,
+  score: PropTypes.shape({
+    match: PropTypes.string,
+    finished: PropTypes.number,
+  }),
+  style: PropTypes.object,
+};
+
 /**
  * Displays race history card with official results, lineups and scores.
  * @param {Object} props - Component props
@@ -92,16 +172,17 @@ function RaceHistoryCard({
   const { isDark } = useTheme();
   const { t } = useLanguage();
   const { timezone } = useTimezone();
+  const { currentLeague, currentLeagueId } = useLeague();
   const [subs, setSubs] = useState([]);
   const [loadingSub, setLoadingSub] = useState(true);
   const [errorSub, setErrorSub] = useState(null);
   const [rankingMap, setRankingMap] = useState({});
 
-  // Load userId → name mapping from "ranking" collection
+  // Load userId → name mapping from the league ranking
   useEffect(() => {
     (async () => {
       try {
-        const snapRank = await getDocs(collection(db, "ranking"));
+        const snapRank = await getDocs(collection(db, rankingPath(currentLeagueId)));
         const map = {};
         snapRank.docs.forEach((d) => {
           map[d.id] = d.data().name;
@@ -111,7 +192,11 @@ function RaceHistoryCard({
         error("Error loading ranking:", e);
       }
     })();
-  }, []);
+  }, [currentLeagueId]);
+
+  // Sealed until the late window of the last deadline closes (main and sprint share one document)
+  const revealAtMs = submissionsRevealAt(race);
+  const sealed = Boolean(currentUserId) && Date.now() < revealAtMs;
 
   // Load submissions for this race (reactive via onSnapshot, or one-shot via getDocs)
   useEffect(() => {
@@ -136,9 +221,30 @@ function RaceHistoryCard({
       return list;
     };
 
+    // Sealed: public status of the others + the user's own submission
+    if (sealed) {
+      Promise.all([
+        getDocs(collection(db, submissionStatusPath(currentLeagueId, race.id))),
+        getDoc(doc(db, submissionsPath(currentLeagueId, race.id), currentUserId)),
+      ])
+        .then(([statusSnap, ownSnap]) => {
+          const list = statusSnap.docs
+            .filter((d) => d.id !== currentUserId)
+            .map((d) => ({ id: d.id, ...d.data(), sealed: true }));
+          if (ownSnap.exists()) list.push({ id: ownSnap.id, ...ownSnap.data() });
+          setSubs(sortList(list));
+        })
+        .catch((e) => {
+          error(e);
+          setErrorSub(t("history.unableToLoadLineups"));
+        })
+        .finally(() => setLoadingSub(false));
+      return;
+    }
+
     if (reactive) {
       const unsub = onSnapshot(
-        collection(db, "races", race.id, "submissions"),
+        collection(db, submissionsPath(currentLeagueId, race.id)),
         (snap) => {
           const list = snap.docs.map((d) => ({ id: d.id, ...d.data() }));
           setSubs(sortList(list));
@@ -154,7 +260,7 @@ function RaceHistoryCard({
     }
 
     // One-shot fetch
-    getDocs(collection(db, "races", race.id, "submissions"))
+    getDocs(collection(db, submissionsPath(currentLeagueId, race.id)))
       .then((snap) => {
         const list = snap.docs.map((d) => ({ id: d.id, ...d.data() }));
         setSubs(sortList(list));
@@ -164,14 +270,53 @@ function RaceHistoryCard({
         setErrorSub(t("history.unableToLoadLineups"));
       })
       .finally(() => setLoadingSub(false));
-  }, [race.id, rankingMap, t, currentUserId, reactive]);
+  }, [race.id, rankingMap, t, currentUserId, reactive, sealed, currentLeagueId]);
 
   const hasJolly2 = subs.some((s) => s.mainJolly2);
   const official = race.officialResults ?? null;
   const hasSprint = Boolean(race.qualiSprintUTC) || Boolean(official?.SP1) || subs.some(s => s.sprintP1 || s.sprintP2 || s.sprintP3 || s.sprintJolly);
   const doublePts = Boolean(official?.doublePoints);
-  const multiplier = doublePts ? 2 : 1;
-  const BONUS_MAIN = POINTS.BONUS_JOLLY_MAIN;
+  const rules = useScoringRules(getSeasonFromRace(race));
+  const multiplier = raceMultiplier(race, rules);
+  const adminMultiplier = normalizeRaceMultiplier(race.multiplier);
+  const reducedPoints = raceStatus(race) === RACE_STATUSES.REDUCED;
+  const pointsFraction = racePointsFraction(race, rules);
+  const BONUS_MAIN = rules.BONUS_JOLLY_MAIN;
+
+  /**
+   * Race points (position, jolly, penalty) with the reduced-points share and the multiplier
+   * @param {number} points - Points of a full race
+   * @param {number} [m] - Multiplier of the submission (see submissionMultiplier)
+   * @returns {number}
+   */
+  const scaledPts = (points, m = multiplier) => applyMultiplier(applyMultiplier(points, pointsFraction), m);
+
+  /**
+   * Per-slot points of a podium prediction (partial credit included), with the multiplier
+   * @param {Array<string>} picks - Predicted podium
+   * @param {Array<string>} actual - Official podium
+   * @param {Object} table - Points per position
+   * @param {number} [m] - Multiplier of the submission (see submissionMultiplier)
+   * @param {number} [fraction] - Share of the points awarded (see racePointsFraction)
+   * @returns {Array<Object>} Slot breakdown (see scorePodiumPicks)
+   */
+  const pickBreakdown = (picks, actual, table, m = multiplier, fraction = pointsFraction) =>
+    scorePodiumPicks(picks, actual, table, rules)
+      .map((p) => ({ ...p, points: applyMultiplier(applyMultiplier(p.points, fraction), m) }));
+
+  const bonusConfig = currentLeague?.bonusQuestions ?? null;
+  const askedQuestions = activeBonusQuestions(bonusConfig);
+  const questionPoints = normalizeBonusQuestions(bonusConfig);
+  const hasBonusPicks = askedQuestions.length > 0 && subs.some((s) => s.bonusPicks);
+
+  /**
+   * Per-question result of a player's bonus picks, with the multiplier
+   * @param {Object|null} picks - submission.bonusPicks
+   * @param {number} [m] - Multiplier of the submission (see submissionMultiplier)
+   * @returns {Array<Object>} Question breakdown (see scoreBonusPicks)
+   */
+  const bonusBreakdown = (picks, m = multiplier) =>
+    scoreBonusPicks(picks, official?.bonus, bonusConfig).questions.map((q) => ({ ...q, points: applyMultiplier(q.points, m) }));
   const cancelledMain = race.cancelledMain || false;
   const cancelledSprint = race.cancelledSprint || false;
 
@@ -184,12 +329,19 @@ function RaceHistoryCard({
 
   // Helper: check if a submission's main/sprint picks should be masked
   const isOwn = (subId) => currentUserId && subId === currentUserId;
-  const maskMain = (subId) => !isOwn(subId) && !canSeeOthersMain;
-  const maskSprint = (subId) => !isOwn(subId) && !canSeeOthersSprint;
+  const maskMain = (subId) => !isOwn(subId) && (sealed || !canSeeOthersMain);
+  const maskSprint = (subId) => !isOwn(subId) && (sealed || !canSeeOthersSprint);
+
+  // Sealed: status rows are always shown, plus who has not submitted yet
+  const notSubmittedNames = sealed
+    ? Object.entries(rankingMap)
+        .filter(([id]) => !subs.some((s) => s.id === id))
+        .map(([, name]) => name)
+    : [];
 
   // Filter: hide other users entirely if nothing is visible for them
   const visibleSubs = subs.filter(s => {
-    if (!currentUserId) return true;
+    if (!currentUserId || sealed) return true;
     if (isOwn(s.id)) return true;
     return canSeeOthersMain || (hasSprint && canSeeOthersSprint);
   });
@@ -237,6 +389,14 @@ function RaceHistoryCard({
               </Badge>
             )}
             {doublePts && <DoubleBadge />}
+            {adminMultiplier !== 1 && (
+              <Badge bg="info" className="ms-2">{t("boost.raceMultiplierBadge", { multiplier: adminMultiplier })}</Badge>
+            )}
+            {reducedPoints && !cancelledMain && (
+              <Badge bg="warning" text="dark" className="ms-2">
+                {t("raceStatus.reducedBadge", { percent: rules.REDUCED_POINTS_PERCENT })}
+              </Badge>
+            )}
           </h5>
         </Card.Header>
       )}
@@ -249,6 +409,12 @@ function RaceHistoryCard({
             {t("history.raceCancelledDescription")}
           </Alert>
         )}
+        {reducedPoints && !cancelledMain && (
+          <Alert variant="warning" className="mb-3">
+            <strong>🚩 {t("raceStatus.reducedTitle")}</strong><br />
+            {t("raceStatus.reducedDescription", { percent: rules.REDUCED_POINTS_PERCENT })}
+          </Alert>
+        )}
         {cancelledSprint && hasSprint && !cancelledMain && (
           <Alert variant="warning" className="mb-3">
             <strong>⛔ {t("history.sprintCancelled")}</strong><br />
@@ -276,21 +442,44 @@ function RaceHistoryCard({
                 <tr>
                   <td><strong>1°</strong></td>
                   <td><DriverWithLogo name={official.P1} /></td>
-                  <td className="text-end text-success">{POINTS.MAIN[1] * multiplier}</td>
+                  <td className="text-end text-success">{scaledPts(rules.MAIN[1])}</td>
                 </tr>
                 <tr>
                   <td>2°</td>
                   <td><DriverWithLogo name={official.P2} /></td>
-                  <td className="text-end text-success">{POINTS.MAIN[2] * multiplier}</td>
+                  <td className="text-end text-success">{scaledPts(rules.MAIN[2])}</td>
                 </tr>
                 <tr>
                   <td>3°</td>
                   <td><DriverWithLogo name={official.P3} /></td>
-                  <td className="text-end text-success">{POINTS.MAIN[3] * multiplier}</td>
+                  <td className="text-end text-success">{scaledPts(rules.MAIN[3])}</td>
                 </tr>
               </tbody>
             </Table>
 
+            {askedQuestions.length > 0 && official.bonus && (
+              <>
+                <h6 className="fw-bold border-bottom pb-1 mt-4" style={{ color: accentColor }}>
+                  {t("bonusQuestions.title")}
+                </h6>
+                <Table size="sm" className="mb-3">
+                  <tbody>
+                    {askedQuestions.map((q) => (
+                      <tr key={q}>
+                        <td style={{ width: "40%" }}>{t(`bonusQuestions.${q}`)}</td>
+                        <td>
+                          {official.bonus[q] == null
+                            ? <span className="text-muted">{t("bonusQuestions.void")}</span>
+                            : <BonusValue question={q} value={official.bonus[q]} />}
+                        </td>
+                        <td style={{ width: "20%" }} className="text-end text-success">{applyMultiplier(questionPoints[q], multiplier)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </Table>
+              </>
+            )}
+
             {hasSprint && !cancelledSprint && (
               <>
                 <h6 className="fw-bold border-bottom pb-1 mt-4" style={{ color: accentColor }}>
@@ -310,17 +499,17 @@ function RaceHistoryCard({
                     <tr>
                       <td><strong>SP1°</strong></td>
                       <td><DriverWithLogo name={official.SP1} /></td>
-                      <td className="text-end text-success">{POINTS.SPRINT[1] * multiplier}</td>
+                      <td className="text-end text-success">{scaledPts(rules.SPRINT[1])}</td>
                     </tr>
                     <tr>
                       <td>SP2°</td>
                       <td><DriverWithLogo name={official.SP2} /></td>
-                      <td className="text-end text-success">{POINTS.SPRINT[2] * multiplier}</td>
+                      <td className="text-end text-success">{scaledPts(rules.SPRINT[2])}</td>
                     </tr>
                     <tr>
                       <td>SP3°</td>
                       <td><DriverWithLogo name={official.SP3} /></td>
-                      <td className="text-end text-success">{POINTS.SPRINT[3] * multiplier}</td>
+                      <td className="text-end text-success">{scaledPts(rules.SPRINT[3])}</td>
                     </tr>
                   </tbody>
                 </Table>
@@ -349,11 +538,18 @@ function RaceHistoryCard({
             </h6>
 
             {/* Visibility warning */}
-            {currentUserId && !canSeeOthersMain && (
+            {currentUserId && (sealed || !canSeeOthersMain) && (
               <Alert variant="warning" className="mb-3">
-                🔒 {hasSprint && canSeeOthersSprint
+                🔒 {sealed
+                  ? t("formations.othersSealed")
+                  : hasSprint && canSeeOthersSprint
                   ? t("formations.othersMainHidden")
                   : t("formations.othersHidden")}
+                {notSubmittedNames.length > 0 && (
+                  <div className="mt-1 small">
+                    {t("formations.notSubmittedYet", { names: notSubmittedNames.join(", ") })}
+                  </div>
+                )}
                 {hiddenCount > 0 && !hasSprint && (
                   <div className="mt-1 small">
                     {t("formations.hiddenSubmissions", { count: subs.length - (subs.some(s => isOwn(s.id)) ? 1 : 0) })}
@@ -366,26 +562,28 @@ function RaceHistoryCard({
             <div className="d-lg-none">
               {visibleSubs.map((s, idx) => {
                 /* Points calculation */
-                const p1Pts = showPoints && official && s.mainP1 === official.P1 ? POINTS.MAIN[1] * multiplier : 0;
-                const p2Pts = showPoints && official && s.mainP2 === official.P2 ? POINTS.MAIN[2] * multiplier : 0;
-                const p3Pts = showPoints && official && s.mainP3 === official.P3 ? POINTS.MAIN[3] * multiplier : 0;
+                const subMultiplier = submissionMultiplier(multiplier, s);
+                const mainPicks = showPoints && official
+                  ? pickBreakdown([s.mainP1, s.mainP2, s.mainP3], [official.P1, official.P2, official.P3], rules.MAIN, subMultiplier)
+                  : [];
+                const [p1Pts, p2Pts, p3Pts] = [0, 1, 2].map((i) => mainPicks[i]?.points ?? 0);
 
                 const j1Pts =
                   showPoints && official && s.mainJolly &&
                   [official.P1, official.P2, official.P3].includes(s.mainJolly)
-                    ? BONUS_MAIN * multiplier
+                    ? scaledPts(BONUS_MAIN, subMultiplier)
                     : 0;
 
                 const j2Pts =
                   showPoints && official && s.mainJolly2 &&
                   [official.P1, official.P2, official.P3].includes(s.mainJolly2)
-                    ? BONUS_MAIN * multiplier
+                    ? scaledPts(BONUS_MAIN, subMultiplier)
                     : 0;
                 const totalMain =
                   showPoints && official
                     ? s.pointsEarned !== undefined
                       ? s.pointsEarned
-                      : p1Pts + p2Pts + p3Pts + j1Pts + j2Pts + (s.isLate ? (s.latePenalty || -3) : 0)
+                      : p1Pts + p2Pts + p3Pts + j1Pts + j2Pts + (s.isLate ? scaledPts(rules.LATE_SUBMISSION_PENALTY, subMultiplier) : 0)
                     : null;
 
                 /* Sprint points */
@@ -393,17 +591,22 @@ function RaceHistoryCard({
                   sp2Pts = 0,
                   sp3Pts = 0,
                   jspPts = 0,
-                  totalSprint = null;
+                  totalSprint = null,
+                  sprintPicks = [];
 
                 if (hasSprint) {
                   if (showPoints && official) {
-                    sp1Pts = s.sprintP1 === official.SP1 ? POINTS.SPRINT[1] * multiplier : 0;
-                    sp2Pts = s.sprintP2 === official.SP2 ? POINTS.SPRINT[2] * multiplier : 0;
-                    sp3Pts = s.sprintP3 === official.SP3 ? POINTS.SPRINT[3] * multiplier : 0;
+                    sprintPicks = pickBreakdown(
+                      [s.sprintP1, s.sprintP2, s.sprintP3],
+                      [official.SP1, official.SP2, official.SP3],
+                      rules.SPRINT,
+                      subMultiplier
+                    );
+                    [sp1Pts, sp2Pts, sp3Pts] = sprintPicks.map((p) => p.points);
                     jspPts =
                       s.sprintJolly &&
                       [official.SP1, official.SP2, official.SP3].includes(s.sprintJolly)
-                        ? POINTS.BONUS_JOLLY_SPRINT * multiplier
+                        ? scaledPts(rules.BONUS_JOLLY_SPRINT, subMultiplier)
                         : 0;
                     totalSprint =
                       s.pointsEarnedSprint !== undefined
@@ -414,7 +617,7 @@ function RaceHistoryCard({
 
                 const userName = s.user || rankingMap[s.id] || s.id;
 
-                const PickLine = ({ label, pick, pts }) => (
+                const PickLine = ({ label, pick, pts, score }) => (
                   <div className="d-flex justify-content-between align-items-center py-1 border-bottom" style={{ fontSize: "0.9rem" }}>
                     <span className="text-muted">{label}</span>
                     <div className="d-flex align-items-center gap-2">
@@ -422,13 +625,7 @@ function RaceHistoryCard({
                         <>
                           <DriverWithLogo name={pick} />
                           {showPoints && official && (
-                            <Badge
-                              bg={pts > 0 ? "success" : pts < 0 ? "danger" : "secondary"}
-                              pill
-                              style={{ minWidth: 35 }}
-                            >
-                              {pts}
-                            </Badge>
+                            <PickPointsBadge pts={pts} score={score} style={{ minWidth: 35 }} />
                           )}
                         </>
                       ) : (
@@ -449,6 +646,9 @@ function RaceHistoryCard({
                               ⏰ {t("formations.lateSubmission")} (-3)
                             </Badge>
                           )}
+                          {s.boost && !maskMain(s.id) && (
+                            <Badge bg="warning" text="dark" className="ms-2">🚀 {t("boost.badge")}</Badge>
+                          )}
                         </h6>
                         {showPoints && official && (
                           <Badge
@@ -462,23 +662,38 @@ function RaceHistoryCard({
 
                       {maskMain(s.id) ? (
                         <div className="text-center text-muted py-2">
-                          🔒 <em>{t("formations.mainPicksHidden")}</em>
+                          {s.sealed
+                            ? s.main ? `🔒 ${t("formations.sealedSubmitted")}` : `— ${t("formations.sealedNotSubmitted")}`
+                            : <>🔒 <em>{t("formations.mainPicksHidden")}</em></>}
                         </div>
                       ) : (
                         <div className="mb-2">
                           <strong className="text-muted" style={{ fontSize: "0.85rem" }}>{t("formations.mainRace").toUpperCase()}</strong>
-                          <PickLine label="P1" pick={s.mainP1} pts={p1Pts} />
-                          <PickLine label="P2" pick={s.mainP2} pts={p2Pts} />
-                          <PickLine label="P3" pick={s.mainP3} pts={p3Pts} />
+                          <PickLine label="P1" pick={s.mainP1} pts={p1Pts} score={mainPicks[0]} />
+                          <PickLine label="P2" pick={s.mainP2} pts={p2Pts} score={mainPicks[1]} />
+                          <PickLine label="P3" pick={s.mainP3} pts={p3Pts} score={mainPicks[2]} />
                           <PickLine label="J1" pick={s.mainJolly} pts={j1Pts} />
                           {s.mainJolly2 && <PickLine label="J2" pick={s.mainJolly2} pts={j2Pts} />}
+                          {askedQuestions.length > 0 && s.bonusPicks && bonusBreakdown(s.bonusPicks, subMultiplier).map((q) => (
+                            <div key={q.question} className="d-flex justify-content-between align-items-center py-1 border-bottom" style={{ fontSize: "0.9rem" }}>
+                              <span className="text-muted">{t(`bonusQuestions.${q.question}`)}</span>
+                              <div className="d-flex align-items-center gap-2">
+                                <BonusValue question={q.question} value={q.pick} />
+                                {showPoints && official?.bonus && q.pick != null && (
+                                  <PickPointsBadge pts={q.points} style={{ minWidth: 35 }} />
+                                )}
+                              </div>
+                            </div>
+                          ))}
                         </div>
                       )}
 
                       {hasSprint && (
                         maskSprint(s.id) ? (
                           <div className="text-center text-muted py-2">
-                            🔒 <em>{t("formations.sprintPicksHidden")}</em>
+                            {s.sealed
+                              ? s.sprint ? `🔒 ${t("formations.sealedSubmitted")}` : `— ${t("formations.sealedNotSubmitted")}`
+                              : <>🔒 <em>{t("formations.sprintPicksHidden")}</em></>}
                           </div>
                         ) : (
                           <div>
@@ -493,9 +708,9 @@ function RaceHistoryCard({
                                 </Badge>
                               )}
                             </div>
-                            <PickLine label="SP1" pick={s.sprintP1} pts={sp1Pts} />
-                            <PickLine label="SP2" pick={s.sprintP2} pts={sp2Pts} />
-                            <PickLine label="SP3" pick={s.sprintP3} pts={sp3Pts} />
+                            <PickLine label="SP1" pick={s.sprintP1} pts={sp1Pts} score={sprintPicks[0]} />
+                            <PickLine label="SP2" pick={s.sprintP2} pts={sp2Pts} score={sprintPicks[1]} />
+                            <PickLine label="SP3" pick={s.sprintP3} pts={sp3Pts} score={sprintPicks[2]} />
                             <PickLine label="J SP" pick={s.sprintJolly} pts={jspPts} />
                           </div>
                         )
@@ -524,6 +739,9 @@ function RaceHistoryCard({
                         J2
                       </th>
                     )}
+                    {hasBonusPicks && (
+                      <th style={{ width: 180, color: accentColor }} className="text-center">{t("bonusQuestions.title")}</th>
+                    )}
                     {hasSprint && (
                       <>
                         <th style={{ width: 150, color: accentColor }} className="text-center">SP1</th>
@@ -549,18 +767,20 @@ function RaceHistoryCard({
                     const sprintMasked = maskSprint(s.id);
 
                     /* Points calculation */
-                    const p1Pts = !mainMasked && showPoints && official && s.mainP1 === official.P1 ? POINTS.MAIN[1] * multiplier : 0;
-                    const p2Pts = !mainMasked && showPoints && official && s.mainP2 === official.P2 ? POINTS.MAIN[2] * multiplier : 0;
-                    const p3Pts = !mainMasked && showPoints && official && s.mainP3 === official.P3 ? POINTS.MAIN[3] * multiplier : 0;
+                    const subMultiplier = submissionMultiplier(multiplier, s);
+                    const mainPicks = !mainMasked && showPoints && official
+                      ? pickBreakdown([s.mainP1, s.mainP2, s.mainP3], [official.P1, official.P2, official.P3], rules.MAIN, subMultiplier)
+                      : [];
+                    const [p1Pts, p2Pts, p3Pts] = [0, 1, 2].map((i) => mainPicks[i]?.points ?? 0);
 
                     const j1Pts = !mainMasked && showPoints && official && s.mainJolly &&
                       [official.P1, official.P2, official.P3].includes(s.mainJolly)
-                        ? BONUS_MAIN * multiplier
+                        ? scaledPts(BONUS_MAIN, subMultiplier)
                         : 0;
 
                     const j2Pts = !mainMasked && showPoints && official && s.mainJolly2 &&
                       [official.P1, official.P2, official.P3].includes(s.mainJolly2)
-                        ? BONUS_MAIN * multiplier
+                        ? scaledPts(BONUS_MAIN, subMultiplier)
                         : 0;
 
 
@@ -576,17 +796,22 @@ function RaceHistoryCard({
                       sp2Pts = 0,
                       sp3Pts = 0,
                       jspPts = 0,
-                      totalSprint = null;
+                      totalSprint = null,
+                      sprintPicks = [];
 
                     if (hasSprint && !sprintMasked) {
                       if (showPoints && official) {
-                        sp1Pts = s.sprintP1 === official.SP1 ? POINTS.SPRINT[1] * multiplier : 0;
-                        sp2Pts = s.sprintP2 === official.SP2 ? POINTS.SPRINT[2] * multiplier : 0;
-                        sp3Pts = s.sprintP3 === official.SP3 ? POINTS.SPRINT[3] * multiplier : 0;
+                        sprintPicks = pickBreakdown(
+                          [s.sprintP1, s.sprintP2, s.sprintP3],
+                          [official.SP1, official.SP2, official.SP3],
+                          rules.SPRINT,
+                          subMultiplier
+                        );
+                        [sp1Pts, sp2Pts, sp3Pts] = sprintPicks.map((p) => p.points);
                         jspPts =
                           s.sprintJolly &&
                           [official.SP1, official.SP2, official.SP3].includes(s.sprintJolly)
-                            ? POINTS.BONUS_JOLLY_SPRINT * multiplier
+                            ? scaledPts(rules.BONUS_JOLLY_SPRINT, subMultiplier)
                             : 0;
                         totalSprint =
                           s.pointsEarnedSprint !== undefined
@@ -598,17 +823,15 @@ function RaceHistoryCard({
                     const userName = s.user || rankingMap[s.id] || s.id;
 
                     /* Helper cell with points badge */
-                    const Cell = ({ pick, pts, masked }) => (
+                    const Cell = ({ pick, pts, score, masked, submitted = true }) => (
                       <td className="text-center">
                         {masked ? (
-                          <span className="text-muted">🔒</span>
+                          <span className="text-muted">{submitted ? "🔒" : "—"}</span>
                         ) : pick ? (
                           <div className="d-flex align-items-center justify-content-center gap-2">
                             <DriverWithLogo name={pick} short />
                             {showPoints && official && (
-                              <Badge bg={pts > 0 ? "success" : pts < 0 ? "danger" : "secondary"} pill style={{ fontSize: "0.85rem" }}>
-                                {pts}
-                              </Badge>
+                              <PickPointsBadge pts={pts} score={score} style={{ fontSize: "0.85rem" }} />
                             )}
                           </div>
                         ) : (
@@ -627,22 +850,47 @@ function RaceHistoryCard({
                               ⏰ {t("formations.latePenalty")}
                             </Badge>
                           )}
+                          {s.boost && !mainMasked && (
+                            <Badge bg="warning" text="dark" className="ms-1">🚀 {t("boost.badge")}</Badge>
+                          )}
                         </td>
 
                         {/* Main race picks */}
-                        <Cell pick={s.mainP1} pts={p1Pts} masked={mainMasked} />
-                        <Cell pick={s.mainP2} pts={p2Pts} masked={mainMasked} />
-                        <Cell pick={s.mainP3} pts={p3Pts} masked={mainMasked} />
-                        <Cell pick={s.mainJolly} pts={j1Pts} masked={mainMasked} />
-                        {hasJolly2 && <Cell pick={s.mainJolly2} pts={j2Pts} masked={mainMasked} />}
+                        <Cell pick={s.mainP1} pts={p1Pts} score={mainPicks[0]} masked={mainMasked} submitted={!s.sealed || s.main} />
+                        <Cell pick={s.mainP2} pts={p2Pts} score={mainPicks[1]} masked={mainMasked} submitted={!s.sealed || s.main} />
+                        <Cell pick={s.mainP3} pts={p3Pts} score={mainPicks[2]} masked={mainMasked} submitted={!s.sealed || s.main} />
+                        <Cell pick={s.mainJolly} pts={j1Pts} masked={mainMasked} submitted={!s.sealed || s.main} />
+                        {hasJolly2 && <Cell pick={s.mainJolly2} pts={j2Pts} masked={mainMasked} submitted={!s.sealed || s.main} />}
+                        {hasBonusPicks && (
+                          <td className="text-center">
+                            {mainMasked ? (
+                              <span className="text-muted">{!s.sealed || s.main ? "🔒" : "—"}</span>
+                            ) : s.bonusPicks ? (
+                              bonusBreakdown(s.bonusPicks, subMultiplier).filter((q) => q.pick != null).map((q) => (
+                                <div
+                                  key={q.question}
+                                  className="d-flex align-items-center justify-content-center gap-2"
+                                  title={t(`bonusQuestions.${q.question}`)}
+                                >
+                                  <BonusValue question={q.question} value={q.pick} short />
+                                  {showPoints && official?.bonus && (
+                                    <PickPointsBadge pts={q.points} style={{ fontSize: "0.85rem" }} />
+                                  )}
+                                </div>
+                              ))
+                            ) : (
+                              "—"
+                            )}
+                          </td>
+                        )}
 
                         {/* Sprint race picks */}
                         {hasSprint && (
                           <>
-                            <Cell pick={s.sprintP1} pts={sp1Pts} masked={sprintMasked} />
-                            <Cell pick={s.sprintP2} pts={sp2Pts} masked={sprintMasked} />
-                            <Cell pick={s.sprintP3} pts={sp3Pts} masked={sprintMasked} />
-                            <Cell pick={s.sprintJolly} pts={jspPts} masked={sprintMasked} />
+                            <Cell pick={s.sprintP1} pts={sp1Pts} score={sprintPicks[0]} masked={sprintMasked} submitted={!s.sealed || s.sprint} />
+                            <Cell pick={s.sprintP2} pts={sp2Pts} score={sprintPicks[1]} masked={sprintMasked} submitted={!s.sealed || s.sprint} />
+                            <Cell pick={s.sprintP3} pts={sp3Pts} score={sprintPicks[2]} masked={sprintMasked} submitted={!s.sealed || s.sprint} />
+                            <Cell pick={s.sprintJolly} pts={jspPts} masked={sprintMasked} submitted={!s.sealed || s.sprint} />
                           </>
                         )}
 
@@ -694,7 +942,10 @@ RaceHistoryCard.propTypes = {
       SP2: PropTypes.string,
       SP3: PropTypes.string,
       doublePoints: PropTypes.bool,
+      bonus: PropTypes.object,
     }),
+    multiplier: PropTypes.number,
+    status: PropTypes.oneOf(Object.values(RACE_STATUSES)),
     cancelledMain: PropTypes.bool,
     cancelledSprint: PropTypes.bool,
   }).isRequired,
@@ -0,0 +1,112 @@
+/**
+ * @file RevisionTimeline.jsx
+ * @description Edit history of a formation: every save recorded by the Cloud Functions
+ * with author, time, picks and the receipt hash the player received.
+ */
+
+import React, { useEffect, useState } from "react";
+import PropTypes from "prop-types";
+import { ListGroup, Badge, Spinner, Alert } from "react-bootstrap";
+import { collection, getDocs, orderBy, query } from "firebase/firestore";
+import { db } from "../services/firebase";
+import { useLanguage } from "../hooks/useLanguage";
+import { useTimezone } from "../hooks/useTimezone";
+import { useLeague } from "../hooks/useLeague";
+import { submissionsPath } from "../utils/leaguePaths";
+import { error } from "../utils/logger";
+
+/** Short form of a receipt shown in the list (full hash in the tooltip) */
+const shortReceipt = (receipt) => (receipt ? receipt.slice(0, 12) : "—");
+
+/**
+ * Picks of one session ("P1 / P2 / P3 · J: Jolly")
+ * @param {Object} fields - Revision fields
+ * @param {string} prefix - "main" or "sprint"
+ * @returns {string|null} Summary or null when the session was not submitted
+ */
+const picksSummary = (fields, prefix) => {
+  if (!fields?.[`${prefix}P1`]) return null;
+  const jolly = [fields[`${prefix}Jolly`], fields[`${prefix}Jolly2`]].filter(Boolean).join(", ");
+  return `${fields[`${prefix}P1`]} / ${fields[`${prefix}P2`]} / ${fields[`${prefix}P3`]} · J: ${jolly}`;
+};
+
+/**
+ * Revision timeline of one player's formation for a race
+ * @param {Object} props - Component props
+ * @param {string} props.raceId - Race identifier
+ * @param {string} props.userId - Submission owner
+ * @returns {JSX.Element} Timeline (newest first)
+ */
+export default function RevisionTimeline({ raceId, userId }) {
+  const { t } = useLanguage();
+  const { timezone } = useTimezone();
+  const { currentLeagueId } = useLeague();
+  const [revisions, setRevisions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [loadError, setLoadError] = useState(null);
+
+  useEffect(() => {
+    if (!raceId || !userId) return;
+    setLoading(true);
+    setLoadError(null);
+    getDocs(
+      query(
+        collection(db, submissionsPath(currentLeagueId, raceId), userId, "revisions"),
+        orderBy("revision", "desc")
+      )
+    )
+      .then((snap) => setRevisions(snap.docs.map((d) => ({ id: d.id, ...d.data() }))))
+      .catch((e) => {
+        error(e);
+        setLoadError(t("revisions.loadError"));
+      })
+      .finally(() => setLoading(false));
+  }, [raceId, userId, t, currentLeagueId]);
+
+  if (loading) {
+    return <div className="text-center py-3"><Spinner animation="border" size="sm" /></div>;
+  }
+  if (loadError) return <Alert variant="warning" className="py-2 small mb-0">{loadError}</Alert>;
+  if (revisions.length === 0) {
+    return <p className="text-muted small mb-0">{t("revisions.empty")}</p>;
+  }
+
+  return (
+    <ListGroup variant="flush" className="small">
+      {revisions.map((r) => {
+        const main = picksSummary(r.fields, "main");
+        const sprint = picksSummary(r.fields, "sprint");
+        return (
+          <ListGroup.Item key={r.id} className="px-0">
+            <div className="d-flex flex-wrap align-items-center gap-2">
+              <strong>{t("revisions.revision", { n: r.revision })}</strong>
+              <span className="text-muted">
+                {r.createdAt
+                  ? new Date(r.createdAt.seconds * 1000).toLocaleString(undefined, { timeZone: timezone })
+                  : "—"}
+              </span>
+              <Badge bg={r.isAdmin ? "danger" : "secondary"}>
+                {r.isAdmin ? t("revisions.byAdmin") : t("revisions.byPlayer")}
+              </Badge>
+              {r.mode !== "admin" && (
+                <Badge bg="info">{r.mode === "sprint" ? "Sprint" : t("revisions.modeMain")}</Badge>
+              )}
+              {r.isLate && <Badge bg="warning" text="dark">{t("formations.lateSubmission")}</Badge>}
+              {r.boost && <Badge bg="warning" text="dark">🚀 {t("boost.badge")}</Badge>}
+            </div>
+            {main && <div className="mt-1">{t("revisions.modeMain")}: {main}</div>}
+            {sprint && <div>Sprint: {sprint}</div>}
+            <div className="text-muted mt-1">
+              {t("revisions.receipt")}: <code title={r.receipt}>{shortReceipt(r.receipt)}</code>
+            </div>
+          </ListGroup.Item>
+        );
+      })}
+    </ListGroup>
+  );
+}
+
+RevisionTimeline.propTypes = {
+  raceId: PropTypes.string.isRequired,
+  userId: PropTypes.string.isRequired,
+};
@@ -0,0 +1,118 @@
+/**
+ * @file ScoringPreviewModal.jsx
+ * @description Diff table of a dry-run calculation: points, jolly and penalties earned by
+ * each participant with old → new total and position, grouped by league. The admin confirms
+ * it before the real calculation is written.
+ */
+
+import React, { Fragment } from "react";
+import PropTypes from "prop-types";
+import { Modal, Button, Table, Badge } from "react-bootstrap";
+import { useLanguage } from "../hooks/useLanguage";
+
+/**
+ * Position change arrow (▲ up, ▼ down, = unchanged)
+ * @param {Object} props - Component props
+ * @param {number} props.from - Position before the calculation
+ * @param {number} props.to - Position after the calculation
+ * @returns {JSX.Element} Position change
+ */
+const PositionDelta = ({ from, to }) => {
+  if (from === to) return <span className="text-muted">=</span>;
+  const up = to < from;
+  return (
+    <span className={up ? "text-success" : "text-danger"}>
+      {up ? "▲" : "▼"}{Math.abs(from - to)}
+    </span>
+  );
+};
+
+PositionDelta.propTypes = {
+  from: PropTypes.number,
+  to: PropTypes.number,
+};
+
+/**
+ * Modal showing the preview of a calculation
+ * @param {Object} props - Component props
+ * @param {boolean} props.show - Whether the modal is visible
+ * @param {string} props.title - Modal title (race name or championship)
+ * @param {Array<Object>} props.rows - Preview rows from the dry run
+ * @param {Function} props.onConfirm - Runs the real calculation
+ * @param {Function} props.onCancel - Closes the preview without writing
+ * @returns {JSX.Element} Preview modal
+ */
+export default function ScoringPreviewModal({ show, title, rows, onConfirm, onCancel }) {
+  const { t } = useLanguage();
+
+  return (
+    <Modal show={show} onHide={onCancel} centered size="lg" scrollable>
+      <Modal.Header closeButton>
+        <Modal.Title className="fs-6">
+          {t("calculate.previewTitle")} — {title}
+        </Modal.Title>
+      </Modal.Header>
+      <Modal.Body>
+        <p className="small text-muted">{t("calculate.previewDescription")}</p>
+        <Table size="sm" responsive hover className="align-middle small mb-0">
+          <thead>
+            <tr>
+              <th>{t("calculate.previewParticipant")}</th>
+              <th className="text-end">{t("calculate.previewPoints")}</th>
+              <th className="text-end">{t("calculate.previewJolly")}</th>
+              <th className="text-end">{t("calculate.previewPenalties")}</th>
+              <th className="text-end">{t("calculate.previewTotal")}</th>
+              <th className="text-end">{t("calculate.previewPosition")}</th>
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map((r, i) => (
+              <Fragment key={`${r.leagueId}_${r.userId}`}>
+              {(i === 0 || rows[i - 1].leagueId !== r.leagueId) && (
+                <tr className="table-secondary">
+                  <td colSpan={6} className="fw-semibold">
+                    {r.leagueName ?? t("leagues.mainLeague")}
+                  </td>
+                </tr>
+              )}
+              <tr>
+                <td>{r.name}{r.boost && " 🚀"}</td>
+                <td className="text-end">
+                  <Badge bg={r.points > 0 ? "success" : r.points < 0 ? "danger" : "secondary"} pill>
+                    {r.points > 0 ? `+${r.points}` : r.points}
+                  </Badge>
+                </td>
+                <td className="text-end">{r.jollyEarned > 0 ? `+${r.jollyEarned}` : "–"}</td>
+                <td className="text-end">{r.penaltyPts ? r.penaltyPts : "–"}</td>
+                <td className="text-end text-nowrap">
+                  <span className="text-muted">{r.oldTotal}</span> → <strong>{r.newTotal}</strong>
+                </td>
+                <td className="text-end text-nowrap">
+                  <span className="text-muted">{r.oldPosition}</span> → <strong>{r.newPosition}</strong>{" "}
+                  <PositionDelta from={r.oldPosition} to={r.newPosition} />
+                </td>
+              </tr>
+              </Fragment>
+            ))}
+          </tbody>
+        </Table>
+      </Modal.Body>
+      <Modal.Footer>
+        <Button variant="secondary" size="sm" onClick={onCancel}>
+          {t("common.cancel")}
+        </Button>
+        <Button variant="danger" size="sm" onClick={onConfirm}>
+          {t("calculate.previewConfirm")}
+        </Button>
+      </Modal.Footer>
+    </Modal>
+  );
+}
+
+ScoringPreviewModal.propTypes = {
+  show: PropTypes.bool.isRequired,
+  title: PropTypes.string,
+  rows: PropTypes.arrayOf(PropTypes.object).isRequired,
+  onConfirm: PropTypes.func.isRequired,
+  onCancel: PropTypes.func.isRequired,
+};
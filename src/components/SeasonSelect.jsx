@@ -0,0 +1,49 @@
+/**
+ * @file SeasonSelect.jsx
+ * @description Compact season selector for the pages that browse past seasons
+ * (History, Statistics, ParticipantDetail). Hidden while there is a single season.
+ */
+import React from "react";
+import PropTypes from "prop-types";
+import { Form } from "react-bootstrap";
+import { useLanguage } from "../hooks/useLanguage";
+
+/**
+ * Season selector
+ * @param {Object} props
+ * @param {Array<number>} props.seasons - Seasons, newest first
+ * @param {Array<number>} props.archivedSeasons - Years of the archived seasons
+ * @param {number|null} props.value - Selected season
+ * @param {Function} props.onChange - Called with the selected year
+ * @param {string} [props.className] - Additional CSS classes
+ */
+export default function SeasonSelect({ seasons, archivedSeasons, value, onChange, className = "" }) {
+  const { t } = useLanguage();
+  if (seasons.length < 2) return null;
+
+  return (
+    <Form.Select
+      size="sm"
+      className={className}
+      style={{ width: "auto" }}
+      value={value ?? ""}
+      onChange={(e) => onChange(Number(e.target.value))}
+      aria-label={t("seasons.select")}
+    >
+      {seasons.map((season) => (
+        <option key={season} value={season}>
+          {t("seasons.season")} {season}
+          {archivedSeasons.includes(season) ? ` — ${t("seasons.archived")}` : ""}
+        </option>
+      ))}
+    </Form.Select>
+  );
+}
+
+SeasonSelect.propTypes = {
+  seasons: PropTypes.arrayOf(PropTypes.number).isRequired,
+  archivedSeasons: PropTypes.arrayOf(PropTypes.number).isRequired,
+  value: PropTypes.number,
+  onChange: PropTypes.func.isRequired,
+  className: PropTypes.string,
+};
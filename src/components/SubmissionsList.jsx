@@ -1,6 +1,7 @@
 /**
  * @file SubmissionsList.jsx
  * Displays race lineup submissions with team logos and responsive layout.
+ * Lineups stay sealed until the late window of the race's last deadline closes.
  */
 import React, { useState, useEffect } from "react";
 import PropTypes from "prop-types";
@@ -14,6 +15,9 @@ import { db } from "../services/firebase";
 import { DRIVER_TEAM, TEAM_LOGOS } from "../constants/racing";
 import { useTheme } from "../contexts/ThemeContext";
 import { useLanguage } from "../hooks/useLanguage";
+import { useLeague } from "../hooks/useLeague";
+import { submissionsPath } from "../utils/leaguePaths";
+import { submissionsRevealAt } from "../utils/scoringEngine";
 import { error } from "../utils/logger";
 
 // Use centralized constants
@@ -53,20 +57,23 @@ DriverCell.propTypes = {
  * Displays submitted race lineups with responsive mobile/desktop layouts.
  * @param {Object} props - Component props
  * @param {string} props.raceId - Selected race ID
+ * @param {Object} [props.race] - Selected race data (deadlines, see submissionsRevealAt)
  * @param {boolean} props.hasSprint - Whether race has a sprint
  * @param {number} props.refresh - Timestamp to force reload
  * @returns {JSX.Element} Submissions list
  */
-function SubmissionsList({ raceId, hasSprint, refresh }) {
+function SubmissionsList({ raceId, race, hasSprint, refresh }) {
   const { isDark } = useTheme();
   const { t } = useLanguage();
+  const { currentLeagueId } = useLeague();
   const [subs,    setSubs] = useState([]);
   const [loading, setLoad] = useState(true);
   const [error,   setErr ] = useState(null);
+  const sealed = Boolean(race) && Date.now() < submissionsRevealAt(race);
 
   // Fetch submissions from Firestore
   useEffect(() => {
-    if (!raceId) {
+    if (!raceId || sealed) {
       setSubs([]);
       setLoad(false);
       return;
@@ -77,7 +84,7 @@ function SubmissionsList({ raceId, hasSprint, refresh }) {
       setErr(null);
       try {
         const q = query(
-          collection(db, "races", raceId, "submissions"),
+          collection(db, submissionsPath(currentLeagueId, raceId)),
           orderBy("user")
         );
         const snap = await getDocs(q);
@@ -89,7 +96,7 @@ function SubmissionsList({ raceId, hasSprint, refresh }) {
         setLoad(false);
       }
     })();
-  }, [raceId, refresh]);
+  }, [raceId, sealed, refresh, currentLeagueId]);
 
   // Loading state
   if (loading)
@@ -104,6 +111,9 @@ function SubmissionsList({ raceId, hasSprint, refresh }) {
   if (error)
     return <Alert variant="danger" className="mt-4">{error}</Alert>;
 
+  if (sealed)
+    return <Alert variant="warning" className="mt-4">🔒 {t("formations.othersSealed")}</Alert>;
+
   if (!subs.length)
     return (
       <Alert variant="info" className="mt-4">
@@ -258,6 +268,10 @@ function SubmissionsList({ raceId, hasSprint, refresh }) {
 
 SubmissionsList.propTypes = {
   raceId: PropTypes.string,
+  race: PropTypes.shape({
+    qualiUTC: PropTypes.object,
+    qualiSprintUTC: PropTypes.object,
+  }),
   hasSprint: PropTypes.bool,
   refresh: PropTypes.number,
 };
@@ -8,6 +8,7 @@
  */
 
 import f1DataResolver from '../services/f1DataResolver.js';
+import { LATE_SUBMISSION_WINDOW_MINUTES } from '../utils/scoringEngine';
 
 /* ==================== DRIVERS ==================== */
 export const DRIVERS = [
@@ -126,8 +127,8 @@ export const TIME_CONSTANTS = {
   // Minutes of grace period after race to submit results
   GRACE_PERIOD_MINUTES: 90,
 
-  // Late submission window (in minutes after deadline)
-  LATE_SUBMISSION_WINDOW_MINUTES: 10,
+  // Late submission window (in minutes after deadline), shared with the Cloud Functions
+  LATE_SUBMISSION_WINDOW_MINUTES,
 
   // Late submission penalty
   LATE_SUBMISSION_PENALTY: -3,
@@ -1,7 +1,11 @@
 /**
  * @file AuthContext.jsx
  * Provides authentication context with Firebase Auth integration.
- * Supports Email/Password and Google Sign-In with persistent sessions.
+ * Supports Email/Password and Google Sign-In with persistent sessions. The admin claim is
+ * re-read when claimsRefresh/{uid} changes (setAdminClaim callable), without a new login.
+ * A new account has no ranking entry: it files a join request for the main league
+ * (joinRequests/main_{uid}) and joinStatus follows it until an admin approves it.
+ * A rejected request can be filed again (requestJoinAgain).
  */
 import React, { createContext, useContext, useState, useEffect, useCallback, useRef } from "react";
 import PropTypes from "prop-types";
@@ -14,18 +18,47 @@ import {
   signOut,
   sendPasswordResetEmail,
 } from "firebase/auth";
-import { doc, getDoc, setDoc, Timestamp, collection, query, where, getDocs } from "firebase/firestore";
+import {
+  doc,
+  getDoc,
+  setDoc,
+  onSnapshot,
+  Timestamp,
+  serverTimestamp,
+  collection,
+  query,
+  where,
+  getDocs,
+} from "firebase/firestore";
+import { auth, db } from "../services/firebase";
+import { DEFAULT_LEAGUE_ID } from "../utils/leaguePaths";
 
-const DEFAULT_RANKING = {
-  puntiTotali: 0,
-  jolly: 0,
-  usedLateSubmission: false,
-  pointsByRace: {},
-  championshipPiloti: [],
-  championshipCostruttori: [],
-  championshipPts: 0,
+/**
+ * Join status of a request document (an approved request means a ranking entry)
+ * @param {Object|undefined} request - joinRequests document data
+ * @returns {string|null} "member", "pending", "rejected" or null
+ */
+const joinStatusOf = (request) => {
+  if (!request) return null;
+  return request.status === "approved" ? "member" : request.status;
 };
-import { auth, db } from "../services/firebase";
+
+/**
+ * Writes a pending join request for the main league (new, or replacing a rejected one)
+ * @param {string} uid - User ID
+ * @param {string} nickname - Name shown to the admins
+ * @param {string|null} email - Email shown to the admins
+ * @returns {Promise<void>}
+ */
+const fileJoinRequest = (uid, nickname, email) =>
+  setDoc(doc(db, "joinRequests", `${DEFAULT_LEAGUE_ID}_${uid}`), {
+    leagueId: DEFAULT_LEAGUE_ID,
+    userId: uid,
+    name: nickname,
+    email: email ?? null,
+    status: "pending",
+    createdAt: serverTimestamp(),
+  });
 
 const AuthContext = createContext();
 
@@ -53,6 +86,7 @@ export function AuthProvider({ children }) {
   const [isAdmin, setIsAdmin] = useState(false);
   const [loading, setLoading] = useState(true);
   const [needsProfile, setNeedsProfile] = useState(false);
+  const [joinStatus, setJoinStatus] = useState(null); // "member", "pending", "rejected"
 
   // Ref to prevent onAuthStateChanged from interfering during registration
   const isRegistering = useRef(false);
@@ -81,25 +115,41 @@ export function AuthProvider({ children }) {
   }, []);
 
   /**
-   * Ensure ranking/{uid} exists. Creates it with defaults if missing.
+   * Files a join request for the main league when the user has no ranking entry.
+   * Members (ranking entry or spectator role in config/mainLeague) need none.
    */
-  const ensureRankingEntry = useCallback(async (uid, nickname) => {
+  const ensureJoinRequest = useCallback(async (uid, nickname, email) => {
     try {
-      const rankingDoc = await getDoc(doc(db, "ranking", uid));
-      if (!rankingDoc.exists()) {
-        await setDoc(doc(db, "ranking", uid), { name: nickname, ...DEFAULT_RANKING });
+      const requestRef = doc(db, "joinRequests", `${DEFAULT_LEAGUE_ID}_${uid}`);
+      const [rankingDoc, mainLeagueDoc] = await Promise.all([
+        getDoc(doc(db, "ranking", uid)),
+        getDoc(doc(db, "config", "mainLeague")),
+      ]);
+      if (rankingDoc.exists() || mainLeagueDoc.data()?.roles?.[uid] === "spectator") {
+        setJoinStatus("member");
+        return;
       }
+      const requestDoc = await getDoc(requestRef);
+      if (requestDoc.exists()) {
+        setJoinStatus(joinStatusOf(requestDoc.data()));
+        return;
+      }
+      await fileJoinRequest(uid, nickname, email);
+      setJoinStatus("pending");
     } catch {
-      // Non-critical: ranking entry will be created on next login
+      // Non-critical: the request is filed on next login
+      setJoinStatus(null);
     }
   }, []);
 
   /**
    * Check admin custom claim from ID token
+   * @param {import("firebase/auth").User} firebaseUser - Signed-in user
+   * @param {boolean} [forceRefresh] - Fetch a new token (claims changed server-side)
    */
-  const checkAdmin = useCallback(async (firebaseUser) => {
+  const checkAdmin = useCallback(async (firebaseUser, forceRefresh = false) => {
     try {
-      const tokenResult = await firebaseUser.getIdTokenResult();
+      const tokenResult = await firebaseUser.getIdTokenResult(forceRefresh);
       setIsAdmin(tokenResult.claims.admin === true);
     } catch {
       setIsAdmin(false);
@@ -117,7 +167,7 @@ export function AuthProvider({ children }) {
         if (!isRegistering.current) {
           const [profile] = await Promise.all([fetchProfile(firebaseUser), checkAdmin(firebaseUser)]);
           if (profile) {
-            await ensureRankingEntry(firebaseUser.uid, profile.nickname);
+            await ensureJoinRequest(firebaseUser.uid, profile.nickname, profile.email);
           }
         } else {
           await checkAdmin(firebaseUser);
@@ -126,11 +176,46 @@ export function AuthProvider({ children }) {
         setUserProfile(null);
         setIsAdmin(false);
         setNeedsProfile(false);
+        setJoinStatus(null);
       }
       setLoading(false);
     });
     return unsubscribe;
-  }, [fetchProfile, checkAdmin, ensureRankingEntry]);
+  }, [fetchProfile, checkAdmin, ensureJoinRequest]);
+
+  // Follow the join request until an admin approves it
+  const awaitingApproval = joinStatus === "pending" || joinStatus === "rejected";
+  useEffect(() => {
+    if (!user || !awaitingApproval) return undefined;
+    const unsubscribe = onSnapshot(
+      doc(db, "joinRequests", `${DEFAULT_LEAGUE_ID}_${user.uid}`),
+      (snap) => {
+        const status = joinStatusOf(snap.data());
+        if (status) setJoinStatus(status);
+      },
+      () => { /* Non-critical: the status is re-read at the next login */ }
+    );
+    return unsubscribe;
+  }, [user, awaitingApproval]);
+
+  // Refresh the token when an admin grants or revokes the claim of this user
+  useEffect(() => {
+    if (!user) return undefined;
+    let initial = true;
+    const unsubscribe = onSnapshot(
+      doc(db, "claimsRefresh", user.uid),
+      () => {
+        // The first snapshot is the current state: the token already carries it
+        if (initial) {
+          initial = false;
+          return;
+        }
+        checkAdmin(user, true);
+      },
+      () => { /* Non-critical: the claim applies at the next login */ }
+    );
+    return unsubscribe;
+  }, [user, checkAdmin]);
 
   /**
    * Login with email and password
@@ -203,7 +288,7 @@ export function AuthProvider({ children }) {
         createdAt: Timestamp.now(),
       };
       await setDoc(doc(db, "users", cred.user.uid), profile);
-      await ensureRankingEntry(cred.user.uid, nickname);
+      await ensureJoinRequest(cred.user.uid, nickname, email);
       setUserProfile(profile);
       setNeedsProfile(false);
       return cred.user;
@@ -234,7 +319,7 @@ export function AuthProvider({ children }) {
       createdAt: Timestamp.now(),
     };
     await setDoc(doc(db, "users", user.uid), profile);
-    await ensureRankingEntry(user.uid, nickname);
+    await ensureJoinRequest(user.uid, nickname, user.email);
     setUserProfile(profile);
     setNeedsProfile(false);
   };
@@ -255,6 +340,16 @@ export function AuthProvider({ children }) {
     setUserProfile(null);
     setIsAdmin(false);
     setNeedsProfile(false);
+    setJoinStatus(null);
+  };
+
+  /**
+   * Files the join request again after a rejection
+   * @returns {Promise<void>}
+   */
+  const requestJoinAgain = async () => {
+    await fileJoinRequest(user.uid, userProfile?.nickname ?? user.displayName, userProfile?.email ?? user.email);
+    setJoinStatus("pending");
   };
 
   /**
@@ -271,6 +366,8 @@ export function AuthProvider({ children }) {
     isAdmin,
     loading,
     needsProfile,
+    joinStatus,
+    requestJoinAgain,
     login,
     loginWithGoogle,
     register,
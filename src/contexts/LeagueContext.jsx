@@ -0,0 +1,128 @@
+/**
+ * @file LeagueContext.jsx
+ * @description League context: the leagues of the current user and the selected one.
+ * Every account belongs to the main league; admins see every league. The selection is
+ * persisted across sessions and scopes ranking, submissions and snapshots (utils/leaguePaths).
+ * Also resolves the role of the user in the selected league (utils/leagueRoles).
+ */
+
+import React, { createContext, useState, useEffect, useCallback } from "react";
+import PropTypes from "prop-types";
+import { collection, doc, getDoc, getDocs, query, where } from "firebase/firestore";
+import { db } from "../services/firebase";
+import { useAuth } from "../hooks/useAuth";
+import { DEFAULT_LEAGUE_ID, leagueDocPath } from "../utils/leaguePaths";
+import { hasLeaguePermission, resolveLeagueRole, STAFF_PERMISSIONS } from "../utils/leagueRoles";
+import { error } from "../utils/logger";
+
+const STORAGE_KEY = "fanta-f1-league";
+
+/** Main league entry (root collections, no league document) */
+const MAIN_LEAGUE = { id: DEFAULT_LEAGUE_ID, name: null, ownerId: null, inviteCode: null, roles: {}, joinPolicy: null, bonusQuestions: null };
+
+/**
+ * League context
+ * @type {React.Context}
+ */
+// eslint-disable-next-line react-refresh/only-export-components
+export const LeagueContext = createContext(undefined);
+
+function getSavedLeagueId() {
+  try {
+    return localStorage.getItem(STORAGE_KEY) || DEFAULT_LEAGUE_ID;
+  } catch {
+    return DEFAULT_LEAGUE_ID;
+  }
+}
+
+/**
+ * League provider component
+ * @param {Object} props - Component props
+ * @param {React.ReactNode} props.children - Child components
+ * @returns {JSX.Element} Provider component
+ */
+export const LeagueProvider = ({ children }) => {
+  const { user, isAdmin } = useAuth();
+  const [leagues, setLeagues] = useState([MAIN_LEAGUE]);
+  const [currentLeagueId, setCurrentLeagueId] = useState(getSavedLeagueId);
+  const [loadedUid, setLoadedUid] = useState(null); // user whose leagues and roles are loaded
+
+  /**
+   * Reloads the leagues of the current user (all of them for admins)
+   * @returns {Promise<void>}
+   */
+  const refreshLeagues = useCallback(async () => {
+    if (!user) {
+      setLeagues([MAIN_LEAGUE]);
+      return;
+    }
+    try {
+      const leaguesRef = collection(db, "leagues");
+      const [snap, mainSnap] = await Promise.all([
+        getDocs(isAdmin ? leaguesRef : query(leaguesRef, where("members", "array-contains", user.uid))),
+        getDoc(doc(db, leagueDocPath(DEFAULT_LEAGUE_ID))),
+      ]);
+      const others = snap.docs
+        .map((d) => ({ id: d.id, ...d.data() }))
+        .sort((a, b) => a.name.localeCompare(b.name));
+      setLeagues([{
+        ...MAIN_LEAGUE,
+        roles: mainSnap.data()?.roles || {},
+        joinPolicy: mainSnap.data()?.joinPolicy ?? null,
+        bonusQuestions: mainSnap.data()?.bonusQuestions ?? null,
+      }, ...others]);
+    } catch (err) {
+      error(err);
+      setLeagues([MAIN_LEAGUE]);
+    } finally {
+      setLoadedUid(user.uid);
+    }
+  }, [user, isAdmin]);
+
+  useEffect(() => { refreshLeagues(); }, [refreshLeagues]);
+
+  /**
+   * Selects a league and remembers it
+   * @param {string} leagueId - League identifier
+   */
+  const selectLeague = useCallback((leagueId) => {
+    setCurrentLeagueId(leagueId);
+    try { localStorage.setItem(STORAGE_KEY, leagueId); } catch { /* ignore */ }
+  }, []);
+
+  const loadingLeagues = Boolean(user) && loadedUid !== user.uid;
+  const mainLeague = leagues[0];
+  // A league the user no longer sees (left, deleted, other account) falls back to main
+  const currentLeague = leagues.find((l) => l.id === currentLeagueId) || mainLeague;
+
+  const roles = {
+    main: resolveLeagueRole({ userId: user?.uid, isAdmin, leagueId: DEFAULT_LEAGUE_ID, league: mainLeague }),
+    league: resolveLeagueRole({ userId: user?.uid, isAdmin, leagueId: currentLeague.id, league: currentLeague }),
+  };
+
+  /**
+   * Whether the user may perform an action in the selected league
+   * @param {string} permission - Permission key (see ROLE_PERMISSIONS)
+   * @returns {boolean} True when allowed
+   */
+  const hasPermission = (permission) => hasLeaguePermission(roles, permission);
+
+  const value = {
+    leagues,
+    currentLeague,
+    currentLeagueId: currentLeague.id,
+    isMainLeague: currentLeague.id === DEFAULT_LEAGUE_ID,
+    loadingLeagues,
+    leagueRole: roles.league,
+    hasPermission,
+    isStaff: STAFF_PERMISSIONS.some(hasPermission),
+    selectLeague,
+    refreshLeagues,
+  };
+
+  return <LeagueContext.Provider value={value}>{children}</LeagueContext.Provider>;
+};
+
+LeagueProvider.propTypes = {
+  children: PropTypes.node.isRequired,
+};
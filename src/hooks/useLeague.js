@@ -0,0 +1,21 @@
+/**
+ * @file useLeague.js
+ * @description Hook to access league context
+ */
+
+import { useContext } from "react";
+import { LeagueContext } from "../contexts/LeagueContext";
+
+/**
+ * Hook to use league context
+ * @returns {Object} League context value with leagues, currentLeagueId, currentLeague, loadingLeagues, leagueRole,
+ *   hasPermission, isStaff, selectLeague, refreshLeagues
+ * @throws {Error} If used outside LeagueProvider
+ */
+export const useLeague = () => {
+  const context = useContext(LeagueContext);
+  if (!context) {
+    throw new Error("useLeague must be used within a LeagueProvider");
+  }
+  return context;
+};
@@ -0,0 +1,49 @@
+/**
+ * @file useScoringRules.js
+ * @description Hooks returning the scoring config / the ruleset active for a season.
+ * Start from the defaults and swap in the configured version once loaded.
+ */
+
+import { useState, useEffect } from "react";
+import { getScoringRulesForSeason, loadScoringConfig } from "../services/scoringRules";
+import { normalizeScoringRules } from "../utils/scoringEngine";
+import { error } from "../utils/logger";
+
+/**
+ * Hook for the scoring ruleset of a season.
+ * @param {number|null} season - Season year (null → current year)
+ * @returns {Object} Complete ruleset
+ */
+export function useScoringRules(season) {
+  const [rules, setRules] = useState(() => normalizeScoringRules());
+  const targetSeason = season ?? new Date().getUTCFullYear();
+
+  useEffect(() => {
+    let active = true;
+    getScoringRulesForSeason(targetSeason)
+      .then((resolved) => { if (active) setRules(resolved); })
+      .catch((err) => error("Error loading scoring rules:", err));
+    return () => { active = false; };
+  }, [targetSeason]);
+
+  return rules;
+}
+
+/**
+ * Hook for the whole scoring config, for views spanning several seasons.
+ * Resolve per race with resolveScoringRules(config, getSeasonFromRace(race)).
+ * @returns {Object} Scoring config ({ seasons })
+ */
+export function useScoringConfig() {
+  const [config, setConfig] = useState({ seasons: {} });
+
+  useEffect(() => {
+    let active = true;
+    loadScoringConfig()
+      .then((loaded) => { if (active) setConfig(loaded); })
+      .catch((err) => error("Error loading scoring config:", err));
+    return () => { active = false; };
+  }, []);
+
+  return config;
+}
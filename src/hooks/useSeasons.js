@@ -0,0 +1,37 @@
+/**
+ * @file useSeasons.js
+ * @description Hook returning the browsable seasons: the open season first, then the
+ * archived ones (see services/seasonService).
+ */
+
+import { useState, useEffect } from "react";
+import { loadSeasonIndex } from "../services/seasonService";
+import { error } from "../utils/logger";
+
+/**
+ * Hook for the season index
+ * @returns {{ seasons: Array<number>, openSeason: number|null, archived: Array<Object>,
+ *   archivedSeasons: Array<number>, loading: boolean }} Seasons, newest first
+ */
+export function useSeasons() {
+  const [index, setIndex] = useState({
+    seasons: [], openSeason: null, archived: [], archivedSeasons: [], loading: true,
+  });
+
+  useEffect(() => {
+    let active = true;
+    loadSeasonIndex()
+      .then((loaded) => {
+        if (active) {
+          setIndex({ ...loaded, archivedSeasons: loaded.archived.map((a) => a.season), loading: false });
+        }
+      })
+      .catch((err) => {
+        error("Error loading seasons:", err);
+        if (active) setIndex((prev) => ({ ...prev, loading: false }));
+      });
+    return () => { active = false; };
+  }, []);
+
+  return index;
+}
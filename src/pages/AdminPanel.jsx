@@ -1,11 +1,14 @@
 /**
  * @file AdminPanel.jsx
  * @description Admin panel with tabbed interface for managing the fantasy league.
- * Clean, professional design with consistent styling across all tabs.
+ * Clean, professional design with consistent styling across all tabs. Each tab requires a
+ * permission of the user's role in the selected league (utils/leagueRoles); the join request
+ * queue exists only in the main league (private leagues are joined by invite code).
  */
 
-import React, { useState, useEffect } from "react";
+import React, { useState, useEffect, useCallback } from "react";
 import {
+  Badge,
   Container,
   Spinner,
 } from "react-bootstrap";
@@ -16,37 +19,54 @@ import {
 import { db } from "../services/firebase";
 import { useLanguage } from "../hooks/useLanguage";
 import { useTheme } from "../contexts/ThemeContext";
+import { useLeague } from "../hooks/useLeague";
+import { rankingPath } from "../utils/leaguePaths";
 import { error } from "../utils/logger";
 import ParticipantsManager from "./admin/ParticipantsManager";
+import JoinRequestsManager from "./admin/JoinRequestsManager";
 import FormationsManager from "./admin/FormationsManager";
 import ChampionshipManager from "./admin/ChampionshipManager";
 import CalendarManager from "./admin/CalendarManager";
+import PropsManager from "./admin/PropsManager";
 import DatabaseReset from "./admin/DatabaseReset";
+import ScoringManager from "./admin/ScoringManager";
+import SeasonManager from "./admin/SeasonManager";
+import AuditLogViewer from "./admin/AuditLogViewer";
 
 const TABS = [
-  { key: "participants", icon: "👥" },
-  { key: "formations", icon: "📝" },
-  { key: "championship", icon: "🏆" },
-  { key: "calendar", icon: "📅" },
-  { key: "database", icon: "💾" },
+  { key: "participants", icon: "👥", permission: "participants" },
+  { key: "requests", icon: "📥", permission: "participants", mainLeagueOnly: true },
+  { key: "formations", icon: "📝", permission: "formations" },
+  { key: "championship", icon: "🏆", permission: "formations" },
+  { key: "calendar", icon: "📅", permission: "settings" },
+  { key: "props", icon: "❓", permission: "settings" },
+  { key: "scoring", icon: "🎯", permission: "settings" },
+  { key: "season", icon: "🗄️", permission: "settings" },
+  { key: "database", icon: "💾", permission: "settings" },
+  { key: "audit", icon: "🧾", permission: "settings" },
 ];
 
 export default function AdminPanel() {
   const { t } = useLanguage();
   const { isDark } = useTheme();
-  const [activeTab, setActiveTab] = useState("participants");
+  const [selectedTab, setSelectedTab] = useState("participants");
+  const { currentLeague, currentLeagueId, isMainLeague, leagueRole, hasPermission } = useLeague();
+
+  // Switching to a league with a lower role falls back to the first tab still allowed
+  const tabs = TABS.filter((tab) => hasPermission(tab.permission) && (isMainLeague || !tab.mainLeagueOnly));
+  const activeTab = tabs.some((tab) => tab.key === selectedTab) ? selectedTab : tabs[0]?.key;
 
   const [sharedParticipants, setSharedParticipants] = useState([]);
+  const [sharedSpectators, setSharedSpectators] = useState([]);
   const [sharedRaces, setSharedRaces] = useState([]);
   const [loadingShared, setLoadingShared] = useState(false);
 
-  useEffect(() => { loadSharedData(); }, []);
-
-  const loadSharedData = async () => {
+  // Participants, formations and resets work on the selected league
+  const loadSharedData = useCallback(async () => {
     setLoadingShared(true);
     try {
       const [partSnap, racesSnap, usersSnap] = await Promise.all([
-        getDocs(collection(db, "ranking")),
+        getDocs(collection(db, rankingPath(currentLeagueId))),
         getDocs(collection(db, "races")),
         getDocs(collection(db, "users")),
       ]);
@@ -67,10 +87,22 @@ export default function AdminPanel() {
               ...d.data(),
               email: userInfo?.email || null,
               authProvider: userInfo?.provider || null,
+              hasAccount: Boolean(userInfo),
             };
           })
           .sort((a, b) => a.name.localeCompare(b.name))
       );
+      // Spectators have no ranking document: list them from the roles of the league
+      setSharedSpectators(
+        Object.entries(currentLeague.roles || {})
+          .filter(([, role]) => role === "spectator")
+          .map(([uid]) => ({
+            id: uid,
+            name: usersById[uid]?.nickname || uid,
+            email: usersById[uid]?.email || null,
+          }))
+          .sort((a, b) => a.name.localeCompare(b.name))
+      );
       setSharedRaces(
         racesSnap.docs.map((d) => ({ id: d.id, ...d.data() })).sort((a, b) => a.round - b.round)
       );
@@ -79,14 +111,21 @@ export default function AdminPanel() {
     } finally {
       setLoadingShared(false);
     }
-  };
+  }, [currentLeagueId, currentLeague.roles]);
+
+  useEffect(() => { loadSharedData(); }, [loadSharedData]);
 
   const tabLabels = {
     participants: t("admin.participants"),
+    requests: t("joinRequests.tab"),
     formations: t("admin.formations"),
     championship: t("admin.championship"),
     calendar: t("admin.calendar"),
+    props: t("props.tab"),
+    scoring: t("admin.scoring"),
+    season: t("admin.season"),
     database: t("admin.database"),
+    audit: t("admin.audit"),
   };
 
   const borderColor = isDark ? "var(--border-color)" : "#dee2e6";
@@ -94,9 +133,15 @@ export default function AdminPanel() {
   return (
     <Container className="py-3 px-2 px-sm-3" style={{ maxWidth: 900 }}>
       {/* Header */}
-      <h5 className="fw-bold mb-3" style={{ color: "var(--text-primary)" }}>
+      <h5 className="fw-bold mb-1" style={{ color: "var(--text-primary)" }}>
         {t("admin.title")}
       </h5>
+      <p className="small text-muted mb-3">
+        {t("leagues.adminScope", { name: currentLeague.name ?? t("leagues.mainLeague") })}
+        <Badge bg="secondary" className="ms-2" style={{ fontSize: "0.65rem", verticalAlign: "middle" }}>
+          {t(`roles.${leagueRole}`)}
+        </Badge>
+      </p>
 
       {/* Tab bar — pill-style, horizontally scrollable on mobile */}
       <div
@@ -107,12 +152,12 @@ export default function AdminPanel() {
           borderBottom: `2px solid ${borderColor}`,
         }}
       >
-        {TABS.map(({ key, icon }) => {
+        {tabs.map(({ key, icon }) => {
           const isActive = activeTab === key;
           return (
             <button
               key={key}
-              onClick={() => setActiveTab(key)}
+              onClick={() => setSelectedTab(key)}
               className="btn btn-sm flex-shrink-0"
               style={{
                 backgroundColor: isActive ? "var(--accent-red)" : "transparent",
@@ -139,7 +184,15 @@ export default function AdminPanel() {
       ) : (
         <>
           {activeTab === "participants" && (
-            <ParticipantsManager participants={sharedParticipants} loading={loadingShared} onDataChange={loadSharedData} />
+            <ParticipantsManager
+              participants={sharedParticipants}
+              spectators={sharedSpectators}
+              loading={loadingShared}
+              onDataChange={loadSharedData}
+            />
+          )}
+          {activeTab === "requests" && (
+            <JoinRequestsManager participants={sharedParticipants} loading={loadingShared} onDataChange={loadSharedData} />
           )}
           {activeTab === "formations" && (
             <FormationsManager participants={sharedParticipants} races={sharedRaces} loading={loadingShared} onDataChange={loadSharedData} />
@@ -150,9 +203,19 @@ export default function AdminPanel() {
           {activeTab === "calendar" && (
             <CalendarManager races={sharedRaces} loading={loadingShared} onDataChange={loadSharedData} />
           )}
+          {activeTab === "props" && (
+            <PropsManager races={sharedRaces} loading={loadingShared} onDataChange={loadSharedData} />
+          )}
+          {activeTab === "scoring" && (
+            <ScoringManager races={sharedRaces} loading={loadingShared} />
+          )}
+          {activeTab === "season" && (
+            <SeasonManager races={sharedRaces} loading={loadingShared} onDataChange={loadSharedData} />
+          )}
           {activeTab === "database" && (
             <DatabaseReset participants={sharedParticipants} races={sharedRaces} onDataChange={loadSharedData} />
           )}
+          {activeTab === "audit" && <AuditLogViewer />}
         </>
       )}
     </Container>
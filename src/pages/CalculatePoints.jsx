@@ -1,29 +1,42 @@
 /**
  * @file CalculatePoints.jsx
  * @description Admin panel for calculating race and championship points
- * Handles both race results entry and points calculation with automatic F1 API fetching
+ * Handles both race results entry and points calculation with automatic F1 API fetching.
+ * Scoring runs in Cloud Functions; their progress is shown while the calculation runs.
+ * Every calculation is first run as a dry run and its diff confirmed by the admin.
+ * A scored race can be rolled back on its own, without touching the other races.
  */
 
 import React, { useEffect, useState, useRef } from "react";
 import {
   Card, Form, Button, Alert, Spinner, Container,
-  Row, Col, Badge, Tab, Nav, Table
+  Row, Col, Badge, Tab, Nav, Table, ProgressBar, Modal
 } from "react-bootstrap";
 import {
   collection, query, orderBy, getDocs,
-  doc, setDoc, getDoc, Timestamp
+  doc, getDoc
 } from "firebase/firestore";
 import { db } from "../services/firebase";
-import { isLastRace, calculatePointsForRace } from "../services/pointsCalculator";
-import { calculateChampionshipPoints } from "../services/championshipPointsCalculator";
-import { saveRankingSnapshot } from "../services/rankingSnapshot";
+import {
+  isLastRace, calculatePointsForRace, previewPointsForRace, rollbackPointsForRace
+} from "../services/pointsCalculator";
+import { calculateChampionshipPoints, previewChampionshipPoints } from "../services/championshipPointsCalculator";
 import { fetchRaceResults } from "../services/f1ResultsFetcher";
+import { fetchBonusAnswers } from "../services/f1SessionsFetcher";
 import { createAndSaveBackup } from "../services/backupService";
-import { DRIVERS, CONSTRUCTORS, DRIVER_TEAM, TEAM_LOGOS, POINTS } from "../constants/racing";
+import { DRIVERS, CONSTRUCTORS, DRIVER_TEAM, TEAM_LOGOS } from "../constants/racing";
+import {
+  BONUS_QUESTIONS,
+  DRIVER_BONUS_QUESTIONS,
+  normalizeRaceMultiplier,
+} from "../utils/scoringEngine";
 import RaceHistoryCard from "../components/RaceHistoryCard";
+import ScoringPreviewModal from "../components/ScoringPreviewModal";
 import Select from "react-select";
 import { useLanguage } from "../hooks/useLanguage";
 import { useTimezone } from "../hooks/useTimezone";
+import { useLeague } from "../hooks/useLeague";
+import { rankingPath, submissionsPath } from "../utils/leaguePaths";
 import { error } from "../utils/logger";
 import "../styles/customSelect.css";
 
@@ -32,10 +45,6 @@ const drivers = DRIVERS;
 const constructors = CONSTRUCTORS;
 const driverTeam = DRIVER_TEAM;
 const teamLogos = TEAM_LOGOS;
-const PTS_MAIN = POINTS.MAIN;
-const PTS_SPRINT = POINTS.SPRINT;
-const BONUS_JOLLY_MAIN = POINTS.BONUS_JOLLY_MAIN;
-const BONUS_JOLLY_SPRINT = POINTS.BONUS_JOLLY_SPRINT;
 
 /**
  * Deadline status badge component
@@ -60,6 +69,32 @@ const DoubleBadge = ({ t }) => (
   <Badge bg="warning" text="dark">{t("calculate.doublePoints")}</Badge>
 );
 
+/** Translation keys of the steps reported by the scoring functions */
+const STEP_LABELS = {
+  loading: "calculate.stepLoading",
+  scoring: "calculate.stepScoring",
+  saving:  "calculate.stepSaving",
+  done:    "calculate.stepDone",
+};
+
+/**
+ * Progress of a scoring job (step label + bar)
+ * @param {Object} props - Component props
+ * @param {Object|null} props.job - Progress document ({ step, progress })
+ * @param {Function} props.t - Translation function
+ * @returns {JSX.Element|null} Progress bar
+ */
+const JobProgress = ({ job, t }) => {
+  if (!job) return null;
+  const label = STEP_LABELS[job.step] ? t(STEP_LABELS[job.step]) : "";
+  return (
+    <div style={{ width: 260 }} className="mt-3">
+      <ProgressBar now={job.progress ?? 0} variant="danger" animated striped />
+      <small className="d-block text-center mt-1">{label}</small>
+    </div>
+  );
+};
+
 /**
  * Helper to create driver option with logo
  * @param {string} d - Driver name
@@ -91,6 +126,9 @@ const asConstructorOpt = c => ({
 const driverOptions      = drivers.map(asDriverOpt);
 const constructorOptions = constructors.map(asConstructorOpt);
 
+/** Empty official answers of the bonus questions (driver options, dnfCount as typed) */
+const EMPTY_BONUS = { pole:null, fastestLap:null, dnfCount:"", firstRetirement:null };
+
 /**
  * Component to display driver name with team logo
  * @param {Object} props - Component props
@@ -121,6 +159,7 @@ const DriverWithLogo = ({ name }) => {
  */
 function CalculatePointsContent() {
   const { t } = useLanguage();
+  const { currentLeagueId } = useLeague();
   const { timezone } = useTimezone();
   const [activeTab, setActiveTab] = useState("race");
   const previewRef = useRef(null);
@@ -131,17 +170,18 @@ function CalculatePointsContent() {
   const [loadingRace, setLoadingRace] = useState(true);
   const [savingRace,  setSavingRace]  = useState(false);
   const [msgRace,     setMsgRace]     = useState(null);
+  const [raceJob,     setRaceJob]     = useState(null);
   const [fetchingResults, setFetchingResults] = useState(false);
 
   const [formRace, setFormRace] = useState({
     P1:null,P2:null,P3:null, SP1:null,SP2:null,SP3:null
   });
+  const [formBonus, setFormBonus] = useState(EMPTY_BONUS);
+  const [formProps, setFormProps] = useState({}); // propId → index of the right answer
 
   // Preview state
-  const [official,  setOfficial]   = useState(null);
   const [subs,      setSubs]       = useState([]);
   const [loadingSubs, setLoadingSubs] = useState(true);
-  const [rankingMap,setRankingMap] = useState({});
   const [errSubs,   setErrSubs]    = useState(null);
 
   // Championship state
@@ -150,6 +190,15 @@ function CalculatePointsContent() {
   });
   const [savingChamp,setSavingChamp]=useState(false);
   const [msgChamp,setMsgChamp]     = useState(null);
+  const [champJob,setChampJob]     = useState(null);
+
+  /* ---------- dry-run preview ---------- */
+  const [preview, setPreview]       = useState(null); // { scope, title, rows }
+  const [previewing, setPreviewing] = useState(false);
+
+  /* ---------- single race rollback ---------- */
+  const [showRollback, setShowRollback] = useState(false);
+  const [rollingBack,  setRollingBack]  = useState(false);
 
   /**
    * Load race list (selects first race not yet calculated)
@@ -191,21 +240,15 @@ useEffect(() => {
     (async()=>{
       setLoadingSubs(true); setErrSubs(null);
       try{
-        // Load user mapping once
-        if(!Object.keys(rankingMap).length){
-          const mapSnap = await getDocs(collection(db,"ranking"));
-          const map={}; mapSnap.docs.forEach(d=>{map[d.id]=d.data().name;});
-          setRankingMap(map);
-        }
-        // Official results
-        const rDoc = await getDoc(doc(db,"races",race.id));
-        setOfficial(rDoc.data().officialResults ?? null);
+        // Load user mapping of the selected league
+        const mapSnap = await getDocs(collection(db,rankingPath(currentLeagueId)));
+        const map={}; mapSnap.docs.forEach(d=>{map[d.id]=d.data().name;});
         // Submissions
-        const sSnap= await getDocs(collection(db,"races",race.id,"submissions"));
+        const sSnap= await getDocs(collection(db,submissionsPath(currentLeagueId,race.id)));
         const arr  = sSnap.docs.map(d=>({id:d.id,...d.data()}));
         arr.sort((a,b)=>(
-          (a.user||rankingMap[a.id]||a.id).localeCompare(
-          (b.user||rankingMap[b.id]||b.id),"it")
+          (a.user||map[a.id]||a.id).localeCompare(
+          (b.user||map[b.id]||b.id),"it")
         ));
         setSubs(arr);
       // eslint-disable-next-line no-unused-vars
@@ -213,7 +256,7 @@ useEffect(() => {
       finally   { setLoadingSubs(false); }
     })();
   // eslint-disable-next-line react-hooks/exhaustive-deps
-  },[race]);
+  },[race, currentLeagueId]);
 
   // Race submission validation helpers
   const nowMS = Date.now();
@@ -222,8 +265,10 @@ useEffect(() => {
   const hasSprint   = Boolean(race?.qualiSprintUTC);
   const sprintFilled= !hasSprint || (formRace.SP1&&formRace.SP2&&formRace.SP3);
   const isLast      = isLastRace(races,race?.id);
+  const adminMultiplier = normalizeRaceMultiplier(race?.multiplier);
   const canSubmitRace = allowedRace && mainFilled && sprintFilled && !savingRace;
   const onSelRace = (sel,f)=>setFormRace(s=>({...s,[f]:sel}));
+  const onBonus = (value,q)=>setFormBonus(s=>({...s,[q]:value}));
 
 /**
  * Auto-fetch race results from F1 API when race changes
@@ -238,16 +283,23 @@ useEffect(() => {
     // Read race document from database
     const snap = await getDoc(doc(db, "races", race.id));
     const off  = snap.exists() ? snap.data().officialResults ?? null : null;
-    setOfficial(off);
+    setFormProps(off?.props ?? {});
 
     // Helper to convert driver name to select option
     const toOpt = name =>
       name
         ? driverOptions.find(o => o.value === name) || { value: name, label: name }
         : null;
+    const toBonusForm = answers => ({
+      pole: toOpt(answers?.pole),
+      fastestLap: toOpt(answers?.fastestLap),
+      dnfCount: answers?.dnfCount != null ? String(answers.dnfCount) : "",
+      firstRetirement: toOpt(answers?.firstRetirement),
+    });
 
     // If official results exist in DB, use them
     if (off) {
+      setFormBonus(toBonusForm(off.bonus));
       setFormRace({
         P1 : toOpt(off.P1),
         P2 : toOpt(off.P2),
@@ -268,6 +320,7 @@ useEffect(() => {
           P1:null, P2:null, P3:null,
           SP1:null, SP2:null, SP3:null
         });
+        setFormBonus(EMPTY_BONUS);
         setMsgRace({
           variant:"info",
           msg: t("calculate.raceNotFinished", "La gara non è ancora terminata. I risultati saranno disponibili dopo la fine della gara.")
@@ -282,7 +335,12 @@ useEffect(() => {
 
           setMsgRace({variant:"info", msg: t("calculate.fetchingFromAPI", { race: race.name }).replace("{race}", race.name)});
 
-          const apiResults = await fetchRaceResults(season, round);
+          const [apiResults, bonusAnswers] = await Promise.all([
+            fetchRaceResults(season, round),
+            // Bonus answers are optional: a failure leaves them empty
+            fetchBonusAnswers(season, round).catch(err => { error(err); return null; }),
+          ]);
+          setFormBonus(toBonusForm(bonusAnswers));
 
           if (apiResults) {
             // Pre-fill with API results
@@ -315,6 +373,7 @@ useEffect(() => {
             P1:null, P2:null, P3:null,
             SP1:null, SP2:null, SP3:null
           });
+          setFormBonus(EMPTY_BONUS);
           setMsgRace({
             variant:"warning",
             msg: t("calculate.apiError")
@@ -327,7 +386,7 @@ useEffect(() => {
 
     // Load submissions
     const subSnap = await getDocs(
-      collection(db, "races", race.id, "submissions")
+      collection(db, submissionsPath(currentLeagueId, race.id))
     );
     const arr = subSnap.docs.map(d => ({ id: d.id, ...d.data() }));
     setSubs(arr);
@@ -339,38 +398,83 @@ useEffect(() => {
     setFetchingResults(false);
   });
 // eslint-disable-next-line react-hooks/exhaustive-deps
-}, [race]);
+}, [race, currentLeagueId]);
 
-  const saveRace = async e=>{
-    e.preventDefault(); if(!canSubmitRace) return;
-    setSavingRace(true); setMsgRace(null);
+  /**
+   * Maps a calculation failure to the message shown to the admin:
+   * clean rollback, incomplete rollback or generic save error
+   */
+  const calculationErrorMsg = err=>{
+    if(err?.rolledBack === true) return t("calculate.rolledBack");
+    if(err?.rolledBack === false) return t("calculate.rollbackIncomplete",{id:err.calculationId});
+    return err?.message ? `${t("calculate.saveError")} ${err.message}` : t("calculate.saveError");
+  };
+
+  const raceResultsFromForm = ()=>({
+    P1:formRace.P1.value,P2:formRace.P2.value,P3:formRace.P3.value,
+    SP1:formRace.SP1?.value||null,SP2:formRace.SP2?.value||null,SP3:formRace.SP3?.value||null,
+    doublePoints:isLast,
+    bonus:{
+      pole:formBonus.pole?.value||null,
+      fastestLap:formBonus.fastestLap?.value||null,
+      dnfCount:formBonus.dnfCount===""?null:Number(formBonus.dnfCount),
+      firstRetirement:formBonus.firstRetirement?.value||null,
+    },
+    // Only the questions still on the race; unanswered ones stay unsettled
+    props:Object.fromEntries(
+      (race.props||[]).filter(p=>formProps[p.id]!=null).map(p=>[p.id,formProps[p.id]])
+    )
+  });
+
+  /** Dry run: shows what the calculation would change, nothing is written */
+  const previewRace = async e=>{
+    e.preventDefault(); if(!canSubmitRace || previewing) return;
+    setPreviewing(true); setMsgRace(null);
     try{
-      await setDoc(doc(db,"races",race.id),{
-        officialResults:{
-          P1:formRace.P1.value,P2:formRace.P2.value,P3:formRace.P3.value,
-          SP1:formRace.SP1?.value||null,SP2:formRace.SP2?.value||null,SP3:formRace.SP3?.value||null,
-          doublePoints:isLast,savedAt:Timestamp.now()
-        }},{merge:true});
-      setMsgRace({variant:"info",msg: t("calculate.resultsSaved")});
-      const res = await calculatePointsForRace(race.id);
-      await setDoc(
-        doc(db, "races", race.id),
-        { pointsCalculated: true },
-        { merge: true }
-      );
-      // Save ranking snapshot after calculation
-      await saveRankingSnapshot("race", race.id);
+      const rows = await previewPointsForRace(race.id, raceResultsFromForm());
+      setPreview({scope:"race",title:race.name,rows});
+    }catch(err){
+      error(err);
+      setMsgRace({variant:"danger",msg: calculationErrorMsg(err)});
+    }finally{ setPreviewing(false); }
+  };
+
+  /** Reloads the selected race and its submissions so RaceHistoryCard sees the new state */
+  const refreshRace = async ()=>{
+    const rDoc = await getDoc(doc(db,"races",race.id));
+    const updatedRaceData = rDoc.data();
+    const updatedRace = { ...race, ...updatedRaceData };
+    setRace(updatedRace);
+    setRaces(prev => prev.map(r => r.id === race.id ? updatedRace : r));
+    const sSnap= await getDocs(collection(db,submissionsPath(currentLeagueId,race.id)));
+    setSubs(sSnap.docs.map(d=>({id:d.id,...d.data()})));
+  };
+
+  /** Removes this race's points, jolly and snapshots; other races are untouched */
+  const rollbackRace = async ()=>{
+    setShowRollback(false);
+    setRollingBack(true); setMsgRace(null); setRaceJob(null);
+    try{
+      const res = await rollbackPointsForRace(race.id, setRaceJob);
+      setMsgRace({variant:"success",msg:res});
+      await refreshRace();
+    }catch(err){
+      error(err);
+      setMsgRace({variant:"danger",msg: calculationErrorMsg(err)});
+    }finally{ setRollingBack(false); setRaceJob(null); }
+  };
+
+  const saveRace = async ()=>{
+    setPreview(null);
+    setSavingRace(true); setMsgRace(null); setRaceJob(null);
+    try{
+      // The function saves the results, scores, ranking snapshots and marks the race in a single atomic commit
+      const res = await calculatePointsForRace(race.id, raceResultsFromForm(), setRaceJob);
       setMsgRace({variant:"success",msg:res});
       setFormRace({P1:null,P2:null,P3:null,SP1:null,SP2:null,SP3:null});
-      /* refresh preview — update race object so RaceHistoryCard sees officialResults */
-      const rDoc = await getDoc(doc(db,"races",race.id));
-      const updatedRaceData = rDoc.data();
-      setOfficial(updatedRaceData.officialResults ?? null);
-      const updatedRace = { ...race, ...updatedRaceData };
-      setRace(updatedRace);
-      setRaces(prev => prev.map(r => r.id === race.id ? updatedRace : r));
-      const sSnap= await getDocs(collection(db,"races",race.id,"submissions"));
-      setSubs(sSnap.docs.map(d=>({id:d.id,...d.data()})));
+      setFormBonus(EMPTY_BONUS);
+      setFormProps({});
+      await refreshRace();
       /* scroll alla lista */
       setTimeout(() => previewRef.current?.scrollIntoView({ behavior: "smooth", block: "start" }), 300);
 
@@ -386,8 +490,8 @@ useEffect(() => {
       });
     }catch(err){
       error(err);
-      setMsgRace({variant:"danger",msg: t("calculate.saveError")});
-    }finally{ setSavingRace(false); }
+      setMsgRace({variant:"danger",msg: calculationErrorMsg(err)});
+    }finally{ setSavingRace(false); setRaceJob(null); }
   };
 
   /* ---------------- CHAMPIONSHIP HANDLERS -------------- */
@@ -396,20 +500,30 @@ useEffect(() => {
   const championshipOpen = nowMS > lastRaceUTCms;
   const champReady = championshipOpen && Object.values(formChamp).every(Boolean) && !savingChamp;
 
-  const saveChamp = async e=>{
-    e.preventDefault(); if(!champReady) return;
-    setSavingChamp(true); setMsgChamp(null);
+  const champResultsFromForm = ()=>({
+    P1:formChamp.CP1.value,P2:formChamp.CP2.value,P3:formChamp.CP3.value,
+    C1:formChamp.CC1.value,C2:formChamp.CC2.value,C3:formChamp.CC3.value
+  });
+
+  /** Dry run: shows what the championship calculation would change, nothing is written */
+  const previewChamp = async e=>{
+    e.preventDefault(); if(!champReady || previewing) return;
+    setPreviewing(true); setMsgChamp(null);
     try{
-      await setDoc(doc(db,"championship","results"),{
-        P1:formChamp.CP1.value,P2:formChamp.CP2.value,P3:formChamp.CP3.value,
-        C1:formChamp.CC1.value,C2:formChamp.CC2.value,C3:formChamp.CC3.value,
-        savedAt:Timestamp.now()
-      },{merge:true});
-      setMsgChamp({variant:"info",msg: t("calculate.resultsSaved")});
-      // The function reads the results from Firestore (just saved above)
-      const res = await calculateChampionshipPoints();
-      // Save ranking snapshot after championship calculation
-      await saveRankingSnapshot("championship", null);
+      const rows = await previewChampionshipPoints(champResultsFromForm());
+      setPreview({scope:"champ",title:t("calculate.championshipTab"),rows});
+    }catch(err){
+      error(err);
+      setMsgChamp({variant:"danger",msg: calculationErrorMsg(err)});
+    }finally{ setPreviewing(false); }
+  };
+
+  const saveChamp = async ()=>{
+    setPreview(null);
+    setSavingChamp(true); setMsgChamp(null); setChampJob(null);
+    try{
+      // The function saves the results, the scores and the ranking snapshots of every league in a single atomic commit
+      const res = await calculateChampionshipPoints(champResultsFromForm(), setChampJob);
       setMsgChamp({variant:"success",msg:res});
 
       // Create automatic backup after successful calculation (non-blocking)
@@ -422,36 +536,9 @@ useEffect(() => {
       });
     }catch(err){
       error(err);
-      setMsgChamp({variant:"danger",msg: t("calculate.saveError")});
-    }finally{ setSavingChamp(false); }
-  };
-
-  /* ---------------- POINTS FUNCTIONS ------------------- */
-  const calcMainPts = s=>{
-    if(!official) return null;
-    let pts=0;
-    if (!s.mainP1 && !s.mainP2 && !s.mainP3) return -3;
-    if(s.mainP1===official.P1) pts+=PTS_MAIN[1];
-    if(s.mainP2===official.P2) pts+=PTS_MAIN[2];
-    if(s.mainP3===official.P3) pts+=PTS_MAIN[3];
-    if(s.mainJolly && [official.P1,official.P2,official.P3].includes(s.mainJolly))
-      pts+=BONUS_JOLLY_MAIN;
-    if(s.mainJolly2&& [official.P1,official.P2,official.P3].includes(s.mainJolly2))
-      pts+=BONUS_JOLLY_MAIN;
-    return pts;
-  };
-  const calcSprintPts = s=>{
-    if(!official?.SP1) return null;
-    if (!s.sprintP1 && !s.sprintP2 && !s.sprintP3) return -3;
-    let pts=0;
-    if(s.sprintP1===official.SP1) pts+=PTS_SPRINT[1];
-    if(s.sprintP2===official.SP2) pts+=PTS_SPRINT[2];
-    if(s.sprintP3===official.SP3) pts+=PTS_SPRINT[3];
-    if(s.sprintJolly&&[official.SP1,official.SP2,official.SP3].includes(s.sprintJolly))
-      pts+=BONUS_JOLLY_SPRINT;
-    return pts;
+      setMsgChamp({variant:"danger",msg: calculationErrorMsg(err)});
+    }finally{ setSavingChamp(false); setChampJob(null); }
   };
-  const badge = v=><Badge bg={v>0?"success":"secondary"} pill>{v}</Badge>;
 
   /* ---------------- RENDER --------------------------- */
   if(loadingRace)
@@ -460,7 +547,7 @@ useEffect(() => {
   return (
     <Container className="py-4">
       {/* Loader fullscreen durante il calcolo */}
-      {savingRace && (
+      {(savingRace || rollingBack) && (
         <div style={{
           position: "fixed", top: 0, left: 0, right: 0, bottom: 0,
           backgroundColor: "rgba(0,0,0,0.88)",
@@ -496,8 +583,9 @@ useEffect(() => {
             <path className="calc-splash-draw" strokeWidth="2" strokeLinejoin="round"
               d="M 400 110 L 440 110 L 360 190 L 320 190 Z" />
           </svg>
-          <h5 className="mb-1">{t("calculate.calculatingPoints")}</h5>
+          <h5 className="mb-1">{rollingBack ? t("calculate.rollingBack") : t("calculate.calculatingPoints")}</h5>
           <small className="text-muted">{t("calculate.pleaseWait")}</small>
+          <JobProgress job={raceJob} t={t} />
         </div>
       )}
       <Tab.Container activeKey={activeTab} onSelect={k=>setActiveTab(k)}>
@@ -518,7 +606,12 @@ useEffect(() => {
                     <h5 className="mb-0">
                       {t("calculate.calculateRacePoints")} <DeadlineBadge open={allowedRace} t={t} />
                     </h5>
-                    {isLast && <DoubleBadge t={t} />}
+                    <div className="d-flex gap-2 align-items-start">
+                      {adminMultiplier !== 1 && (
+                        <Badge bg="info">{t("boost.raceMultiplierBadge", { multiplier: adminMultiplier })}</Badge>
+                      )}
+                      {isLast && <DoubleBadge t={t} />}
+                    </div>
                   </Card.Header>
                   <Card.Body>
                     {msgRace && (
@@ -582,14 +675,72 @@ useEffect(() => {
                       </>
                     )}
 
+                    {/* bonus questions */}
+                    <h6 className="fw-bold mt-3">{t("bonusQuestions.official")}</h6>
+                    <p className="small text-muted">{t("bonusQuestions.officialHint")}</p>
+                    {Object.values(BONUS_QUESTIONS).map(q=>(
+                      <Form.Group key={q} className="mb-3">
+                        <Form.Label>{t(`bonusQuestions.${q}`)}</Form.Label>
+                        {DRIVER_BONUS_QUESTIONS.includes(q) ? (
+                          <Select
+                            options={driverOptions}
+                            value={formBonus[q]}
+                            onChange={sel=>onBonus(sel,q)}
+                            isDisabled={!allowedRace}
+                            isClearable
+                            placeholder={q==="firstRetirement" ? t("bonusQuestions.noRetirement") : undefined}
+                            classNamePrefix="react-select"
+                            aria-label={t(`bonusQuestions.${q}`)}
+                          />
+                        ) : (
+                          <Form.Control
+                            type="number" min={0} max={30} step={1}
+                            value={formBonus[q]}
+                            onChange={e=>onBonus(e.target.value,q)}
+                            disabled={!allowedRace}
+                          />
+                        )}
+                      </Form.Group>
+                    ))}
+
+                    {/* prop questions */}
+                    {race?.props?.length>0 && (
+                      <>
+                        <h6 className="fw-bold mt-3">{t("props.official")}</h6>
+                        <p className="small text-muted">{t("props.officialHint")}</p>
+                        {race.props.map(p=>(
+                          <Form.Group key={p.id} className="mb-3">
+                            <Form.Label>{p.question} ({t("props.worth",{points:p.points})})</Form.Label>
+                            <Form.Select
+                              value={formProps[p.id] ?? ""}
+                              onChange={e=>setFormProps(s=>({...s,[p.id]:e.target.value===""?null:Number(e.target.value)}))}
+                              disabled={!allowedRace}
+                            >
+                              <option value="">—</option>
+                              {p.options.map((o,i)=><option key={o} value={i}>{o}</option>)}
+                            </Form.Select>
+                          </Form.Group>
+                        ))}
+                      </>
+                    )}
+
                     <Button
                       variant="danger" className="w-100 mt-3"
-                      onClick={saveRace} disabled={!canSubmitRace}
-                      aria-label={savingRace ? t("common.loading") : "Calculate and save race points"}
+                      onClick={previewRace} disabled={!canSubmitRace || previewing}
+                      aria-label={savingRace || previewing ? t("common.loading") : "Preview and save race points"}
                     >
-                      {savingRace ? t("common.loading") : t("calculate.calculateAndSave")}
+                      {savingRace || previewing ? t("common.loading") : t("calculate.calculateAndSave")}
                     </Button>
 
+                    {race?.pointsCalculated && (
+                      <Button
+                        variant="outline-secondary" className="w-100 mt-2"
+                        onClick={()=>setShowRollback(true)} disabled={savingRace || rollingBack}
+                      >
+                        ↩️ {t("calculate.rollbackRace")}
+                      </Button>
+                    )}
+
                   </Card.Body>
                 </Card>
               </Col>
@@ -622,7 +773,7 @@ useEffect(() => {
                       </Alert>
                     )}
 
-                    <Form onSubmit={saveChamp}>
+                    <Form onSubmit={previewChamp}>
                       <h6 className="fw-bold">{t("calculate.drivers")}</h6>
                       {["CP1","CP2","CP3"].map(f=>(
                         <Form.Group key={f} className="mb-3">
@@ -655,11 +806,16 @@ useEffect(() => {
 
                       <Button
                         variant="danger" type="submit" className="w-100 mt-3"
-                        disabled={!champReady}
-                        aria-label={savingChamp ? t("common.loading") : "Calculate and save championship points"}
+                        disabled={!champReady || previewing}
+                        aria-label={savingChamp || previewing ? t("common.loading") : "Preview and save championship points"}
                       >
-                        {savingChamp ? t("common.loading") : t("calculate.calculateChampionshipPoints")}
+                        {savingChamp || previewing ? t("common.loading") : t("calculate.calculateChampionshipPoints")}
                       </Button>
+                      {savingChamp && (
+                        <div className="d-flex justify-content-center">
+                          <JobProgress job={champJob} t={t} />
+                        </div>
+                      )}
                     </Form>
                   </Card.Body>
                 </Card>
@@ -668,6 +824,31 @@ useEffect(() => {
           </Tab.Pane>
         </Tab.Content>
       </Tab.Container>
+
+      <Modal show={showRollback} onHide={()=>setShowRollback(false)} centered size="sm">
+        <Modal.Header closeButton>
+          <Modal.Title className="fs-6">{t("calculate.rollbackRace")}</Modal.Title>
+        </Modal.Header>
+        <Modal.Body>
+          <p className="small mb-0">{t("calculate.rollbackRaceConfirm",{race:race?.name ?? ""})}</p>
+        </Modal.Body>
+        <Modal.Footer>
+          <Button variant="secondary" size="sm" onClick={()=>setShowRollback(false)}>
+            {t("common.cancel")}
+          </Button>
+          <Button variant="danger" size="sm" onClick={rollbackRace}>
+            {t("common.confirm")}
+          </Button>
+        </Modal.Footer>
+      </Modal>
+
+      <ScoringPreviewModal
+        show={!!preview}
+        title={preview?.title}
+        rows={preview?.rows ?? []}
+        onConfirm={preview?.scope === "champ" ? saveChamp : saveRace}
+        onCancel={()=>setPreview(null)}
+      />
     </Container>
   );
 }
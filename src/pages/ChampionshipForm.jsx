@@ -1,6 +1,7 @@
 /**
  * @file ChampionshipForm.jsx
- * @description Championship formation submission form with driver and constructor predictions
+ * @description Championship formation submission form with driver and constructor predictions.
+ * Picks are saved by the submitChampionshipPicks Cloud Function, which enforces the deadline.
  */
 
 import React, { useState, useEffect } from "react";
@@ -16,8 +17,9 @@ import {
   Spinner,
 } from "react-bootstrap";
 import Select from "react-select";
-import { collection, getDocs, doc, getDoc, updateDoc } from "firebase/firestore";
+import { collection, getDocs, doc, getDoc } from "firebase/firestore";
 import { db } from "../services/firebase";
+import { submitChampionshipPicks } from "../services/formationService";
 import { getChampionshipDeadlineMs } from "../utils/championshipDeadline";
 import ChampionshipSubmissions from "../components/ChampionshipSubmissions";
 import { DRIVERS, CONSTRUCTORS, DRIVER_TEAM, TEAM_LOGOS } from "../constants/racing";
@@ -25,6 +27,8 @@ import { useTheme } from "../contexts/ThemeContext";
 import { useLanguage } from "../hooks/useLanguage";
 import { useTimezone } from "../hooks/useTimezone";
 import { useAuth } from "../hooks/useAuth";
+import { useLeague } from "../hooks/useLeague";
+import { rankingPath } from "../utils/leaguePaths";
 import { error } from "../utils/logger";
 import "../styles/customSelect.css";
 
@@ -82,6 +86,7 @@ export default function ChampionshipForm() {
   const { t, currentLanguage } = useLanguage();
   const { timezone } = useTimezone();
   const { user, userProfile } = useAuth();
+  const { currentLeagueId } = useLeague();
   const dateLocale = currentLanguage === "en" ? "en-GB" : "it-IT";
 
   // Translation key mappings for driver and constructor labels
@@ -165,7 +170,7 @@ export default function ChampionshipForm() {
 
     (async () => {
       try {
-        const userDoc = await getDoc(doc(db, "ranking", userId));
+        const userDoc = await getDoc(doc(db, rankingPath(currentLeagueId), userId));
         if (userDoc.exists()) {
           const data = userDoc.data();
           const { championshipPiloti, championshipCostruttori } = data;
@@ -216,7 +221,7 @@ export default function ChampionshipForm() {
       }
     })();
   // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [form.userId]);
+  }, [form.userId, currentLeagueId]);
 
   const onSel = (selected, field) =>
     setForm((f) => ({ ...f, [field]: selected }));
@@ -237,15 +242,11 @@ export default function ChampionshipForm() {
     setSaving(true);
     setMessage(null);
 
-    const userId = form.userId;
     const driversPicked = [form.D1.value, form.D2.value, form.D3.value];
     const constructorsPicked = [form.C1.value, form.C2.value, form.C3.value];
 
     try {
-      await updateDoc(doc(db, "ranking", userId), {
-        championshipPiloti: driversPicked,
-        championshipCostruttori: constructorsPicked,
-      });
+      await submitChampionshipPicks(driversPicked, constructorsPicked, currentLeagueId);
       setMessage({
         variant: "success",
         text: isEdit
@@ -258,7 +259,7 @@ export default function ChampionshipForm() {
       error("Errore salvataggio:", err);
       setMessage({
         variant: "danger",
-        text: t("errors.generic"),
+        text: err.message || t("errors.generic"),
       });
     } finally {
       setSaving(false);
@@ -1,7 +1,11 @@
 /**
  * @file FormationApp.jsx
  * @description Race formation submission form with advanced UX and theme support
- * Main formation management for races and sprints with late submission handling
+ * Main formation management for races and sprints with late submission handling.
+ * Saves go through the submitFormation callable (deadlines and jolly spend checked server-side).
+ * The bonus questions asked by the league are answered with the main formation; the race's
+ * prop questions are answered below it, each under its own deadline (PropQuestionsCard).
+ * Once per season the player can boost a main formation (BOOST_MULTIPLIER), until its deadline.
  */
 
 import React, { useState, useEffect } from "react";
@@ -25,21 +29,34 @@ import {
   orderBy,
   getDocs,
   doc,
-  setDoc,
-  updateDoc,
   onSnapshot,
   getDoc,
-  increment,
   Timestamp,
 } from "firebase/firestore";
 import Select from "react-select";
 import { db } from "../services/firebase";
+import { submitFormation } from "../services/formationService";
+import { isLastRace } from "../services/pointsCalculator";
 import RaceHistoryCard from "../components/RaceHistoryCard";
-import { DRIVERS, DRIVER_TEAM, TEAM_LOGOS, TIME_CONSTANTS } from "../constants/racing";
+import PropQuestionsCard from "../components/PropQuestionsCard";
+import { DRIVERS, DRIVER_TEAM, TEAM_LOGOS } from "../constants/racing";
 import { useThemeColors } from "../hooks/useThemeColors";
 import { useLanguage } from "../hooks/useLanguage";
 import { useTimezone } from "../hooks/useTimezone";
 import { useAuth } from "../hooks/useAuth";
+import { useLeague } from "../hooks/useLeague";
+import { useScoringConfig } from "../hooks/useScoringRules";
+import { rankingPath, submissionsPath } from "../utils/leaguePaths";
+import {
+  BOOST_MULTIPLIER,
+  DRIVER_BONUS_QUESTIONS,
+  activeBonusQuestions,
+  normalizeBonusQuestions,
+  getSeasonFromRace,
+  normalizeRaceMultiplier,
+  raceMultiplier,
+  resolveScoringRules,
+} from "../utils/scoringEngine";
 import { error } from "../utils/logger";
 import { getLateWindowInfo } from "../utils/lateSubmissionHelper";
 import { bilingual, bilingualWithSuffix } from "../utils/bilingualMessages";
@@ -70,6 +87,8 @@ export default function FormationApp() {
   const { t, currentLanguage } = useLanguage();
   const { timezone } = useTimezone();
   const { user, userProfile } = useAuth();
+  const { currentLeague, currentLeagueId } = useLeague();
+  const scoringConfig = useScoringConfig();
   const dateLocale = currentLanguage === "en" ? "en-GB" : "it-IT";
 
   // Main state
@@ -104,31 +123,43 @@ export default function FormationApp() {
     sprintP2: null,
     sprintP3: null,
     sprintJolly: null,
+    bonus: {}, // question → driver option, or the number typed for dnfCount
+    boost: false,
   });
   const [isEditMode, setIsEditMode] = useState(false);
 
+  const bonusQuestions = activeBonusQuestions(currentLeague.bonusQuestions);
+  const bonusPoints = normalizeBonusQuestions(currentLeague.bonusQuestions);
+
   /**
-   * Load live ranking and upcoming races from Firestore.
-   * The unSub variable is declared outside the IIFE so the useEffect cleanup
-   * can call it reliably even if the component unmounts before the async work finishes.
+   * Live ranking of the selected league (jolly balance and late submission status)
    */
   useEffect(() => {
-    let unSub = null;
+    const unSub = onSnapshot(
+      query(collection(db, rankingPath(currentLeagueId)), orderBy("puntiTotali", "desc")),
+      (snap) => {
+        const list = snap.docs.map((d) => ({ id: d.id, ...d.data(), jolly: d.data().jolly ?? 0 }));
+        setRanking(list);
+        if (form.userId) {
+          const me = list.find((u) => u.id === form.userId);
+          setUserJolly(me?.jolly ?? 0);
+        }
+      },
+      (e) => {
+        error(e);
+        if (e.code === "permission-denied") setPermError(true);
+      }
+    );
+    return unSub;
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [currentLeagueId]);
 
+  /**
+   * Load upcoming races from Firestore.
+   */
+  useEffect(() => {
     (async () => {
       try {
-        unSub = onSnapshot(
-          query(collection(db, "ranking"), orderBy("puntiTotali", "desc")),
-          (snap) => {
-            const list = snap.docs.map((d) => ({ id: d.id, ...d.data(), jolly: d.data().jolly ?? 0 }));
-            setRanking(list);
-            if (form.userId) {
-              const me = list.find((u) => u.id === form.userId);
-              setUserJolly(me?.jolly ?? 0);
-            }
-          }
-        );
-
         const rsnap = await getDocs(
           query(collection(db, "races"), where("raceUTC", ">", Timestamp.now()), orderBy("raceUTC", "asc"))
         );
@@ -147,9 +178,6 @@ export default function FormationApp() {
         setBusy(false);
       }
     })();
-
-    return () => { if (unSub) unSub(); };
-    // eslint-disable-next-line react-hooks/exhaustive-deps
   }, []);
 
   // Auto-set userId from authenticated user
@@ -179,6 +207,20 @@ export default function FormationApp() {
   const sprOpen = race?.qualiSprintUTC && now < sprMs;
   const isSprintRace = Boolean(race?.qualiSprintUTC);
 
+  // Race multiplier set by the admins (the season finale adds its season's LAST_RACE_MULTIPLIER)
+  // and the season boost
+  const multiplierOf = (r) => raceMultiplier(
+    r,
+    resolveScoringRules(scoringConfig, getSeasonFromRace(r)),
+    { doublePoints: isLastRace(races, r.id) }
+  );
+  const adminMultiplier = race ? normalizeRaceMultiplier(race.multiplier) : 1;
+  const finaleMultiplier = race
+    ? resolveScoringRules(scoringConfig, getSeasonFromRace(race)).LAST_RACE_MULTIPLIER
+    : 1;
+  const boostRaceId = ranking.find((u) => u.id === form.userId)?.boostRaceId ?? null;
+  const boostAvailable = !boostRaceId || boostRaceId === form.raceId;
+
   const fullMain = form.P1 && form.P2 && form.P3 && form.jolly;
   const fullSpr = form.sprintP1 && form.sprintP2 && form.sprintP3 && form.sprintJolly;
 
@@ -245,6 +287,8 @@ export default function FormationApp() {
         sprintP2: null,
         sprintP3: null,
         sprintJolly: null,
+        bonus: {},
+        boost: false,
       }));
       setIsEditMode(false);
       setTouched(false);
@@ -262,6 +306,15 @@ export default function FormationApp() {
     if (touched && !sel) setTouched(true); // Maintain feedback if already touched
   };
 
+  /**
+   * Handle bonus question answers
+   * @param {Object|string|null} value - Driver option, or the number typed for dnfCount
+   * @param {string} question - One of BONUS_QUESTIONS
+   */
+  const onBonusChange = (value, question) => {
+    setForm((f) => ({ ...f, bonus: { ...f.bonus, [question]: value } }));
+  };
+
   /**
    * Pre-fill form if existing submission found
    */
@@ -274,7 +327,7 @@ export default function FormationApp() {
     }
 
     (async () => {
-      const snap = await getDoc(doc(db, "races", raceId, "submissions", userId));
+      const snap = await getDoc(doc(db, submissionsPath(currentLeagueId, raceId), userId));
       if (!snap.exists()) {
         setIsEditMode(false);
         setExistingJolly2(false);
@@ -298,11 +351,16 @@ export default function FormationApp() {
         sprintP2: opt(d.sprintP2),
         sprintP3: opt(d.sprintP3),
         sprintJolly: opt(d.sprintJolly),
+        bonus: Object.fromEntries(
+          Object.entries(d.bonusPicks || {}).map(([q, v]) => [q, DRIVER_BONUS_QUESTIONS.includes(q) ? opt(v) : String(v)])
+        ),
+        boost: Boolean(d.boost),
       }));
-      setIsEditMode(true);
+      // A submission holding only prop answers has no formation to edit yet
+      setIsEditMode(Boolean(d.mainP1 || d.sprintP1));
     })().catch(error);
     // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [form.userId, form.raceId]);
+  }, [form.userId, form.raceId, currentLeagueId]);
 
   /**
    * Validate formation before submission. Each error is returned as a
@@ -397,79 +455,43 @@ export default function FormationApp() {
     }
 
     // Proceed with save
-    await performSave(mode, lateInfo.isInLateWindow);
+    await performSave(mode);
   };
 
   /**
-   * Perform the actual save operation
+   * Perform the actual save operation through the submitFormation callable.
+   * Deadlines, the late window and the jolly2 spend are validated server-side:
+   * the server decides whether the save is late and returns the jolly balance.
    * @param {string} mode - Submission mode ("main" or "sprint")
-   * @param {boolean} isLate - Whether this is a late submission
    */
-  const performSave = async (mode, isLate = false) => {
-    const me = ranking.find((u) => u.id === form.userId);
-    const payload = {
-      userId: form.userId,
-      user: me?.name ?? "",
-    };
-
-    if (mode === "main") {
-      Object.assign(payload, {
-        mainP1: form.P1.value,
-        mainP2: form.P2.value,
-        mainP3: form.P3.value,
-        mainJolly: form.jolly.value,
-        ...(form.jolly2 ? { mainJolly2: form.jolly2.value } : {}),
-      });
-    } else {
-      Object.assign(payload, {
-        sprintP1: form.sprintP1.value,
-        sprintP2: form.sprintP2.value,
-        sprintP3: form.sprintP3.value,
-        sprintJolly: form.sprintJolly.value,
-      });
-    }
-
-    // Track submission time for ordering (only on new submission, not edit)
-    if (!isEditMode) {
-      payload.submittedAt = Timestamp.now();
-    }
-
-    // Aggiungi flag late submission se necessario
-    if (isLate) {
-      payload.isLate = true;
-      payload.latePenalty = TIME_CONSTANTS.LATE_SUBMISSION_PENALTY;
-    }
+  const performSave = async (mode) => {
+    const picks = mode === "main"
+      ? {
+          P1: form.P1.value,
+          P2: form.P2.value,
+          P3: form.P3.value,
+          jolly: form.jolly.value,
+          jolly2: form.jolly2?.value ?? null,
+          bonus: Object.fromEntries(bonusQuestions.map((q) => {
+            const value = form.bonus[q];
+            if (DRIVER_BONUS_QUESTIONS.includes(q)) return [q, value?.value ?? null];
+            return [q, value === undefined || value === "" ? null : Number(value)];
+          })),
+          boost: form.boost,
+        }
+      : {
+          P1: form.sprintP1.value,
+          P2: form.sprintP2.value,
+          P3: form.sprintP3.value,
+          jolly: form.sprintJolly.value,
+        };
 
     try {
-      await setDoc(doc(db, "races", form.raceId, "submissions", form.userId), payload, { merge: true });
-
-      // Se late submission, marca utente come "ha usato"
-      if (isLate) {
-        await updateDoc(doc(db, "ranking", form.userId), {
-          usedLateSubmission: true
-        });
-        setUserUsedLateSubmission(true);
-      }
+      const { isLate, jolly, receipt } = await submitFormation(form.raceId, mode, picks, currentLeagueId);
 
-      // Gestione jolly2 - logic for adding/removing double joker
-      if (mode === "main") {
-        const hasJolly2Now = Boolean(form.jolly2);
-        const hadJolly2Before = existingJolly2;
-
-        if (hasJolly2Now && !hadJolly2Before) {
-          // Adding jolly2 for the first time → decrement
-          await updateDoc(doc(db, "ranking", form.userId), { jolly: increment(-1) });
-          setUserJolly((p) => p - 1);
-          setExistingJolly2(true);
-        } else if (!hasJolly2Now && hadJolly2Before) {
-          // Removing jolly2 → refund the joker
-          await updateDoc(doc(db, "ranking", form.userId), { jolly: increment(1) });
-          setUserJolly((p) => p + 1);
-          setExistingJolly2(false);
-        }
-        // If hasJolly2Now && hadJolly2Before → no change needed
-        // If !hasJolly2Now && !hadJolly2Before → no change needed
-      }
+      if (isLate) setUserUsedLateSubmission(true);
+      setUserJolly(jolly);
+      if (mode === "main") setExistingJolly2(Boolean(form.jolly2));
 
       setFlash({
         type: "success",
@@ -482,6 +504,7 @@ export default function FormationApp() {
           : isEditMode
           ? `✓ ${t("success.formationUpdated")}`
           : `✓ ${t("success.formationSaved")}`,
+        receipt,
       });
       setRefreshKey(Date.now());
       setSavingMode(null);
@@ -494,6 +517,7 @@ export default function FormationApp() {
       }, 300);
     } catch (err) {
       error(err);
+      // Rejected by the server (e.g. deadline passed while the form was open)
       setFlash({ type: "danger", msg: `❌ ${t("common.error")}: ${err.message}` });
       window.scrollTo({ top: 0, behavior: "smooth" });
     }
@@ -501,7 +525,7 @@ export default function FormationApp() {
 
   // Handler conferma modal late
   const handleConfirmLateSubmission = () => {
-    performSave(currentLateMode, true);
+    performSave(currentLateMode);
   };
 
   /* ─────────────── UI stato busy / errori permessi ─────────────── */
@@ -525,7 +549,7 @@ export default function FormationApp() {
         {/* ---------- FORM ---------- */}
         <Col xs={12} lg={6}>
           <Card
-            className="shadow h-100"
+            className={race?.props?.length > 0 ? "shadow" : "shadow h-100"}
             style={{
               borderLeft: `4px solid ${colors.accent}`,
             }}
@@ -538,6 +562,12 @@ export default function FormationApp() {
               {flash && (
                 <Alert variant={flash.type} dismissible onClose={() => setFlash(null)}>
                   {flash.msg}
+                  {flash.receipt && (
+                    <div className="small mt-2">
+                      {t("revisions.receipt")}: <code className="text-break">{flash.receipt}</code>
+                      <div className="text-muted">{t("revisions.receiptHint")}</div>
+                    </div>
+                  )}
                 </Alert>
               )}
 
@@ -561,10 +591,11 @@ export default function FormationApp() {
                   <Form.Select name="raceId" value={form.raceId} onChange={onChangeSimple} required aria-label="Select race to submit formation for">
                     <option value="">{t("formations.selectRace")}</option>
                     {races.map((r) => {
-                      const isLastRace = races.length > 0 && r.round === Math.max(...races.map(x => x.round));
+                      const multiplier = multiplierOf(r);
                       return (
                         <option key={r.id} value={r.id}>
-                          {r.round}. {r.name}{isLastRace ? " (2x)" : ""}
+                          {r.round}. {r.name}{multiplier !== 1 ? ` (${multiplier}x)` : ""}
+                          {r.id === boostRaceId ? " 🚀" : ""}
                         </option>
                       );
                     })}
@@ -582,8 +613,16 @@ export default function FormationApp() {
                 {/* Double points indicator for last race */}
                 {race && races.length > 0 && race.round === Math.max(...races.map(r => r.round)) && (
                   <Alert variant="info" className="py-2 d-flex align-items-center gap-2">
-                    <Badge bg="warning" text="dark" style={{ fontSize: "0.85rem" }}>2x</Badge>
-                    <span>{t("formations.doublePointsRace")}</span>
+                    <Badge bg="warning" text="dark" style={{ fontSize: "0.85rem" }}>{finaleMultiplier}x</Badge>
+                    <span>{t("formations.doublePointsRace", { multiplier: finaleMultiplier })}</span>
+                  </Alert>
+                )}
+
+                {/* Multiplier set by the admins for this race */}
+                {adminMultiplier !== 1 && (
+                  <Alert variant="info" className="py-2 d-flex align-items-center gap-2">
+                    <Badge bg="warning" text="dark" style={{ fontSize: "0.85rem" }}>{adminMultiplier}x</Badge>
+                    <span>{t("boost.raceMultiplier", { multiplier: adminMultiplier })}</span>
                   </Alert>
                 )}
 
@@ -638,6 +677,63 @@ export default function FormationApp() {
                           helpText={existingJolly2 && !form.jolly2 ? t("formations.jolly2RefundHint") : t("formations.jolly2Hint")}
                         />
                       )}
+
+                      {form.userId && (
+                        <Form.Group className="mt-3 mb-2">
+                          <Form.Check
+                            type="switch"
+                            id="formation-boost"
+                            label={`🚀 ${t("boost.label", { multiplier: BOOST_MULTIPLIER })}`}
+                            checked={form.boost}
+                            disabled={!mainOpen || !boostAvailable}
+                            onChange={(e) => setForm((f) => ({ ...f, boost: e.target.checked }))}
+                          />
+                          <Form.Text className="text-muted">
+                            {!boostAvailable
+                              ? t("boost.used", { race: races.find((r) => r.id === boostRaceId)?.name ?? t("boost.anotherRace") })
+                              : boostRaceId === form.raceId && !form.boost
+                              ? t("boost.refundHint")
+                              : t("boost.hint")}
+                          </Form.Text>
+                        </Form.Group>
+                      )}
+
+                      {bonusQuestions.length > 0 && (
+                        <>
+                          <p className="small fw-bold mt-3 mb-2" style={{ color: colors.accent }}>
+                            {t("bonusQuestions.optional")}
+                          </p>
+                          {bonusQuestions.map((q) => {
+                            const label = `${t(`bonusQuestions.${q}`)} (${t("bonusQuestions.worth", { points: bonusPoints[q] })})`;
+                            return DRIVER_BONUS_QUESTIONS.includes(q) ? (
+                              <DriverSelect
+                                key={q}
+                                label={label}
+                                field={q}
+                                clearable
+                                disabled={!mainOpen}
+                                form={form.bonus}
+                                onSelectChange={onBonusChange}
+                                touched={touched}
+                                driverOpts={driverOpts}
+                              />
+                            ) : (
+                              <Form.Group key={q} className="mb-2">
+                                <Form.Label>{label}</Form.Label>
+                                <Form.Control
+                                  type="number"
+                                  min={0}
+                                  max={30}
+                                  step={1}
+                                  value={form.bonus[q] ?? ""}
+                                  disabled={!mainOpen}
+                                  onChange={(e) => onBonusChange(e.target.value, q)}
+                                />
+                              </Form.Group>
+                            );
+                          })}
+                        </>
+                      )}
                     </>
                   );
 
@@ -732,6 +828,10 @@ export default function FormationApp() {
               </Form>
             </Card.Body>
           </Card>
+
+          {race?.props?.length > 0 && form.userId && (
+            <PropQuestionsCard race={race} userId={form.userId} leagueId={currentLeagueId} />
+          )}
         </Col>
 
         {/* ---------- LISTA FORMAZIONI ---------- */}
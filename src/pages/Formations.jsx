@@ -1,14 +1,18 @@
 /**
  * @file Formations.jsx
- * @description Formation management page with tabs for races and championship
+ * @description Formation management page with tabs for races and championship.
+ * Spectators of the selected league, and new accounts whose join request is not approved
+ * yet, only see a notice.
  */
 
 import React, { useState } from "react";
-import { Tab, Nav } from "react-bootstrap";
+import { Tab, Nav, Alert } from "react-bootstrap";
 import FormationApp from "./FormationApp";
 import ChampionshipForm from "./ChampionshipForm";
 import { useTheme } from "../contexts/ThemeContext";
 import { useLanguage } from "../hooks/useLanguage";
+import { useLeague } from "../hooks/useLeague";
+import { useAuth } from "../hooks/useAuth";
 
 /**
  * Formations page with tabbed interface for race and championship formations
@@ -18,9 +22,23 @@ export default function Formations() {
   const [activeTab, setActiveTab] = useState("races");
   const { isDark } = useTheme();
   const { t } = useLanguage();
+  const { hasPermission, loadingLeagues, isMainLeague } = useLeague();
+  const { joinStatus } = useAuth();
 
   const accentColor = isDark ? "#ff4d5a" : "#dc3545";
 
+  if (isMainLeague && (joinStatus === "pending" || joinStatus === "rejected")) {
+    return (
+      <Alert variant="info" className="mt-3">
+        {joinStatus === "pending" ? t("joinRequests.pendingNotice") : t("joinRequests.rejectedNotice")}
+      </Alert>
+    );
+  }
+
+  if (!loadingLeagues && !hasPermission("submit")) {
+    return <Alert variant="info" className="mt-3">{t("roles.spectatorNotice")}</Alert>;
+  }
+
   return (
     <Tab.Container activeKey={activeTab} onSelect={(k) => setActiveTab(k)}>
       <Nav variant="tabs" className="justify-content-center mb-4">
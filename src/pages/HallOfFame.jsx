@@ -0,0 +1,192 @@
+/**
+ * @file HallOfFame.jsx
+ * @description All-time hall of fame of the current league across the archived seasons —
+ * titles, podiums, career points, perfect podiums, jolly efficiency and best single-race
+ * score per player, with each season linking to the participant page of that season.
+ */
+
+import React, { useState, useEffect } from "react";
+import { Link } from "react-router-dom";
+import {
+  Container,
+  Card,
+  Spinner,
+  Alert,
+  Table,
+  Badge,
+} from "react-bootstrap";
+import { getHallOfFame } from "../services/statisticsService";
+import { useTheme } from "../contexts/ThemeContext";
+import { useLanguage } from "../hooks/useLanguage";
+import { useLeague } from "../hooks/useLeague";
+import { useSeasons } from "../hooks/useSeasons";
+import { error as logError } from "../utils/logger";
+
+const medals = ["🥇", "🥈", "🥉"];
+
+/**
+ * Jolly efficiency as a percentage of the jolly picks that finished on the podium
+ * @param {number} hits - Jolly picks on the podium
+ * @param {number} used - Jolly picks made
+ * @returns {string} Percentage, or a dash when no jolly was picked
+ */
+const formatEfficiency = (hits, used) => (used > 0 ? `${Math.round((hits / used) * 100)}%` : "—");
+
+/**
+ * Hall of fame page
+ * @returns {JSX.Element} All-time records table
+ */
+export default function HallOfFame() {
+  const { isDark } = useTheme();
+  const { t } = useLanguage();
+  const { currentLeagueId } = useLeague();
+  const { archivedSeasons, loading: loadingSeasons } = useSeasons();
+
+  const [players, setPlayers] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [expandedId, setExpandedId] = useState(null);
+
+  useEffect(() => {
+    if (loadingSeasons) return;
+    let active = true;
+    setLoading(true);
+    setError(null);
+    getHallOfFame(currentLeagueId, archivedSeasons)
+      .then((rows) => { if (active) setPlayers(rows); })
+      .catch((err) => {
+        logError(err);
+        if (active) setError(t("hallOfFame.errorLoading"));
+      })
+      .finally(() => { if (active) setLoading(false); });
+    return () => { active = false; };
+  }, [currentLeagueId, archivedSeasons, loadingSeasons, t]);
+
+  const accentColor = isDark ? "#ff4d5a" : "#dc3545";
+  const bgCard = isDark ? "var(--bg-secondary)" : "#ffffff";
+  const bgHeader = isDark ? "var(--bg-tertiary)" : "#ffffff";
+
+  /**
+   * Link to the participant page of a season
+   * @param {string} userId - Participant
+   * @param {number} season - Season year
+   * @returns {string} Route
+   */
+  const seasonLink = (userId, season) => `/participant/${userId}?season=${season}`;
+
+  if (loading) {
+    return (
+      <Container className="py-5 text-center">
+        <Spinner animation="border" />
+      </Container>
+    );
+  }
+
+  return (
+    <Container className="py-4">
+      <h2 className="mb-2" style={{ color: accentColor }}>🏛️ {t("hallOfFame.title")}</h2>
+      <p className="text-muted small mb-4">{t("hallOfFame.description")}</p>
+
+      {error ? (
+        <Alert variant="danger">{error}</Alert>
+      ) : players.length === 0 ? (
+        <Alert variant="info">{t("hallOfFame.noSeasons")}</Alert>
+      ) : (
+        <Card className="shadow" style={{ borderColor: accentColor, backgroundColor: bgCard }}>
+          <Card.Header
+            as="h5"
+            className="text-center fw-semibold"
+            style={{ backgroundColor: bgHeader, borderBottom: `2px solid ${accentColor}` }}
+          >
+            {t("hallOfFame.seasons")}: {archivedSeasons.length}
+          </Card.Header>
+          <Card.Body className="p-0">
+            <div className="table-responsive">
+              <Table hover className="mb-0 align-middle">
+                <thead>
+                  <tr>
+                    <th style={{ width: 50 }} className="text-center">#</th>
+                    <th>{t("hallOfFame.player")}</th>
+                    <th className="text-center">{t("hallOfFame.titles")}</th>
+                    <th className="text-center">{t("hallOfFame.podiums")}</th>
+                    <th className="text-center">{t("hallOfFame.careerPoints")}</th>
+                    <th className="text-center">{t("hallOfFame.perfectPodiums")}</th>
+                    <th className="text-center">{t("hallOfFame.jollyEfficiency")}</th>
+                    <th>{t("hallOfFame.bestRace")}</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {players.map((player, index) => {
+                    const expanded = expandedId === player.userId;
+                    return (
+                      <React.Fragment key={player.userId}>
+                        <tr
+                          style={{ cursor: "pointer" }}
+                          onClick={() => setExpandedId(expanded ? null : player.userId)}
+                        >
+                          <td className="text-center">{medals[index] ?? index + 1}</td>
+                          <td className="fw-semibold">
+                            {expanded ? "▾" : "▸"} {player.name}
+                          </td>
+                          <td className="text-center">
+                            {player.titles.length > 0 ? (
+                              <span title={player.titles.join(", ")}>🏆 {player.titles.length}</span>
+                            ) : 0}
+                          </td>
+                          <td className="text-center">{player.podiums}</td>
+                          <td className="text-center">
+                            <Badge bg="success">{player.careerPoints}</Badge>
+                          </td>
+                          <td className="text-center">{player.perfectPodiums}</td>
+                          <td className="text-center">
+                            <span title={t("hallOfFame.jollyHits", { hits: player.jollyHits, used: player.jollyUsed })}>
+                              {formatEfficiency(player.jollyHits, player.jollyUsed)}
+                            </span>
+                          </td>
+                          <td>
+                            {player.bestRace ? (
+                              <Link
+                                to={seasonLink(player.userId, player.bestRace.season)}
+                                onClick={(e) => e.stopPropagation()}
+                              >
+                                {player.bestRace.points} — {player.bestRace.raceName} ({player.bestRace.season})
+                              </Link>
+                            ) : "—"}
+                          </td>
+                        </tr>
+                        {expanded && player.seasons.map((s) => (
+                          <tr key={s.season} className="small text-muted">
+                            <td />
+                            <td>
+                              <Link to={seasonLink(player.userId, s.season)} title={t("hallOfFame.openSeason", { season: s.season })}>
+                                {t("seasons.season")} {s.season}
+                              </Link>
+                            </td>
+                            <td className="text-center">
+                              {t("hallOfFame.position")}: {medals[s.position - 1] ?? s.position}
+                            </td>
+                            <td />
+                            <td className="text-center">{s.points}</td>
+                            <td className="text-center">{s.perfectPodiums}</td>
+                            <td className="text-center">
+                              <span title={t("hallOfFame.jollyHits", { hits: s.jollyHits, used: s.jollyUsed })}>
+                                {formatEfficiency(s.jollyHits, s.jollyUsed)}
+                              </span>
+                            </td>
+                            <td>
+                              {s.bestRace ? `${s.bestRace.points} — ${s.bestRace.raceName}` : "—"}
+                            </td>
+                          </tr>
+                        ))}
+                      </React.Fragment>
+                    );
+                  })}
+                </tbody>
+              </Table>
+            </div>
+          </Card.Body>
+        </Card>
+      )}
+    </Container>
+  );
+}
@@ -4,6 +4,7 @@
  * Displays all completed races with results, formations, and points
  * Uses the unified RaceHistoryCard component
  * Shows championship results when available
+ * Past seasons are browsed with the season selector (archived standings and results)
  */
 
 import React, { useState, useEffect } from "react";
@@ -33,11 +34,18 @@ import {
 } from "firebase/firestore";
 import { db } from "../services/firebase";
 import RaceHistoryCard from "../components/RaceHistoryCard";
-import { TEAM_LOGOS, POINTS, getDriverTeamDynamic, getTeamLogoDynamic } from "../constants/racing";
+import SeasonSelect from "../components/SeasonSelect";
+import { TEAM_LOGOS, getDriverTeamDynamic, getTeamLogoDynamic } from "../constants/racing";
+import { RACE_STATUSES, getSeasonFromRace, raceStatus, scoreChampionshipPicks } from "../utils/scoringEngine";
+import { useScoringRules } from "../hooks/useScoringRules";
 import { useTheme } from "../contexts/ThemeContext";
 import { useLanguage } from "../hooks/useLanguage";
 import { useTimezone } from "../hooks/useTimezone";
 import { useAuth } from "../hooks/useAuth";
+import { useLeague } from "../hooks/useLeague";
+import { useSeasons } from "../hooks/useSeasons";
+import { filterRacesBySeason, loadSeasonStandings } from "../services/seasonService";
+import { rankingPath } from "../utils/leaguePaths";
 import { getChampionshipDeadlineMs } from "../utils/championshipDeadline";
 import { error } from "../utils/logger";
 
@@ -155,6 +163,13 @@ export default function History() {
   const { t } = useLanguage();
   const { timezone } = useTimezone();
   const { user } = useAuth();
+  const { currentLeagueId } = useLeague();
+  const { seasons, archived, archivedSeasons, loading: loadingSeasons } = useSeasons();
+  const [season, setSeason] = useState(null);
+
+  const selectedSeason = season ?? seasons[0] ?? null;
+  const seasonArchive = archived.find((a) => a.season === selectedSeason) || null;
+  const seasonRaces = filterRacesBySeason(pastRaces, selectedSeason, archivedSeasons);
 
   /**
    * Load past races from Firestore
@@ -189,33 +204,61 @@ export default function History() {
   }, [t]);
 
   /**
-   * Load championship results and submissions
+   * A race opened from a link may belong to an archived season
    */
   useEffect(() => {
+    const linkedRace = pastRaces.find((r) => r.id === location.state?.raceId);
+    const linkedSeason = linkedRace ? getSeasonFromRace(linkedRace) : null;
+    if (archivedSeasons.includes(linkedSeason)) setSeason(linkedSeason);
+  }, [pastRaces, archivedSeasons, location.state?.raceId]);
+
+  /**
+   * Load championship results and submissions (from the archive for a closed season)
+   */
+  useEffect(() => {
+    if (loadingSeasons) return;
     (async () => {
+      setLoadingChampionship(true);
+      setChampionshipResults(null);
+      setChampionshipSubmissions([]);
       try {
-        // Load championship deadline
-        const deadlineMs = await getChampionshipDeadlineMs();
-        setChampionshipDeadlineMs(deadlineMs);
-
-        // Load official championship results
-        const champDoc = await getDoc(doc(db, "championship", "results"));
-        if (champDoc.exists()) {
-          setChampionshipResults(champDoc.data());
+        let results = null;
+        let members = [];
+        if (seasonArchive) {
+          // Closed season: picks were revealed long ago
+          setChampionshipDeadlineMs(null);
+          results = seasonArchive.championshipResults;
+          if (results) {
+            members = (await loadSeasonStandings(seasonArchive.season, currentLeagueId) || [])
+              .map(({ userId, ...data }) => ({ id: userId, data }));
+          }
+        } else {
+          // Load championship deadline
+          const deadlineMs = await getChampionshipDeadlineMs();
+          setChampionshipDeadlineMs(deadlineMs);
+
+          // Load official championship results
+          const champDoc = await getDoc(doc(db, "championship", "results"));
+          if (champDoc.exists()) {
+            results = champDoc.data();
+            // Load all submissions from ranking
+            const rankingSnap = await getDocs(collection(db, rankingPath(currentLeagueId)));
+            members = rankingSnap.docs.map((userDoc) => ({ id: userDoc.id, data: userDoc.data() }));
+          }
+        }
 
-          // Load all submissions from ranking
-          const rankingSnap = await getDocs(collection(db, "ranking"));
+        if (results) {
+          setChampionshipResults(results);
           const submissions = [];
 
-          rankingSnap.docs.forEach((userDoc) => {
-            const data = userDoc.data();
+          members.forEach(({ id, data }) => {
             if (
               data.championshipPiloti &&
               Array.isArray(data.championshipPiloti) &&
               data.championshipPiloti.length === 3
             ) {
               submissions.push({
-                userId: userDoc.id,
+                userId: id,
                 name: data.name,
                 piloti: data.championshipPiloti,
                 costruttori: data.championshipCostruttori || [],
@@ -234,17 +277,30 @@ export default function History() {
         setLoadingChampionship(false);
       }
     })();
-  }, []);
+  }, [currentLeagueId, seasonArchive, loadingSeasons]);
+
+  /**
+   * Switch season: select its most recent race
+   * @param {number} year - Season year
+   */
+  const handleSeasonChange = (year) => {
+    setSeason(year);
+    setActiveTab("races");
+    setSelectedRaceId(filterRacesBySeason(pastRaces, year, archivedSeasons)[0]?.id ?? null);
+  };
 
   const accentColor = isDark ? "#ff4d5a" : "#dc3545";
   const bgCard = isDark ? "var(--bg-secondary)" : "#ffffff";
   const bgHeader = isDark ? "var(--bg-tertiary)" : "#ffffff";
 
   // Get selected race
-  const selectedRace = pastRaces.find((r) => r.id === selectedRaceId);
+  const selectedRace = seasonRaces.find((r) => r.id === selectedRaceId);
+
+  // Championship is scored with the ruleset of the selected season (races are newest first)
+  const rules = useScoringRules(seasonRaces.length ? getSeasonFromRace(seasonRaces[0]) : selectedSeason);
 
   const isLastRaceSelected =
-    pastRaces.length > 0 && selectedRaceId === pastRaces[0].id;
+    seasonRaces.length > 0 && selectedRaceId === seasonRaces[0].id;
 
   /**
    * Handle race selection change with loading state
@@ -291,25 +347,14 @@ export default function History() {
   const calculateChampionshipPoints = (submission, official) => {
     if (!official) return { pilotiPts: 0, costruttoriPts: 0, total: 0 };
 
-    let pilotiPts = 0;
-    if (submission.piloti[0] === official.P1) pilotiPts += POINTS.MAIN[1];
-    if (submission.piloti[1] === official.P2) pilotiPts += POINTS.MAIN[2];
-    if (submission.piloti[2] === official.P3) pilotiPts += POINTS.MAIN[3];
-
-    let costruttoriPts = 0;
-    if (submission.costruttori[0] === official.C1) costruttoriPts += POINTS.MAIN[1];
-    if (submission.costruttori[1] === official.C2) costruttoriPts += POINTS.MAIN[2];
-    if (submission.costruttori[2] === official.C3) costruttoriPts += POINTS.MAIN[3];
-
-    // Special rule: 29 points rounds up to 30
-    if (pilotiPts === 29) pilotiPts = 30;
-    if (costruttoriPts === 29) costruttoriPts = 30;
-
-    return {
-      pilotiPts,
-      costruttoriPts,
-      total: pilotiPts + costruttoriPts,
-    };
+    // Position points plus perfect podium bonus (29 → 30) for drivers and constructors
+    const { pilotiPts, costruttoriPts, total } = scoreChampionshipPicks(
+      submission.piloti,
+      submission.costruttori,
+      official,
+      rules
+    );
+    return { pilotiPts, costruttoriPts, total };
   };
 
   const hasChampionship = !loadingChampionship && championshipResults;
@@ -331,9 +376,17 @@ export default function History() {
           }}
         >
           <div className="d-flex justify-content-between align-items-center">
-            <h5 className="mb-0" style={{ color: accentColor }}>
-              📊 {t("nav.history")}
-            </h5>
+            <div className="d-flex align-items-center gap-2">
+              <h5 className="mb-0" style={{ color: accentColor }}>
+                📊 {t("nav.history")}
+              </h5>
+              <SeasonSelect
+                seasons={seasons}
+                archivedSeasons={archivedSeasons}
+                value={selectedSeason}
+                onChange={handleSeasonChange}
+              />
+            </div>
             <Nav variant="pills" activeKey={activeTab} onSelect={setActiveTab}>
               <Nav.Item>
                 <Nav.Link
@@ -373,7 +426,7 @@ export default function History() {
           {/* ============ TAB GARE ============ */}
           {activeTab === "races" && (
             <>
-              {pastRaces.length > 0 ? (
+              {seasonRaces.length > 0 ? (
                 <>
                   {/* Race Selector */}
                   <Form.Group className="mb-3">
@@ -385,10 +438,11 @@ export default function History() {
                       }}
                     >
                       <option value="">{t("raceResults.chooseRace")}</option>
-                      {pastRaces.map((race) => (
+                      {seasonRaces.map((race) => (
                         <option key={race.id} value={race.id}>
                           {t("history.round")} {race.round} - {race.name}
                           {race.cancelledMain ? ` ⛔` : race.officialResults ? ` ✓` : ""}
+                          {raceStatus(race) === RACE_STATUSES.REDUCED ? ` 🚩 ${t("raceStatus.reduced")}` : ""}
                         </option>
                       ))}
                     </Form.Select>
@@ -450,17 +504,17 @@ export default function History() {
                       <tr>
                         <td><strong>1°</strong></td>
                         <td><DriverWithLogo name={championshipResults.P1} /></td>
-                        <td className="text-end text-success fw-bold">{POINTS.MAIN[1]}</td>
+                        <td className="text-end text-success fw-bold">{rules.MAIN[1]}</td>
                       </tr>
                       <tr>
                         <td>2°</td>
                         <td><DriverWithLogo name={championshipResults.P2} /></td>
-                        <td className="text-end text-success fw-bold">{POINTS.MAIN[2]}</td>
+                        <td className="text-end text-success fw-bold">{rules.MAIN[2]}</td>
                       </tr>
                       <tr>
                         <td>3°</td>
                         <td><DriverWithLogo name={championshipResults.P3} /></td>
-                        <td className="text-end text-success fw-bold">{POINTS.MAIN[3]}</td>
+                        <td className="text-end text-success fw-bold">{rules.MAIN[3]}</td>
                       </tr>
                     </tbody>
                   </Table>
@@ -482,17 +536,17 @@ export default function History() {
                       <tr>
                         <td><strong>1°</strong></td>
                         <td><TeamWithLogo name={championshipResults.C1} /></td>
-                        <td className="text-end text-success fw-bold">{POINTS.MAIN[1]}</td>
+                        <td className="text-end text-success fw-bold">{rules.MAIN[1]}</td>
                       </tr>
                       <tr>
                         <td>2°</td>
                         <td><TeamWithLogo name={championshipResults.C2} /></td>
-                        <td className="text-end text-success fw-bold">{POINTS.MAIN[2]}</td>
+                        <td className="text-end text-success fw-bold">{rules.MAIN[2]}</td>
                       </tr>
                       <tr>
                         <td>3°</td>
                         <td><TeamWithLogo name={championshipResults.C3} /></td>
-                        <td className="text-end text-success fw-bold">{POINTS.MAIN[3]}</td>
+                        <td className="text-end text-success fw-bold">{rules.MAIN[3]}</td>
                       </tr>
                     </tbody>
                   </Table>
@@ -550,7 +604,7 @@ export default function History() {
                                 <div className="d-flex align-items-center gap-2">
                                   <DriverWithLogo name={sub.piloti[0]} />
                                   <PointsBadge
-                                    pts={sub.piloti[0] === championshipResults.P1 ? POINTS.MAIN[1] : 0}
+                                    pts={sub.piloti[0] === championshipResults.P1 ? rules.MAIN[1] : 0}
                                     pill
                                   />
                                 </div>
@@ -559,7 +613,7 @@ export default function History() {
                                 <div className="d-flex align-items-center gap-2">
                                   <DriverWithLogo name={sub.piloti[1]} />
                                   <PointsBadge
-                                    pts={sub.piloti[1] === championshipResults.P2 ? POINTS.MAIN[2] : 0}
+                                    pts={sub.piloti[1] === championshipResults.P2 ? rules.MAIN[2] : 0}
                                     pill
                                   />
                                 </div>
@@ -568,7 +622,7 @@ export default function History() {
                                 <div className="d-flex align-items-center gap-2">
                                   <DriverWithLogo name={sub.piloti[2]} />
                                   <PointsBadge
-                                    pts={sub.piloti[2] === championshipResults.P3 ? POINTS.MAIN[3] : 0}
+                                    pts={sub.piloti[2] === championshipResults.P3 ? rules.MAIN[3] : 0}
                                     pill
                                   />
                                 </div>
@@ -580,7 +634,7 @@ export default function History() {
                                 <div className="d-flex align-items-center gap-2">
                                   <TeamWithLogo name={sub.costruttori[0]} />
                                   <PointsBadge
-                                    pts={sub.costruttori[0] === championshipResults.C1 ? POINTS.MAIN[1] : 0}
+                                    pts={sub.costruttori[0] === championshipResults.C1 ? rules.MAIN[1] : 0}
                                     pill
                                   />
                                 </div>
@@ -589,7 +643,7 @@ export default function History() {
                                 <div className="d-flex align-items-center gap-2">
                                   <TeamWithLogo name={sub.costruttori[1]} />
                                   <PointsBadge
-                                    pts={sub.costruttori[1] === championshipResults.C2 ? POINTS.MAIN[2] : 0}
+                                    pts={sub.costruttori[1] === championshipResults.C2 ? rules.MAIN[2] : 0}
                                     pill
                                   />
                                 </div>
@@ -598,7 +652,7 @@ export default function History() {
                                 <div className="d-flex align-items-center gap-2">
                                   <TeamWithLogo name={sub.costruttori[2]} />
                                   <PointsBadge
-                                    pts={sub.costruttori[2] === championshipResults.C3 ? POINTS.MAIN[3] : 0}
+                                    pts={sub.costruttori[2] === championshipResults.C3 ? rules.MAIN[3] : 0}
                                     pill
                                   />
                                 </div>
@@ -650,7 +704,7 @@ export default function History() {
                                     <div className="d-flex align-items-center gap-2">
                                       <DriverWithLogo name={pilot} />
                                       <PointsBadge
-                                        pts={pilot === championshipResults[`P${idx + 1}`] ? POINTS.MAIN[idx + 1] : 0}
+                                        pts={pilot === championshipResults[`P${idx + 1}`] ? rules.MAIN[idx + 1] : 0}
                                       />
                                     </div>
                                   </div>
@@ -671,7 +725,7 @@ export default function History() {
                                     <div className="d-flex align-items-center gap-2">
                                       <TeamWithLogo name={team} />
                                       <PointsBadge
-                                        pts={team === championshipResults[`C${idx + 1}`] ? POINTS.MAIN[idx + 1] : 0}
+                                        pts={team === championshipResults[`C${idx + 1}`] ? rules.MAIN[idx + 1] : 0}
                                       />
                                     </div>
                                   </div>
@@ -9,7 +9,7 @@ import { Link } from "react-router-dom";
 import Leaderboard from "./Leaderboard";
 import { useTheme } from "../contexts/ThemeContext";
 import { useLanguage } from "../hooks/useLanguage";
-import { useAuth } from "../hooks/useAuth";
+import { useLeague } from "../hooks/useLeague";
 
 /**
  * Home page component with quick navigation and leaderboard preview
@@ -18,7 +18,7 @@ import { useAuth } from "../hooks/useAuth";
 export default function Home() {
   const { isDark } = useTheme();
   const { t } = useLanguage();
-  const { isAdmin } = useAuth();
+  const { hasPermission } = useLeague();
   const accentColor = isDark ? "#ff4d5a" : "#dc3545";
   const bgCard = isDark ? "var(--bg-secondary)" : "#ffffff";
 
@@ -84,8 +84,8 @@ export default function Home() {
               </Button>
             </Col>
 
-            {/* Calculate Points - Admin Only */}
-            {isAdmin && (
+            {/* Calculate Points - Owners and moderators */}
+            {hasPermission("results") && (
               <Col xs={12}>
                 <Button
                   as={Link}
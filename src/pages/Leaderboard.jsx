@@ -1,31 +1,87 @@
 /**
  * @file Leaderboard.jsx
- * @description Real-time leaderboard component displaying current rankings with user avatars
+ * @description Real-time leaderboard component displaying current rankings with user avatars.
+ * Players who joined mid-season are marked with the races they missed and the points their
+ * join policy credited for them. Players tied on points are ordered by the season's
+ * tie-breakers; the rule that separated two players is shown next to the one behind.
+ * Hovering the points shows their breakdown: race, sprint, prop questions and championship,
+ * plus the race the player boosted once scored.
  */
 
-import React, { useState, useEffect, useRef } from "react";
+import React, { useState, useEffect, useMemo } from "react";
 import { Card, Table, Spinner, Badge } from "react-bootstrap";
 import { Link } from "react-router-dom";
 import { collection, query, orderBy, onSnapshot, getDocs } from "firebase/firestore";
 import { db } from "../services/firebase";
+import { loadScoringConfig } from "../services/scoringRules";
 import { useTheme } from "../contexts/ThemeContext";
 import { useLanguage } from "../hooks/useLanguage";
+import { useLeague } from "../hooks/useLeague";
+import { rankingPath } from "../utils/leaguePaths";
+import {
+  getSeasonFromRace,
+  ledgerEntryTotal,
+  normalizeJoinPolicy,
+  rankLedgers,
+  resolveScoringRules,
+  tieBreakerValue,
+} from "../utils/scoringEngine";
 import { hideSplash } from "../utils/splash";
 import UserAvatar from "../components/UserAvatar";
 
 const medals = ["🥇", "🥈", "🥉"];
 
+/**
+ * Races a mid-season joiner missed: scored races without an entry (zero policy)
+ * or with a join credit entry
+ * @param {Object} row - Ranking row (joinedAt, pointsByRace)
+ * @param {Set<string>} raceIds - Races scored in the league
+ * @returns {{ rounds: number, points: number }|null} null for players who did not miss any race
+ */
+function lateJoinOf(row, raceIds) {
+  if (!row.joinedAt) return null;
+  let rounds = 0;
+  let points = 0;
+  raceIds.forEach((raceId) => {
+    const entry = row.pointsByRace[raceId];
+    if (entry && !entry.joinCredit) return;
+    rounds += 1;
+    points += entry ? ledgerEntryTotal(entry) : 0;
+  });
+  return rounds > 0 ? { rounds, points } : null;
+}
+
+/**
+ * Points of a ranking row by ledger component
+ * @param {Object} row - Ranking row (pointsByRace, championshipPts)
+ * @returns {{ main: number, sprint: number, props: number, championship: number, boostRaceId: string|null,
+ *   boostPts: number }} boostRaceId is the scored race the player boosted, with its points
+ */
+function breakdownOf(row) {
+  const entries = Object.values(row.pointsByRace || {});
+  const sum = (field) => entries.reduce((total, entry) => total + (entry[field] || 0), 0);
+  const [boostRaceId = null, boostEntry] = Object.entries(row.pointsByRace || {}).find(([, entry]) => entry.boost) ?? [];
+  return {
+    main: sum("mainPts"),
+    sprint: sum("sprintPts"),
+    props: sum("propsPts"),
+    championship: row.championshipPts || 0,
+    boostRaceId,
+    boostPts: ledgerEntryTotal(boostEntry),
+  };
+}
+
 export default function Leaderboard() {
-  const [rows, setRows] = useState([]);
+  const [rankingDocs, setRankingDocs] = useState([]);
+  const [races, setRaces] = useState([]);
+  const [scoringConfig, setScoringConfig] = useState(null);
   const [userProfiles, setUserProfiles] = useState({});
   const [loading, setLoading] = useState(true);
   const { isDark } = useTheme();
   const { t } = useLanguage();
+  const { currentLeagueId } = useLeague();
 
-  // Race ordering ref for proper last-race detection (handles both ICS and manual ID formats)
-  const raceOrderRef = useRef(null);
-
-  // Load user profiles and race ordering in parallel
+  // Load user profiles, race ordering and scoring rules (tie-breakers) in parallel
   useEffect(() => {
     (async () => {
       try {
@@ -42,96 +98,85 @@ export default function Leaderboard() {
     })();
     // Fetch race date ordering once
     getDocs(query(collection(db, "races"), orderBy("raceUTC", "asc")))
-      .then((snap) => {
-        const map = {};
-        snap.docs.forEach((d, i) => { map[d.id] = i + 1; });
-        raceOrderRef.current = map;
-      })
+      .then((snap) => setRaces(snap.docs.map((d) => ({ id: d.id, raceUTC: d.data().raceUTC }))))
       .catch(() => {});
+    loadScoringConfig()
+      .then(setScoringConfig)
+      .catch(() => setScoringConfig({ seasons: {} }));
   }, []);
 
   useEffect(() => {
-    const q = query(collection(db, "ranking"), orderBy("puntiTotali", "desc"));
-    const unsub = onSnapshot(q, (snap) => {
-      const rawRows = snap.docs.map((d) => ({
-        userId: d.id,
-        name: d.data().name,
-        pts: d.data().puntiTotali,
-        jolly: d.data().jolly ?? 0,
-        photoURL: d.data().photoURL || "",
-        pointsByRace: d.data().pointsByRace || {},
-      }));
-
-      // Helper: assign positions with tie handling (competition ranking)
-      const assignPositions = (arr) => {
-        let pos = 1;
-        const map = {};
-        arr.forEach((r, i) => {
-          if (i > 0 && r.sortPts < arr[i - 1].sortPts) pos = i + 1;
-          map[r.userId] = pos;
-        });
-        return map;
-      };
-
-      // Find the last calculated race using date-based ordering (preferred) or ID parsing (fallback)
-      const allRaceIds = new Set();
-      rawRows.forEach((r) => Object.keys(r.pointsByRace).forEach((id) => allRaceIds.add(id)));
-      let lastRaceId = null;
-      if (allRaceIds.size > 0) {
-        const order = raceOrderRef.current;
-        if (order && Object.keys(order).length > 0) {
-          lastRaceId = [...allRaceIds].sort((a, b) => (order[b] || 0) - (order[a] || 0))[0];
-        } else {
-          lastRaceId = [...allRaceIds].sort((a, b) => {
-            const ra = parseInt(a.match(/^r(\d+)/)?.[1] || "0", 10);
-            const rb = parseInt(b.match(/^r(\d+)/)?.[1] || "0", 10);
-            return rb - ra;
-          })[0];
-        }
-      }
+    const unsub = onSnapshot(collection(db, rankingPath(currentLeagueId)), (snap) => {
+      setRankingDocs(snap.docs.map((d) => [d.id, d.data()]));
+      setLoading(false);
+      hideSplash();
+    });
+    return () => unsub();
+  }, [currentLeagueId]);
 
-      // Current positions (from puntiTotali as displayed)
-      let currentPos = 1;
-      const rowsWithPositions = rawRows.map((row, index) => {
-        if (index > 0 && row.pts < rawRows[index - 1].pts) {
-          currentPos = index + 1;
-        }
-        return { ...row, position: currentPos };
-      });
+  const rows = useMemo(() => {
+    // Scored races, most recent first (date ordering, or the round in the ID as a fallback)
+    const allRaceIds = new Set();
+    rankingDocs.forEach(([, data]) => Object.keys(data.pointsByRace || {}).forEach((id) => allRaceIds.add(id)));
+    const order = Object.fromEntries(races.map((r, i) => [r.id, i + 1]));
+    const scoredRaceIds = [...allRaceIds].sort((a, b) => (races.length > 0
+      ? (order[b] || 0) - (order[a] || 0)
+      : parseInt(b.match(/^r(\d+)/)?.[1] || "0", 10) - parseInt(a.match(/^r(\d+)/)?.[1] || "0", 10)));
+    const [lastRaceId = null, previousRaceId = null] = scoredRaceIds;
 
-      // Position change: use puntiTotali (consistent with displayed ranking)
-      // Compare current total vs total minus last race's points
-      if (lastRaceId && allRaceIds.size > 1) {
-        const currRace = rawRows.map((r) => ({
-          userId: r.userId,
-          sortPts: r.pts,
-        })).sort((a, b) => b.sortPts - a.sortPts);
+    const lastRace = races.find((r) => r.id === lastRaceId);
+    const { TIE_BREAKERS: tieBreakers } = resolveScoringRules(
+      scoringConfig,
+      lastRace ? getSeasonFromRace(lastRace) : new Date().getUTCFullYear()
+    );
 
-        const prevRace = rawRows.map((r) => {
-          const lastEntry = r.pointsByRace[lastRaceId];
-          const lastPts = lastEntry ? (lastEntry.mainPts || 0) + (lastEntry.sprintPts || 0) : 0;
-          return {
-            userId: r.userId,
-            sortPts: r.pts - lastPts,
-          };
-        }).sort((a, b) => b.sortPts - a.sortPts);
+    // Current standings: points, then the season's tie-breakers
+    const standings = rankLedgers(rankingDocs, { tieBreakers, lastRaceId });
 
-        const currPosMap = assignPositions(currRace);
-        const prevPosMap = assignPositions(prevRace);
+    // Position change: standings without the last race's entry
+    const previousPositions = {};
+    if (lastRaceId && allRaceIds.size > 1) {
+      const previous = rankingDocs.map(([userId, data]) => {
+        const { [lastRaceId]: lastEntry, ...pointsByRace } = data.pointsByRace || {};
+        return [userId, { ...data, pointsByRace, puntiTotali: (data.puntiTotali ?? 0) - ledgerEntryTotal(lastEntry) }];
+      });
+      rankLedgers(previous, { tieBreakers, lastRaceId: previousRaceId })
+        .forEach((row) => { previousPositions[row.userId] = row.position; });
+    }
 
-        rowsWithPositions.forEach((r) => {
-          const curr = currPosMap[r.userId];
-          const prev = prevPosMap[r.userId];
-          if (curr != null && prev != null) r.posChange = prev - curr;
-        });
-      }
+    return standings.map((row, index) => ({
+      userId: row.userId,
+      name: row.name,
+      pts: row.points,
+      jolly: row.jolly ?? 0,
+      photoURL: row.photoURL || "",
+      position: row.position,
+      posChange: previousPositions[row.userId] != null ? previousPositions[row.userId] - row.position : undefined,
+      tieBreak: row.tieBreaker
+        ? {
+          rule: row.tieBreaker,
+          ahead: standings[index - 1].name,
+          value: tieBreakerValue(row.tieBreaker, row.stats),
+          aheadValue: tieBreakerValue(row.tieBreaker, standings[index - 1].stats),
+        }
+        : null,
+      lateJoin: lateJoinOf({ joinedAt: row.joinedAt ?? null, pointsByRace: row.pointsByRace || {} }, allRaceIds),
+      joinPolicy: row.joinPolicy ?? null,
+      breakdown: breakdownOf(row),
+    }));
+  }, [rankingDocs, races, scoringConfig]);
 
-      setRows(rowsWithPositions);
-      setLoading(false);
-      hideSplash();
-    });
-    return () => unsub();
-  }, []);
+  /**
+   * Tooltip of the points of a row
+   * @param {Object} breakdown - Result of breakdownOf
+   * @returns {string}
+   */
+  const breakdownTitle = (breakdown) => {
+    const title = t("leaderboard.breakdown", breakdown);
+    if (!breakdown.boostRaceId) return title;
+    const race = races.find((r) => r.id === breakdown.boostRaceId)?.name ?? breakdown.boostRaceId;
+    return `${title} · ${t("leaderboard.breakdownBoost", { race, points: breakdown.boostPts })}`;
+  };
 
   const leaderPts = rows[0]?.pts ?? 0;
   const accentColor = isDark ? "#ff4d5a" : "#dc3545";
@@ -230,9 +275,42 @@ export default function Leaderboard() {
                           size={20}
                         />
                         <span className="text-truncate">{r.name}</span>
+                        {r.tieBreak && (
+                          <span
+                            className="flex-shrink-0"
+                            style={{ fontSize: "0.7rem" }}
+                            title={t("tieBreakers.explain", {
+                              name: r.tieBreak.ahead,
+                              rule: t(`tieBreakers.${r.tieBreak.rule}`),
+                              value: r.tieBreak.value,
+                              aheadValue: r.tieBreak.aheadValue,
+                            })}
+                          >
+                            ⚖️
+                          </span>
+                        )}
+                        {r.lateJoin && (
+                          <span
+                            className="flex-shrink-0"
+                            style={{ fontSize: "0.7rem" }}
+                            title={t("joinPolicy.lateJoiner", {
+                              rounds: r.lateJoin.rounds,
+                              points: r.lateJoin.points,
+                              policy: t(`joinPolicy.${normalizeJoinPolicy(r.joinPolicy)}`),
+                            })}
+                          >
+                            🕒
+                          </span>
+                        )}
                       </Link>
                     </td>
-                    <td className="text-center px-0 fw-semibold" style={{ fontSize: "0.82rem", padding: "6px 1px" }}>{r.pts}</td>
+                    <td
+                      className="text-center px-0 fw-semibold"
+                      style={{ fontSize: "0.82rem", padding: "6px 1px" }}
+                      title={breakdownTitle(r.breakdown)}
+                    >
+                      {r.pts}
+                    </td>
                     <td className="text-center px-0 text-muted" style={{ fontSize: "0.72rem", padding: "6px 1px" }}>{gap}</td>
                     <td className="text-center px-0" style={{ padding: "6px 1px" }}>
                       <span style={{ fontSize: "0.68rem", color: r.jolly ? "#198754" : "#6c757d", fontWeight: "bold" }}>
@@ -252,6 +330,16 @@ export default function Leaderboard() {
             </tbody>
           </Table>
         )}
+        {!loading && rows.some((r) => r.tieBreak) && (
+          <div className="text-muted px-2 pt-1" style={{ fontSize: "0.7rem" }}>
+            {t("tieBreakers.legend")}
+          </div>
+        )}
+        {!loading && rows.some((r) => r.lateJoin) && (
+          <div className="text-muted px-2 py-1" style={{ fontSize: "0.7rem" }}>
+            {t("joinPolicy.legend")}
+          </div>
+        )}
       </Card.Body>
     </Card>
   );
@@ -1,15 +1,18 @@
 /**
  * @file ParticipantDetail.jsx
- * @description Detailed participant profile page showing race history, statistics, and formations
+ * @description Detailed participant profile page showing race history, statistics, formations
+ * and the edit history of each formation. Past seasons come from the season archive.
  */
 
 import React, { useState, useEffect } from "react";
-import { useParams } from "react-router-dom";
+import { useParams, useSearchParams } from "react-router-dom";
 import {
   Container,
   Spinner,
   Alert,
   Button,
+  Card,
+  Form,
 } from "react-bootstrap";
 import {
   doc,
@@ -25,10 +28,16 @@ import { db } from "../services/firebase";
 import { useTheme } from "../contexts/ThemeContext";
 import { useLanguage } from "../hooks/useLanguage";
 import { useAuth } from "../hooks/useAuth";
+import { useLeague } from "../hooks/useLeague";
+import { useSeasons } from "../hooks/useSeasons";
+import { rankingPath, submissionsPath } from "../utils/leaguePaths";
 import { error as logError } from "../utils/logger";
 import { getChampionshipDeadlineMs } from "../utils/championshipDeadline";
 import { getChampionshipStatistics } from "../services/statisticsService";
+import { filterRacesBySeason, loadSeasonStandings } from "../services/seasonService";
 import PlayerStatsView from "../components/PlayerStatsView";
+import RevisionTimeline from "../components/RevisionTimeline";
+import SeasonSelect from "../components/SeasonSelect";
 
 /**
  * Participant detail page showing complete user profile and statistics
@@ -36,9 +45,20 @@ import PlayerStatsView from "../components/PlayerStatsView";
  */
 export default function ParticipantDetail() {
   const { userId } = useParams();
+  const [searchParams] = useSearchParams();
   const { isDark } = useTheme();
   const { t } = useLanguage();
   const { user } = useAuth();
+  const { currentLeagueId } = useLeague();
+  const { seasons, archivedSeasons, loading: loadingSeasons } = useSeasons();
+  // Season requested by the link (hall of fame), the latest one otherwise
+  const [season, setSeason] = useState(() => {
+    const requested = Number(searchParams.get("season"));
+    return Number.isInteger(requested) && requested > 0 ? requested : null;
+  });
+
+  const selectedSeason = season ?? seasons[0] ?? null;
+  const isArchivedSeason = archivedSeasons.includes(selectedSeason);
 
   const [participant, setParticipant] = useState(null);
   const [userProfile, setUserProfile] = useState(null);
@@ -50,6 +70,7 @@ export default function ParticipantDetail() {
   const [participantPosition, setParticipantPosition] = useState(null);
   const [championshipDeadlinePassed, setChampionshipDeadlinePassed] = useState(false);
   const [positionData, setPositionData] = useState([]);
+  const [revisionRaceId, setRevisionRaceId] = useState("");
 
   const accentColor = isDark ? "#ff4d5a" : "#dc3545";
 
@@ -57,23 +78,27 @@ export default function ParticipantDetail() {
    * Load participant data and race history with progressive loading
    */
   useEffect(() => {
+    if (loadingSeasons) return;
     (async () => {
       try {
-        // Load participant basic info from ranking, user profile, and deadline in parallel
-        const [rankingDoc, profileDoc, deadlineMs] = await Promise.all([
-          getDoc(doc(db, "ranking", userId)),
+        // Load participant basic info from ranking (final standings for an archived season),
+        // user profile, and deadline in parallel
+        const [rankingDoc, profileDoc, deadlineMs, standings] = await Promise.all([
+          isArchivedSeason ? null : getDoc(doc(db, rankingPath(currentLeagueId), userId)),
           getDoc(doc(db, "users", userId)),
           getChampionshipDeadlineMs(),
+          isArchivedSeason ? loadSeasonStandings(selectedSeason, currentLeagueId) : null,
         ]);
 
-        if (!rankingDoc.exists()) {
+        const archivedEntry = standings?.find((entry) => entry.userId === userId);
+        if (isArchivedSeason ? !archivedEntry : !rankingDoc.exists()) {
           setError(t("participantDetail.notFound"));
           setLoadingParticipant(false);
           setLoadingHistory(false);
           return;
         }
 
-        const userData = rankingDoc.data();
+        const userData = isArchivedSeason ? archivedEntry : rankingDoc.data();
 
         // Store user profile data
         if (profileDoc.exists()) {
@@ -85,18 +110,18 @@ export default function ParticipantDetail() {
           });
         }
 
-        // Check championship deadline
-        const deadlinePassed = deadlineMs ? Date.now() > deadlineMs : false;
+        // Check championship deadline (always passed for an archived season)
+        const deadlinePassed = isArchivedSeason || (deadlineMs ? Date.now() > deadlineMs : false);
         setChampionshipDeadlinePassed(deadlinePassed);
 
         // Load all participants to calculate position
-        const allParticipantsSnap = await getDocs(collection(db, "ranking"));
-        const ranking = allParticipantsSnap.docs
-          .map(doc => ({
-            userId: doc.id,
-            ...doc.data(),
-          }))
-          .sort((a, b) => (b.puntiTotali || 0) - (a.puntiTotali || 0));
+        const ranking = (isArchivedSeason
+          ? standings
+          : (await getDocs(collection(db, rankingPath(currentLeagueId)))).docs.map(doc => ({
+              userId: doc.id,
+              ...doc.data(),
+            }))
+        ).sort((a, b) => (b.puntiTotali || 0) - (a.puntiTotali || 0));
 
         // Calculate position with pari merito (tied positions)
         let currentPos = 1;
@@ -137,11 +162,15 @@ export default function ParticipantDetail() {
           )
         );
 
-        setTotalCompletedRaces(racesSnap.size);
+        const seasonRaces = filterRacesBySeason(
+          racesSnap.docs.map((d) => ({ id: d.id, ...d.data() })),
+          selectedSeason,
+          archivedSeasons
+        );
+        setTotalCompletedRaces(seasonRaces.length);
 
         // OPTIMIZED: Load submissions for all races IN PARALLEL
-        const submissionsPromises = racesSnap.docs.map(async (raceDoc) => {
-          const raceData = raceDoc.data();
+        const submissionsPromises = seasonRaces.map(async (raceData) => {
 
           // Only include races with official results
           if (!raceData.officialResults) {
@@ -150,22 +179,24 @@ export default function ParticipantDetail() {
 
           try {
             const submissionDoc = await getDoc(
-              doc(db, "races", raceDoc.id, "submissions", userId)
+              doc(db, submissionsPath(currentLeagueId, raceData.id), userId)
             );
 
             // Include race even if no submission (to show missing submissions)
             return {
-              raceId: raceDoc.id,
+              raceId: raceData.id,
               raceName: raceData.name,
               round: raceData.round,
               raceUTC: raceData.raceUTC,
               submission: submissionDoc.exists() ? submissionDoc.data() : null,
               officialResults: raceData.officialResults,
+              multiplier: raceData.multiplier,
+              status: raceData.status,
               cancelledSprint: raceData.cancelledSprint || false,
               cancelledMain: raceData.cancelledMain || false,
             };
           } catch (err) {
-            logError(`Error fetching submission for race ${raceDoc.id}:`, err);
+            logError(`Error fetching submission for race ${raceData.id}:`, err);
             return null;
           }
         });
@@ -178,7 +209,10 @@ export default function ParticipantDetail() {
 
         // Load championship position history for the chart (background)
         try {
-          const stats = await getChampionshipStatistics();
+          const stats = await getChampionshipStatistics(currentLeagueId, {
+            season: selectedSeason,
+            archivedSeasons,
+          });
           const userHistory = stats.playersData[userId];
           if (userHistory) {
             setPositionData(
@@ -201,12 +235,38 @@ export default function ParticipantDetail() {
         setLoadingHistory(false);
       }
     })();
-  }, [userId, t, user?.uid]);
+  }, [userId, t, user?.uid, currentLeagueId, selectedSeason, isArchivedSeason, archivedSeasons, loadingSeasons]);
+
+  /**
+   * Switch season: reload the participant with that season's data
+   * @param {number} year - Season year
+   */
+  const handleSeasonChange = (year) => {
+    setSeason(year);
+    setError(null);
+    setLoadingParticipant(true);
+    setLoadingHistory(true);
+    setRaceHistory([]);
+    setPositionData([]);
+    setRevisionRaceId("");
+  };
+
+  const seasonSelect = (
+    <div className="d-flex justify-content-end mb-3">
+      <SeasonSelect
+        seasons={seasons}
+        archivedSeasons={archivedSeasons}
+        value={selectedSeason}
+        onChange={handleSeasonChange}
+      />
+    </div>
+  );
 
   // Show error if participant not found
   if (error) {
     return (
       <Container className="py-5">
+        {seasonSelect}
         <Alert variant="danger">{error}</Alert>
         <Button variant="secondary" onClick={() => window.history.back()}>
           {t("common.back")}
@@ -229,6 +289,7 @@ export default function ParticipantDetail() {
   if (loadingHistory) {
     return (
       <Container className="py-5">
+        {seasonSelect}
         <PlayerStatsView
           playerData={{
             name: participant?.name,
@@ -258,6 +319,7 @@ export default function ParticipantDetail() {
 
   return (
     <Container className="py-5">
+      {seasonSelect}
       <PlayerStatsView
         playerData={{
           name: participant?.name,
@@ -277,6 +339,31 @@ export default function ParticipantDetail() {
         showBackButton={true}
         positionData={positionData}
       />
+
+      {/* Formation edit history (for disputes) */}
+      {raceHistory.some((r) => r.submission) && (
+        <Card className="mt-4 shadow-sm">
+          <Card.Header className="fw-bold">{t("revisions.title")}</Card.Header>
+          <Card.Body>
+            <Form.Select
+              size="sm"
+              className="mb-3"
+              value={revisionRaceId}
+              onChange={(e) => setRevisionRaceId(e.target.value)}
+            >
+              <option value="">{t("revisions.selectRace")}</option>
+              {raceHistory
+                .filter((r) => r.submission)
+                .map((r) => (
+                  <option key={r.raceId} value={r.raceId}>
+                    R{r.round} — {r.raceName}
+                  </option>
+                ))}
+            </Form.Select>
+            {revisionRaceId && <RevisionTimeline raceId={revisionRaceId} userId={userId} />}
+          </Card.Body>
+        </Card>
+      )}
     </Container>
   );
 }
@@ -1,6 +1,7 @@
 /**
  * @file Statistics.jsx
- * @description Championship statistics page with ranking trends and cumulative points charts
+ * @description Championship statistics page with ranking trends and cumulative points charts.
+ * Past seasons are charted against their archived final standings.
  */
 
 import { useState, useEffect, useMemo, useRef } from "react";
@@ -38,13 +39,18 @@ import {
   Timestamp,
 } from "firebase/firestore";
 import { getChampionshipStatistics } from "../services/statisticsService";
+import { filterRacesBySeason, loadSeasonStandings } from "../services/seasonService";
 import { db } from "../services/firebase";
 import { useTheme } from "../contexts/ThemeContext";
 import { useLanguage } from "../hooks/useLanguage";
 import { useAuth } from "../hooks/useAuth";
+import { useLeague } from "../hooks/useLeague";
+import { useSeasons } from "../hooks/useSeasons";
+import { rankingPath, submissionsPath } from "../utils/leaguePaths";
 import { error as logError } from "../utils/logger";
 import { getChampionshipDeadlineMs } from "../utils/championshipDeadline";
 import PlayerStatsView from "../components/PlayerStatsView";
+import SeasonSelect from "../components/SeasonSelect";
 import "../styles/statistics.css";
 
 const medals = ["🥇", "🥈", "🥉"];
@@ -100,14 +106,21 @@ export default function Statistics() {
   const [championshipDeadlinePassed, setChampionshipDeadlinePassed] = useState(false);
 
   // Cache: evita ri-fetch gare e dati giocatori già caricati
-  const racesCache = useRef(null); // { docs, totalCompleted } — caricato una volta sola
+  const racesCache = useRef(null); // gare passate — caricate una volta sola
   const playerCache = useRef({}); // { [userId]: playerStats }
+  const seasonStandings = useRef([]); // classifica finale di una stagione archiviata
 
   const { isDark } = useTheme();
   const { t } = useLanguage();
   const { user } = useAuth();
+  const { currentLeagueId } = useLeague();
+  const { seasons, archivedSeasons, loading: loadingSeasons } = useSeasons();
+  const [season, setSeason] = useState(null);
   const navigate = useNavigate();
 
+  const selectedSeason = season ?? seasons[0] ?? null;
+  const isArchivedSeason = archivedSeasons.includes(selectedSeason);
+
   // Apply players filter to determine how many players to show in charts
   // MUST be before any conditional returns to follow Rules of Hooks
   const topPlayers = useMemo(() => {
@@ -152,11 +165,28 @@ export default function Statistics() {
   }, [statistics, racesFilter, topPlayers]);
 
   useEffect(() => {
+    if (loadingSeasons) return;
+    playerCache.current = {};
+    seasonStandings.current = [];
+
     // Load ranking and statistics in parallel for faster initial render
     const loadRanking = async () => {
       try {
+        if (isArchivedSeason) {
+          // Closed season: final standings from the archive (positions already computed)
+          seasonStandings.current = await loadSeasonStandings(selectedSeason, currentLeagueId) || [];
+          setCurrentRanking(seasonStandings.current.map((entry) => ({
+            userId: entry.userId,
+            name: entry.name,
+            points: entry.puntiTotali || 0,
+            position: entry.position,
+          })));
+          setLoadingRanking(false);
+          return;
+        }
+
         const rankingSnap = await getDocs(
-          query(collection(db, "ranking"), orderBy("puntiTotali", "desc"))
+          query(collection(db, rankingPath(currentLeagueId)), orderBy("puntiTotali", "desc"))
         );
 
         let currentPos = 1;
@@ -184,7 +214,10 @@ export default function Statistics() {
 
     const loadStatistics = async () => {
       try {
-        const data = await getChampionshipStatistics();
+        const data = await getChampionshipStatistics(currentLeagueId, {
+          season: selectedSeason,
+          archivedSeasons,
+        });
         setStatistics(data);
         setLoadingStatistics(false); // Show charts when ready
       } catch (err) {
@@ -207,7 +240,7 @@ export default function Statistics() {
     loadRanking();
     loadStatistics();
     loadDeadline();
-  }, [t]);
+  }, [t, currentLeagueId, selectedSeason, isArchivedSeason, archivedSeasons, loadingSeasons]);
 
   // Load individual player statistics when selected
   useEffect(() => {
@@ -228,20 +261,23 @@ export default function Statistics() {
 
       try {
         // Step 1: dati base giocatore (2 read) — mostra subito l'header
+        // (stagione archiviata: dati dalla classifica finale)
         const [rankingDoc, profileDoc] = await Promise.all([
-          getDoc(doc(db, "ranking", selectedPlayerId)),
+          isArchivedSeason ? null : getDoc(doc(db, rankingPath(currentLeagueId), selectedPlayerId)),
           getDoc(doc(db, "users", selectedPlayerId)),
         ]);
 
-        if (!rankingDoc.exists()) {
+        const userData = isArchivedSeason
+          ? seasonStandings.current.find(e => e.userId === selectedPlayerId)
+          : rankingDoc.exists() ? rankingDoc.data() : null;
+        if (!userData) {
           setLoadingPlayerStats(false);
           return;
         }
 
-        const userData = rankingDoc.data();
         const profileData = profileDoc.exists() ? profileDoc.data() : {};
         const isOwnProfile = user?.uid === selectedPlayerId;
-        const showChampionship = championshipDeadlinePassed || isOwnProfile;
+        const showChampionship = isArchivedSeason || championshipDeadlinePassed || isOwnProfile;
 
         // Mostra subito i dati base, storia ancora vuota
         const baseStats = {
@@ -272,34 +308,34 @@ export default function Statistics() {
           const racesSnap = await getDocs(
             query(collection(db, "races"), where("raceUTC", "<", now), orderBy("raceUTC", "desc"))
           );
-          racesCache.current = {
-            docs: racesSnap.docs,
-            totalCompleted: racesSnap.docs.filter(d => d.data().officialResults).length,
-          };
+          racesCache.current = racesSnap.docs.map(d => ({ id: d.id, ...d.data() }));
         }
 
-        const { docs: raceDocs, totalCompleted } = racesCache.current;
+        // Solo le gare della stagione selezionata
+        const seasonRaces = filterRacesBySeason(racesCache.current, selectedSeason, archivedSeasons);
+        const totalCompleted = seasonRaces.filter(r => r.officialResults).length;
 
         // Fetch solo le submission del giocatore selezionato (in parallelo)
-        const submissionsPromises = raceDocs.map(async (raceDoc) => {
-          const raceData = raceDoc.data();
+        const submissionsPromises = seasonRaces.map(async (raceData) => {
           if (!raceData.officialResults) return null;
           try {
             const submissionDoc = await getDoc(
-              doc(db, "races", raceDoc.id, "submissions", selectedPlayerId)
+              doc(db, submissionsPath(currentLeagueId, raceData.id), selectedPlayerId)
             );
             return {
-              raceId: raceDoc.id,
+              raceId: raceData.id,
               raceName: raceData.name,
               round: raceData.round,
               raceUTC: raceData.raceUTC,
               submission: submissionDoc.exists() ? submissionDoc.data() : null,
               officialResults: raceData.officialResults,
+              multiplier: raceData.multiplier,
+              status: raceData.status,
               cancelledSprint: raceData.cancelledSprint || false,
               cancelledMain: raceData.cancelledMain || false,
             };
           } catch (err) {
-            logError(`Error fetching submission for race ${raceDoc.id}:`, err);
+            logError(`Error fetching submission for race ${raceData.id}:`, err);
             return null;
           }
         });
@@ -320,7 +356,17 @@ export default function Statistics() {
 
     loadPlayerStatistics();
   // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [selectedPlayerId, championshipDeadlinePassed, user?.uid]);
+  }, [selectedPlayerId, championshipDeadlinePassed, user?.uid, currentLeagueId, selectedSeason]);
+
+  /**
+   * Switch season: reload ranking and charts, clear the selected player
+   * @param {number} year - Season year
+   */
+  const handleSeasonChange = (year) => {
+    setSeason(year);
+    setSelectedPlayerId(null);
+    setLoadingStatistics(true);
+  };
 
   const accentColor = isDark ? "#ff4d5a" : "#dc3545";
   const bgCard = isDark ? "var(--bg-secondary)" : "#ffffff";
@@ -398,9 +444,17 @@ export default function Statistics() {
     <Container className="py-4">
       <Row>
         <Col xs={12}>
-          <h2 className="mb-4" style={{ color: accentColor }}>
-            {t("statistics.title")}
-          </h2>
+          <div className="d-flex flex-wrap align-items-center gap-3 mb-4">
+            <h2 className="mb-0" style={{ color: accentColor }}>
+              {t("statistics.title")}
+            </h2>
+            <SeasonSelect
+              seasons={seasons}
+              archivedSeasons={archivedSeasons}
+              value={selectedSeason}
+              onChange={handleSeasonChange}
+            />
+          </div>
         </Col>
       </Row>
 
@@ -461,7 +515,7 @@ export default function Statistics() {
                   borderBottom: `2px solid ${accentColor}`,
                 }}
               >
-                {t("statistics.currentRanking")}
+                {isArchivedSeason ? t("seasons.finalStandings") : t("statistics.currentRanking")}
               </Card.Header>
               <Card.Body className="p-0">
                 <div className="table-responsive">
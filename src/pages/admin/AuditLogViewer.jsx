@@ -0,0 +1,187 @@
+/**
+ * @file AuditLogViewer.jsx
+ * @description Read-only viewer of the admin audit log — filters by action, actor and
+ * target, with the before/after values of each entry on demand.
+ */
+
+import React, { useState, useEffect, useMemo, useCallback } from "react";
+import {
+  Button,
+  Form,
+  Alert,
+  Spinner,
+  Badge,
+  ListGroup,
+  Row,
+  Col,
+} from "react-bootstrap";
+import { loadAuditLog, AUDIT_LOG_PAGE_SIZE } from "../../services/auditLog";
+import { useTheme } from "../../contexts/ThemeContext";
+import { useLanguage } from "../../hooks/useLanguage";
+import { useTimezone } from "../../hooks/useTimezone";
+import { error } from "../../utils/logger";
+
+/**
+ * Pretty-prints a logged value, showing Firestore timestamps as ISO dates
+ * @param {*} value - Logged before/after value
+ * @returns {string} Indented JSON
+ */
+const formatValue = (value) =>
+  JSON.stringify(
+    value,
+    (key, v) =>
+      v && typeof v === "object" && "seconds" in v && "nanoseconds" in v
+        ? new Date(v.seconds * 1000).toISOString()
+        : v,
+    2
+  );
+
+export default function AuditLogViewer() {
+  const { t } = useLanguage();
+  const { isDark } = useTheme();
+  const { timezone } = useTimezone();
+
+  const [entries, setEntries] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [message, setMessage] = useState(null);
+  const [actionFilter, setActionFilter] = useState("");
+  const [actorFilter, setActorFilter] = useState("");
+  const [targetFilter, setTargetFilter] = useState("");
+  const [expandedId, setExpandedId] = useState(null);
+
+  const borderColor = isDark ? "var(--border-color)" : "#dee2e6";
+  const bgCard = isDark ? "var(--bg-secondary)" : "#ffffff";
+
+  const loadEntries = useCallback(async () => {
+    setLoading(true);
+    setMessage(null);
+    try {
+      setEntries(await loadAuditLog());
+    } catch (err) {
+      error(err);
+      setMessage({ type: "danger", text: t("admin.auditLoadError") });
+    } finally {
+      setLoading(false);
+    }
+  }, [t]);
+
+  useEffect(() => { loadEntries(); }, [loadEntries]);
+
+  const systemLabel = t("admin.auditSystem");
+  const actorLabel = (entry) => entry.actorEmail || entry.actorUid || systemLabel;
+
+  const actions = useMemo(() => [...new Set(entries.map((e) => e.action))].sort(), [entries]);
+  const actors = useMemo(
+    () => [...new Set(entries.map((e) => e.actorEmail || e.actorUid || systemLabel))].sort(),
+    [entries, systemLabel]
+  );
+
+  const filtered = entries.filter((e) =>
+    (!actionFilter || e.action === actionFilter) &&
+    (!actorFilter || actorLabel(e) === actorFilter) &&
+    (!targetFilter || e.target?.toLowerCase().includes(targetFilter.toLowerCase()))
+  );
+
+  return (
+    <>
+      <div className="d-flex justify-content-between align-items-center mb-2">
+        <h6 className="mb-0 fw-bold" style={{ color: "var(--text-primary)" }}>
+          {t("admin.auditLog")}
+          <Badge bg="secondary" className="ms-2" style={{ fontSize: "0.7rem", verticalAlign: "middle" }}>
+            {filtered.length}
+          </Badge>
+        </h6>
+        <Button size="sm" variant="outline-secondary" onClick={loadEntries} disabled={loading}>
+          {loading ? <Spinner animation="border" size="sm" /> : t("admin.refresh")}
+        </Button>
+      </div>
+      <p className="small text-muted mb-2">
+        {t("admin.auditDescription", { count: AUDIT_LOG_PAGE_SIZE })}
+      </p>
+
+      {message && (
+        <Alert variant={message.type} dismissible onClose={() => setMessage(null)} className="py-2 mb-3">
+          {message.text}
+        </Alert>
+      )}
+
+      {/* Filters */}
+      <Row className="g-2 mb-3">
+        <Col xs={12} sm={4}>
+          <Form.Select size="sm" value={actionFilter} onChange={(e) => setActionFilter(e.target.value)}>
+            <option value="">{t("admin.auditAllActions")}</option>
+            {actions.map((a) => <option key={a} value={a}>{a}</option>)}
+          </Form.Select>
+        </Col>
+        <Col xs={12} sm={4}>
+          <Form.Select size="sm" value={actorFilter} onChange={(e) => setActorFilter(e.target.value)}>
+            <option value="">{t("admin.auditAllActors")}</option>
+            {actors.map((a) => <option key={a} value={a}>{a}</option>)}
+          </Form.Select>
+        </Col>
+        <Col xs={12} sm={4}>
+          <Form.Control
+            size="sm"
+            value={targetFilter}
+            onChange={(e) => setTargetFilter(e.target.value)}
+            placeholder={t("admin.auditSearchTarget")}
+          />
+        </Col>
+      </Row>
+
+      {loading ? (
+        <div className="text-center py-4"><Spinner animation="border" size="sm" /></div>
+      ) : filtered.length === 0 ? (
+        <div className="text-center py-4 rounded small" style={{ backgroundColor: bgCard, border: `1px solid ${borderColor}`, color: "var(--text-muted)" }}>
+          {t("admin.auditEmpty")}
+        </div>
+      ) : (
+        <ListGroup variant="flush" style={{ borderRadius: 8, overflow: "hidden", border: `1px solid ${borderColor}` }}>
+          {filtered.map((entry) => {
+            const expanded = expandedId === entry.id;
+            return (
+              <ListGroup.Item
+                key={entry.id}
+                action
+                onClick={() => setExpandedId(expanded ? null : entry.id)}
+                className="px-3 py-2"
+                style={{ backgroundColor: bgCard, color: "var(--text-primary)", borderColor }}
+              >
+                <div className="d-flex flex-wrap align-items-center gap-2">
+                  <Badge bg={entry.source === "functions" ? "info" : "secondary"} style={{ fontSize: "0.65rem" }}>
+                    {entry.action}
+                  </Badge>
+                  <small className="text-muted">
+                    {entry.createdAt
+                      ? entry.createdAt.toDate().toLocaleString("it-IT", { timeZone: timezone })
+                      : "—"}
+                  </small>
+                  <small className="ms-auto text-muted text-truncate" style={{ maxWidth: "40%" }}>
+                    {actorLabel(entry)}
+                  </small>
+                </div>
+                <div className="small mt-1 text-break"><code>{entry.target}</code></div>
+                {expanded && (
+                  <Row className="g-2 mt-1">
+                    <Col xs={12} md={6}>
+                      <div className="small fw-semibold">{t("admin.auditBefore")}</div>
+                      <pre className="small mb-0 p-2 rounded" style={{ border: `1px solid ${borderColor}`, whiteSpace: "pre-wrap" }}>
+                        {formatValue(entry.before)}
+                      </pre>
+                    </Col>
+                    <Col xs={12} md={6}>
+                      <div className="small fw-semibold">{t("admin.auditAfter")}</div>
+                      <pre className="small mb-0 p-2 rounded" style={{ border: `1px solid ${borderColor}`, whiteSpace: "pre-wrap" }}>
+                        {formatValue(entry.after)}
+                      </pre>
+                    </Col>
+                  </Row>
+                )}
+              </ListGroup.Item>
+            );
+          })}
+        </ListGroup>
+      )}
+    </>
+  );
+}
@@ -1,7 +1,12 @@
 /**
  * @file CalendarManager.jsx
  * @description Race calendar management — ICS import, full race editing with
- * date-based round reordering and change preview. Sprint add/remove toggle.
+ * date-based round reordering and change preview. Sprint add/remove toggle and the
+ * points multiplier of the race (a change re-scores a race that already has results).
+ * Next to the cancel/restore buttons, a race weekend stopped early can be switched to
+ * reduced points (RACE_STATUSES); a race already scored is re-scored in the same commit.
+ * Rounds are numbered per season: the list, the reordering and new race IDs are
+ * scoped to the season of the race.
  * Unified admin panel design, mobile-first.
  */
 
@@ -19,18 +24,30 @@ import {
 } from "react-bootstrap";
 import {
   doc,
-  updateDoc,
   writeBatch,
-  setDoc,
-  deleteDoc,
   getDocs,
   collection,
   Timestamp,
 } from "firebase/firestore";
 import { db } from "../../services/firebase";
+import { logAdminAction } from "../../services/auditLog";
+import { rescoreRaceWithStatus } from "../../services/pointsCalculator";
 import { useTheme } from "../../contexts/ThemeContext";
 import { useLanguage } from "../../hooks/useLanguage";
 import { useTimezone } from "../../hooks/useTimezone";
+import { useLeague } from "../../hooks/useLeague";
+import { useSeasons } from "../../hooks/useSeasons";
+import { useScoringRules } from "../../hooks/useScoringRules";
+import SeasonSelect from "../../components/SeasonSelect";
+import { submissionsPath } from "../../utils/leaguePaths";
+import {
+  MAX_RACE_MULTIPLIER,
+  MIN_RACE_MULTIPLIER,
+  RACE_STATUSES,
+  getSeasonFromRace,
+  normalizeRaceMultiplier,
+  raceStatus,
+} from "../../utils/scoringEngine";
 import { error } from "../../utils/logger";
 
 const tsToLocal = (ts) => {
@@ -43,6 +60,8 @@ const tsToLocal = (ts) => {
 export default function CalendarManager({ races, loading, onDataChange }) {
   const { t } = useLanguage();
   const { isDark } = useTheme();
+  const { leagues } = useLeague();
+  const { archivedSeasons } = useSeasons();
   const { timezone } = useTimezone();
 
   const fmtDate = (ts) => {
@@ -66,10 +85,11 @@ export default function CalendarManager({ races, loading, onDataChange }) {
   const [cancelType, setCancelType] = useState("");
   const [editFormData, setEditFormData] = useState({
     name: "", raceDateTimeUTC: "", qualiDateTimeUTC: "",
-    sprintQualiDateTimeUTC: "", sprintDateTimeUTC: "",
+    sprintQualiDateTimeUTC: "", sprintDateTimeUTC: "", multiplier: "1",
   });
   const [showPreview, setShowPreview] = useState(false);
   const [showSprintFields, setShowSprintFields] = useState(false);
+  const editingRules = useScoringRules(getSeasonFromRace(editingRace));
 
   // Add Race
   const [showAddModal, setShowAddModal] = useState(false);
@@ -88,13 +108,30 @@ export default function CalendarManager({ races, loading, onDataChange }) {
   const borderColor = isDark ? "var(--border-color)" : "#dee2e6";
   const bgCard = isDark ? "var(--bg-secondary)" : "#ffffff";
 
+  // ─── Seasons ───
+  const [calendarSeason, setCalendarSeason] = useState(null);
+  const seasons = useMemo(
+    () => [...new Set(races.map(getSeasonFromRace).filter((y) => y != null))].sort((a, b) => b - a),
+    [races]
+  );
+  const selectedSeason = calendarSeason ?? seasons[0] ?? null;
+  const racesOfSeason = (season) => races.filter((r) => getSeasonFromRace(r) === season);
+  const seasonRaces = racesOfSeason(selectedSeason);
+  const addSeason = addFormData.raceDateTimeUTC
+    ? getSeasonFromRace({ raceUTC: new Date(addFormData.raceDateTimeUTC) })
+    : selectedSeason;
+  const addShiftCount = addFormData.round
+    ? racesOfSeason(addSeason).filter((r) => r.round >= parseInt(addFormData.round)).length
+    : 0;
+
   // ─── Preview data ───
   const previewData = useMemo(() => {
     if (!showPreview || !editingRace || !editFormData.raceDateTimeUTC) return null;
     const newRaceDate = new Date(editFormData.raceDateTimeUTC);
     if (isNaN(newRaceDate.getTime())) return null;
 
-    const updated = races.map((r) => ({
+    const editedSeason = getSeasonFromRace(editingRace);
+    const updated = races.filter((r) => getSeasonFromRace(r) === editedSeason).map((r) => ({
       ...r,
       name: r.id === editingRace.id ? (editFormData.name || r.name) : r.name,
       _newRaceMs: r.id === editingRace.id ? newRaceDate.getTime() : (r.raceUTC ? r.raceUTC.seconds * 1000 : 0),
@@ -136,6 +173,12 @@ export default function CalendarManager({ races, loading, onDataChange }) {
     setImporting(true); setMessage(null);
     try {
       const batch = writeBatch(db);
+      logAdminAction(batch, {
+        action: "calendar.import",
+        target: "races",
+        before: { races: races.map((r) => ({ id: r.id, name: r.name, round: r.round })) },
+        after: { races: parsedRaces.map((r) => ({ id: r.id, name: r.name, round: r.round })) },
+      });
       for (const race of parsedRaces) {
         batch.set(doc(db, "races", race.id), {
           name: race.name, round: race.round,
@@ -172,24 +215,30 @@ export default function CalendarManager({ races, loading, onDataChange }) {
     setAddSaving(true); setMessage(null);
     try {
       const newRound = parseInt(addFormData.round);
-      const racesToShift = races.filter((r) => r.round >= newRound);
+      const racesToShift = racesOfSeason(addSeason).filter((r) => r.round >= newRound);
+      const batch = writeBatch(db);
       if (racesToShift.length > 0) {
         const sorted = [...racesToShift].sort((a, b) => b.round - a.round);
-        const batch = writeBatch(db);
         for (const r of sorted) batch.update(doc(db, "races", r.id), { round: r.round + 1 });
-        await batch.commit();
       }
       const nameSlug = addFormData.name.toLowerCase().replace(/\s+/g, "-").replace(/[^a-z0-9-]/g, "");
-      const raceId = `r${String(newRound).padStart(2, "0")}-${nameSlug}`;
+      const raceId = `${addSeason}-r${String(newRound).padStart(2, "0")}-${nameSlug}`;
       const sprintQualiDate = addFormData.sprintQualiDateTimeUTC ? new Date(addFormData.sprintQualiDateTimeUTC) : null;
       const sprintDate = addFormData.sprintDateTimeUTC ? new Date(addFormData.sprintDateTimeUTC) : null;
-      await setDoc(doc(db, "races", raceId), {
+      const raceData = {
         name: addFormData.name, round: newRound,
         raceUTC: Timestamp.fromDate(new Date(addFormData.raceDateTimeUTC)),
         qualiUTC: Timestamp.fromDate(new Date(addFormData.qualiDateTimeUTC)),
         ...(sprintQualiDate ? { qualiSprintUTC: Timestamp.fromDate(sprintQualiDate) } : {}),
         ...(sprintDate ? { sprintUTC: Timestamp.fromDate(sprintDate) } : {}),
+      };
+      batch.set(doc(db, "races", raceId), raceData);
+      logAdminAction(batch, {
+        action: "race.create",
+        target: `races/${raceId}`,
+        after: { ...raceData, shiftedRounds: racesToShift.map((r) => r.id) },
       });
+      await batch.commit();
       setMessage({ type: "success", text: t("admin.raceAdded") });
       await onDataChange();
       setTimeout(() => setShowAddModal(false), 1200);
@@ -210,6 +259,7 @@ export default function CalendarManager({ races, loading, onDataChange }) {
       qualiDateTimeUTC: tsToLocal(race.qualiUTC),
       sprintQualiDateTimeUTC: tsToLocal(race.qualiSprintUTC),
       sprintDateTimeUTC: tsToLocal(race.sprintUTC),
+      multiplier: String(normalizeRaceMultiplier(race.multiplier)),
     });
     setShowPreview(false);
     setMessage(null);
@@ -223,7 +273,15 @@ export default function CalendarManager({ races, loading, onDataChange }) {
     setUploading(true); setMessage(null);
     try {
       const updates = cancelType === "main" ? { cancelledMain: true } : { cancelledSprint: true };
-      await updateDoc(doc(db, "races", editingRace.id), updates);
+      const batch = writeBatch(db);
+      batch.update(doc(db, "races", editingRace.id), updates);
+      logAdminAction(batch, {
+        action: "race.cancel",
+        target: `races/${editingRace.id}`,
+        before: { [Object.keys(updates)[0]]: editingRace[Object.keys(updates)[0]] ?? false },
+        after: updates,
+      });
+      await batch.commit();
       setMessage({ type: "success", text: t("admin.raceUpdated") });
       setShowCancelModal(false); setCancelType("");
       await onDataChange();
@@ -239,7 +297,15 @@ export default function CalendarManager({ races, loading, onDataChange }) {
     setUploading(true); setMessage(null);
     try {
       const updates = type === "main" ? { cancelledMain: false } : { cancelledSprint: false };
-      await updateDoc(doc(db, "races", editingRace.id), updates);
+      const batch = writeBatch(db);
+      batch.update(doc(db, "races", editingRace.id), updates);
+      logAdminAction(batch, {
+        action: "race.restore",
+        target: `races/${editingRace.id}`,
+        before: { [Object.keys(updates)[0]]: editingRace[Object.keys(updates)[0]] ?? false },
+        after: updates,
+      });
+      await batch.commit();
       setMessage({ type: "success", text: t("admin.raceUpdated") });
       await onDataChange();
       setEditingRace((prev) => ({ ...prev, ...updates }));
@@ -249,11 +315,51 @@ export default function CalendarManager({ races, loading, onDataChange }) {
     } finally { setUploading(false); }
   };
 
+  /**
+   * Switches the race between full and reduced points. A scored race goes through the
+   * scoring function, which saves the status and the new scores together.
+   * @param {string} status - RACE_STATUSES.FULL or RACE_STATUSES.REDUCED
+   */
+  const handleRaceStatus = async (status) => {
+    const question = status === RACE_STATUSES.REDUCED
+      ? t("raceStatus.confirmReduced", { percent: editingRules.REDUCED_POINTS_PERCENT })
+      : t("raceStatus.confirmFull");
+    if (!editingRace || !window.confirm(question)) return;
+    setUploading(true); setMessage(null);
+    try {
+      const updates = { status };
+      if (editingRace.pointsCalculated) {
+        setMessage({ type: "success", text: await rescoreRaceWithStatus(editingRace.id, status) });
+      } else {
+        const batch = writeBatch(db);
+        batch.update(doc(db, "races", editingRace.id), updates);
+        logAdminAction(batch, {
+          action: "race.status",
+          target: `races/${editingRace.id}`,
+          before: { status: raceStatus(editingRace) },
+          after: updates,
+        });
+        await batch.commit();
+        setMessage({ type: "success", text: t("admin.raceUpdated") });
+      }
+      await onDataChange();
+      setEditingRace((prev) => ({ ...prev, ...updates }));
+    } catch (err) {
+      error(err);
+      setMessage({ type: "danger", text: `${t("common.error")}: ${err.message}` });
+    } finally { setUploading(false); }
+  };
+
   const handleShowPreview = () => {
     if (!editFormData.name || !editFormData.raceDateTimeUTC || !editFormData.qualiDateTimeUTC) {
       setMessage({ type: "warning", text: t("errors.incompleteForm") });
       return;
     }
+    const multiplier = Number(editFormData.multiplier);
+    if (!(multiplier >= MIN_RACE_MULTIPLIER && multiplier <= MAX_RACE_MULTIPLIER)) {
+      setMessage({ type: "warning", text: t("boost.invalidMultiplier", { min: MIN_RACE_MULTIPLIER, max: MAX_RACE_MULTIPLIER }) });
+      return;
+    }
     setMessage(null); setShowPreview(true);
   };
 
@@ -266,7 +372,7 @@ export default function CalendarManager({ races, loading, onDataChange }) {
       const newSprintQualiDate = editFormData.sprintQualiDateTimeUTC ? new Date(editFormData.sprintQualiDateTimeUTC) : null;
       const newSprintDate = editFormData.sprintDateTimeUTC ? new Date(editFormData.sprintDateTimeUTC) : null;
 
-      const allRaces = races.map((r) => ({
+      const allRaces = racesOfSeason(getSeasonFromRace(editingRace)).map((r) => ({
         ...r, _sortMs: r.id === editingRace.id ? newRaceDate.getTime() : (r.raceUTC ? r.raceUTC.seconds * 1000 : 0),
       }));
       allRaces.sort((a, b) => a._sortMs - b._sortMs);
@@ -279,6 +385,7 @@ export default function CalendarManager({ races, loading, onDataChange }) {
         raceUTC: Timestamp.fromDate(newRaceDate),
         qualiUTC: Timestamp.fromDate(newQualiDate),
         round: newRounds[editingRace.id],
+        multiplier: Number(editFormData.multiplier),
       };
       if (showSprintFields && newSprintQualiDate) raceUpdates.qualiSprintUTC = Timestamp.fromDate(newSprintQualiDate);
       else if (!showSprintFields || !newSprintQualiDate) raceUpdates.qualiSprintUTC = null;
@@ -286,7 +393,21 @@ export default function CalendarManager({ races, loading, onDataChange }) {
       else if (!showSprintFields || !newSprintDate) raceUpdates.sprintUTC = null;
 
       batch.update(doc(db, "races", editingRace.id), raceUpdates);
-      for (const r of races) {
+      logAdminAction(batch, {
+        action: "race.update",
+        target: `races/${editingRace.id}`,
+        before: {
+          name: editingRace.name,
+          raceUTC: editingRace.raceUTC ?? null,
+          qualiUTC: editingRace.qualiUTC ?? null,
+          qualiSprintUTC: editingRace.qualiSprintUTC ?? null,
+          sprintUTC: editingRace.sprintUTC ?? null,
+          round: editingRace.round,
+          multiplier: editingRace.multiplier ?? 1,
+        },
+        after: raceUpdates,
+      });
+      for (const r of allRaces) {
         if (r.id !== editingRace.id && r.round !== newRounds[r.id]) {
           batch.update(doc(db, "races", r.id), { round: newRounds[r.id] });
         }
@@ -306,14 +427,26 @@ export default function CalendarManager({ races, loading, onDataChange }) {
     if (!editingRace || !window.confirm(t("admin.deleteRaceConfirm"))) return;
     setUploading(true); setMessage(null);
     try {
-      const subsSnap = await getDocs(collection(db, "races", editingRace.id, "submissions"));
-      if (!subsSnap.empty) {
+      // The calendar is shared: remove the race's submissions in every league
+      const subsSnaps = await Promise.all(
+        leagues.map((l) => getDocs(collection(db, submissionsPath(l.id, editingRace.id))))
+      );
+      const subDocs = subsSnaps.flatMap((snap) => snap.docs);
+      if (subDocs.length > 0) {
         const batch = writeBatch(db);
-        subsSnap.docs.forEach((d) => batch.delete(d.ref));
+        subDocs.forEach((d) => batch.delete(d.ref));
         await batch.commit();
       }
-      await deleteDoc(doc(db, "races", editingRace.id));
-      const remaining = races.filter((r) => r.id !== editingRace.id).sort((a, b) =>
+      const { id: raceId, ...raceData } = editingRace;
+      const deleteBatch = writeBatch(db);
+      deleteBatch.delete(doc(db, "races", raceId));
+      logAdminAction(deleteBatch, {
+        action: "race.delete",
+        target: `races/${raceId}`,
+        before: { ...raceData, submissionsDeleted: subDocs.length },
+      });
+      await deleteBatch.commit();
+      const remaining = racesOfSeason(getSeasonFromRace(editingRace)).filter((r) => r.id !== editingRace.id).sort((a, b) =>
         (a.raceUTC ? a.raceUTC.seconds : 0) - (b.raceUTC ? b.raceUTC.seconds : 0)
       );
       if (remaining.length > 0) {
@@ -367,16 +500,24 @@ export default function CalendarManager({ races, loading, onDataChange }) {
       <div className="d-flex justify-content-between align-items-center mb-2">
         <h6 className="mb-0 fw-bold" style={{ color: "var(--text-primary)" }}>
           {t("admin.raceCalendar")}
-          <Badge bg="secondary" className="ms-2" style={{ fontSize: "0.7rem", verticalAlign: "middle" }}>{races.length}</Badge>
+          <Badge bg="secondary" className="ms-2" style={{ fontSize: "0.7rem", verticalAlign: "middle" }}>{seasonRaces.length}</Badge>
         </h6>
-        <Button size="sm" variant="danger" onClick={openAddModal}>+ {t("admin.addRace")}</Button>
+        <div className="d-flex gap-2">
+          <SeasonSelect
+            seasons={seasons}
+            archivedSeasons={archivedSeasons}
+            value={selectedSeason}
+            onChange={setCalendarSeason}
+          />
+          <Button size="sm" variant="danger" onClick={openAddModal}>+ {t("admin.addRace")}</Button>
+        </div>
       </div>
 
-      {races.length === 0 ? (
+      {seasonRaces.length === 0 ? (
         <Alert variant="info">{t("leaderboard.noData")}</Alert>
       ) : (
         <ListGroup variant="flush" style={{ borderRadius: 8, overflow: "hidden", border: `1px solid ${borderColor}` }}>
-          {races.map((r) => {
+          {seasonRaces.map((r) => {
             const hasSprint = Boolean(r.qualiSprintUTC);
             const hasResults = Boolean(r.officialResults);
             return (
@@ -393,6 +534,12 @@ export default function CalendarManager({ races, loading, onDataChange }) {
                       {hasSprint && !r.cancelledSprint && <Badge bg="warning" text="dark" style={{ fontSize: "0.6rem" }}>Sprint</Badge>}
                       {r.cancelledMain && <Badge bg="danger" style={{ fontSize: "0.6rem" }}>{t("admin.raceCancelled")}</Badge>}
                       {r.cancelledSprint && hasSprint && <Badge bg="secondary" style={{ fontSize: "0.6rem" }}>{t("admin.sprintCancelled")}</Badge>}
+                      {raceStatus(r) === RACE_STATUSES.REDUCED && (
+                        <Badge bg="warning" text="dark" style={{ fontSize: "0.6rem" }}>🚩 {t("raceStatus.reduced")}</Badge>
+                      )}
+                      {normalizeRaceMultiplier(r.multiplier) !== 1 && (
+                        <Badge bg="info" style={{ fontSize: "0.6rem" }}>{normalizeRaceMultiplier(r.multiplier)}x</Badge>
+                      )}
                     </div>
                   </div>
                   <div className="d-flex align-items-center gap-1 flex-shrink-0">
@@ -425,9 +572,9 @@ export default function CalendarManager({ races, loading, onDataChange }) {
                   onChange={(e) => setAddFormData({ ...addFormData, name: e.target.value })} required />
               </Form.Group>
             </div>
-            {addFormData.round && races.filter((r) => r.round >= parseInt(addFormData.round)).length > 0 && (
+            {addShiftCount > 0 && (
               <Alert variant="warning" className="py-1 small mb-2">
-                {races.filter((r) => r.round >= parseInt(addFormData.round)).length} {t("admin.racesWillShift")}
+                {addShiftCount} {t("admin.racesWillShift")}
               </Alert>
             )}
             <Form.Group className="mb-2">
@@ -510,6 +657,13 @@ export default function CalendarManager({ races, loading, onDataChange }) {
                   required disabled={Boolean(editingRace?.officialResults)} />
                 <Form.Text className="text-muted" style={{ fontSize: "0.72rem" }}>{t("admin.qualiDeadlineHint")}</Form.Text>
               </Form.Group>
+              <Form.Group className="mb-3">
+                <Form.Label className="small fw-semibold">{t("boost.multiplierLabel")}</Form.Label>
+                <Form.Control type="number" size="sm" step={0.5} min={MIN_RACE_MULTIPLIER} max={MAX_RACE_MULTIPLIER}
+                  value={editFormData.multiplier}
+                  onChange={(e) => setEditFormData({ ...editFormData, multiplier: e.target.value })} />
+                <Form.Text className="text-muted" style={{ fontSize: "0.72rem" }}>{t("boost.multiplierHint")}</Form.Text>
+              </Form.Group>
 
               {/* Sprint toggle */}
               {!showSprintFields ? (
@@ -542,9 +696,14 @@ export default function CalendarManager({ races, loading, onDataChange }) {
               )}
 
               {/* Status badges */}
-              {(editingRace?.cancelledMain || editingRace?.cancelledSprint) && (
+              {(editingRace?.cancelledMain || editingRace?.cancelledSprint || raceStatus(editingRace) === RACE_STATUSES.REDUCED) && (
                 <div className="d-flex flex-wrap gap-2 mt-2">
                   {editingRace?.cancelledMain && <Badge bg="danger">{t("admin.raceCancelled")}</Badge>}
+                  {raceStatus(editingRace) === RACE_STATUSES.REDUCED && (
+                    <Badge bg="warning" text="dark">
+                      🚩 {t("raceStatus.reducedBadge", { percent: editingRules.REDUCED_POINTS_PERCENT })}
+                    </Badge>
+                  )}
                   {editingRace?.cancelledSprint && <Badge bg="warning" text="dark">{t("admin.sprintCancelled")}</Badge>}
                 </div>
               )}
@@ -561,6 +720,12 @@ export default function CalendarManager({ races, loading, onDataChange }) {
                   <span className="text-muted">{t("admin.raceDateTimeUTC")}:</span> {fmtFull(editingRace.raceUTC)} → {new Date(editFormData.raceDateTimeUTC).toLocaleString("it-IT", { timeZone: timezone })}
                   <br />
                   <span className="text-muted">{t("admin.qualiDateTimeUTC")}:</span> {fmtFull(editingRace.qualiUTC)} → {new Date(editFormData.qualiDateTimeUTC).toLocaleString("it-IT", { timeZone: timezone })}
+                  {Number(editFormData.multiplier) !== normalizeRaceMultiplier(editingRace.multiplier) && (
+                    <>
+                      <br />
+                      <span className="text-muted">{t("boost.multiplierLabel")}:</span> {normalizeRaceMultiplier(editingRace.multiplier)}x → {Number(editFormData.multiplier)}x
+                    </>
+                  )}
                 </div>
               )}
               {previewData && previewData.some((r) => r.changed) && (
@@ -615,6 +780,17 @@ export default function CalendarManager({ races, loading, onDataChange }) {
                     {t("admin.restoreRace")}
                   </Button>
                 )}
+                {!editingRace?.cancelledMain && (
+                  raceStatus(editingRace) !== RACE_STATUSES.REDUCED ? (
+                    <Button variant="outline-warning" size="sm" onClick={() => handleRaceStatus(RACE_STATUSES.REDUCED)} disabled={uploading}>
+                      {t("raceStatus.setReduced")}
+                    </Button>
+                  ) : (
+                    <Button variant="outline-success" size="sm" onClick={() => handleRaceStatus(RACE_STATUSES.FULL)} disabled={uploading}>
+                      {t("raceStatus.setFull")}
+                    </Button>
+                  )
+                )}
                 {(editingRace?.qualiSprintUTC || showSprintFields) && (
                   !editingRace?.cancelledSprint ? (
                     <Button variant="outline-secondary" size="sm" onClick={() => handleCancelRace("sprint")} disabled={uploading}>
@@ -18,17 +18,20 @@ import {
 import {
   doc,
   getDoc,
-  setDoc,
-  updateDoc,
   deleteField,
   Timestamp,
+  writeBatch,
 } from "firebase/firestore";
 import { db } from "../../services/firebase";
+import { logAdminAction } from "../../services/auditLog";
 import { DRIVERS, CONSTRUCTORS, DRIVER_TEAM, TEAM_LOGOS } from "../../constants/racing";
 import Select from "react-select";
 import { useTheme } from "../../contexts/ThemeContext";
 import { useLanguage } from "../../hooks/useLanguage";
 import { useTimezone } from "../../hooks/useTimezone";
+import { useAuth } from "../../hooks/useAuth";
+import { useLeague } from "../../hooks/useLeague";
+import { rankingPath } from "../../utils/leaguePaths";
 import { getChampionshipDeadlineAutoMs } from "../../utils/championshipDeadline";
 import { error as logError } from "../../utils/logger";
 import "../../styles/customSelect.css";
@@ -84,7 +87,13 @@ function formatDate(ms, locale, tz) {
 export default function ChampionshipManager({ participants, loading, onDataChange }) {
   const { t, currentLanguage } = useLanguage();
   const { isDark } = useTheme();
+  const { currentLeagueId, hasPermission } = useLeague();
   const { timezone } = useTimezone();
+  const { user, isAdmin } = useAuth();
+  // Staff who also play submit their own picks like everyone else (deadline applies)
+  const isOwnLocked = (participantId) => !isAdmin && participantId === user?.uid;
+  // The deadline is shared by every league: moderators only fix formations
+  const canEditDeadline = hasPermission("settings");
   const dateLocale = currentLanguage === "en" ? "en-GB" : "it-IT";
 
   /* ── Deadline state ── */
@@ -169,7 +178,15 @@ export default function ChampionshipManager({ participants, loading, onDataChang
     setSavingDeadline(true); setDeadlineMsg(null);
     try {
       const ts = Timestamp.fromDate(new Date(deadlineInput));
-      await setDoc(CONFIG_DOC, { deadlineOverride: ts }, { merge: true });
+      const batch = writeBatch(db);
+      batch.set(CONFIG_DOC, { deadlineOverride: ts }, { merge: true });
+      logAdminAction(batch, {
+        action: "championship.deadline",
+        target: CONFIG_DOC.path,
+        before: { deadlineOverride: deadlineOverride ?? null },
+        after: { deadlineOverride: ts },
+      });
+      await batch.commit();
       setDeadlineOverride(ts);
       setDeadlineMsg({ type: "success", text: t("admin.deadlineSaved") });
     } catch (err) {
@@ -182,7 +199,14 @@ export default function ChampionshipManager({ participants, loading, onDataChang
     setShowResetDeadlineConfirm(false);
     setSavingDeadline(true); setDeadlineMsg(null);
     try {
-      await setDoc(CONFIG_DOC, { deadlineOverride: deleteField() }, { merge: true });
+      const batch = writeBatch(db);
+      batch.set(CONFIG_DOC, { deadlineOverride: deleteField() }, { merge: true });
+      logAdminAction(batch, {
+        action: "championship.deadlineReset",
+        target: CONFIG_DOC.path,
+        before: { deadlineOverride: deadlineOverride ?? null },
+      });
+      await batch.commit();
       setDeadlineOverride(null);
       setDeadlineInput("");
       setDeadlineMsg({ type: "success", text: t("admin.deadlineReset") });
@@ -221,10 +245,25 @@ export default function ChampionshipManager({ participants, loading, onDataChang
     setShowSaveFormationConfirm(false);
     setSavingEdit(true); setFormationsMsg(null);
     try {
-      await updateDoc(doc(db, "ranking", editingId), {
+      const ref = doc(db, rankingPath(currentLeagueId), editingId);
+      const previous = participants.find((p) => p.id === editingId);
+      const updates = {
         championshipPiloti: editForm.pilots.map((p) => p.value),
         championshipCostruttori: editForm.constructors.map((c) => c.value),
+      };
+      const batch = writeBatch(db);
+      batch.update(ref, updates);
+      logAdminAction(batch, {
+        action: "championship.formationUpdate",
+        target: ref.path,
+        leagueId: currentLeagueId,
+        before: {
+          championshipPiloti: previous?.championshipPiloti ?? null,
+          championshipCostruttori: previous?.championshipCostruttori ?? null,
+        },
+        after: updates,
       });
+      await batch.commit();
       setFormationsMsg({ type: "success", text: t("admin.formationUpdated") });
       setShowEditModal(false);
       setEditingId(null);
@@ -246,10 +285,22 @@ export default function ChampionshipManager({ participants, loading, onDataChang
     setDeletingId(deletingParticipant.id);
     setFormationsMsg(null);
     try {
-      await updateDoc(doc(db, "ranking", deletingParticipant.id), {
+      const ref = doc(db, rankingPath(currentLeagueId), deletingParticipant.id);
+      const batch = writeBatch(db);
+      batch.update(ref, {
         championshipPiloti: deleteField(),
         championshipCostruttori: deleteField(),
       });
+      logAdminAction(batch, {
+        action: "championship.formationDelete",
+        target: ref.path,
+        leagueId: currentLeagueId,
+        before: {
+          championshipPiloti: deletingParticipant.championshipPiloti ?? null,
+          championshipCostruttori: deletingParticipant.championshipCostruttori ?? null,
+        },
+      });
+      await batch.commit();
       setFormationsMsg({ type: "success", text: t("admin.formationDeleted") });
       setShowDeleteConfirm(false);
       setDeletingParticipant(null);
@@ -321,30 +372,32 @@ export default function ChampionshipManager({ participants, loading, onDataChang
                 </p>
               )}
 
-              <Form onSubmit={(e) => { e.preventDefault(); setShowSaveDeadlineConfirm(true); }}>
-                <Form.Label className="mb-1 small fw-semibold text-muted">{t("admin.editDeadline")}</Form.Label>
-                <div className="d-flex align-items-center gap-2 flex-wrap">
-                  <Form.Control
-                    type="datetime-local" size="sm"
-                    value={deadlineInput}
-                    onChange={(e) => setDeadlineInput(e.target.value)}
-                    style={{ maxWidth: 220 }}
-                  />
-                  <Button variant="danger" type="submit" disabled={savingDeadline || !deadlineInput} size="sm">
-                    {savingDeadline ? <Spinner animation="border" size="sm" /> : t("common.save")}
-                  </Button>
-                  {deadlineOverride && (
-                    <Button
-                      variant="outline-secondary"
-                      size="sm"
-                      disabled={savingDeadline}
-                      onClick={() => setShowResetDeadlineConfirm(true)}
-                    >
-                      {t("admin.resetDeadline")}
+              {canEditDeadline && (
+                <Form onSubmit={(e) => { e.preventDefault(); setShowSaveDeadlineConfirm(true); }}>
+                  <Form.Label className="mb-1 small fw-semibold text-muted">{t("admin.editDeadline")}</Form.Label>
+                  <div className="d-flex align-items-center gap-2 flex-wrap">
+                    <Form.Control
+                      type="datetime-local" size="sm"
+                      value={deadlineInput}
+                      onChange={(e) => setDeadlineInput(e.target.value)}
+                      style={{ maxWidth: 220 }}
+                    />
+                    <Button variant="danger" type="submit" disabled={savingDeadline || !deadlineInput} size="sm">
+                      {savingDeadline ? <Spinner animation="border" size="sm" /> : t("common.save")}
                     </Button>
-                  )}
-                </div>
-              </Form>
+                    {deadlineOverride && (
+                      <Button
+                        variant="outline-secondary"
+                        size="sm"
+                        disabled={savingDeadline}
+                        onClick={() => setShowResetDeadlineConfirm(true)}
+                      >
+                        {t("admin.resetDeadline")}
+                      </Button>
+                    )}
+                  </div>
+                </Form>
+              )}
             </>
           )}
         </div>
@@ -403,13 +456,15 @@ export default function ChampionshipManager({ participants, loading, onDataChang
                         size="sm"
                         className="py-0 px-2"
                         onClick={() => startEdit(p)}
+                        disabled={isOwnLocked(p.id)}
+                        title={isOwnLocked(p.id) ? t("admin.staffOwnFormation") : undefined}
                         style={{ fontSize: "0.75rem" }}
                       >
                         {has ? t("common.edit") : "+ " + t("common.add")}
                       </Button>
                       {has && (
                         <Button variant="outline-danger" size="sm" className="py-0 px-2" onClick={() => openDeleteConfirm(p)}
-                          disabled={deletingId === p.id} style={{ fontSize: "0.75rem" }}>
+                          disabled={deletingId === p.id || isOwnLocked(p.id)} style={{ fontSize: "0.75rem" }}>
                           {deletingId === p.id ? <Spinner animation="border" size="sm" /> : t("common.delete")}
                         </Button>
                       )}
@@ -22,9 +22,12 @@ import {
   writeBatch,
 } from "firebase/firestore";
 import { db } from "../../services/firebase";
+import { logAdminAction } from "../../services/auditLog";
 import { useTheme } from "../../contexts/ThemeContext";
 import { useLanguage } from "../../hooks/useLanguage";
 import { useTimezone } from "../../hooks/useTimezone";
+import { useLeague } from "../../hooks/useLeague";
+import { rankingPath, submissionsPath } from "../../utils/leaguePaths";
 import { error } from "../../utils/logger";
 import {
   createAndSaveBackup,
@@ -37,6 +40,7 @@ import {
 export default function DatabaseReset({ participants, races, onDataChange }) {
   const { t } = useLanguage();
   const { isDark } = useTheme();
+  const { currentLeagueId } = useLeague();
   const { timezone } = useTimezone();
   const [showResetModal, setShowResetModal] = useState(false);
   const [resetType, setResetType] = useState("");
@@ -119,22 +123,26 @@ export default function DatabaseReset({ participants, races, onDataChange }) {
     setResetting(true); setMessage(null);
     try {
       const batch = writeBatch(db);
+      const summary = { submissionsDeleted: 0, rankingReset: 0 };
       if (resetType === "submissions" || resetType === "all") {
         const racesSnap = await getDocs(collection(db, "races"));
         for (const raceDoc of racesSnap.docs) {
-          const subsSnap = await getDocs(collection(db, "races", raceDoc.id, "submissions"));
+          const subsSnap = await getDocs(collection(db, submissionsPath(currentLeagueId, raceDoc.id)));
           subsSnap.docs.forEach((subDoc) => batch.delete(subDoc.ref));
+          summary.submissionsDeleted += subsSnap.size;
         }
       }
       if (resetType === "ranking" || resetType === "all") {
-        const rankSnap = await getDocs(collection(db, "ranking"));
+        const rankSnap = await getDocs(collection(db, rankingPath(currentLeagueId)));
+        summary.rankingReset = rankSnap.size;
         rankSnap.docs.forEach((userDoc) => {
           batch.update(userDoc.ref, {
             puntiTotali: 0, jolly: 0, pointsByRace: {},
-            championshipPts: 0, championshipPiloti: [], championshipCostruttori: [],
+            championshipPts: 0, championshipLedger: null, championshipPiloti: [], championshipCostruttori: [],
           });
         });
       }
+      logAdminAction(batch, { action: `database.reset.${resetType}`, target: rankingPath(currentLeagueId), before: summary });
       await batch.commit();
       setMessage({ type: "success", text: t("success.deleted") });
       setShowResetModal(false); setConfirmText("");
@@ -1,7 +1,11 @@
 /**
  * @file FormationsManager.jsx
  * @description Formations management — race selector card at top, then user list
- * with submission status and edit/create/delete actions via modal.
+ * with submission status and edit/create/delete actions via modal. Saves go through the
+ * saveFormationAsAdmin Cloud Function, which records each edit as a revision. The modal also
+ * edits the answers to the bonus questions asked by the league. Until the late window
+ * closes only admins read the formations: moderators and league owners play too, so they
+ * see the public submission status and edit once the formations are revealed.
  */
 
 import React, { useState, useEffect, useMemo } from "react";
@@ -16,18 +20,24 @@ import {
   ListGroup,
 } from "react-bootstrap";
 import {
+  collection,
   doc,
   getDoc,
-  setDoc,
-  deleteDoc,
-  updateDoc,
-  Timestamp,
+  getDocs,
+  writeBatch,
 } from "firebase/firestore";
 import { db } from "../../services/firebase";
+import { logAdminAction } from "../../services/auditLog";
+import { saveFormationAsAdmin } from "../../services/formationService";
+import RevisionTimeline from "../../components/RevisionTimeline";
 import { DRIVERS, DRIVER_TEAM, TEAM_LOGOS } from "../../constants/racing";
 import Select from "react-select";
 import { useTheme } from "../../contexts/ThemeContext";
 import { useLanguage } from "../../hooks/useLanguage";
+import { useAuth } from "../../hooks/useAuth";
+import { useLeague } from "../../hooks/useLeague";
+import { submissionsPath, submissionStatusPath } from "../../utils/leaguePaths";
+import { DRIVER_BONUS_QUESTIONS, activeBonusQuestions, submissionsRevealAt } from "../../utils/scoringEngine";
 import { error } from "../../utils/logger";
 import { bilingual } from "../../utils/bilingualMessages";
 import "../../styles/customSelect.css";
@@ -50,8 +60,15 @@ const driverOptions = DRIVERS.map((d) => ({
 export default function FormationsManager({ participants, races, loading, onDataChange }) {
   const { t } = useLanguage();
   const { isDark } = useTheme();
+  const { currentLeague, currentLeagueId } = useLeague();
+  const { user, isAdmin } = useAuth();
+  // Staff who also play submit their own formations like everyone else (deadlines apply)
+  const isOwnLocked = (participantId) => !isAdmin && participantId === user?.uid;
+  const bonusQuestions = activeBonusQuestions(currentLeague.bonusQuestions);
 
   const [selectedRace, setSelectedRace] = useState(null);
+  // Until the reveal only admins read the picks (see firestore.rules, FORMAZIONI SIGILLATE)
+  const sealed = !isAdmin && Boolean(selectedRace) && Date.now() < submissionsRevealAt(selectedRace);
   const [submissions, setSubmissions] = useState({});     // userId → submission data
   const [loadingSubs, setLoadingSubs] = useState(false);
 
@@ -66,6 +83,8 @@ export default function FormationsManager({ participants, races, loading, onData
     mainJolly: null, mainJolly2: null,
     sprintP1: null, sprintP2: null, sprintP3: null,
     sprintJolly: null,
+    bonus: {},
+    boost: false,
   });
   const [isLateSubmission, setIsLateSubmission] = useState(false);
 
@@ -76,6 +95,9 @@ export default function FormationsManager({ participants, races, loading, onData
   const [showDeleteConfirm, setShowDeleteConfirm] = useState(false);
   const [deletingUser, setDeletingUser] = useState(null);
 
+  // Revision history
+  const [historyUser, setHistoryUser] = useState(null);
+
   const borderColor = isDark ? "var(--border-color)" : "#dee2e6";
   const bgCard = isDark ? "var(--bg-secondary)" : "#ffffff";
 
@@ -90,19 +112,28 @@ export default function FormationsManager({ participants, races, loading, onData
     }
   }, [defaultRace]);
 
-  // Load all submissions when race changes
+  // Load all submissions when race or league participants change
   useEffect(() => {
     if (!selectedRace) return;
     loadSubmissions();
-  }, [selectedRace]);
+  }, [selectedRace, participants, sealed]);
 
   const loadSubmissions = async () => {
     if (!selectedRace) return;
     setLoadingSubs(true);
     try {
       const results = {};
+      // Sealed: public status only (submitted / late), the picks stay unread
+      if (sealed) {
+        const statusSnap = await getDocs(collection(db, submissionStatusPath(currentLeagueId, selectedRace.id)));
+        statusSnap.docs.forEach((d) => {
+          results[d.id] = { ...d.data(), sealed: true };
+        });
+        setSubmissions(results);
+        return;
+      }
       const docs = await Promise.all(
-        participants.map((p) => getDoc(doc(db, "races", selectedRace.id, "submissions", p.id)))
+        participants.map((p) => getDoc(doc(db, submissionsPath(currentLeagueId, selectedRace.id), p.id)))
       );
       docs.forEach((d, i) => {
         if (d.exists()) {
@@ -131,6 +162,10 @@ export default function FormationsManager({ participants, races, loading, onData
         mainJolly: findOpt(sub.mainJolly), mainJolly2: findOpt(sub.mainJolly2),
         sprintP1: findOpt(sub.sprintP1), sprintP2: findOpt(sub.sprintP2), sprintP3: findOpt(sub.sprintP3),
         sprintJolly: findOpt(sub.sprintJolly),
+        bonus: Object.fromEntries(
+          Object.entries(sub.bonusPicks || {}).map(([q, v]) => [q, DRIVER_BONUS_QUESTIONS.includes(q) ? findOpt(v) : String(v)])
+        ),
+        boost: Boolean(sub.boost),
       });
       setIsLateSubmission(sub.isLate ?? false);
     } else {
@@ -147,6 +182,8 @@ export default function FormationsManager({ participants, races, loading, onData
       mainJolly: null, mainJolly2: null,
       sprintP1: null, sprintP2: null, sprintP3: null,
       sprintJolly: null,
+      bonus: {},
+      boost: false,
     });
     setIsLateSubmission(false);
   };
@@ -187,9 +224,7 @@ export default function FormationsManager({ participants, races, loading, onData
     setInlineError(null);
 
     try {
-      const payload = {
-        user: editingUser.name,
-        userId: editingUser.id,
+      const formation = {
         mainP1: formData.mainP1.value,
         mainP2: formData.mainP2.value,
         mainP3: formData.mainP3.value,
@@ -199,19 +234,23 @@ export default function FormationsManager({ participants, races, loading, onData
         sprintP2: formData.sprintP2?.value || null,
         sprintP3: formData.sprintP3?.value || null,
         sprintJolly: formData.sprintJolly?.value || null,
-        submittedAt: Timestamp.now(),
+        bonusPicks: Object.fromEntries(bonusQuestions.map((q) => {
+          const value = formData.bonus[q];
+          if (DRIVER_BONUS_QUESTIONS.includes(q)) return [q, value?.value ?? null];
+          return [q, value === undefined || value === "" ? null : Number(value)];
+        })),
+        boost: formData.boost,
       };
 
-      if (isLateSubmission) {
-        payload.isLate = true;
-        payload.latePenalty = -3;
-        await updateDoc(doc(db, "ranking", editingUser.id), { usedLateSubmission: true });
-      }
-
-      const isNew = !submissions[editingUser.id];
-      await setDoc(doc(db, "races", selectedRace.id, "submissions", editingUser.id), payload, { merge: true });
+      const { isEdit } = await saveFormationAsAdmin(
+        selectedRace.id,
+        editingUser.id,
+        formation,
+        isLateSubmission,
+        currentLeagueId
+      );
 
-      setMessage({ type: "success", text: isNew ? t("admin.formationAdded") : t("admin.formationUpdated") });
+      setMessage({ type: "success", text: isEdit ? t("admin.formationUpdated") : t("admin.formationAdded") });
       await loadSubmissions();
       setTimeout(() => { setShowEditModal(false); setMessage(null); }, 1200);
     } catch (err) {
@@ -232,7 +271,16 @@ export default function FormationsManager({ participants, races, loading, onData
     if (!deletingUser || !selectedRace) return;
     setSaving(true);
     try {
-      await deleteDoc(doc(db, "races", selectedRace.id, "submissions", deletingUser.id));
+      const ref = doc(db, submissionsPath(currentLeagueId, selectedRace.id), deletingUser.id);
+      const batch = writeBatch(db);
+      batch.delete(ref);
+      logAdminAction(batch, {
+        action: "formation.delete",
+        target: ref.path,
+        leagueId: currentLeagueId,
+        before: submissions[deletingUser.id] ?? null,
+      });
+      await batch.commit();
       await loadSubmissions();
       setShowDeleteConfirm(false);
       setDeletingUser(null);
@@ -334,6 +382,9 @@ export default function FormationsManager({ participants, races, loading, onData
               {Object.keys(submissions).length}/{participants.length}
             </Badge>
           </div>
+          {sealed && (
+            <Alert variant="info" className="py-2 small">{t("admin.staffSealed")}</Alert>
+          )}
 
           {loadingSubs ? (
             <div className="text-center py-4"><Spinner animation="border" size="sm" /></div>
@@ -374,11 +425,24 @@ export default function FormationsManager({ participants, races, loading, onData
                           size="sm"
                           className="py-0 px-2"
                           onClick={() => openEdit(p)}
+                          disabled={sealed || isOwnLocked(p.id)}
+                          title={isOwnLocked(p.id) ? t("admin.staffOwnFormation") : undefined}
                           style={{ fontSize: "0.75rem" }}
                         >
                           {hasSubmission ? t("common.edit") : "+ " + t("common.add")}
                         </Button>
-                        {hasSubmission && (
+                        {hasSubmission && !sealed && (
+                          <Button
+                            variant="outline-secondary"
+                            size="sm"
+                            className="py-0 px-2"
+                            onClick={() => setHistoryUser(p)}
+                            style={{ fontSize: "0.75rem" }}
+                          >
+                            {t("revisions.title")}
+                          </Button>
+                        )}
+                        {hasSubmission && !sealed && (
                           <Button
                             variant="outline-danger"
                             size="sm"
@@ -421,6 +485,41 @@ export default function FormationsManager({ participants, races, loading, onData
           {renderDriverSelect("mainJolly", t("formations.joker"), true, mainFields)}
           {renderDriverSelect("mainJolly2", t("formations.joker2"), false, mainFields)}
 
+          {bonusQuestions.length > 0 && (
+            <>
+              <p className="small fw-bold mt-3 mb-2" style={{ color: "var(--text-primary)" }}>
+                {t("bonusQuestions.optional")}
+              </p>
+              {bonusQuestions.map((q) => (
+                <Form.Group className="mb-2" key={q}>
+                  <Form.Label className="small fw-semibold mb-1">{t(`bonusQuestions.${q}`)}</Form.Label>
+                  {DRIVER_BONUS_QUESTIONS.includes(q) ? (
+                    <Select
+                      options={driverOptions}
+                      value={formData.bonus[q] ?? null}
+                      onChange={(sel) => setFormData({ ...formData, bonus: { ...formData.bonus, [q]: sel } })}
+                      placeholder={t("common.select")}
+                      styles={selectStyles}
+                      isClearable
+                      menuPortalTarget={document.body}
+                      menuPosition="fixed"
+                    />
+                  ) : (
+                    <Form.Control
+                      type="number"
+                      size="sm"
+                      min={0}
+                      max={30}
+                      step={1}
+                      value={formData.bonus[q] ?? ""}
+                      onChange={(e) => setFormData({ ...formData, bonus: { ...formData.bonus, [q]: e.target.value } })}
+                    />
+                  )}
+                </Form.Group>
+              ))}
+            </>
+          )}
+
           <Form.Check
             type="switch"
             label={`${t("formations.lateSubmission")} (${t("formations.latePenalty")})`}
@@ -428,6 +527,13 @@ export default function FormationsManager({ participants, races, loading, onData
             onChange={(e) => setIsLateSubmission(e.target.checked)}
             className="my-3"
           />
+          <Form.Check
+            type="switch"
+            label={`🚀 ${t("boost.badge")}`}
+            checked={formData.boost}
+            onChange={(e) => setFormData({ ...formData, boost: e.target.checked })}
+            className="mb-3"
+          />
 
           {hasSprint && (
             <>
@@ -493,6 +599,21 @@ export default function FormationsManager({ participants, races, loading, onData
         </Modal.Body>
       </Modal>
 
+      {/* Revision History Modal */}
+      <Modal show={Boolean(historyUser)} onHide={() => setHistoryUser(null)} centered scrollable>
+        <Modal.Header closeButton>
+          <Modal.Title className="fs-6">
+            {t("revisions.title")}
+            {historyUser && <small className="text-muted ms-2">— {historyUser.name}</small>}
+          </Modal.Title>
+        </Modal.Header>
+        <Modal.Body>
+          {historyUser && selectedRace && (
+            <RevisionTimeline raceId={selectedRace.id} userId={historyUser.id} />
+          )}
+        </Modal.Body>
+      </Modal>
+
       {/* Delete Confirmation Modal */}
       <Modal show={showDeleteConfirm} onHide={() => setShowDeleteConfirm(false)} centered size="sm">
         <Modal.Body className="text-center py-4">
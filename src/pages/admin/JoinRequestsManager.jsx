@@ -0,0 +1,193 @@
+/**
+ * @file JoinRequestsManager.jsx
+ * @description Queue of the accounts asking to join the main league. Approving creates the
+ * ranking entry, or hands over a placeholder — a participant created by hand before the
+ * player had an account — with its points and submissions. Rejected requests stay listed
+ * and can still be approved.
+ */
+
+import React, { useState, useEffect, useCallback } from "react";
+import PropTypes from "prop-types";
+import {
+  Button,
+  Form,
+  Alert,
+  Spinner,
+  Badge,
+  ListGroup,
+} from "react-bootstrap";
+import { loadJoinRequests, approveJoinRequest, rejectJoinRequest } from "../../services/joinRequests";
+import { useTheme } from "../../contexts/ThemeContext";
+import { useLanguage } from "../../hooks/useLanguage";
+import { useLeague } from "../../hooks/useLeague";
+import { useTimezone } from "../../hooks/useTimezone";
+import { error } from "../../utils/logger";
+
+export default function JoinRequestsManager({ participants, loading, onDataChange }) {
+  const { t } = useLanguage();
+  const { isDark } = useTheme();
+  const { currentLeagueId } = useLeague();
+  const { timezone } = useTimezone();
+
+  const [requests, setRequests] = useState([]);
+  const [loadingRequests, setLoadingRequests] = useState(true);
+  const [placeholders, setPlaceholders] = useState({}); // requestId → placeholder id ("" = new participant)
+  const [saving, setSaving] = useState(null);
+  const [message, setMessage] = useState(null);
+
+  const borderColor = isDark ? "var(--border-color)" : "#dee2e6";
+  const bgCard = isDark ? "var(--bg-secondary)" : "#ffffff";
+
+  // Participants created by hand have a ranking entry but no account
+  const placeholderOptions = participants.filter((p) => !p.hasAccount);
+
+  const loadRequests = useCallback(async () => {
+    setLoadingRequests(true);
+    try {
+      setRequests(await loadJoinRequests(currentLeagueId));
+    } catch (err) {
+      error(err);
+      setMessage({ type: "danger", text: t("joinRequests.loadError") });
+    } finally {
+      setLoadingRequests(false);
+    }
+  }, [currentLeagueId, t]);
+
+  useEffect(() => { loadRequests(); }, [loadRequests]);
+
+  const handleApprove = async (request) => {
+    const placeholderId = placeholders[request.id] || null;
+    const placeholder = placeholderOptions.find((p) => p.id === placeholderId);
+    if (placeholder && !window.confirm(t("joinRequests.mergeConfirm", { placeholder: placeholder.name, name: request.name }))) {
+      return;
+    }
+    setSaving(request.id);
+    setMessage(null);
+    try {
+      const { movedSubmissions } = await approveJoinRequest(request.id, placeholderId);
+      setMessage({
+        type: "success",
+        text: placeholder
+          ? t("joinRequests.merged", { name: request.name, placeholder: placeholder.name, count: movedSubmissions })
+          : t("joinRequests.approved", { name: request.name }),
+      });
+      await loadRequests();
+      onDataChange();
+    } catch (err) {
+      error(err);
+      setMessage({ type: "danger", text: err.message || t("common.error") });
+    } finally {
+      setSaving(null);
+    }
+  };
+
+  const handleReject = async (request) => {
+    if (!window.confirm(t("joinRequests.rejectConfirm", { name: request.name }))) return;
+    setSaving(request.id);
+    setMessage(null);
+    try {
+      await rejectJoinRequest(request.id);
+      setMessage({ type: "success", text: t("joinRequests.rejected", { name: request.name }) });
+      await loadRequests();
+    } catch (err) {
+      error(err);
+      setMessage({ type: "danger", text: err.message || t("common.error") });
+    } finally {
+      setSaving(null);
+    }
+  };
+
+  if (loading || loadingRequests) {
+    return <div className="text-center py-5"><Spinner animation="border" /></div>;
+  }
+
+  return (
+    <>
+      <div className="mb-3">
+        <h6 className="mb-1 fw-bold" style={{ color: "var(--text-primary)" }}>
+          {t("joinRequests.title")}
+          <Badge bg="secondary" className="ms-2" style={{ fontSize: "0.7rem", verticalAlign: "middle" }}>
+            {requests.filter((r) => r.status === "pending").length}
+          </Badge>
+        </h6>
+        <small className="text-muted">{t("joinRequests.description")}</small>
+      </div>
+
+      {message && (
+        <Alert variant={message.type} dismissible onClose={() => setMessage(null)} className="py-2">
+          {message.text}
+        </Alert>
+      )}
+
+      {requests.length === 0 ? (
+        <div className="text-center py-4 rounded small" style={{ backgroundColor: bgCard, border: `1px solid ${borderColor}`, color: "var(--text-muted)" }}>
+          {t("joinRequests.empty")}
+        </div>
+      ) : (
+        <ListGroup variant="flush" style={{ borderRadius: 8, overflow: "hidden", border: `1px solid ${borderColor}` }}>
+          {requests.map((r) => (
+            <ListGroup.Item
+              key={r.id}
+              className="px-3 py-2"
+              style={{ backgroundColor: bgCard, color: "var(--text-primary)", borderColor }}
+            >
+              <div className="mb-2" style={{ minWidth: 0 }}>
+                <span className="fw-semibold">{r.name}</span>
+                {r.status === "rejected" && (
+                  <Badge bg="dark" className="ms-2" style={{ fontSize: "0.65rem" }}>
+                    {t("joinRequests.statusRejected")}
+                  </Badge>
+                )}
+                <div className="text-muted text-truncate" style={{ fontSize: "0.75rem" }}>
+                  {r.email}
+                  {r.createdAt && ` · ${r.createdAt.toDate().toLocaleDateString("it-IT", { timeZone: timezone })}`}
+                </div>
+              </div>
+              <div className="d-flex flex-wrap gap-2 align-items-center">
+                <Form.Select
+                  size="sm"
+                  style={{ maxWidth: 260 }}
+                  value={placeholders[r.id] ?? ""}
+                  disabled={saving != null}
+                  onChange={(e) => setPlaceholders({ ...placeholders, [r.id]: e.target.value })}
+                  aria-label={t("joinRequests.mergeInto")}
+                >
+                  <option value="">{t("joinRequests.newParticipant")}</option>
+                  {placeholderOptions.map((p) => (
+                    <option key={p.id} value={p.id}>
+                      {t("joinRequests.mergeOption", { name: p.name, points: p.puntiTotali ?? 0 })}
+                    </option>
+                  ))}
+                </Form.Select>
+                <Button
+                  variant="success"
+                  size="sm"
+                  disabled={saving != null}
+                  onClick={() => handleApprove(r)}
+                >
+                  {saving === r.id ? <Spinner animation="border" size="sm" /> : t("joinRequests.approve")}
+                </Button>
+                {r.status === "pending" && (
+                  <Button
+                    variant="outline-danger"
+                    size="sm"
+                    disabled={saving != null}
+                    onClick={() => handleReject(r)}
+                  >
+                    {t("joinRequests.reject")}
+                  </Button>
+                )}
+              </div>
+            </ListGroup.Item>
+          ))}
+        </ListGroup>
+      )}
+    </>
+  );
+}
+
+JoinRequestsManager.propTypes = {
+  participants: PropTypes.arrayOf(PropTypes.object).isRequired,
+  loading: PropTypes.bool,
+  onDataChange: PropTypes.func.isRequired,
+};
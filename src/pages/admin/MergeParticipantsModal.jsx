@@ -0,0 +1,262 @@
+/**
+ * @file MergeParticipantsModal.jsx
+ * @description Merges a duplicate account into the account kept: pick the two participants,
+ * review the preview of every league (moved formations, snapshots, conflicts), choose a
+ * side for each conflict, then merge. The duplicate and its sign-in are deleted.
+ */
+
+import React, { useState } from "react";
+import PropTypes from "prop-types";
+import {
+  Button,
+  Form,
+  Alert,
+  Spinner,
+  Badge,
+  Modal,
+} from "react-bootstrap";
+import { previewParticipantMerge, mergeParticipants } from "../../services/participantMerge";
+import { useLanguage } from "../../hooks/useLanguage";
+import { error } from "../../utils/logger";
+
+/**
+ * One side of a race conflict
+ * @param {Object} props
+ * @param {Object} props.submission - Submission summary from the preview
+ * @returns {JSX.Element} Picks and points
+ */
+function SubmissionSummary({ submission }) {
+  const { t } = useLanguage();
+  return (
+    <span className="small">
+      {submission.picks.filter(Boolean).join(" · ")}
+      {submission.jolly && <> · 🃏 {submission.jolly}</>}
+      {submission.sprint && <> · {t("formations.sprint")}: {submission.sprint.filter(Boolean).join(" · ")}</>}
+      {submission.points != null && (
+        <Badge bg="success" className="ms-2" style={{ fontSize: "0.65rem" }}>{submission.points}</Badge>
+      )}
+    </span>
+  );
+}
+
+SubmissionSummary.propTypes = {
+  submission: PropTypes.shape({
+    picks: PropTypes.array.isRequired,
+    jolly: PropTypes.string,
+    sprint: PropTypes.array,
+    points: PropTypes.number,
+  }).isRequired,
+};
+
+export default function MergeParticipantsModal({ show, onHide, participants, onMerged }) {
+  const { t } = useLanguage();
+  const [targetId, setTargetId] = useState("");
+  const [sourceId, setSourceId] = useState("");
+  const [preview, setPreview] = useState(null);
+  const [resolutions, setResolutions] = useState({});
+  const [busy, setBusy] = useState(false);
+  const [message, setMessage] = useState(null);
+
+  const reset = () => {
+    setTargetId(""); setSourceId(""); setPreview(null); setResolutions({}); setMessage(null);
+  };
+
+  const handleClose = () => {
+    if (busy) return;
+    reset();
+    onHide();
+  };
+
+  /**
+   * Records the side kept for a conflict
+   * @param {string} leagueId - League of the conflict
+   * @param {string|null} raceId - Race (null for the championship picks)
+   * @param {string} side - "target" or "source"
+   */
+  const choose = (leagueId, raceId, side) => {
+    setResolutions((prev) => {
+      const league = prev[leagueId] || { races: {} };
+      return {
+        ...prev,
+        [leagueId]: raceId
+          ? { ...league, races: { ...league.races, [raceId]: side } }
+          : { ...league, championship: side },
+      };
+    });
+  };
+
+  const unresolved = preview
+    ? preview.leagues.reduce((count, league) => {
+      const choice = resolutions[league.leagueId] || {};
+      return count
+        + league.raceConflicts.filter((c) => !choice.races?.[c.raceId]).length
+        + (league.championshipConflict && !choice.championship ? 1 : 0);
+    }, 0)
+    : 0;
+
+  const handlePreview = async () => {
+    setBusy(true); setMessage(null);
+    try {
+      setPreview(await previewParticipantMerge(targetId, sourceId));
+      setResolutions({});
+    } catch (err) {
+      error(err);
+      setMessage({ type: "danger", text: err.message || t("common.error") });
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleMerge = async () => {
+    if (!window.confirm(t("merge.confirm", { source: preview.source.name, target: preview.target.name }))) return;
+    setBusy(true); setMessage(null);
+    try {
+      const { accountDeleted } = await mergeParticipants(targetId, sourceId, resolutions);
+      const text = t("merge.done", { source: preview.source.name, target: preview.target.name });
+      setPreview(null);
+      setMessage({ type: accountDeleted ? "success" : "warning", text: accountDeleted ? text : `${text} ${t("merge.accountKept")}` });
+      setTargetId(""); setSourceId("");
+      onMerged();
+    } catch (err) {
+      error(err);
+      setMessage({ type: "danger", text: err.message || t("common.error") });
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const nameOf = (id) => participants.find((p) => p.id === id)?.name ?? id;
+
+  return (
+    <Modal show={show} onHide={handleClose} centered size="lg">
+      <Modal.Header closeButton>
+        <Modal.Title className="fs-6">{t("merge.title")}</Modal.Title>
+      </Modal.Header>
+      <Modal.Body>
+        {message && (
+          <Alert variant={message.type} dismissible onClose={() => setMessage(null)} className="py-2">
+            {message.text}
+          </Alert>
+        )}
+
+        {!preview ? (
+          <>
+            <p className="small text-muted">{t("merge.description")}</p>
+            <Form.Group className="mb-3">
+              <Form.Label className="small fw-semibold">{t("merge.target")}</Form.Label>
+              <Form.Select size="sm" value={targetId} onChange={(e) => setTargetId(e.target.value)} disabled={busy}>
+                <option value="">—</option>
+                {participants.filter((p) => p.hasAccount && p.id !== sourceId).map((p) => (
+                  <option key={p.id} value={p.id}>{p.name}{p.email ? ` (${p.email})` : ""}</option>
+                ))}
+              </Form.Select>
+            </Form.Group>
+            <Form.Group>
+              <Form.Label className="small fw-semibold">{t("merge.source")}</Form.Label>
+              <Form.Select size="sm" value={sourceId} onChange={(e) => setSourceId(e.target.value)} disabled={busy}>
+                <option value="">—</option>
+                {participants.filter((p) => p.id !== targetId).map((p) => (
+                  <option key={p.id} value={p.id}>{p.name}{p.email ? ` (${p.email})` : ""}</option>
+                ))}
+              </Form.Select>
+            </Form.Group>
+          </>
+        ) : (
+          <>
+            <Alert variant="warning" className="py-2 small">
+              {t("merge.warning", { source: preview.source.name, target: preview.target.name })}
+            </Alert>
+            {preview.leagues.map((league) => {
+              const choice = resolutions[league.leagueId] || {};
+              return (
+                <div key={league.leagueId} className="mb-3">
+                  <h6 className="fw-bold mb-1" style={{ color: "var(--text-primary)" }}>
+                    {league.name ?? t("leagues.mainLeague")}
+                  </h6>
+                  <div className="d-flex flex-wrap gap-2 small mb-2">
+                    <Badge bg="secondary">{nameOf(targetId)}: {league.targetPoints ?? "—"}</Badge>
+                    <Badge bg="secondary">{nameOf(sourceId)}: {league.sourcePoints ?? "—"}</Badge>
+                    <Badge bg="info">{t("merge.movedSubmissions", { count: league.movedSubmissions })}</Badge>
+                    <Badge bg="info">{t("merge.snapshots", { count: league.snapshots })}</Badge>
+                  </div>
+                  {league.raceConflicts.map((conflict) => (
+                    <div key={conflict.raceId} className="border rounded p-2 mb-2">
+                      <div className="small fw-semibold mb-1">{conflict.raceName}</div>
+                      {["target", "source"].map((side) => (
+                        <Form.Check
+                          key={side}
+                          type="radio"
+                          id={`${league.leagueId}-${conflict.raceId}-${side}`}
+                          name={`${league.leagueId}-${conflict.raceId}`}
+                          checked={choice.races?.[conflict.raceId] === side}
+                          onChange={() => choose(league.leagueId, conflict.raceId, side)}
+                          disabled={busy}
+                          label={<><strong className="small me-2">{preview[side].name}</strong><SubmissionSummary submission={conflict[side]} /></>}
+                        />
+                      ))}
+                    </div>
+                  ))}
+                  {league.championshipConflict && (
+                    <div className="border rounded p-2 mb-2">
+                      <div className="small fw-semibold mb-1">{t("merge.championship")}</div>
+                      {["target", "source"].map((side) => (
+                        <Form.Check
+                          key={side}
+                          type="radio"
+                          id={`${league.leagueId}-championship-${side}`}
+                          name={`${league.leagueId}-championship`}
+                          checked={choice.championship === side}
+                          onChange={() => choose(league.leagueId, null, side)}
+                          disabled={busy}
+                          label={
+                            <span className="small">
+                              <strong className="me-2">{preview[side].name}</strong>
+                              {league.championshipConflict[side].piloti.join(" · ")}
+                              {" / "}
+                              {league.championshipConflict[side].costruttori.join(" · ")}
+                            </span>
+                          }
+                        />
+                      ))}
+                    </div>
+                  )}
+                </div>
+              );
+            })}
+            {unresolved > 0 && (
+              <div className="small text-muted">{t("merge.unresolved", { count: unresolved })}</div>
+            )}
+          </>
+        )}
+      </Modal.Body>
+      <Modal.Footer>
+        {preview ? (
+          <>
+            <Button variant="secondary" size="sm" onClick={() => setPreview(null)} disabled={busy}>
+              {t("common.back")}
+            </Button>
+            <Button variant="danger" size="sm" onClick={handleMerge} disabled={busy || unresolved > 0}>
+              {busy ? <Spinner animation="border" size="sm" /> : t("merge.merge")}
+            </Button>
+          </>
+        ) : (
+          <>
+            <Button variant="secondary" size="sm" onClick={handleClose} disabled={busy}>
+              {t("common.cancel")}
+            </Button>
+            <Button variant="danger" size="sm" onClick={handlePreview} disabled={busy || !targetId || !sourceId}>
+              {busy ? <Spinner animation="border" size="sm" /> : t("merge.preview")}
+            </Button>
+          </>
+        )}
+      </Modal.Footer>
+    </Modal>
+  );
+}
+
+MergeParticipantsModal.propTypes = {
+  show: PropTypes.bool.isRequired,
+  onHide: PropTypes.func.isRequired,
+  participants: PropTypes.arrayOf(PropTypes.object).isRequired,
+  onMerged: PropTypes.func.isRequired,
+};
@@ -1,10 +1,17 @@
 /**
  * @file ParticipantsManager.jsx
- * @description Participants CRUD management — reference design for admin panel.
- * Clean card layout, mobile-first, no horizontal scroll.
+ * @description Participants management — reference design for admin panel.
+ * Clean card layout, mobile-first, no horizontal scroll. Players join by themselves (join
+ * requests approved in JoinRequestsManager, invite codes for the private leagues). Owners also assign the league
+ * roles (moderator, player, spectator) through the setLeagueRole callable and remove members
+ * through removeLeagueMember; admins grant and
+ * revoke the admin claim through the setAdminClaim callable and merge duplicate accounts
+ * (MergeParticipantsModal). The owner picks the join policy applied to players joining
+ * mid-season (shared/scoringEngine.mjs, JOIN POLICY) and the points of the bonus questions
+ * asked with each formation (BONUS QUESTIONS).
  */
 
-import React, { useState } from "react";
+import React, { useState, useEffect, useCallback } from "react";
 import PropTypes from "prop-types";
 import {
   Button,
@@ -14,25 +21,42 @@ import {
   Badge,
   Modal,
   ListGroup,
+  Row,
+  Col,
 } from "react-bootstrap";
 import {
   doc,
-  setDoc,
-  deleteDoc,
-  updateDoc,
+  writeBatch,
 } from "firebase/firestore";
 import { db } from "../../services/firebase";
+import { logAdminAction } from "../../services/auditLog";
+import { removeLeagueMember, setLeagueRole } from "../../services/leagueService";
+import { loadAdminIds, setAdminClaim } from "../../services/adminClaims";
+import { useAuth } from "../../hooks/useAuth";
 import { useTheme } from "../../contexts/ThemeContext";
 import { useLanguage } from "../../hooks/useLanguage";
+import { useLeague } from "../../hooks/useLeague";
+import { leagueDocPath, rankingPath } from "../../utils/leaguePaths";
+import { ASSIGNABLE_ROLES, LEAGUE_ROLES, resolveLeagueRole } from "../../utils/leagueRoles";
+import {
+  BONUS_QUESTIONS,
+  JOIN_POLICIES,
+  normalizeBonusQuestions,
+  normalizeJoinPolicy,
+} from "../../utils/scoringEngine";
 import { error } from "../../utils/logger";
+import MergeParticipantsModal from "./MergeParticipantsModal";
 
-export default function ParticipantsManager({ participants, loading, onDataChange }) {
+export default function ParticipantsManager({ participants, spectators = [], loading, onDataChange }) {
   const { t } = useLanguage();
   const { isDark } = useTheme();
+  const { currentLeague, currentLeagueId, isMainLeague, refreshLeagues } = useLeague();
+  const { user, isAdmin } = useAuth();
+  const [adminIds, setAdminIds] = useState([]);
   const [saving, setSaving] = useState(false);
   const [message, setMessage] = useState(null);
-  const [showAddDialog, setShowAddDialog] = useState(false);
   const [showEditDialog, setShowEditDialog] = useState(false);
+  const [showMergeDialog, setShowMergeDialog] = useState(false);
   const [currentParticipant, setCurrentParticipant] = useState(null);
   const [formData, setFormData] = useState({ id: "", name: "", puntiTotali: 0, jolly: 0, usedLateSubmission: false });
 
@@ -54,47 +78,146 @@ export default function ParticipantsManager({ participants, loading, onDataChang
     return { label: t("admin.providerUnknown"), variant: "outline-secondary", icon: "❔" };
   };
 
-  const openAddDialog = () => {
-    setFormData({ id: "", name: "", puntiTotali: 0, jolly: 0, usedLateSubmission: false });
+  // Admin claims can only be listed by admins (listAdmins callable)
+  const loadAdmins = useCallback(async () => {
+    if (!isAdmin) return;
+    try {
+      setAdminIds(await loadAdminIds());
+    } catch (err) {
+      error(err);
+    }
+  }, [isAdmin]);
+
+  useEffect(() => { loadAdmins(); }, [loadAdmins]);
+
+  /**
+   * Role of a member in the selected league
+   * @param {string} userId - Member
+   * @returns {string} One of LEAGUE_ROLES
+   */
+  const roleOf = (userId) => resolveLeagueRole({
+    userId,
+    isAdmin: adminIds.includes(userId),
+    leagueId: currentLeagueId,
+    league: currentLeague,
+  });
+
+  /**
+   * Grants or revokes the admin claim of a member
+   * @param {{ id: string, name: string }} member - Member
+   * @param {boolean} admin - true to grant, false to revoke
+   */
+  const handleAdminChange = async (member, admin) => {
+    const confirmKey = admin ? "admin.grantAdminConfirm" : "admin.revokeAdminConfirm";
+    if (!window.confirm(t(confirmKey, { name: member.name }))) return;
+    setSaving(true);
     setMessage(null);
-    setShowAddDialog(true);
+    try {
+      await setAdminClaim(member.id, admin);
+      setMessage({
+        type: "success",
+        text: t(admin ? "admin.adminGranted" : "admin.adminRevoked", { name: member.name }),
+      });
+      await loadAdmins();
+    } catch (err) {
+      error(err);
+      setMessage({ type: "danger", text: err.message || t("common.error") });
+    } finally {
+      setSaving(false);
+    }
   };
 
-  const openEditDialog = (participant) => {
-    setCurrentParticipant(participant);
-    setFormData({
-      id: participant.id,
-      name: participant.name,
-      puntiTotali: participant.puntiTotali || 0,
-      jolly: participant.jolly || 0,
-      usedLateSubmission: participant.usedLateSubmission || false,
-    });
+  /**
+   * Assigns a role through the setLeagueRole callable, then reloads leagues and participants
+   * @param {{ id: string, name: string }} member - Member
+   * @param {string} role - moderator, player or spectator
+   */
+  const handleRoleChange = async (member, role) => {
+    if (role === LEAGUE_ROLES.SPECTATOR && !window.confirm(t("roles.spectatorConfirm", { name: member.name }))) return;
+    setSaving(true);
     setMessage(null);
-    setShowEditDialog(true);
+    try {
+      await setLeagueRole(currentLeagueId, member.id, role);
+      setMessage({ type: "success", text: t("roles.updated", { name: member.name, role: t(`roles.${role}`) }) });
+      await refreshLeagues();
+      onDataChange();
+      if (role === LEAGUE_ROLES.SPECTATOR) setTimeout(() => setShowEditDialog(false), 1200);
+    } catch (err) {
+      error(err);
+      setMessage({ type: "danger", text: err.message || t("common.error") });
+    } finally {
+      setSaving(false);
+    }
   };
 
-  const handleAdd = async (e) => {
-    e.preventDefault();
-    if (!formData.id || !formData.name) {
-      setMessage({ type: "warning", text: t("errors.incompleteForm") });
-      return;
+  const joinPolicy = normalizeJoinPolicy(currentLeague?.joinPolicy);
+  const canEditLeagueSettings = isAdmin || (!isMainLeague && currentLeague?.ownerId === user?.uid);
+
+  /**
+   * Saves the policy applied to players joining the league mid-season. Players already in
+   * keep the policy they joined with.
+   * @param {string} policy - One of JOIN_POLICIES
+   */
+  const handleJoinPolicyChange = async (policy) => {
+    setSaving(true);
+    setMessage(null);
+    try {
+      const ref = doc(db, leagueDocPath(currentLeagueId));
+      const batch = writeBatch(db);
+      if (isMainLeague) batch.set(ref, { joinPolicy: policy }, { merge: true });
+      else batch.update(ref, { joinPolicy: policy });
+      logAdminAction(batch, {
+        action: "league.joinPolicy",
+        target: ref.path,
+        leagueId: currentLeagueId,
+        before: { joinPolicy },
+        after: { joinPolicy: policy },
+      });
+      await batch.commit();
+      await refreshLeagues();
+      setMessage({ type: "success", text: t("joinPolicy.saved") });
+    } catch (err) {
+      error(err);
+      setMessage({ type: "danger", text: t("common.error") });
+    } finally {
+      setSaving(false);
     }
+  };
+
+  const bonusQuestions = normalizeBonusQuestions(currentLeague?.bonusQuestions);
+  const [bonusDraft, setBonusDraft] = useState(bonusQuestions);
+  const bonusChanged = Object.values(BONUS_QUESTIONS).some(
+    (q) => normalizeBonusQuestions(bonusDraft)[q] !== bonusQuestions[q]
+  );
+
+  // The draft follows the selected league
+  useEffect(() => {
+    setBonusDraft(normalizeBonusQuestions(currentLeague?.bonusQuestions));
+  }, [currentLeague?.bonusQuestions]);
+
+  /**
+   * Saves the points of the bonus questions; 0 stops asking a question. Races already
+   * scored keep their points until they are recalculated.
+   */
+  const handleBonusQuestionsSave = async () => {
+    const next = normalizeBonusQuestions(bonusDraft);
     setSaving(true);
     setMessage(null);
     try {
-      await setDoc(doc(db, "ranking", formData.id), {
-        name: formData.name,
-        puntiTotali: parseInt(formData.puntiTotali) || 0,
-        jolly: parseInt(formData.jolly) || 0,
-        usedLateSubmission: false,
-        pointsByRace: {},
-        championshipPiloti: [],
-        championshipCostruttori: [],
-        championshipPts: 0,
+      const ref = doc(db, leagueDocPath(currentLeagueId));
+      const batch = writeBatch(db);
+      if (isMainLeague) batch.set(ref, { bonusQuestions: next }, { merge: true });
+      else batch.update(ref, { bonusQuestions: next });
+      logAdminAction(batch, {
+        action: "league.bonusQuestions",
+        target: ref.path,
+        leagueId: currentLeagueId,
+        before: { bonusQuestions },
+        after: { bonusQuestions: next },
       });
-      setMessage({ type: "success", text: t("admin.participantAdded") });
-      onDataChange();
-      setTimeout(() => setShowAddDialog(false), 1200);
+      await batch.commit();
+      await refreshLeagues();
+      setMessage({ type: "success", text: t("bonusQuestions.saved") });
     } catch (err) {
       error(err);
       setMessage({ type: "danger", text: t("common.error") });
@@ -103,17 +226,50 @@ export default function ParticipantsManager({ participants, loading, onDataChang
     }
   };
 
+  const openEditDialog = (participant) => {
+    setCurrentParticipant(participant);
+    setFormData({
+      id: participant.id,
+      name: participant.name,
+      puntiTotali: participant.puntiTotali || 0,
+      jolly: participant.jolly || 0,
+      usedLateSubmission: participant.usedLateSubmission || false,
+    });
+    setMessage(null);
+    setShowEditDialog(true);
+  };
+
   const handleUpdate = async (e) => {
     e.preventDefault();
     setSaving(true);
     setMessage(null);
     try {
-      await updateDoc(doc(db, "ranking", currentParticipant.id), {
-        name: formData.name,
-        puntiTotali: parseInt(formData.puntiTotali) || 0,
-        jolly: parseInt(formData.jolly) || 0,
-        usedLateSubmission: formData.usedLateSubmission,
+      const ref = doc(db, rankingPath(currentLeagueId), currentParticipant.id);
+      // League owners only rename: points, jokers and the late flag are admin fields
+      const updates = isAdmin
+        ? {
+          name: formData.name,
+          puntiTotali: parseInt(formData.puntiTotali) || 0,
+          jolly: parseInt(formData.jolly) || 0,
+          usedLateSubmission: formData.usedLateSubmission,
+        }
+        : { name: formData.name };
+      const before = {
+        name: currentParticipant.name,
+        puntiTotali: currentParticipant.puntiTotali ?? 0,
+        jolly: currentParticipant.jolly ?? 0,
+        usedLateSubmission: currentParticipant.usedLateSubmission ?? false,
+      };
+      const batch = writeBatch(db);
+      batch.update(ref, updates);
+      logAdminAction(batch, {
+        action: "participant.update",
+        target: ref.path,
+        leagueId: currentLeagueId,
+        before: Object.fromEntries(Object.keys(updates).map((key) => [key, before[key]])),
+        after: updates,
       });
+      await batch.commit();
       setMessage({ type: "success", text: t("admin.participantUpdated") });
       onDataChange();
       setTimeout(() => setShowEditDialog(false), 1200);
@@ -130,7 +286,17 @@ export default function ParticipantsManager({ participants, loading, onDataChang
     setSaving(true);
     setMessage(null);
     try {
-      await deleteDoc(doc(db, "ranking", currentParticipant.id));
+      if (isMainLeague) {
+        const ref = doc(db, rankingPath(currentLeagueId), currentParticipant.id);
+        const { id: _id, email: _email, authProvider: _provider, ...previous } = currentParticipant;
+        const batch = writeBatch(db);
+        batch.delete(ref);
+        logAdminAction(batch, { action: "participant.delete", target: ref.path, before: previous, leagueId: currentLeagueId });
+        await batch.commit();
+      } else {
+        // League members are removed server-side (ranking, members and roles together)
+        await removeLeagueMember(currentLeagueId, currentParticipant.id);
+      }
       setMessage({ type: "success", text: t("admin.participantDeleted") });
       onDataChange();
       setTimeout(() => setShowEditDialog(false), 1200);
@@ -149,18 +315,82 @@ export default function ParticipantsManager({ participants, loading, onDataChang
   return (
     <>
       {/* Section header */}
-      <div className="d-flex justify-content-between align-items-center mb-3">
-        <h6 className="mb-0 fw-bold" style={{ color: "var(--text-primary)" }}>
-          {t("admin.participants")}
-          <Badge bg="secondary" className="ms-2" style={{ fontSize: "0.7rem", verticalAlign: "middle" }}>
-            {participants.length}
-          </Badge>
-        </h6>
-        <Button variant="danger" size="sm" onClick={openAddDialog}>
-          + {t("admin.addParticipant")}
-        </Button>
+      <div className="d-flex justify-content-between align-items-start gap-2 mb-3">
+        <div>
+          <h6 className="mb-1 fw-bold" style={{ color: "var(--text-primary)" }}>
+            {t("admin.participants")}
+            <Badge bg="secondary" className="ms-2" style={{ fontSize: "0.7rem", verticalAlign: "middle" }}>
+              {participants.length}
+            </Badge>
+          </h6>
+          <small className="text-muted">
+            {isMainLeague ? t("joinRequests.participantsHint") : t("joinRequests.leagueParticipantsHint")}
+          </small>
+        </div>
+        {isAdmin && participants.length > 1 && (
+          <Button variant="outline-danger" size="sm" className="flex-shrink-0" onClick={() => setShowMergeDialog(true)}>
+            {t("merge.open")}
+          </Button>
+        )}
       </div>
 
+      {/* Join policy for mid-season entrants */}
+      <Form.Group className="mb-3">
+        <Form.Label className="small fw-semibold mb-1">{t("joinPolicy.label")}</Form.Label>
+        <Form.Select
+          size="sm"
+          style={{ maxWidth: 320 }}
+          value={joinPolicy}
+          disabled={!canEditLeagueSettings || saving}
+          onChange={(e) => handleJoinPolicyChange(e.target.value)}
+        >
+          {Object.values(JOIN_POLICIES).map((policy) => (
+            <option key={policy} value={policy}>{t(`joinPolicy.${policy}`)}</option>
+          ))}
+        </Form.Select>
+        <Form.Text className="text-muted">{t("joinPolicy.hint")}</Form.Text>
+      </Form.Group>
+
+      {/* Bonus questions asked with the main formation */}
+      <Form.Group className="mb-3">
+        <Form.Label className="small fw-semibold mb-1">{t("bonusQuestions.title")}</Form.Label>
+        <Row className="g-2 align-items-end">
+          {Object.values(BONUS_QUESTIONS).map((question) => (
+            <Col xs={6} md={3} key={question}>
+              <Form.Label className="small text-muted mb-1">{t(`bonusQuestions.${question}`)}</Form.Label>
+              <Form.Control
+                type="number"
+                size="sm"
+                min={0}
+                value={bonusDraft[question]}
+                disabled={!canEditLeagueSettings || saving}
+                onChange={(e) => setBonusDraft({ ...bonusDraft, [question]: e.target.value })}
+              />
+            </Col>
+          ))}
+        </Row>
+        <div className="d-flex justify-content-between align-items-start gap-2 mt-1">
+          <Form.Text className="text-muted">{t("bonusQuestions.hint")}</Form.Text>
+          {canEditLeagueSettings && (
+            <Button
+              variant="outline-primary"
+              size="sm"
+              className="flex-shrink-0"
+              disabled={!bonusChanged || saving}
+              onClick={handleBonusQuestionsSave}
+            >
+              {t("common.save")}
+            </Button>
+          )}
+        </div>
+      </Form.Group>
+
+      {message && !showEditDialog && spectators.length === 0 && (
+        <Alert variant={message.type} dismissible onClose={() => setMessage(null)} className="py-2">
+          {message.text}
+        </Alert>
+      )}
+
       {participants.length === 0 ? (
         <Alert variant="info">{t("leaderboard.noData")}</Alert>
       ) : (
@@ -209,6 +439,14 @@ export default function ParticipantsManager({ participants, loading, onDataChang
                           {t("admin.lateSubmissionUsed")}
                         </Badge>
                       )}
+                      {adminIds.includes(p.id) && (
+                        <Badge bg="danger" style={{ fontSize: "0.65rem" }}>{t("admin.adminRole")}</Badge>
+                      )}
+                      {roleOf(p.id) !== LEAGUE_ROLES.PLAYER && !adminIds.includes(p.id) && (
+                        <Badge bg={roleOf(p.id) === LEAGUE_ROLES.OWNER ? "danger" : "info"} style={{ fontSize: "0.65rem" }}>
+                          {t(`roles.${roleOf(p.id)}`)}
+                        </Badge>
+                      )}
                     </div>
                   </div>
                   <span className="text-muted ms-2" style={{ fontSize: "0.85rem" }}>›</span>
@@ -219,63 +457,57 @@ export default function ParticipantsManager({ participants, loading, onDataChang
         </ListGroup>
       )}
 
-      {/* Add Participant Modal */}
-      <Modal show={showAddDialog} onHide={() => setShowAddDialog(false)} centered>
-        <Modal.Header closeButton>
-          <Modal.Title className="fs-6">{t("admin.addParticipant")}</Modal.Title>
-        </Modal.Header>
-        <Form onSubmit={handleAdd}>
-          <Modal.Body>
-            {message && (
-              <Alert variant={message.type} dismissible onClose={() => setMessage(null)} className="py-2">
-                {message.text}
-              </Alert>
-            )}
-            <Form.Group className="mb-3">
-              <Form.Label className="small fw-semibold">ID *</Form.Label>
-              <Form.Control
-                type="text" size="sm" placeholder="e.g. mario"
-                value={formData.id}
-                onChange={(e) => setFormData({ ...formData, id: e.target.value })}
-                required autoFocus
-              />
-            </Form.Group>
-            <Form.Group className="mb-3">
-              <Form.Label className="small fw-semibold">{t("admin.participantName")} *</Form.Label>
-              <Form.Control
-                type="text" size="sm" placeholder="e.g. Mario Rossi"
-                value={formData.name}
-                onChange={(e) => setFormData({ ...formData, name: e.target.value })}
-                required
-              />
-            </Form.Group>
-            <div className="d-flex gap-2">
-              <Form.Group className="flex-fill">
-                <Form.Label className="small fw-semibold">{t("admin.totalPoints")}</Form.Label>
-                <Form.Control
-                  type="number" size="sm" value={formData.puntiTotali}
-                  onChange={(e) => setFormData({ ...formData, puntiTotali: e.target.value })}
-                />
-              </Form.Group>
-              <Form.Group className="flex-fill">
-                <Form.Label className="small fw-semibold">{t("admin.availableJokers")}</Form.Label>
-                <Form.Control
-                  type="number" size="sm" value={formData.jolly}
-                  onChange={(e) => setFormData({ ...formData, jolly: e.target.value })}
-                />
-              </Form.Group>
-            </div>
-          </Modal.Body>
-          <Modal.Footer>
-            <Button variant="secondary" size="sm" onClick={() => setShowAddDialog(false)} disabled={saving}>
-              {t("common.cancel")}
-            </Button>
-            <Button variant="danger" size="sm" type="submit" disabled={saving}>
-              {saving ? <Spinner animation="border" size="sm" /> : t("admin.addParticipant")}
-            </Button>
-          </Modal.Footer>
-        </Form>
-      </Modal>
+      {/* Spectators (no ranking document) */}
+      {spectators.length > 0 && (
+        <>
+          <h6 className="mt-4 mb-2 fw-bold" style={{ color: "var(--text-primary)" }}>
+            {t("roles.spectators")}
+            <Badge bg="secondary" className="ms-2" style={{ fontSize: "0.7rem", verticalAlign: "middle" }}>
+              {spectators.length}
+            </Badge>
+          </h6>
+          {message && !showEditDialog && (
+            <Alert variant={message.type} dismissible onClose={() => setMessage(null)} className="py-2">
+              {message.text}
+            </Alert>
+          )}
+          <ListGroup variant="flush" style={{ borderRadius: 8, overflow: "hidden", border: `1px solid ${borderColor}` }}>
+            {spectators.map((s) => (
+              <ListGroup.Item
+                key={s.id}
+                className="px-3 py-2 d-flex justify-content-between align-items-center"
+                style={{ backgroundColor: bgCard, color: "var(--text-primary)", borderColor }}
+              >
+                <div style={{ minWidth: 0, flex: 1 }}>
+                  <span className="fw-semibold">{s.name}</span>
+                  {s.email && (
+                    <div className="text-muted text-truncate" style={{ fontSize: "0.75rem" }} title={s.email}>
+                      {s.email}
+                    </div>
+                  )}
+                </div>
+                <Button
+                  variant="outline-secondary"
+                  size="sm"
+                  className="py-0 px-2"
+                  style={{ fontSize: "0.75rem" }}
+                  disabled={saving}
+                  onClick={() => handleRoleChange(s, LEAGUE_ROLES.PLAYER)}
+                >
+                  {t("roles.makePlayer")}
+                </Button>
+              </ListGroup.Item>
+            ))}
+          </ListGroup>
+        </>
+      )}
+
+      <MergeParticipantsModal
+        show={showMergeDialog}
+        onHide={() => setShowMergeDialog(false)}
+        participants={participants}
+        onMerged={onDataChange}
+      />
 
       {/* Edit Participant Modal */}
       <Modal show={showEditDialog} onHide={() => setShowEditDialog(false)} centered>
@@ -331,23 +563,71 @@ export default function ParticipantsManager({ participants, loading, onDataChang
                   <Form.Group className="flex-fill">
                     <Form.Label className="small fw-semibold">{t("admin.totalPoints")}</Form.Label>
                     <Form.Control
-                      type="number" size="sm" value={formData.puntiTotali}
+                      type="number" size="sm" value={formData.puntiTotali} disabled={!isAdmin}
                       onChange={(e) => setFormData({ ...formData, puntiTotali: e.target.value })}
                     />
                   </Form.Group>
                   <Form.Group className="flex-fill">
                     <Form.Label className="small fw-semibold">{t("admin.availableJokers")}</Form.Label>
                     <Form.Control
-                      type="number" size="sm" value={formData.jolly}
+                      type="number" size="sm" value={formData.jolly} disabled={!isAdmin}
                       onChange={(e) => setFormData({ ...formData, jolly: e.target.value })}
                     />
                   </Form.Group>
                 </div>
 
+                <Form.Group className="mb-3">
+                  <Form.Label className="small fw-semibold">{t("roles.role")}</Form.Label>
+                  {roleOf(currentParticipant.id) === LEAGUE_ROLES.OWNER ? (
+                    <Form.Text className="d-block text-muted">{t("roles.ownerFixed")}</Form.Text>
+                  ) : (
+                    <Form.Select
+                      size="sm"
+                      value={roleOf(currentParticipant.id)}
+                      disabled={saving}
+                      onChange={(e) => handleRoleChange(currentParticipant, e.target.value)}
+                    >
+                      {ASSIGNABLE_ROLES.map((role) => (
+                        <option key={role} value={role}>{t(`roles.${role}`)}</option>
+                      ))}
+                    </Form.Select>
+                  )}
+                  <Form.Text className="text-muted" style={{ fontSize: "0.75rem" }}>{t("roles.roleHint")}</Form.Text>
+                </Form.Group>
+
+                {isAdmin && (
+                  <div className="d-flex justify-content-between align-items-center gap-2 mb-3">
+                    <span className="small">
+                      {adminIds.includes(currentParticipant.id) ? t("admin.hasAdmin") : t("admin.noAdmin")}
+                    </span>
+                    {adminIds.includes(currentParticipant.id) ? (
+                      <Button
+                        variant="outline-danger"
+                        size="sm"
+                        disabled={saving || currentParticipant.id === user?.uid}
+                        title={currentParticipant.id === user?.uid ? t("admin.adminSelf") : undefined}
+                        onClick={() => handleAdminChange(currentParticipant, false)}
+                      >
+                        {t("admin.revokeAdmin")}
+                      </Button>
+                    ) : (
+                      <Button
+                        variant="outline-success"
+                        size="sm"
+                        disabled={saving}
+                        onClick={() => handleAdminChange(currentParticipant, true)}
+                      >
+                        {t("admin.grantAdmin")}
+                      </Button>
+                    )}
+                  </div>
+                )}
+
                 <Form.Check
                   type="switch"
                   label={t("admin.lateSubmissionUsed")}
                   checked={formData.usedLateSubmission}
+                  disabled={!isAdmin}
                   onChange={(e) => setFormData({ ...formData, usedLateSubmission: e.target.checked })}
                   className="mb-3"
                 />
@@ -378,6 +658,7 @@ export default function ParticipantsManager({ participants, loading, onDataChang
 
 ParticipantsManager.propTypes = {
   participants: PropTypes.arrayOf(PropTypes.object).isRequired,
+  spectators: PropTypes.arrayOf(PropTypes.object),
   loading: PropTypes.bool.isRequired,
   onDataChange: PropTypes.func.isRequired,
 };
@@ -0,0 +1,325 @@
+/**
+ * @file PropsManager.jsx
+ * @description Prop questions of a race weekend: free-form multiple-choice questions with
+ * their own deadline and points, stored in races/{raceId}.props and shared by every league.
+ * Players answer them in FormationApp; admins settle them in CalculatePoints.
+ */
+
+import React, { useState, useMemo } from "react";
+import PropTypes from "prop-types";
+import {
+  Button,
+  Form,
+  Alert,
+  Spinner,
+  Badge,
+  Modal,
+  ListGroup,
+} from "react-bootstrap";
+import { doc, writeBatch, Timestamp } from "firebase/firestore";
+import { db } from "../../services/firebase";
+import { logAdminAction } from "../../services/auditLog";
+import { useTheme } from "../../contexts/ThemeContext";
+import { useLanguage } from "../../hooks/useLanguage";
+import { useTimezone } from "../../hooks/useTimezone";
+import { MAX_PROP_OPTIONS, MIN_PROP_OPTIONS } from "../../utils/scoringEngine";
+import { error } from "../../utils/logger";
+
+const tsToLocal = (ts) => {
+  if (!ts) return "";
+  const d = new Date(ts.seconds * 1000);
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}T${pad(d.getHours())}:${pad(d.getMinutes())}`;
+};
+
+const newPropId = () => `prop_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
+
+export default function PropsManager({ races, loading, onDataChange }) {
+  const { t } = useLanguage();
+  const { isDark } = useTheme();
+  const { timezone } = useTimezone();
+
+  // Races by date; the next race to run is selected by default, the last one once the calendar is over
+  const sortedRaces = useMemo(
+    () => [...races].sort((a, b) => (a.raceUTC?.seconds ?? 0) - (b.raceUTC?.seconds ?? 0)),
+    [races]
+  );
+  const defaultRaceId = useMemo(() => {
+    const upcoming = sortedRaces.find((r) => r.raceUTC && r.raceUTC.seconds * 1000 > Date.now());
+    return upcoming?.id ?? sortedRaces[sortedRaces.length - 1]?.id ?? "";
+  }, [sortedRaces]);
+  const [selectedRaceId, setSelectedRaceId] = useState(null);
+  const raceId = selectedRaceId ?? defaultRaceId;
+  const race = races.find((r) => r.id === raceId) ?? null;
+  const props = race?.props ?? [];
+
+  const [editing, setEditing] = useState(null); // { id, question, options, deadline, points }
+  const [saving, setSaving] = useState(false);
+  const [message, setMessage] = useState(null);
+
+  const borderColor = isDark ? "var(--border-color)" : "#dee2e6";
+  const bgCard = isDark ? "var(--bg-secondary)" : "#ffffff";
+
+  const fmtFull = (ts) => {
+    if (!ts) return "—";
+    const d = new Date(ts.seconds * 1000);
+    return d.toLocaleDateString("it-IT", { weekday: "short", day: "2-digit", month: "short", timeZone: timezone })
+      + " " + d.toLocaleTimeString("it-IT", { hour: "2-digit", minute: "2-digit", timeZone: timezone });
+  };
+
+  /**
+   * Writes the prop questions of the selected race, with the audit entry
+   * @param {Array<Object>} next - Questions after the change
+   * @returns {Promise<boolean>} Whether the write succeeded
+   */
+  const saveProps = async (next) => {
+    setSaving(true); setMessage(null);
+    try {
+      const batch = writeBatch(db);
+      batch.update(doc(db, "races", race.id), { props: next });
+      logAdminAction(batch, {
+        action: "race.props",
+        target: `races/${race.id}`,
+        before: { props },
+        after: { props: next },
+      });
+      await batch.commit();
+      setMessage({ type: "success", text: t("props.saved") });
+      await onDataChange();
+      return true;
+    } catch (err) {
+      error(err);
+      setMessage({ type: "danger", text: `${t("common.error")}: ${err.message}` });
+      return false;
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const openAdd = () => {
+    setMessage(null);
+    setEditing({ id: null, question: "", options: ["", ""], deadline: tsToLocal(race.qualiUTC), points: "3" });
+  };
+
+  const openEdit = (prop) => {
+    setMessage(null);
+    setEditing({
+      id: prop.id,
+      question: prop.question,
+      options: [...prop.options],
+      deadline: tsToLocal(prop.deadline),
+      points: String(prop.points),
+    });
+  };
+
+  const handleSave = async () => {
+    const question = editing.question.trim();
+    const options = editing.options.map((o) => o.trim()).filter(Boolean);
+    const deadline = new Date(editing.deadline);
+    const points = parseInt(editing.points, 10);
+    if (
+      !question
+      || options.length < MIN_PROP_OPTIONS
+      || new Set(options).size !== options.length
+      || isNaN(deadline.getTime())
+      || !(points > 0)
+    ) {
+      setMessage({ type: "warning", text: t("props.invalid", { min: MIN_PROP_OPTIONS, max: MAX_PROP_OPTIONS }) });
+      return;
+    }
+
+    const prop = {
+      id: editing.id ?? newPropId(),
+      question,
+      options,
+      deadline: Timestamp.fromDate(deadline),
+      points,
+    };
+    const next = editing.id
+      ? props.map((p) => (p.id === editing.id ? prop : p))
+      : [...props, prop];
+    if (await saveProps(next)) setEditing(null);
+  };
+
+  const handleDelete = async (prop) => {
+    if (!window.confirm(t("props.deleteConfirm", { question: prop.question }))) return;
+    await saveProps(props.filter((p) => p.id !== prop.id));
+  };
+
+  const setOption = (index, value) =>
+    setEditing((e) => ({ ...e, options: e.options.map((o, i) => (i === index ? value : o)) }));
+
+  if (loading) {
+    return <div className="text-center py-5"><Spinner animation="border" /></div>;
+  }
+
+  const settled = race?.officialResults?.props ?? {};
+
+  return (
+    <>
+      <div className="mb-3">
+        <h6 className="mb-1 fw-bold" style={{ color: "var(--text-primary)" }}>{t("props.title")}</h6>
+        <small className="text-muted">{t("props.description")}</small>
+      </div>
+
+      {message && !editing && (
+        <Alert variant={message.type} dismissible onClose={() => setMessage(null)} className="py-2">
+          {message.text}
+        </Alert>
+      )}
+
+      <div className="d-flex gap-2 mb-3">
+        <Form.Select
+          size="sm"
+          value={raceId}
+          onChange={(e) => setSelectedRaceId(e.target.value)}
+          aria-label={t("formations.selectRace")}
+        >
+          {sortedRaces.map((r) => (
+            <option key={r.id} value={r.id}>R{r.round} · {r.name}</option>
+          ))}
+        </Form.Select>
+        <Button size="sm" variant="danger" className="text-nowrap" onClick={openAdd} disabled={!race || saving}>
+          + {t("props.add")}
+        </Button>
+      </div>
+
+      {props.length === 0 ? (
+        <div className="text-center py-4 rounded small" style={{ backgroundColor: bgCard, border: `1px solid ${borderColor}`, color: "var(--text-muted)" }}>
+          {t("props.empty")}
+        </div>
+      ) : (
+        <ListGroup variant="flush" style={{ borderRadius: 8, overflow: "hidden", border: `1px solid ${borderColor}` }}>
+          {props.map((p) => (
+            <ListGroup.Item
+              key={p.id}
+              className="px-3 py-2"
+              style={{ backgroundColor: bgCard, color: "var(--text-primary)", borderColor }}
+            >
+              <div className="d-flex justify-content-between align-items-start gap-2">
+                <div style={{ minWidth: 0 }}>
+                  <div className="fw-semibold">{p.question}</div>
+                  <div className="small text-muted">
+                    {p.options.map((o, i) => (
+                      <span key={o} className={settled[p.id] === i ? "fw-bold text-success" : undefined}>
+                        {i > 0 && " · "}{o}
+                      </span>
+                    ))}
+                  </div>
+                  <div className="d-flex flex-wrap gap-2 mt-1">
+                    <Badge bg="info" style={{ fontSize: "0.6rem" }}>{t("props.worth", { points: p.points })}</Badge>
+                    <small className="text-muted">{t("props.closesAt", { date: fmtFull(p.deadline) })}</small>
+                    {settled[p.id] != null && (
+                      <Badge bg="success" style={{ fontSize: "0.6rem" }}>{t("props.settled")}</Badge>
+                    )}
+                  </div>
+                </div>
+                <div className="d-flex gap-1 flex-shrink-0">
+                  <Button size="sm" variant="outline-secondary" onClick={() => openEdit(p)} disabled={saving}>
+                    {t("common.edit")}
+                  </Button>
+                  <Button size="sm" variant="outline-danger" onClick={() => handleDelete(p)} disabled={saving}>
+                    {t("common.delete")}
+                  </Button>
+                </div>
+              </div>
+            </ListGroup.Item>
+          ))}
+        </ListGroup>
+      )}
+
+      <Modal show={Boolean(editing)} onHide={() => !saving && setEditing(null)} centered>
+        <Modal.Header closeButton>
+          <Modal.Title className="fs-6">{editing?.id ? t("props.edit") : t("props.add")}</Modal.Title>
+        </Modal.Header>
+        {editing && (
+          <Modal.Body>
+            {message && (
+              <Alert variant={message.type} dismissible onClose={() => setMessage(null)} className="py-2">
+                {message.text}
+              </Alert>
+            )}
+            <Form.Group className="mb-3">
+              <Form.Label className="small fw-semibold">{t("props.question")} *</Form.Label>
+              <Form.Control
+                size="sm"
+                value={editing.question}
+                placeholder={t("props.questionPlaceholder")}
+                maxLength={200}
+                onChange={(e) => setEditing({ ...editing, question: e.target.value })}
+              />
+            </Form.Group>
+            <Form.Label className="small fw-semibold">{t("props.options")} *</Form.Label>
+            {editing.options.map((o, i) => (
+              <div key={i} className="d-flex gap-2 mb-2">
+                <Form.Control
+                  size="sm"
+                  value={o}
+                  maxLength={80}
+                  placeholder={t("props.option", { n: i + 1 })}
+                  onChange={(e) => setOption(i, e.target.value)}
+                />
+                {editing.options.length > MIN_PROP_OPTIONS && (
+                  <Button
+                    size="sm"
+                    variant="outline-danger"
+                    onClick={() => setEditing({ ...editing, options: editing.options.filter((_, j) => j !== i) })}
+                    aria-label={t("common.delete")}
+                  >
+                    ×
+                  </Button>
+                )}
+              </div>
+            ))}
+            {editing.options.length < MAX_PROP_OPTIONS && (
+              <Button
+                size="sm"
+                variant="outline-secondary"
+                className="w-100 mb-3"
+                onClick={() => setEditing({ ...editing, options: [...editing.options, ""] })}
+              >
+                + {t("props.addOption")}
+              </Button>
+            )}
+            <div className="d-flex gap-2">
+              <Form.Group className="flex-fill">
+                <Form.Label className="small fw-semibold">{t("props.deadline")} *</Form.Label>
+                <Form.Control
+                  type="datetime-local"
+                  size="sm"
+                  value={editing.deadline}
+                  onChange={(e) => setEditing({ ...editing, deadline: e.target.value })}
+                />
+              </Form.Group>
+              <Form.Group style={{ width: 90 }}>
+                <Form.Label className="small fw-semibold">{t("props.points")} *</Form.Label>
+                <Form.Control
+                  type="number"
+                  size="sm"
+                  min={1}
+                  max={50}
+                  value={editing.points}
+                  onChange={(e) => setEditing({ ...editing, points: e.target.value })}
+                />
+              </Form.Group>
+            </div>
+          </Modal.Body>
+        )}
+        <Modal.Footer>
+          <Button variant="secondary" size="sm" onClick={() => setEditing(null)} disabled={saving}>
+            {t("common.cancel")}
+          </Button>
+          <Button variant="danger" size="sm" onClick={handleSave} disabled={saving}>
+            {saving ? <Spinner animation="border" size="sm" /> : t("common.save")}
+          </Button>
+        </Modal.Footer>
+      </Modal>
+    </>
+  );
+}
+
+PropsManager.propTypes = {
+  races: PropTypes.arrayOf(PropTypes.object).isRequired,
+  loading: PropTypes.bool,
+  onDataChange: PropTypes.func.isRequired,
+};
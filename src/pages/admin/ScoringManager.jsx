@@ -0,0 +1,299 @@
+/**
+ * @file ScoringManager.jsx
+ * @description Admin editor for the versioned scoring ruleset (config/scoring).
+ * One ruleset version per season; seasons without a version inherit the previous one.
+ * The version also orders the tie-breakers separating players tied on points.
+ */
+
+import React, { useState, useEffect, useMemo } from "react";
+import PropTypes from "prop-types";
+import {
+  Button,
+  Form,
+  Alert,
+  Spinner,
+  Badge,
+  Row,
+  Col,
+  ListGroup,
+} from "react-bootstrap";
+import { useTheme } from "../../contexts/ThemeContext";
+import { useLanguage } from "../../hooks/useLanguage";
+import { error } from "../../utils/logger";
+import {
+  loadScoringConfig,
+  saveScoringRulesForSeason,
+} from "../../services/scoringRules";
+import {
+  DEFAULT_SCORING_RULES,
+  SCORING_RULE_KEYS,
+  PARTIAL_CREDIT_MODES,
+  TIE_BREAKERS,
+  normalizeScoringRules,
+  resolveScoringRules,
+  getSeasonFromRace,
+} from "../../utils/scoringEngine";
+
+// Translation key for each scalar rule
+const RULE_LABELS = {
+  BONUS_JOLLY_MAIN: "admin.scoringBonusJollyMain",
+  BONUS_JOLLY_SPRINT: "admin.scoringBonusJollySprint",
+  PENALTY_EMPTY_LIST: "admin.scoringPenaltyEmptyList",
+  LATE_SUBMISSION_PENALTY: "admin.scoringLatePenalty",
+  PERFECT_PODIUM_BONUS: "admin.scoringPerfectPodiumBonus",
+  PERFECT_PODIUM_JOLLY: "admin.scoringPerfectPodiumJolly",
+  LAST_RACE_MULTIPLIER: "admin.scoringLastRaceMultiplier",
+  REDUCED_POINTS_PERCENT: "admin.scoringReducedPointsPercent",
+  PARTIAL_PODIUM_PERCENT: "admin.scoringPartialPodiumPercent",
+  PARTIAL_ONE_OFF_PERCENT: "admin.scoringPartialOneOffPercent",
+};
+
+/**
+ * Numeric input for a single rule value
+ * @param {Object} props - Component props
+ * @param {string} props.label - Field label
+ * @param {number|string} props.value - Current value
+ * @param {Function} props.onChange - Called with the raw input value
+ * @param {boolean} [props.disabled] - Whether the input is disabled
+ * @returns {JSX.Element}
+ */
+function RuleField({ label, value, onChange, disabled = false }) {
+  return (
+    <Form.Group className="mb-2">
+      <Form.Label className="small text-muted mb-1">{label}</Form.Label>
+      <Form.Control
+        type="number"
+        size="sm"
+        value={value}
+        onChange={(e) => onChange(e.target.value)}
+        disabled={disabled}
+      />
+    </Form.Group>
+  );
+}
+
+RuleField.propTypes = {
+  label: PropTypes.string.isRequired,
+  value: PropTypes.oneOfType([PropTypes.number, PropTypes.string]).isRequired,
+  onChange: PropTypes.func.isRequired,
+  disabled: PropTypes.bool,
+};
+
+/**
+ * Ordered tie-breaker chain: enabled rules first, in order, with move and toggle controls
+ * @param {Object} props - Component props
+ * @param {Array<string>} props.value - Enabled tie-breakers, in order
+ * @param {Function} props.onChange - Called with the new chain
+ * @param {boolean} [props.disabled] - Whether the controls are disabled
+ * @returns {JSX.Element}
+ */
+function TieBreakerChain({ value, onChange, disabled = false }) {
+  const { t } = useLanguage();
+  const unused = Object.values(TIE_BREAKERS).filter((key) => !value.includes(key));
+
+  const move = (index, delta) => {
+    const next = [...value];
+    [next[index], next[index + delta]] = [next[index + delta], next[index]];
+    onChange(next);
+  };
+
+  return (
+    <ListGroup>
+      {[...value, ...unused].map((key, index) => {
+        const enabled = index < value.length;
+        return (
+          <ListGroup.Item key={key} className="d-flex align-items-center gap-2 py-1 px-2 small">
+            <Form.Check
+              type="switch"
+              id={`tie-breaker-${key}`}
+              checked={enabled}
+              disabled={disabled}
+              onChange={() => onChange(enabled ? value.filter((k) => k !== key) : [...value, key])}
+              aria-label={t(`tieBreakers.${key}`)}
+            />
+            <span className={`flex-grow-1 ${enabled ? "" : "text-muted"}`}>
+              {enabled && <strong className="me-1">{index + 1}.</strong>}
+              {t(`tieBreakers.${key}`)}
+            </span>
+            {enabled && (
+              <>
+                <Button variant="outline-secondary" size="sm" className="py-0 px-1"
+                  disabled={disabled || index === 0} onClick={() => move(index, -1)} aria-label={t("tieBreakers.moveUp")}>
+                  ↑
+                </Button>
+                <Button variant="outline-secondary" size="sm" className="py-0 px-1"
+                  disabled={disabled || index === value.length - 1} onClick={() => move(index, 1)} aria-label={t("tieBreakers.moveDown")}>
+                  ↓
+                </Button>
+              </>
+            )}
+          </ListGroup.Item>
+        );
+      })}
+    </ListGroup>
+  );
+}
+
+TieBreakerChain.propTypes = {
+  value: PropTypes.arrayOf(PropTypes.string).isRequired,
+  onChange: PropTypes.func.isRequired,
+  disabled: PropTypes.bool,
+};
+
+export default function ScoringManager({ races, loading }) {
+  const { t } = useLanguage();
+  const { isDark } = useTheme();
+  const [config, setConfig] = useState({ seasons: {} });
+  const [loadingConfig, setLoadingConfig] = useState(true);
+  const [season, setSeason] = useState(new Date().getUTCFullYear());
+  const [form, setForm] = useState(() => normalizeScoringRules());
+  const [saving, setSaving] = useState(false);
+  const [message, setMessage] = useState(null);
+
+  const borderColor = isDark ? "var(--border-color)" : "#dee2e6";
+  const bgCard = isDark ? "var(--bg-secondary)" : "#ffffff";
+
+  const loadConfig = async () => {
+    setLoadingConfig(true);
+    try {
+      setConfig(await loadScoringConfig({ force: true }));
+    } catch (err) {
+      error("Error loading scoring config:", err);
+      setMessage({ type: "danger", text: `${t("admin.scoringLoadError")}: ${err.message}` });
+    } finally { setLoadingConfig(false); }
+  };
+
+  // eslint-disable-next-line react-hooks/exhaustive-deps
+  useEffect(() => { loadConfig(); }, []);
+
+  // Seasons from the calendar, configured versions and the current year
+  const seasonOptions = useMemo(() => {
+    const set = new Set([new Date().getUTCFullYear()]);
+    races.forEach((r) => {
+      const y = getSeasonFromRace(r);
+      if (y != null) set.add(y);
+    });
+    Object.keys(config.seasons || {}).forEach((y) => set.add(Number(y)));
+    return [...set].filter(Number.isFinite).sort((a, b) => b - a);
+  }, [races, config]);
+
+  const isConfigured = Boolean(config.seasons?.[season]);
+
+  // Populate the form with the version active for the selected season
+  useEffect(() => {
+    setForm(resolveScoringRules(config, season));
+  }, [config, season]);
+
+  const scoredRaces = races.filter(
+    (r) => r.pointsCalculated && getSeasonFromRace(r) === Number(season)
+  ).length;
+
+  const setRule = (key, value) => setForm((f) => ({ ...f, [key]: value }));
+  const setPosition = (table, pos, value) =>
+    setForm((f) => ({ ...f, [table]: { ...f[table], [pos]: value } }));
+
+  const handleSave = async () => {
+    setSaving(true); setMessage(null);
+    try {
+      await saveScoringRulesForSeason(season, form);
+      setMessage({ type: "success", text: t("admin.scoringSaved", { season }) });
+      await loadConfig();
+    } catch (err) {
+      error(err);
+      setMessage({ type: "danger", text: `${t("common.error")}: ${err.message}` });
+    } finally { setSaving(false); }
+  };
+
+  if (loading || loadingConfig) {
+    return <div className="text-center py-5"><Spinner animation="border" /></div>;
+  }
+
+  return (
+    <>
+      {message && (
+        <Alert variant={message.type} dismissible onClose={() => setMessage(null)} className="py-2 mb-3">
+          {message.text}
+        </Alert>
+      )}
+
+      <p className="small text-muted">{t("admin.scoringDescription")}</p>
+
+      {/* ── Season selector ── */}
+      <div className="d-flex align-items-center gap-2 mb-3">
+        <Form.Select size="sm" style={{ maxWidth: 140 }} value={season}
+          onChange={(e) => setSeason(Number(e.target.value))} disabled={saving}>
+          {seasonOptions.map((y) => <option key={y} value={y}>{y}</option>)}
+        </Form.Select>
+        <Badge bg={isConfigured ? "success" : "secondary"} style={{ fontSize: "0.7rem" }}>
+          {isConfigured ? t("admin.scoringConfigured") : t("admin.scoringInherited")}
+        </Badge>
+      </div>
+
+      {scoredRaces > 0 && (
+        <Alert variant="warning" className="py-2 small">
+          {t("admin.scoringScoredRacesWarning", { count: scoredRaces })}
+        </Alert>
+      )}
+
+      <div className="rounded p-3 mb-3" style={{ backgroundColor: bgCard, border: `1px solid ${borderColor}` }}>
+        <Row className="g-3">
+          <Col xs={12} md={6}>
+            <h6 className="fw-bold small mb-2" style={{ color: "var(--text-primary)" }}>{t("admin.scoringMainPositions")}</h6>
+            {[1, 2, 3].map((pos) => (
+              <RuleField key={pos} label={`P${pos}`} value={form.MAIN[pos]} disabled={saving}
+                onChange={(v) => setPosition("MAIN", pos, v)} />
+            ))}
+          </Col>
+          <Col xs={12} md={6}>
+            <h6 className="fw-bold small mb-2" style={{ color: "var(--text-primary)" }}>{t("admin.scoringSprintPositions")}</h6>
+            {[1, 2, 3].map((pos) => (
+              <RuleField key={pos} label={`SP${pos}`} value={form.SPRINT[pos]} disabled={saving}
+                onChange={(v) => setPosition("SPRINT", pos, v)} />
+            ))}
+          </Col>
+          <Col xs={12}>
+            <h6 className="fw-bold small mb-2" style={{ color: "var(--text-primary)" }}>{t("admin.scoringBonusesPenalties")}</h6>
+            <Row className="g-2">
+              {SCORING_RULE_KEYS.map((key) => (
+                <Col xs={12} sm={6} key={key}>
+                  <RuleField label={t(RULE_LABELS[key])} value={form[key]} disabled={saving}
+                    onChange={(v) => setRule(key, v)} />
+                </Col>
+              ))}
+            </Row>
+          </Col>
+          <Col xs={12}>
+            <h6 className="fw-bold small mb-1" style={{ color: "var(--text-primary)" }}>{t("admin.scoringPartialCredit")}</h6>
+            <p className="small text-muted mb-2">{t("admin.scoringPartialCreditDescription")}</p>
+            <Form.Select size="sm" style={{ maxWidth: 320 }} value={form.PARTIAL_CREDIT_MODE} disabled={saving}
+              onChange={(e) => setRule("PARTIAL_CREDIT_MODE", e.target.value)}>
+              {Object.values(PARTIAL_CREDIT_MODES).map((mode) => (
+                <option key={mode} value={mode}>{t(`admin.scoringPartialMode.${mode}`)}</option>
+              ))}
+            </Form.Select>
+          </Col>
+          <Col xs={12}>
+            <h6 className="fw-bold small mb-1" style={{ color: "var(--text-primary)" }}>{t("tieBreakers.title")}</h6>
+            <p className="small text-muted mb-2">{t("tieBreakers.description")}</p>
+            <TieBreakerChain value={form.TIE_BREAKERS} disabled={saving}
+              onChange={(chain) => setRule("TIE_BREAKERS", chain)} />
+          </Col>
+        </Row>
+      </div>
+
+      <div className="d-flex gap-2">
+        <Button variant="outline-secondary" size="sm" onClick={() => setForm(normalizeScoringRules(DEFAULT_SCORING_RULES))} disabled={saving}>
+          {t("admin.scoringResetDefaults")}
+        </Button>
+        <Button variant="danger" size="sm" className="flex-grow-1" onClick={handleSave} disabled={saving}>
+          {saving ? <Spinner animation="border" size="sm" /> : t("admin.scoringSave", { season })}
+        </Button>
+      </div>
+    </>
+  );
+}
+
+ScoringManager.propTypes = {
+  races: PropTypes.arrayOf(PropTypes.object).isRequired,
+  loading: PropTypes.bool,
+};
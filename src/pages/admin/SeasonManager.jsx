@@ -0,0 +1,242 @@
+/**
+ * @file SeasonManager.jsx
+ * @description End-of-season rollover wizard — summary of the season to close, typed
+ * confirmation, then the rolloverSeason Cloud Function with its progress. Lists the
+ * archived seasons.
+ */
+
+import React, { useState, useEffect, useMemo, useCallback } from "react";
+import PropTypes from "prop-types";
+import {
+  Button,
+  Form,
+  Alert,
+  Spinner,
+  Badge,
+  ListGroup,
+  ProgressBar,
+} from "react-bootstrap";
+import { doc, getDoc } from "firebase/firestore";
+import { db } from "../../services/firebase";
+import { loadArchivedSeasons, rolloverSeason } from "../../services/seasonService";
+import { useTheme } from "../../contexts/ThemeContext";
+import { useLanguage } from "../../hooks/useLanguage";
+import { useLeague } from "../../hooks/useLeague";
+import { useTimezone } from "../../hooks/useTimezone";
+import { getSeasonFromRace } from "../../utils/scoringEngine";
+import { error } from "../../utils/logger";
+
+export default function SeasonManager({ races, loading, onDataChange }) {
+  const { t } = useLanguage();
+  const { isDark } = useTheme();
+  const { leagues } = useLeague();
+  const { timezone } = useTimezone();
+
+  const [archived, setArchived] = useState([]);
+  const [hasChampionshipResults, setHasChampionshipResults] = useState(false);
+  const [loadingArchive, setLoadingArchive] = useState(true);
+  const [season, setSeason] = useState(null);
+  const [step, setStep] = useState("summary"); // "summary", "confirm"
+  const [confirmText, setConfirmText] = useState("");
+  const [job, setJob] = useState(null);
+  const [running, setRunning] = useState(false);
+  const [message, setMessage] = useState(null);
+
+  const borderColor = isDark ? "var(--border-color)" : "#dee2e6";
+  const bgCard = isDark ? "var(--bg-secondary)" : "#ffffff";
+
+  const loadArchive = useCallback(async () => {
+    setLoadingArchive(true);
+    try {
+      const [seasons, resultsSnap] = await Promise.all([
+        loadArchivedSeasons(),
+        getDoc(doc(db, "championship", "results")),
+      ]);
+      setArchived(seasons);
+      setHasChampionshipResults(resultsSnap.exists());
+    } catch (err) {
+      error(err);
+    } finally {
+      setLoadingArchive(false);
+    }
+  }, []);
+
+  useEffect(() => { loadArchive(); }, [loadArchive]);
+
+  // Seasons of the calendar not archived yet, oldest first: the oldest is closed first
+  const openSeasons = useMemo(() => {
+    const archivedYears = archived.map((a) => a.season);
+    return [...new Set(races.map(getSeasonFromRace))]
+      .filter((y) => y != null && !archivedYears.includes(y))
+      .sort((a, b) => a - b);
+  }, [races, archived]);
+
+  const selectedSeason = season ?? openSeasons[0] ?? null;
+  const seasonRaces = races.filter((r) => getSeasonFromRace(r) === selectedSeason);
+  const cancelledRaces = seasonRaces.filter((r) => r.cancelledMain);
+  const scoredRaces = seasonRaces.filter((r) => !r.cancelledMain && r.pointsCalculated);
+  const pendingRaces = seasonRaces.filter((r) => !r.cancelledMain && !r.pointsCalculated);
+
+  const handleRollover = async () => {
+    if (confirmText !== String(selectedSeason)) return;
+    setRunning(true); setMessage(null); setJob(null);
+    try {
+      const text = await rolloverSeason(selectedSeason, setJob);
+      setMessage({ type: "success", text });
+      setStep("summary"); setConfirmText(""); setSeason(null);
+      await loadArchive();
+      await onDataChange();
+    } catch (err) {
+      error(err);
+      setMessage({ type: "danger", text: `${t("seasons.error")}: ${err.message}` });
+    } finally {
+      setRunning(false); setJob(null);
+    }
+  };
+
+  if (loading || loadingArchive) {
+    return <div className="text-center py-5"><Spinner animation="border" /></div>;
+  }
+
+  return (
+    <>
+      {/* ── Rollover wizard ── */}
+      <div className="mb-4">
+        <h6 className="mb-2 fw-bold" style={{ color: "var(--text-primary)" }}>
+          {t("seasons.rolloverTitle")}
+        </h6>
+        <p className="small text-muted mb-2">{t("seasons.rolloverDescription")}</p>
+
+        {message && (
+          <Alert variant={message.type} dismissible onClose={() => setMessage(null)} className="py-2 mb-3" style={{ whiteSpace: "pre-line" }}>
+            {message.text}
+          </Alert>
+        )}
+
+        <div className="rounded p-3" style={{ backgroundColor: bgCard, border: `1px solid ${borderColor}` }}>
+          {selectedSeason == null ? (
+            <div className="small text-muted">{t("seasons.noOpenSeason")}</div>
+          ) : step === "summary" ? (
+            <>
+              <Form.Group className="mb-3">
+                <Form.Label className="small fw-semibold">{t("seasons.seasonToClose")}</Form.Label>
+                <Form.Select
+                  size="sm"
+                  value={selectedSeason}
+                  onChange={(e) => setSeason(Number(e.target.value))}
+                >
+                  {openSeasons.map((y) => <option key={y} value={y}>{y}</option>)}
+                </Form.Select>
+              </Form.Group>
+
+              <div className="d-flex flex-wrap gap-2 mb-3 small">
+                <Badge bg="secondary">{t("seasons.races")}: {seasonRaces.length}</Badge>
+                <Badge bg="success">{t("seasons.scoredRaces")}: {scoredRaces.length}</Badge>
+                <Badge bg="dark">{t("seasons.cancelledRaces")}: {cancelledRaces.length}</Badge>
+                <Badge bg="info">{t("seasons.leagues")}: {leagues.length}</Badge>
+              </div>
+
+              {pendingRaces.length > 0 && (
+                <Alert variant="warning" className="py-2 small mb-2">
+                  {t("seasons.pendingRaces", { races: pendingRaces.map((r) => r.name).join(", ") })}
+                </Alert>
+              )}
+              <Alert variant={hasChampionshipResults ? "success" : "warning"} className="py-2 small mb-3">
+                {hasChampionshipResults ? t("seasons.championshipSaved") : t("seasons.championshipMissing")}
+              </Alert>
+
+              <Button
+                size="sm"
+                variant="danger"
+                className="w-100"
+                disabled={pendingRaces.length > 0}
+                onClick={() => { setMessage(null); setStep("confirm"); }}
+              >
+                {t("common.next")}
+              </Button>
+            </>
+          ) : (
+            <>
+              <Alert variant="danger" className="py-2 small mb-3">{t("seasons.resetWarning")}</Alert>
+              <Form.Group className="mb-3">
+                <Form.Label className="small fw-semibold">
+                  {t("seasons.confirmHint", { season: selectedSeason })}
+                </Form.Label>
+                <Form.Control
+                  size="sm"
+                  value={confirmText}
+                  onChange={(e) => setConfirmText(e.target.value)}
+                  disabled={running}
+                  placeholder={String(selectedSeason)}
+                />
+              </Form.Group>
+
+              {job && (
+                <div className="mb-3">
+                  <ProgressBar now={job.progress ?? 0} variant="danger" animated striped />
+                </div>
+              )}
+
+              <div className="d-flex gap-2">
+                <Button
+                  size="sm"
+                  variant="outline-secondary"
+                  disabled={running}
+                  onClick={() => { setStep("summary"); setConfirmText(""); }}
+                >
+                  {t("common.back")}
+                </Button>
+                <Button
+                  size="sm"
+                  variant="danger"
+                  className="flex-fill"
+                  disabled={running || confirmText !== String(selectedSeason)}
+                  onClick={handleRollover}
+                >
+                  {running
+                    ? <><Spinner animation="border" size="sm" className="me-2" />{t("common.loading")}</>
+                    : t("seasons.archive", { season: selectedSeason })}
+                </Button>
+              </div>
+            </>
+          )}
+        </div>
+      </div>
+
+      {/* ── Archived seasons ── */}
+      <h6 className="mb-2 fw-bold" style={{ color: "var(--text-primary)" }}>
+        {t("seasons.archivedSeasons")}
+        <Badge bg="secondary" className="ms-2" style={{ fontSize: "0.7rem", verticalAlign: "middle" }}>{archived.length}</Badge>
+      </h6>
+      {archived.length === 0 ? (
+        <div className="text-center py-4 rounded small" style={{ backgroundColor: bgCard, border: `1px solid ${borderColor}`, color: "var(--text-muted)" }}>
+          {t("seasons.noArchived")}
+        </div>
+      ) : (
+        <ListGroup variant="flush" style={{ borderRadius: 8, overflow: "hidden", border: `1px solid ${borderColor}` }}>
+          {archived.map((a) => (
+            <ListGroup.Item
+              key={a.season}
+              className="px-3 py-2 d-flex justify-content-between align-items-center"
+              style={{ backgroundColor: bgCard, color: "var(--text-primary)", borderColor }}
+            >
+              <span className="fw-semibold">{t("seasons.season")} {a.season}</span>
+              <small className="text-muted">
+                {a.raceIds?.length ?? 0} {t("seasons.races").toLowerCase()}
+                {a.archivedAt && ` · ${t("seasons.archivedOn", {
+                  date: a.archivedAt.toDate().toLocaleDateString("it-IT", { timeZone: timezone }),
+                })}`}
+              </small>
+            </ListGroup.Item>
+          ))}
+        </ListGroup>
+      )}
+    </>
+  );
+}
+
+SeasonManager.propTypes = {
+  races: PropTypes.arrayOf(PropTypes.object).isRequired,
+  loading: PropTypes.bool,
+  onDataChange: PropTypes.func.isRequired,
+};
@@ -0,0 +1,32 @@
+/**
+ * @file Admin claim service
+ * Lists, grants and revokes the `admin` custom claim through the listAdmins /
+ * setAdminClaim Cloud Functions (admins only). The target user's app refreshes its token
+ * on its own (AuthContext), and every change is written to the audit log server-side.
+ */
+
+import { httpsCallable } from "firebase/functions";
+import { functions } from "./firebase";
+
+/**
+ * Loads the accounts holding the admin claim
+ * @returns {Promise<Array<string>>} User identifiers
+ */
+export async function loadAdminIds() {
+  const call = httpsCallable(functions, "listAdmins");
+  const { data } = await call();
+  return data.adminIds;
+}
+
+/**
+ * Grants or revokes the admin claim of a user
+ * @param {string} userId - Target user
+ * @param {boolean} admin - true to grant, false to revoke
+ * @returns {Promise<{ before: boolean, after: boolean }>} Claim before and after
+ * @throws {Error} When revoking one's own claim or the user does not exist (message in Italian)
+ */
+export async function setAdminClaim(userId, admin) {
+  const call = httpsCallable(functions, "setAdminClaim");
+  const { data } = await call({ userId, admin });
+  return data;
+}
@@ -0,0 +1,79 @@
+/**
+ * @file Audit log service
+ * Append-only log of admin mutations in the auditLog collection. Entries are added to the
+ * same batch as the mutation they describe, so the change and its entry are committed
+ * together. The rules allow admins, moderators and league owners (leagueId of the entry) to
+ * create entries only; nobody can edit or delete them.
+ * Mutations made by Cloud Functions are logged server-side (functions/audit.js).
+ */
+
+import {
+  collection,
+  doc,
+  getDocs,
+  limit,
+  orderBy,
+  query,
+  serverTimestamp,
+  Timestamp,
+} from "firebase/firestore";
+import { auth, db } from "./firebase";
+
+/** Number of entries loaded by the viewer */
+export const AUDIT_LOG_PAGE_SIZE = 200;
+
+/**
+ * Removes undefined values (not accepted by Firestore), keeping Timestamps and arrays
+ * @param {*} value - Value to store
+ * @returns {*} Storable value
+ */
+function toAuditValue(value) {
+  if (value === undefined) return null;
+  if (Array.isArray(value)) return value.map(toAuditValue);
+  if (value && typeof value === "object" && !(value instanceof Timestamp)) {
+    return Object.fromEntries(
+      Object.entries(value)
+        .filter(([, v]) => v !== undefined)
+        .map(([k, v]) => [k, toAuditValue(v)])
+    );
+  }
+  return value;
+}
+
+/**
+ * Adds an audit entry to a batch
+ * @param {import("firebase/firestore").WriteBatch} batch - Batch of the mutation
+ * @param {Object} entry
+ * @param {string} entry.action - Action key (e.g. "participant.update")
+ * @param {string} entry.target - Path of the document changed (e.g. "ranking/uid")
+ * @param {*} [entry.before] - Values before the change (null on create)
+ * @param {*} [entry.after] - Values after the change (null on delete)
+ * @param {string} [entry.leagueId] - League of the change, for the league staff
+ * @returns {void}
+ */
+export function logAdminAction(batch, { action, target, before = null, after = null, leagueId = null }) {
+  const actor = auth.currentUser;
+  batch.set(doc(collection(db, "auditLog")), {
+    action,
+    target,
+    ...(leagueId ? { leagueId } : {}),
+    before: toAuditValue(before),
+    after: toAuditValue(after),
+    actorUid: actor?.uid ?? null,
+    actorEmail: actor?.email ?? null,
+    source: "admin-panel",
+    createdAt: serverTimestamp(),
+  });
+}
+
+/**
+ * Loads the latest audit entries (newest first)
+ * @param {number} [max] - Maximum number of entries
+ * @returns {Promise<Array<Object>>} Entries with id
+ */
+export async function loadAuditLog(max = AUDIT_LOG_PAGE_SIZE) {
+  const snap = await getDocs(
+    query(collection(db, "auditLog"), orderBy("createdAt", "desc"), limit(max))
+  );
+  return snap.docs.map((d) => ({ id: d.id, ...d.data() }));
+}
@@ -1,6 +1,7 @@
 /**
  * @file backupService.js
- * @description Service for creating and restoring database backups
+ * @description Service for creating and restoring database backups.
+ * Backups cover the main league (root ranking and submissions); other leagues are not included.
  */
 
 import {
@@ -16,6 +17,7 @@ import {
   limit,
 } from "firebase/firestore";
 import { db } from "./firebase";
+import { logAdminAction } from "./auditLog";
 import { log, error } from "../utils/logger";
 
 /**
@@ -140,7 +142,10 @@ export async function getAllBackups() {
  */
 export async function deleteBackup(backupId) {
   try {
-    await deleteDoc(doc(db, "backups", backupId));
+    const batch = writeBatch(db);
+    batch.delete(doc(db, "backups", backupId));
+    logAdminAction(batch, { action: "backup.delete", target: `backups/${backupId}` });
+    await batch.commit();
     log(`[Backup] Deleted backup: ${backupId}`);
   } catch (err) {
     error("[Backup] Error deleting backup:", err);
@@ -217,6 +222,15 @@ export async function restoreFromBackup(backupData) {
       }
     }
 
+    const auditBatch = writeBatch(db);
+    logAdminAction(auditBatch, {
+      action: "database.restore",
+      target: backupData.id ? `backups/${backupData.id}` : "backups",
+      before: { ranking: rankingSnap.size, races: racesSnap.size },
+      after: { ranking: backupData.ranking.length, races: backupData.races.length },
+    });
+    await auditBatch.commit();
+
     log("[Restore] Database restore completed successfully");
   } catch (err) {
     error("[Restore] Error restoring database:", err);
@@ -489,6 +489,7 @@ export async function fetchRace(season, round) {
         gap: result.position === "1" ? "—" : calculateGap(leaderTimeMs, driverTimeMs),
         points: result.points || "0",
         status: result.status,
+        laps: Number(result.laps) || 0,
         fastestLap: result.FastestLap?.rank === "1" ? "⚡" : "",
       };
     });
@@ -498,6 +499,52 @@ export async function fetchRace(season, round) {
   }
 }
 
+/** Race statuses of the drivers who took the chequered flag, lapped ones included */
+const FINISHED_STATUS = /^(Finished|Lapped|\+\d+ Laps?)$/;
+
+/** Non-finishing statuses that are not a retirement during the race */
+const NOT_RETIRED_STATUSES = ["Did not start", "Withdrew", "Disqualified", "Excluded"];
+
+/**
+ * Whether a race result is a retirement (DNF)
+ * @param {Object} result - Row of fetchRace
+ * @returns {boolean}
+ */
+function isRetirement(result) {
+  const status = result.status || "";
+  return !FINISHED_STATUS.test(status) && !NOT_RETIRED_STATUSES.includes(status);
+}
+
+/**
+ * Official answers of the bonus questions (shared/scoringEngine.mjs, BONUS QUESTIONS):
+ * pole sitter from qualifying; fastest lap, number of retirements and first retirement
+ * (fewest laps completed) from the race
+ * @param {number} season - Season year
+ * @param {number} round - Race round number
+ * @returns {Promise<Object|null>} { pole, fastestLap, dnfCount, firstRetirement }
+ *   (null for what is not available yet), or null when neither session is available
+ */
+export async function fetchBonusAnswers(season, round) {
+  const [qualifying, race] = await Promise.all([
+    fetchQualifying(season, round),
+    fetchRace(season, round),
+  ]);
+  if (!qualifying && !race) return null;
+
+  // Retirements are listed by laps completed, most first: on a tie the last one wins
+  const retirements = (race || []).filter(isRetirement);
+  const firstRetirement = retirements.reduce(
+    (first, r) => (!first || r.laps <= first.laps ? r : first),
+    null
+  );
+  return {
+    pole: qualifying?.find((q) => q.position === "1")?.driver ?? null,
+    fastestLap: race?.find((r) => r.fastestLap)?.driver ?? null,
+    dnfCount: race ? retirements.length : null,
+    firstRetirement: firstRetirement?.driver ?? null,
+  };
+}
+
 /**
  * Fetches all available sessions for a race
  * @param {number} season - Season year
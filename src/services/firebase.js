@@ -1,12 +1,13 @@
 /**
  * Firebase Configuration and Initialization
- * Configures and exports Firebase app instance, Firestore database, and FCM messaging
+ * Configures and exports Firebase app instance, Firestore database, Cloud Functions and FCM messaging
  */
 
 import { initializeApp } from "firebase/app";
 import { getFirestore } from "firebase/firestore";
 import { getAuth, browserLocalPersistence, setPersistence } from "firebase/auth";
 import { getStorage } from "firebase/storage";
+import { getFunctions } from "firebase/functions";
 
 /**
  * Firebase configuration object with API credentials
@@ -35,3 +36,6 @@ setPersistence(auth, browserLocalPersistence);
 /** Firebase Storage instance for file uploads (avatars) */
 export const storage = getStorage(app);
 
+/** Cloud Functions instance (same region as the deployed functions) */
+export const functions = getFunctions(app, "europe-west1");
+
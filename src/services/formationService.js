@@ -0,0 +1,71 @@
+/**
+ * @file Formation service
+ * Saves race formations through the submitFormation Cloud Function, which validates
+ * deadlines, the late submission window, the jolly2 spend and the season boost server-side.
+ * Every save is recorded as a revision with a receipt hash. Answers to the prop questions
+ * go through submitPropAnswers, which checks the deadline of each question, and championship
+ * picks through submitChampionshipPicks, which checks the championship deadline.
+ */
+
+import { httpsCallable } from "firebase/functions";
+import { functions } from "./firebase";
+
+/**
+ * Saves the current user's formation for a race
+ * @param {string} raceId - Race identifier
+ * @param {"main"|"sprint"} mode - Submission mode
+ * @param {Object} picks - { P1, P2, P3, jolly, jolly2? } driver names, plus bonus and boost in main mode
+ * @param {string} [leagueId] - League (main when missing)
+ * @returns {Promise<{ isLate: boolean, isEdit: boolean, jolly: number, revision: number, receipt: string }>}
+ *   Saved state (jolly is the user's balance after the save, receipt the hash of the revision)
+ * @throws {Error} When the server rejects the formation (message in Italian)
+ */
+export async function submitFormation(raceId, mode, picks, leagueId) {
+  const call = httpsCallable(functions, "submitFormation");
+  const { data } = await call({ raceId, mode, picks, leagueId });
+  return data;
+}
+
+/**
+ * Saves a player's whole formation from the admin panel (recorded as an admin revision)
+ * @param {string} raceId - Race identifier
+ * @param {string} userId - Player
+ * @param {Object} formation - mainP1…mainJolly2, optional sprintP1…sprintJolly, bonusPicks and boost
+ * @param {boolean} isLate - Marks the formation as late
+ * @param {string} [leagueId] - League (main when missing)
+ * @returns {Promise<{ isEdit: boolean, revision: number, receipt: string }>} Saved state
+ * @throws {Error} When the server rejects the formation (message in Italian)
+ */
+export async function saveFormationAsAdmin(raceId, userId, formation, isLate, leagueId) {
+  const call = httpsCallable(functions, "saveFormationAsAdmin");
+  const { data } = await call({ raceId, userId, formation, isLate, leagueId });
+  return data;
+}
+
+/**
+ * Saves the current user's answers to the prop questions of a race
+ * @param {string} raceId - Race identifier
+ * @param {Object} answers - { [propId]: option index, or null to clear the answer }
+ * @param {string} [leagueId] - League (main when missing)
+ * @returns {Promise<{ propPicks: Object }>} Answers saved after the write
+ * @throws {Error} When a question is closed or an answer is invalid (message in Italian)
+ */
+export async function submitPropAnswers(raceId, answers, leagueId) {
+  const call = httpsCallable(functions, "submitPropAnswers");
+  const { data } = await call({ raceId, answers, leagueId });
+  return data;
+}
+
+/**
+ * Saves the current user's championship picks
+ * @param {Array<string>} drivers - Three drivers in predicted order
+ * @param {Array<string>} constructors - Three constructors in predicted order
+ * @param {string} [leagueId] - League (main when missing)
+ * @returns {Promise<{ isEdit: boolean }>} Whether picks were already saved
+ * @throws {Error} After the championship deadline or with invalid picks (message in Italian)
+ */
+export async function submitChampionshipPicks(drivers, constructors, leagueId) {
+  const call = httpsCallable(functions, "submitChampionshipPicks");
+  const { data } = await call({ drivers, constructors, leagueId });
+  return data;
+}
@@ -0,0 +1,51 @@
+/**
+ * @file Join request service
+ * New accounts file joinRequests/{leagueId}_{uid} (AuthContext) instead of creating their
+ * ranking entry. Admins list the queue here and decide through the approveJoinRequest /
+ * rejectJoinRequest Cloud Functions, which write the ranking entry and the audit log.
+ */
+
+import { collection, getDocs, query, where } from "firebase/firestore";
+import { httpsCallable } from "firebase/functions";
+import { db, functions } from "./firebase";
+import { DEFAULT_LEAGUE_ID } from "../utils/leaguePaths";
+
+/**
+ * Loads the join requests of a league still to be approved (pending and rejected), oldest first
+ * @param {string} [leagueId] - League (main when missing)
+ * @returns {Promise<Array<Object>>} Requests with their id
+ */
+export async function loadJoinRequests(leagueId) {
+  const snap = await getDocs(query(
+    collection(db, "joinRequests"),
+    where("leagueId", "==", leagueId || DEFAULT_LEAGUE_ID),
+    where("status", "in", ["pending", "rejected"])
+  ));
+  return snap.docs
+    .map((d) => ({ id: d.id, ...d.data() }))
+    .sort((a, b) => (a.createdAt?.toMillis() ?? 0) - (b.createdAt?.toMillis() ?? 0));
+}
+
+/**
+ * Approves a join request
+ * @param {string} requestId - Request identifier
+ * @param {string|null} [placeholderId] - Ranking entry created by hand to hand over to the new account
+ * @returns {Promise<{ userId: string, placeholderId: string|null, movedSubmissions: number }>}
+ * @throws {Error} When the request was already approved or the placeholder has an account (message in Italian)
+ */
+export async function approveJoinRequest(requestId, placeholderId = null) {
+  const call = httpsCallable(functions, "approveJoinRequest");
+  const { data } = await call({ requestId, placeholderId });
+  return data;
+}
+
+/**
+ * Rejects a pending join request
+ * @param {string} requestId - Request identifier
+ * @returns {Promise<{ userId: string }>}
+ */
+export async function rejectJoinRequest(requestId) {
+  const call = httpsCallable(functions, "rejectJoinRequest");
+  const { data } = await call({ requestId });
+  return data;
+}
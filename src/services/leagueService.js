@@ -0,0 +1,60 @@
+/**
+ * @file League service
+ * Creates and joins leagues through the createLeague / joinLeague Cloud Functions, so
+ * invite codes are checked server-side and never listed to non-members. Member roles
+ * change through setLeagueRole and members leave through removeLeagueMember.
+ */
+
+import { httpsCallable } from "firebase/functions";
+import { functions } from "./firebase";
+
+/**
+ * Creates a league owned by the current user
+ * @param {string} name - League name (3-40 characters)
+ * @returns {Promise<{ leagueId: string, inviteCode: string }>} New league
+ * @throws {Error} When the server rejects the name (message in Italian)
+ */
+export async function createLeague(name) {
+  const call = httpsCallable(functions, "createLeague");
+  const { data } = await call({ name });
+  return data;
+}
+
+/**
+ * Joins the league with the given invite code
+ * @param {string} inviteCode - Invite code (case-insensitive)
+ * @returns {Promise<{ leagueId: string, name: string, alreadyMember: boolean }>} Joined league
+ * @throws {Error} When the code is not valid (message in Italian)
+ */
+export async function joinLeague(inviteCode) {
+  const call = httpsCallable(functions, "joinLeague");
+  const { data } = await call({ inviteCode });
+  return data;
+}
+
+/**
+ * Changes the role of a league member (owners only)
+ * @param {string} leagueId - League identifier
+ * @param {string} userId - Member
+ * @param {string} role - moderator, player or spectator
+ * @returns {Promise<{ before: string, after: string }>} Previous and new role
+ * @throws {Error} When the caller is not an owner or the member already scored (message in Italian)
+ */
+export async function setLeagueRole(leagueId, userId, role) {
+  const call = httpsCallable(functions, "setLeagueRole");
+  const { data } = await call({ leagueId, userId, role });
+  return data;
+}
+
+/**
+ * Removes a member from a league with their ranking (owners only)
+ * @param {string} leagueId - League identifier
+ * @param {string} userId - Member
+ * @returns {Promise<{ removed: boolean }>}
+ * @throws {Error} When the caller is not an owner or the member is the owner (message in Italian)
+ */
+export async function removeLeagueMember(leagueId, userId) {
+  const call = httpsCallable(functions, "removeLeagueMember");
+  const { data } = await call({ leagueId, userId });
+  return data;
+}
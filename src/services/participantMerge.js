@@ -0,0 +1,36 @@
+/**
+ * @file Participant merge service
+ * Merges a duplicate account (a player registered twice) into the account kept, through
+ * the previewParticipantMerge / mergeParticipants Cloud Functions (admins only). The
+ * preview lists the conflicts; the merge is refused until each one has a choice.
+ */
+
+import { httpsCallable } from "firebase/functions";
+import { functions } from "./firebase";
+
+/**
+ * Previews the merge of a duplicate account
+ * @param {string} targetId - Account kept
+ * @param {string} sourceId - Duplicate account, deleted by the merge
+ * @returns {Promise<Object>} { target, source, leagues: [{ leagueId, name, targetPoints, sourcePoints,
+ *   movedSubmissions, snapshots, raceConflicts, championshipConflict }] }
+ */
+export async function previewParticipantMerge(targetId, sourceId) {
+  const call = httpsCallable(functions, "previewParticipantMerge");
+  const { data } = await call({ targetId, sourceId });
+  return data;
+}
+
+/**
+ * Merges a duplicate account into the account kept
+ * @param {string} targetId - Account kept
+ * @param {string} sourceId - Duplicate account
+ * @param {Object} resolutions - { [leagueId]: { races: { [raceId]: "target"|"source" }, championship } }
+ * @returns {Promise<{ accountDeleted: boolean }>}
+ * @throws {Error} When a conflict is unresolved or the merge is too large (message in Italian)
+ */
+export async function mergeParticipants(targetId, sourceId, resolutions) {
+  const call = httpsCallable(functions, "mergeParticipants");
+  const { data } = await call({ targetId, sourceId, resolutions });
+  return data;
+}
@@ -1,213 +1,105 @@
 /**
  * @file Race points calculator service
- * Calculates and persists points for main and sprint races with bonus logic
+ * Calculates and persists points for main and sprint races with bonus logic.
+ * Each run replaces the per-user ledger entry for the race (ranking.pointsByRace[raceId]),
+ * so recalculating a race is idempotent. Scoring runs in the calculateRacePoints
+ * Cloud Function, which commits results, submissions and ranking atomically.
+ * A dry run returns the per-participant preview without writing anything.
+ * A single race can also be rolled back (rollbackRacePoints).
  */
 
-import {
-  updateDoc,
-  setDoc,
-  increment,
-  collection,
-  getDocs,
-  doc,
-  getDoc,
-} from "firebase/firestore";
-import { db } from "../services/firebase";
-import { POINTS } from "../constants/racing";
+import { runScoringJob } from "./scoringJobs";
+import { getSeasonFromRace } from "../utils/scoringEngine";
 
 /**
- * Checks if a race is the last race in the calendar
- * @param {Array} racesArr - Array of race objects
+ * Checks if a race is the last race of its season
+ * @param {Array} racesArr - Array of race objects (any season)
  * @param {string} raceId - Race identifier
  * @returns {boolean} True if this is the last race
  */
 export function isLastRace(racesArr, raceId) {
-  if (!racesArr?.length || !raceId) return false;
-  const maxRound = Math.max(...racesArr.map((r) => r.round));
-  return racesArr.find((r) => r.id === raceId)?.round === maxRound;
+  const race = racesArr?.find((r) => r.id === raceId);
+  if (!race) return false;
+  const season = getSeasonFromRace(race);
+  const maxRound = Math.max(
+    ...racesArr.filter((r) => getSeasonFromRace(r) === season).map((r) => r.round)
+  );
+  return race.round === maxRound;
 }
 
-// Point constants imported from centralized file
-const PTS_MAIN = POINTS.MAIN;
-const PTS_SPRINT = POINTS.SPRINT;
-const BONUS_JOLLY_MAIN = POINTS.BONUS_JOLLY_MAIN;
-const BONUS_JOLLY_SPRINT = POINTS.BONUS_JOLLY_SPRINT;
-const PENALTY_EMPTY_LIST = POINTS.PENALTY_EMPTY_LIST;
-
 /**
  * Calculates and persists points for a race based on official results
  * @param {string} raceId - Race identifier
- * @param {Object} official - Official results object with P1-P3, SP1-SP3, doublePoints
+ * @param {Object} [official] - Official results with P1-P3, SP1-SP3, doublePoints;
+ *   when passed they are saved in the same commit as the scores
+ * @param {Function} [onProgress] - Progress callback ({ step, progress })
  * @returns {Promise<string>} Success message with number of updated submissions
+ * @throws {Error} On validation errors, or when the commit fails (err.rolledBack tells
+ *   whether every write was undone)
  */
-export async function calculatePointsForRace(raceId, official) {
-  // Step 1: Save/update official race results
-  // If official results are passed from frontend, update Firestore
-  if (official) {
-    await setDoc(
-      doc(db, "races", raceId),
-      { officialResults: official },
-      { merge: true }
-    );
-  }
-
-  // Step 2: Retrieve final results and validate
-  const raceRef  = doc(db, "races", raceId);
-  const raceSnap = await getDoc(raceRef);
-  if (!raceSnap.exists()) throw new Error("Gara non trovata");
-
-  const raceData = raceSnap.data();
-  const {
-    P1, P2, P3,
-    SP1 = null, SP2 = null, SP3 = null,
-    doublePoints = false,
-  } = raceData.officialResults ?? {};
-
-  // Skip cancelled races
-  const cancelledMain = raceData.cancelledMain || false;
-  const cancelledSprint = raceData.cancelledSprint || false;
-
-  if (cancelledMain) {
-    throw new Error("⛔ Gara cancellata: il calcolo punti è disabilitato.");
-  }
-
-  if (!P1 || !P2 || !P3)
-    throw new Error("Risultati ufficiali incompleti (manca il podio).");
-
-  const sprintPresent = !!SP1 && !cancelledSprint;
-
-  // Step 3: Iterate through all submissions
-  const subsSnap = await getDocs(
-    collection(db, "races", raceId, "submissions")
+export async function calculatePointsForRace(raceId, official, onProgress) {
+  const { message } = await runScoringJob(
+    "calculateRacePoints",
+    raceId,
+    { raceId, officialResults: official ?? null },
+    onProgress
   );
+  return message;
+}
 
-  const batchWrites = [];
-
-  for (const subDoc of subsSnap.docs) {
-    const s      = subDoc.data();
-    const userId = subDoc.id;
-
-    // Calculate MAIN race points
-    let mainPts;
-    if (!s.mainP1) {
-      mainPts = PENALTY_EMPTY_LIST;
-    } else {
-      // Calculate base points (position matches only, without jolly)
-      let basePts = 0;
-      if (s.mainP1 === P1) basePts += PTS_MAIN[1];
-      if (s.mainP2 === P2) basePts += PTS_MAIN[2];
-      if (s.mainP3 === P3) basePts += PTS_MAIN[3];
-
-      // Special rule: perfect podium (29 base points) → becomes 30 + earn an extra jolly
-      if (basePts === 29) {
-        basePts += 1; // 29 → 30
-        batchWrites.push(
-          updateDoc(doc(db, "ranking", userId), { jolly: increment(1) })
-        );
-      }
-
-      // Add jolly bonuses on top of base points
-      mainPts = basePts;
-      const podio = [P1, P2, P3];
-      if (s.mainJolly  && podio.includes(s.mainJolly )) mainPts += BONUS_JOLLY_MAIN;
-      if (s.mainJolly2 && podio.includes(s.mainJolly2)) mainPts += BONUS_JOLLY_MAIN;
-    }
-
-    // Apply late submission penalty
-    if (s.isLate && s.latePenalty) {
-      mainPts += s.latePenalty; // -3
-    }
-
-    // Calculate SPRINT race points
-    let sprintPts = 0;
-    if (sprintPresent && !cancelledSprint) {
-      if (!s.sprintP1) {
-        sprintPts = PENALTY_EMPTY_LIST;
-      } else {
-        if (s.sprintP1 === SP1) sprintPts += PTS_SPRINT[1];
-        if (s.sprintP2 === SP2) sprintPts += PTS_SPRINT[2];
-        if (s.sprintP3 === SP3) sprintPts += PTS_SPRINT[3];
-
-        const sprintPodio = [SP1, SP2, SP3];
-        if (s.sprintJolly && sprintPodio.includes(s.sprintJolly))
-          sprintPts += BONUS_JOLLY_SPRINT;
-      }
-    }
-
-    // Double points multiplier for final race
-    if (doublePoints) {
-      mainPts   *= 2;
-      sprintPts *= 2;
-    }
-
-    // Save points to submission document
-    batchWrites.push(
-      updateDoc(subDoc.ref, {
-        pointsEarned:       mainPts,
-        pointsEarnedSprint: sprintPts,
-      })
-    );
-
-    // Update ranking with complete points map
-    const rankRef  = doc(db, "ranking", userId);
-    const rankSnap = await getDoc(rankRef);
-    const oldPB    = rankSnap.exists() ? rankSnap.data().pointsByRace || {} : {};
-
-    const newPointsByRace = {
-      ...oldPB,
-      [raceId]: { mainPts, sprintPts },
-    };
-
-    const newTotal = Object.values(newPointsByRace).reduce(
-      (sum, { mainPts: m = 0, sprintPts: sp = 0 }) => sum + m + sp,
-      0
-    );
-
-    batchWrites.push(
-      updateDoc(rankRef, {
-        pointsByRace: newPointsByRace,
-        puntiTotali:  newTotal,
-      })
-    );
-  }
-
-  // Step 4: Apply -3 penalty to users who didn't submit any formation
-  const submittedUserIds = new Set(subsSnap.docs.map(d => d.id));
-  const allUsersSnap = await getDocs(collection(db, "ranking"));
-
-  for (const userDoc of allUsersSnap.docs) {
-    const userId = userDoc.id;
-    if (submittedUserIds.has(userId)) continue; // already processed
-
-    // User didn't submit: apply -3 penalty for main race
-    let mainPts = PENALTY_EMPTY_LIST; // -3
-    let sprintPts = sprintPresent ? PENALTY_EMPTY_LIST : 0; // -3 if sprint exists
-
-    if (doublePoints) {
-      mainPts   *= 2;
-      sprintPts *= 2;
-    }
-
-    const oldPB = userDoc.data().pointsByRace || {};
-    const newPointsByRace = {
-      ...oldPB,
-      [raceId]: { mainPts, sprintPts },
-    };
-
-    const newTotal = Object.values(newPointsByRace).reduce(
-      (sum, { mainPts: m = 0, sprintPts: sp = 0 }) => sum + m + sp,
-      0
-    );
+/**
+ * Switches a scored race between full and reduced points and scores it again;
+ * the status is saved in the same commit as the scores
+ * @param {string} raceId - Race identifier
+ * @param {string} status - RACE_STATUSES.FULL or RACE_STATUSES.REDUCED
+ * @param {Function} [onProgress] - Progress callback ({ step, progress })
+ * @returns {Promise<string>} Success message
+ * @throws {Error} On validation errors, or when the commit fails (err.rolledBack tells
+ *   whether every write was undone)
+ */
+export async function rescoreRaceWithStatus(raceId, status, onProgress) {
+  const { message } = await runScoringJob(
+    "calculateRacePoints",
+    raceId,
+    { raceId, status },
+    onProgress
+  );
+  return message;
+}
 
-    batchWrites.push(
-      updateDoc(doc(db, "ranking", userId), {
-        pointsByRace: newPointsByRace,
-        puntiTotali:  newTotal,
-      })
-    );
-  }
+/**
+ * Scores a race without writing anything (dry run)
+ * @param {string} raceId - Race identifier
+ * @param {Object} [official] - Official results to preview (defaults to the saved ones)
+ * @returns {Promise<Array<Object>>} Per-participant rows: points, jollyEarned, penaltyPts,
+ *   oldTotal / newTotal, oldPosition / newPosition
+ * @throws {Error} On validation errors
+ */
+export async function previewPointsForRace(raceId, official) {
+  const { preview } = await runScoringJob(
+    "calculateRacePoints",
+    raceId,
+    { raceId, officialResults: official ?? null, dryRun: true }
+  );
+  return preview;
+}
 
-  // Step 5: Commit all updates in parallel
-  await Promise.all(batchWrites);
-  return `✔️ Calcolo completato: aggiornate ${subsSnap.size} submissions e ${allUsersSnap.size} ranking`;
-}
\ No newline at end of file
+/**
+ * Undoes the scoring of a single race: removes its points and jolly from the ranking,
+ * clears the submissions' points and deletes its ranking snapshots.
+ * Races scored afterwards are left untouched.
+ * @param {string} raceId - Race identifier
+ * @param {Function} [onProgress] - Progress callback ({ step, progress })
+ * @returns {Promise<string>} Success message
+ * @throws {Error} When the race was never scored, or when the commit fails
+ *   (err.rolledBack tells whether every write was undone)
+ */
+export async function rollbackPointsForRace(raceId, onProgress) {
+  const { message } = await runScoringJob(
+    "rollbackRacePoints",
+    `rollback_${raceId}`,
+    { raceId },
+    onProgress
+  );
+  return message;
+}
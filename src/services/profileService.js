@@ -2,9 +2,24 @@
  * @file profileService.js
  * @description Service for managing user profile updates, including avatar upload/removal.
  */
-import { doc, updateDoc } from "firebase/firestore";
+import { collection, doc, getDocs, query, updateDoc, where } from "firebase/firestore";
 import { ref, uploadBytes, getDownloadURL, deleteObject } from "firebase/storage";
 import { db, storage } from "./firebase";
+import { DEFAULT_LEAGUE_ID, rankingPath } from "../utils/leaguePaths";
+
+/**
+ * Ranking documents of a user in every league they belong to (name and avatar are
+ * copied into each of them).
+ * @param {string} uid - User ID
+ * @returns {Promise<Array<import("firebase/firestore").DocumentReference>>} Ranking references
+ */
+async function getRankingRefs(uid) {
+  const leaguesSnap = await getDocs(
+    query(collection(db, "leagues"), where("members", "array-contains", uid))
+  );
+  return [DEFAULT_LEAGUE_ID, ...leaguesSnap.docs.map((d) => d.id)]
+    .map((leagueId) => doc(db, rankingPath(leagueId), uid));
+}
 
 /**
  * Compress an image file to a max dimension and JPEG quality.
@@ -66,7 +81,7 @@ export async function uploadProfileImage(uid, file) {
 
   await Promise.all([
     updateDoc(doc(db, "users", uid), { photoURL: downloadURL }),
-    updateDoc(doc(db, "ranking", uid), { photoURL: downloadURL }),
+    ...(await getRankingRefs(uid)).map((r) => updateDoc(r, { photoURL: downloadURL })),
   ]);
 
   return downloadURL;
@@ -86,12 +101,12 @@ export async function removeProfileImage(uid) {
 
   await Promise.all([
     updateDoc(doc(db, "users", uid), { photoURL: "" }),
-    updateDoc(doc(db, "ranking", uid), { photoURL: "" }),
+    ...(await getRankingRefs(uid)).map((r) => updateDoc(r, { photoURL: "" })),
   ]);
 }
 
 /**
- * Update user profile fields in Firestore (users + ranking sync).
+ * Update user profile fields in Firestore (users + ranking sync in every league).
  * @param {string} uid - User ID
  * @param {Object} data - Fields to update
  * @param {string} [data.nickname] - New nickname
@@ -114,7 +129,7 @@ export async function updateProfile(uid, { nickname, firstName, lastName }) {
     promises.push(updateDoc(doc(db, "users", uid), userUpdate));
   }
   if (Object.keys(rankingUpdate).length > 0) {
-    promises.push(updateDoc(doc(db, "ranking", uid), rankingUpdate));
+    (await getRankingRefs(uid)).forEach((r) => promises.push(updateDoc(r, rankingUpdate)));
   }
 
   await Promise.all(promises);
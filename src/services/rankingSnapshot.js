@@ -1,67 +1,24 @@
 /**
  * Ranking Snapshot Service
- * Manages historical snapshots of leaderboard for tracking position changes
+ * Reads historical snapshots of leaderboard for tracking position changes.
+ * Snapshots are kept per league (utils/leaguePaths) and written only by the scoring
+ * Cloud Functions, in the same commit as the scores (functions/scoring.js).
  */
 
-import { collection, getDocs, setDoc, doc, query, orderBy, limit, Timestamp } from "firebase/firestore";
+import { collection, getDocs, query, orderBy, limit } from "firebase/firestore";
 import { db } from "./firebase";
-import { log, error } from "../utils/logger";
-
-/**
- * Saves current ranking snapshot to history
- * @param {string} type - Snapshot type: "race" or "championship"
- * @param {string} raceId - Race ID (optional, only for type="race")
- * @returns {Promise<string>} Snapshot ID
- */
-export async function saveRankingSnapshot(type = "race", raceId = null) {
-  try {
-    const rankingQuery = query(
-      collection(db, "ranking"),
-      orderBy("puntiTotali", "desc")
-    );
-    const rankingSnap = await getDocs(rankingQuery);
-
-    const rawDocs = rankingSnap.docs.map((d) => ({
-      userId: d.id,
-      name: d.data().name,
-      points: d.data().puntiTotali,
-      jolly: d.data().jolly ?? 0,
-    }));
-
-    let currentPos = 1;
-    const snapshot = rawDocs.map((entry, index) => {
-      if (index > 0 && entry.points < rawDocs[index - 1].points) {
-        currentPos = index + 1;
-      }
-      return { ...entry, position: currentPos };
-    });
-
-    const timestamp = Date.now();
-    const snapshotId = `snapshot_${timestamp}`;
-
-    await setDoc(doc(db, "rankingHistory", snapshotId), {
-      snapshot,
-      createdAt: Timestamp.now(),
-      type,
-      raceId: raceId || null,
-    });
-
-    log(`✅ Ranking snapshot saved: ${snapshotId}`);
-    return snapshotId;
-  } catch (err) {
-    error("❌ Error saving ranking snapshot:", err);
-    throw err;
-  }
-}
+import { rankingHistoryPath } from "../utils/leaguePaths";
+import { error } from "../utils/logger";
 
 /**
  * Retrieves the most recent ranking snapshot
+ * @param {string} [leagueId] - League (main when missing)
  * @returns {Promise<Object|null>} Snapshot object or null if none exists
  */
-export async function getLastRankingSnapshot() {
+export async function getLastRankingSnapshot(leagueId) {
   try {
     const historyQuery = query(
-      collection(db, "rankingHistory"),
+      collection(db, rankingHistoryPath(leagueId)),
       orderBy("createdAt", "desc"),
       limit(1)
     );
@@ -0,0 +1,58 @@
+/**
+ * @file Scoring jobs client
+ * Runs the scoring Cloud Functions (see functions/scoring.js) and follows their progress
+ * through calculations/{jobId}. Failures keep the semantics of the server commit:
+ * err.rolledBack tells whether every write was undone.
+ */
+
+import { httpsCallable } from "firebase/functions";
+import { doc, onSnapshot } from "firebase/firestore";
+import { db, functions } from "./firebase";
+import { error } from "../utils/logger";
+
+/**
+ * Generates the ID of the progress document of a job
+ * @param {string} scope - Race ID, "championship" or "recalc"
+ * @returns {string} Job ID
+ */
+function createJobId(scope) {
+  return `${scope}_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
+}
+
+/**
+ * Calls a scoring function and reports its progress
+ * @param {string} name - Callable name
+ * @param {string} scope - Job scope (used in the job ID)
+ * @param {Object} data - Callable payload
+ * @param {Function} [onProgress] - Called with { status, step, progress, message }
+ * @returns {Promise<{ message: string, calculationId: string }>} Function result
+ * @throws {Error} With rolledBack / calculationId when the server commit failed
+ */
+export async function runScoringJob(name, scope, data, onProgress) {
+  const jobId = createJobId(scope);
+  const unsubscribe = onProgress
+    ? onSnapshot(
+        doc(db, "calculations", jobId),
+        (snap) => {
+          if (snap.exists()) onProgress(snap.data());
+        },
+        (err) => error("[Scoring] Progress listener error:", err)
+      )
+    : null;
+
+  try {
+    const call = httpsCallable(functions, name, { timeout: 310000 });
+    const { data: result } = await call({ ...data, jobId });
+    return result;
+  } catch (err) {
+    error(`[Scoring] ${name} failed:`, err);
+    const failure = new Error(err.message);
+    if (err.details?.rolledBack !== undefined) {
+      failure.rolledBack = err.details.rolledBack;
+      failure.calculationId = err.details.calculationId;
+    }
+    throw failure;
+  } finally {
+    if (unsubscribe) unsubscribe();
+  }
+}
@@ -0,0 +1,87 @@
+/**
+ * @file Scoring rules service
+ * Loads and saves the versioned scoring ruleset stored in config/scoring.
+ * One version per season: { seasons: { "2025": { MAIN, SPRINT, ... }, ... } }
+ */
+
+import { doc, getDoc, Timestamp, writeBatch } from "firebase/firestore";
+import { db } from "./firebase";
+import { logAdminAction } from "./auditLog";
+import {
+  DEFAULT_SCORING_RULES,
+  normalizeScoringRules,
+  resolveScoringRules,
+  getSeasonFromRace,
+} from "../utils/scoringEngine";
+
+const SCORING_DOC = ["config", "scoring"];
+
+// Module-level cache: the config changes rarely and is read by every calculator/view
+let cachedConfig = null;
+let pendingLoad = null;
+
+/**
+ * Loads the config/scoring document (cached after the first read)
+ * @param {Object} [options]
+ * @param {boolean} [options.force=false] - Bypass the cache
+ * @returns {Promise<Object>} Scoring config ({ seasons })
+ */
+export async function loadScoringConfig({ force = false } = {}) {
+  if (cachedConfig && !force) return cachedConfig;
+  if (pendingLoad && !force) return pendingLoad;
+
+  pendingLoad = getDoc(doc(db, ...SCORING_DOC))
+    .then((snap) => {
+      cachedConfig = snap.exists() ? { seasons: {}, ...snap.data() } : { seasons: {} };
+      return cachedConfig;
+    })
+    .finally(() => { pendingLoad = null; });
+  return pendingLoad;
+}
+
+/**
+ * Returns the ruleset active for a season
+ * @param {number|string} season - Season year
+ * @returns {Promise<Object>} Complete ruleset
+ */
+export async function getScoringRulesForSeason(season) {
+  return resolveScoringRules(await loadScoringConfig(), season);
+}
+
+/**
+ * Returns the ruleset active for the season a race belongs to
+ * @param {Object} race - Race object with raceUTC
+ * @returns {Promise<Object>} Complete ruleset
+ */
+export async function getScoringRulesForRace(race) {
+  return getScoringRulesForSeason(getSeasonFromRace(race));
+}
+
+/**
+ * Saves (creates or replaces) the ruleset version for a season
+ * @param {number|string} season - Season year
+ * @param {Object} rules - Ruleset to save
+ * @returns {Promise<Object>} The normalized ruleset that was saved
+ */
+export async function saveScoringRulesForSeason(season, rules) {
+  const normalized = normalizeScoringRules(rules);
+  const previous = (await loadScoringConfig({ force: true })).seasons?.[String(season)] ?? null;
+  const ref = doc(db, ...SCORING_DOC);
+  const batch = writeBatch(db);
+  batch.set(
+    ref,
+    { seasons: { [String(season)]: { ...normalized, updatedAt: Timestamp.now() } } },
+    { merge: true }
+  );
+  logAdminAction(batch, {
+    action: "scoringRules.update",
+    target: `${ref.path}#${season}`,
+    before: previous,
+    after: normalized,
+  });
+  await batch.commit();
+  cachedConfig = null;
+  return normalized;
+}
+
+export { DEFAULT_SCORING_RULES, getSeasonFromRace };
@@ -0,0 +1,83 @@
+/**
+ * @file Season service
+ * Seasons are the years of the race calendar (getSeasonFromRace). The open season is the
+ * one being played; closed seasons are archived by the rolloverSeason Cloud Function into
+ * seasons/{year}, with the final standings of each league under standings/{leagueId}.
+ * Races and submissions of an archived season stay in place and remain browsable.
+ */
+
+import { collection, doc, getDoc, getDocs, limit, orderBy, query } from "firebase/firestore";
+import { db } from "./firebase";
+import { runScoringJob } from "./scoringJobs";
+import { DEFAULT_LEAGUE_ID, seasonStandingsPath } from "../utils/leaguePaths";
+import { getSeasonFromRace } from "../utils/scoringEngine";
+
+/**
+ * Loads the archived seasons (newest first)
+ * @returns {Promise<Array<Object>>} Archive documents (season, archivedAt, championshipResults, raceIds)
+ */
+export async function loadArchivedSeasons() {
+  const snap = await getDocs(collection(db, "seasons"));
+  return snap.docs
+    .map((d) => ({ ...d.data(), season: Number(d.id) }))
+    .sort((a, b) => b.season - a.season);
+}
+
+/**
+ * Loads the seasons that can be browsed: the open season (year of the latest race not yet
+ * archived) followed by the archived ones
+ * @returns {Promise<{ seasons: Array<number>, openSeason: number|null, archived: Array<Object> }>}
+ */
+export async function loadSeasonIndex() {
+  const [archived, latestSnap] = await Promise.all([
+    loadArchivedSeasons(),
+    getDocs(query(collection(db, "races"), orderBy("raceUTC", "desc"), limit(1))),
+  ]);
+  const latest = latestSnap.empty ? null : getSeasonFromRace(latestSnap.docs[0].data());
+  const openSeason = latest != null && !archived.some((a) => a.season === latest) ? latest : null;
+  return {
+    seasons: [...(openSeason != null ? [openSeason] : []), ...archived.map((a) => a.season)],
+    openSeason,
+    archived,
+  };
+}
+
+/**
+ * Loads the final standings of a league for an archived season
+ * @param {number} season - Season year
+ * @param {string} [leagueId] - League (main when missing)
+ * @returns {Promise<Array<Object>|null>} Ranking entries (userId, position, ranking fields),
+ *   null when the league has no archive for that season
+ */
+export async function loadSeasonStandings(season, leagueId) {
+  const snap = await getDoc(doc(db, seasonStandingsPath(season), leagueId || DEFAULT_LEAGUE_ID));
+  return snap.exists() ? snap.data().ranking || [] : null;
+}
+
+/**
+ * Keeps the races of a season. Races of years never archived belong to the open season,
+ * whose ranking still includes them.
+ * @param {Array<Object>} races - Race objects
+ * @param {number|null} season - Season year (null → every race)
+ * @param {Array<number>} archivedSeasons - Years of the archived seasons
+ * @returns {Array<Object>} Races of the season
+ */
+export function filterRacesBySeason(races, season, archivedSeasons) {
+  if (season == null) return races;
+  if (archivedSeasons.includes(season)) {
+    return races.filter((r) => getSeasonFromRace(r) === season);
+  }
+  return races.filter((r) => !archivedSeasons.includes(getSeasonFromRace(r)));
+}
+
+/**
+ * Closes a season through the rolloverSeason Cloud Function
+ * @param {number} season - Season year
+ * @param {Function} [onProgress] - Progress callback ({ step, progress })
+ * @returns {Promise<string>} Summary message
+ * @throws {Error} When races are still to be scored or the commit fails (err.rolledBack)
+ */
+export async function rolloverSeason(season, onProgress) {
+  const { message } = await runScoringJob("rolloverSeason", `season_${season}`, { season }, onProgress);
+  return message;
+}
@@ -3,39 +3,67 @@
  * Fetches and calculates historical championship statistics for all players
  */
 
-import { collection, getDocs, query, orderBy } from "firebase/firestore";
+import { collection, doc, getDoc, getDocs, query, orderBy } from "firebase/firestore";
 import { db } from "./firebase";
-import { POINTS } from "../constants/racing";
+import { loadScoringConfig } from "./scoringRules";
+import { filterRacesBySeason, loadSeasonStandings } from "./seasonService";
+import { leagueDocPath, rankingPath, submissionsPath } from "../utils/leaguePaths";
+import {
+  applyMultiplier,
+  raceMultiplier,
+  racePointsFraction,
+  rankStandings,
+  resolveScoringRules,
+  scoreMainSubmission,
+  scoreSprintSubmission,
+  submissionMultiplier,
+} from "../utils/scoringEngine";
 import { error } from "../utils/logger";
 
 /**
- * Retrieves historical race data with cumulative points and positions for each player
+ * Retrieves historical race data with cumulative points and positions for each player.
+ * Positions after each race follow points and the season's tie-breakers, like the leaderboard.
+ * @param {string} [leagueId] - League (main when missing)
+ * @param {Object} [options]
+ * @param {number|null} [options.season] - Season to chart (null → every race)
+ * @param {Array<number>} [options.archivedSeasons] - Years of the archived seasons; players of an
+ *   archived season come from its final standings
  * @returns {Promise<Object>} Object containing races array, playersData object, and playerNames object
  */
-export async function getChampionshipStatistics() {
+export async function getChampionshipStatistics(leagueId, { season = null, archivedSeasons = [] } = {}) {
   try {
     // Fetch all races ordered by date
     const racesSnap = await getDocs(
       query(collection(db, "races"), orderBy("raceUTC", "asc"))
     );
-    const races = racesSnap.docs.map(doc => ({
+    const allRaces = racesSnap.docs.map(doc => ({
       id: doc.id,
       name: doc.data().name,
       round: doc.data().round,
+      raceUTC: doc.data().raceUTC,
       date: doc.data().raceUTC.toDate(),
+      season: doc.data().raceUTC.toDate().getUTCFullYear(),
       officialResults: doc.data().officialResults,
+      multiplier: doc.data().multiplier,
+      status: doc.data().status,
       cancelledMain: doc.data().cancelledMain || false,
       cancelledSprint: doc.data().cancelledSprint || false,
     }));
+    const races = filterRacesBySeason(allRaces, season, archivedSeasons);
 
-    // Fetch player names from ranking collection
-    const rankingSnap = await getDocs(collection(db, "ranking"));
+    // Fetch player names from ranking collection (final standings for an archived season)
+    const players = archivedSeasons.includes(season)
+      ? (await loadSeasonStandings(season, leagueId) || []).map(({ userId, name }) => ({ userId, name }))
+      : (await getDocs(collection(db, rankingPath(leagueId)))).docs.map(doc => ({
+          userId: doc.id,
+          name: doc.data().name,
+        }));
     const playerNames = {};
     const playerPoints = {};
 
-    rankingSnap.docs.forEach(doc => {
-      playerNames[doc.id] = doc.data().name;
-      playerPoints[doc.id] = 0;
+    players.forEach(({ userId, name }) => {
+      playerNames[userId] = name;
+      playerPoints[userId] = 0;
     });
 
     // Calculate points for each race submission - OPTIMIZED with parallel fetching
@@ -43,10 +71,11 @@ export async function getChampionshipStatistics() {
     const playersHistory = {};
 
     // Fetch all submissions in parallel for better performance
+    // Races without results are skipped: their submissions may still be sealed
     const submissionsPromises = races
-      .filter(race => !race.cancelledMain)
+      .filter(race => !race.cancelledMain && race.officialResults)
       .map(race =>
-        getDocs(collection(db, "races", race.id, "submissions"))
+        getDocs(collection(db, submissionsPath(leagueId, race.id)))
           .then(snap => ({ raceId: race.id, snapshot: snap }))
           .catch(err => {
             error(`Error fetching submissions for ${race.id}:`, err);
@@ -54,7 +83,12 @@ export async function getChampionshipStatistics() {
           })
       );
 
-    const allSubmissions = await Promise.all(submissionsPromises);
+    const [allSubmissions, scoringConfig, leagueSnap] = await Promise.all([
+      Promise.all(submissionsPromises),
+      loadScoringConfig(),
+      getDoc(doc(db, leagueDocPath(leagueId))),
+    ]);
+    const bonusQuestions = leagueSnap.data()?.bonusQuestions ?? null;
     const submissionsMap = {};
     allSubmissions.forEach(({ raceId, snapshot }) => {
       submissionsMap[raceId] = snapshot;
@@ -71,6 +105,8 @@ export async function getChampionshipStatistics() {
       }
 
       const racePoints = {};
+      const raceDetails = {};
+      const rules = resolveScoringRules(scoringConfig, race.season);
 
       submissionsSnap.docs.forEach(doc => {
         const data = doc.data();
@@ -82,55 +118,30 @@ export async function getChampionshipStatistics() {
           return;
         }
 
-        // Calculate main race points
-        let mainPoints = 0;
-        if (!data.mainP1 && !data.mainP2 && !data.mainP3) {
-          mainPoints = -3;
-        } else {
-          if (data.mainP1 === official.P1) mainPoints += POINTS.MAIN[1];
-          if (data.mainP2 === official.P2) mainPoints += POINTS.MAIN[2];
-          if (data.mainP3 === official.P3) mainPoints += POINTS.MAIN[3];
-
-          // Joker 1 bonus
-          if (data.mainJolly && [official.P1, official.P2, official.P3].includes(data.mainJolly)) {
-            mainPoints += POINTS.BONUS_JOLLY_MAIN;
-          }
-
-          // Joker 2 bonus
-          if (data.mainJolly2 && [official.P1, official.P2, official.P3].includes(data.mainJolly2)) {
-            mainPoints += POINTS.BONUS_JOLLY_MAIN;
-          }
-
-          // Late submission penalty
-          if (data.isLate) {
-            mainPoints += (data.latePenalty || -3);
-          }
-        }
-
-        // Calculate sprint points if present and not cancelled
-        let sprintPoints = 0;
-        if (official.SP1 && !race.cancelledSprint) {
-          if (!data.sprintP1 && !data.sprintP2 && !data.sprintP3) {
-            sprintPoints = -3;
-          } else {
-            if (data.sprintP1 === official.SP1) sprintPoints += POINTS.SPRINT[1];
-            if (data.sprintP2 === official.SP2) sprintPoints += POINTS.SPRINT[2];
-            if (data.sprintP3 === official.SP3) sprintPoints += POINTS.SPRINT[3];
-
-            // Sprint joker bonus
-            if (data.sprintJolly && [official.SP1, official.SP2, official.SP3].includes(data.sprintJolly)) {
-              sprintPoints += POINTS.BONUS_JOLLY_SPRINT;
-            }
-          }
-        }
-
-        // Double points for last race
-        let totalPoints = mainPoints + sprintPoints;
-        if (official.doublePoints) {
-          totalPoints *= 2;
-        }
+        // Calculate main + sprint points with the season's ruleset
+        const multiplier = submissionMultiplier(raceMultiplier(race, rules), data);
+        const pointsFraction = racePointsFraction(race, rules);
+        const main = scoreMainSubmission(data, official, rules, { multiplier, pointsFraction, bonusQuestions });
+        const sprintScored = official.SP1 && !race.cancelledSprint;
+        const sprint = sprintScored ? scoreSprintSubmission(data, official, rules, { multiplier, pointsFraction }) : null;
+        const totalPoints = main.total + (sprint?.total || 0);
 
         racePoints[userId] = totalPoints;
+
+        // Jolly picks and hits (a jolly hits when the driver finishes on the podium)
+        const mainPodium = [official.P1, official.P2, official.P3];
+        const sprintPodium = [official.SP1, official.SP2, official.SP3];
+        const jollyPicks = [
+          ...[data.mainJolly, data.mainJolly2].filter(Boolean).map(d => mainPodium.includes(d)),
+          ...(sprintScored && data.sprintJolly ? [sprintPodium.includes(data.sprintJolly)] : []),
+        ];
+        raceDetails[userId] = {
+          perfectPodium: main.perfectPodium,
+          p1Hit: main.p1Hit,
+          penaltyPts: applyMultiplier(main.penaltyPts + (sprint?.penaltyPts || 0), multiplier),
+          jollyUsed: jollyPicks.length,
+          jollyHits: jollyPicks.filter(Boolean).length,
+        };
       });
 
       // Update cumulative points and add to history
@@ -149,6 +160,11 @@ export async function getChampionshipStatistics() {
           raceDate: race.date,
           points: pointsThisRace,
           cumulativePoints: playerPoints[userId],
+          perfectPodium: raceDetails[userId]?.perfectPodium || false,
+          p1Hit: raceDetails[userId]?.p1Hit || false,
+          penaltyPts: raceDetails[userId]?.penaltyPts || 0,
+          jollyUsed: raceDetails[userId]?.jollyUsed || 0,
+          jollyHits: raceDetails[userId]?.jollyHits || 0,
         });
       });
     }
@@ -160,22 +176,23 @@ export async function getChampionshipStatistics() {
         const playersAtThisRace = Object.keys(playerNames).map(userId => {
           const history = playersHistory[userId] || [];
           const raceIndex = history.findIndex(h => h.raceId === race.id);
-          const cumulativePoints = raceIndex >= 0 ? history[raceIndex].cumulativePoints : 0;
+          const played = history.slice(0, raceIndex + 1);
           return {
             userId,
-            cumulativePoints,
+            points: raceIndex >= 0 ? history[raceIndex].cumulativePoints : 0,
+            stats: {
+              p1Hits: played.filter(h => h.p1Hit).length,
+              perfectPodiums: played.filter(h => h.perfectPodium).length,
+              penaltyPts: played.reduce((sum, h) => sum + h.penaltyPts, 0),
+              lastRacePts: raceIndex >= 0 ? history[raceIndex].points : 0,
+            },
           };
         });
 
-        playersAtThisRace.sort((a, b) => b.cumulativePoints - a.cumulativePoints);
-
+        const { TIE_BREAKERS: tieBreakers } = resolveScoringRules(scoringConfig, race.season);
         const positions = {};
-        let currentPos = 1;
-        playersAtThisRace.forEach((player, index) => {
-          if (index > 0 && player.cumulativePoints < playersAtThisRace[index - 1].cumulativePoints) {
-            currentPos = index + 1;
-          }
-          positions[player.userId] = currentPos;
+        rankStandings(playersAtThisRace, tieBreakers).forEach((player) => {
+          positions[player.userId] = player.position;
         });
 
         return {
@@ -209,3 +226,75 @@ export async function getChampionshipStatistics() {
     throw err;
   }
 }
+
+/**
+ * Builds the all-time hall of fame of a league from its archived seasons: final
+ * standings (titles, podiums, career points) plus the per-race statistics of each season
+ * (perfect podiums, jolly efficiency, best single-race score)
+ * @param {string} [leagueId] - League (main when missing)
+ * @param {Array<number>} archivedSeasons - Years of the archived seasons
+ * @returns {Promise<Array<Object>>} One row per player, best first, with a per-season breakdown
+ */
+export async function getHallOfFame(leagueId, archivedSeasons) {
+  try {
+    const seasonsData = await Promise.all(archivedSeasons.map(async (season) => {
+      const [standings, stats] = await Promise.all([
+        loadSeasonStandings(season, leagueId),
+        getChampionshipStatistics(leagueId, { season, archivedSeasons }),
+      ]);
+      return { season, standings: standings || [], stats };
+    }));
+
+    const players = {};
+    seasonsData.forEach(({ season, standings, stats }) => {
+      standings.forEach((entry) => {
+        const history = stats.playersData[entry.userId] || [];
+        const best = history.reduce((top, race) => (!top || race.points > top.points ? race : top), null);
+        const player = players[entry.userId] || {
+          userId: entry.userId,
+          name: entry.name,
+          seasons: [],
+        };
+        player.seasons.push({
+          season,
+          position: entry.position,
+          points: entry.puntiTotali || 0,
+          perfectPodiums: history.filter(r => r.perfectPodium).length,
+          jollyUsed: history.reduce((sum, r) => sum + r.jollyUsed, 0),
+          jollyHits: history.reduce((sum, r) => sum + r.jollyHits, 0),
+          bestRace: best && best.points > 0
+            ? { raceId: best.raceId, raceName: best.raceName, points: best.points }
+            : null,
+        });
+        players[entry.userId] = player;
+      });
+    });
+
+    return Object.values(players)
+      .map((player) => {
+        const seasons = player.seasons.sort((a, b) => b.season - a.season);
+        const best = seasons
+          .filter(s => s.bestRace)
+          .reduce((top, s) => (!top || s.bestRace.points > top.points ? { ...s.bestRace, season: s.season } : top), null);
+        return {
+          ...player,
+          seasons,
+          titles: seasons.filter(s => s.position === 1).map(s => s.season),
+          podiums: seasons.filter(s => s.position <= 3).length,
+          careerPoints: seasons.reduce((sum, s) => sum + s.points, 0),
+          perfectPodiums: seasons.reduce((sum, s) => sum + s.perfectPodiums, 0),
+          jollyUsed: seasons.reduce((sum, s) => sum + s.jollyUsed, 0),
+          jollyHits: seasons.reduce((sum, s) => sum + s.jollyHits, 0),
+          bestRace: best,
+        };
+      })
+      .sort((a, b) =>
+        b.titles.length - a.titles.length ||
+        b.podiums - a.podiums ||
+        b.careerPoints - a.careerPoints
+      );
+  } catch (err) {
+    error("Error building hall of fame:", err);
+    throw err;
+  }
+}
@@ -41,6 +41,7 @@ export const en = {
     history: "History",
     raceResults: "F1 Hub",
     statistics: "Statistics",
+    hallOfFame: "Hall of Fame",
     admin: "Admin",
     calculatePoints: "Calculate Points",
     toggleTheme: "Toggle theme",
@@ -48,6 +49,214 @@ export const en = {
     myProfile: "My Profile",
   },
 
+  // Leagues
+  leagues: {
+    league: "League",
+    mainLeague: "Main league",
+    manage: "Create or join a league",
+    create: "Create league",
+    createHint: "You become the owner: share the invite code with the other players.",
+    name: "League name",
+    namePlaceholder: "E.g. Paddock friends",
+    join: "Join",
+    joinHint: "Enter the invite code you received from the league owner.",
+    inviteCode: "Invite code",
+    created: "League \"{{name}}\" created. Invite code: {{code}}",
+    joined: "You joined the league \"{{name}}\"",
+    alreadyMember: "You are already a member of \"{{name}}\"",
+    currentInvite: "Invite code of \"{{name}}\": {{code}}",
+    mainHint: "Every player is in the main league. Calendar and results are shared by all leagues.",
+    error: "Operation failed",
+    adminScope: "Selected league: {{name}}. Participants, formations and resets apply to this league; calendar and results are shared, backups cover the main league.",
+  },
+
+  // League roles
+  roles: {
+    owner: "Owner",
+    moderator: "Moderator",
+    player: "Player",
+    spectator: "Spectator",
+    role: "Role",
+    roleHint: "Moderators enter results and fix formations; spectators follow the league without playing.",
+    ownerFixed: "The owner's role cannot be changed.",
+    spectatorConfirm: "{{name}} will leave the standings and will no longer be able to submit formations. Continue?",
+    spectators: "Spectators",
+    makePlayer: "Make player",
+    updated: "Role of {{name}} updated: {{role}}",
+    spectatorNotice: "You follow this league as a spectator: you can read the standings but not submit formations.",
+  },
+
+  // Join requests
+  joinRequests: {
+    tab: "Requests",
+    title: "Join requests",
+    description: "New accounts ask to join the league. Approve them as new participants, or hand them a participant created by hand with its points and formations.",
+    empty: "No requests waiting.",
+    loadError: "Error loading the join requests",
+    statusRejected: "Rejected",
+    newParticipant: "New participant",
+    mergeInto: "Participant to hand over",
+    mergeOption: "Take over {{name}} ({{points}} pts)",
+    mergeConfirm: "The points and formations of {{placeholder}} will move to {{name}}'s account and {{placeholder}} will be removed. Continue?",
+    approve: "Approve",
+    reject: "Reject",
+    rejectConfirm: "Reject the request of {{name}}?",
+    approved: "{{name}} joined the league",
+    merged: "{{name}} took over {{placeholder}} ({{count}} formations moved)",
+    rejected: "Request of {{name}} rejected",
+    pendingNotice: "Your request to join the league is waiting for an admin. You can browse the app in the meantime; you will be able to submit formations once it is approved.",
+    rejectedNotice: "Your request to join the league was rejected. Contact an admin if you think this is a mistake, or ask again.",
+    requestAgain: "Ask again",
+    participantsHint: "New players register and appear in the Requests tab.",
+    leagueParticipantsHint: "New players join with the league's invite code.",
+  },
+
+  // Duplicate account merge
+  merge: {
+    open: "Merge duplicates",
+    title: "Merge duplicate accounts",
+    description: "For a player who registered twice: the formations, points, jokers, late flag, ranking history, leagues and notifications of the duplicate move to the account kept, then the duplicate and its login are deleted.",
+    target: "Account to keep",
+    source: "Duplicate to merge and delete",
+    preview: "Preview",
+    merge: "Merge",
+    warning: "{{source}} will be merged into {{target}} in every league below and then deleted, login included. The player will sign in with {{target}}'s credentials.",
+    movedSubmissions: "Formations moved: {{count}}",
+    snapshots: "History snapshots: {{count}}",
+    championship: "Championship picks",
+    unresolved: "Conflicts still to resolve: {{count}}",
+    confirm: "Merge {{source}} into {{target}}? This cannot be undone.",
+    done: "{{source}} merged into {{target}}.",
+    accountKept: "The duplicate's login could not be deleted: remove it from the Firebase console.",
+  },
+
+  // Mid-season join policy
+  joinPolicy: {
+    label: "Players joining mid-season",
+    zero: "Start from zero",
+    lastPlace: "Last-place points of each missed race",
+    average: "League average of each missed race",
+    hint: "Applied when a player is added. Races before the join are never penalised as missed; players already in keep their policy.",
+    saved: "Join policy saved",
+    lateJoiner: "Joined mid-season: {{rounds}} races missed, {{points}} points credited ({{policy}})",
+    legend: "🕒 Joined mid-season (hover for the points credited)",
+  },
+
+  // Bonus questions
+  bonusQuestions: {
+    title: "Bonus questions",
+    optional: "Bonus questions (optional)",
+    hint: "Points for each question answered with the main formation, by the same deadline. 0 = not asked.",
+    saved: "Bonus questions saved",
+    pole: "Pole position",
+    fastestLap: "Fastest lap",
+    dnfCount: "Retirements (DNF)",
+    firstRetirement: "First retirement",
+    worth: "{{points}} pts",
+    official: "Official answers",
+    officialHint: "Filled from qualifying and race when available. Leave a question empty to void it.",
+    noRetirement: "No retirement",
+    void: "Void",
+  },
+
+  // Prop questions
+  props: {
+    tab: "Props",
+    title: "Prop questions",
+    description: "Multiple-choice questions on a race weekend, shared by every league. Each has its own deadline and points; they are settled in Points Calculation.",
+    empty: "No prop questions for this race",
+    add: "Add question",
+    edit: "Edit question",
+    question: "Question",
+    questionPlaceholder: "Will there be a safety car?",
+    options: "Answers",
+    option: "Answer {{n}}",
+    addOption: "Add answer",
+    deadline: "Deadline",
+    points: "Points",
+    saved: "Prop questions saved",
+    deleteConfirm: "Delete the question \"{{question}}\"? The answers already given are dropped from the scoring.",
+    invalid: "Fill in the question, {{min}} to {{max}} different answers, a deadline and the points",
+    settled: "Settled",
+    closesAt: "Closes {{date}}",
+    closed: "Closed",
+    save: "Save answers",
+    answersSaved: "Answers saved",
+    noAnswer: "No answer",
+    official: "Prop answers",
+    officialHint: "Pick the right answer of each question. Questions left empty are not settled and score nothing.",
+    worth: "{{points}} pts",
+  },
+
+  // Race multipliers and season boost
+  boost: {
+    badge: "Boost",
+    label: "Boost this race ({{multiplier}}x)",
+    hint: "Once per season: this formation's points are multiplied. You can move the boost until the deadline by removing it here first.",
+    refundHint: "Saving without the boost frees it for another race.",
+    used: "Boost already used on {{race}}.",
+    anotherRace: "another race",
+    raceMultiplier: "This race is worth {{multiplier}}x points",
+    raceMultiplierBadge: "{{multiplier}}x points",
+    multiplierLabel: "Points multiplier",
+    multiplierHint: "1 = normal points; e.g. 1.5 for a street circuit, 0.5 for a shortened race. Changing it re-scores a race that already has results.",
+    invalidMultiplier: "The multiplier must be between {{min}} and {{max}}.",
+  },
+
+  // Race status
+  raceStatus: {
+    full: "Full points",
+    reduced: "Reduced points",
+    cancelled: "Cancelled",
+    reducedBadge: "Reduced points ({{percent}}%)",
+    reducedTitle: "Reduced-points race",
+    reducedDescription: "The weekend was stopped early: position points, the perfect-podium bonus, Jolly bonuses and penalties of the race and the sprint are worth {{percent}}% (rounded). Bonus and prop questions keep their full value.",
+    setReduced: "Reduced points",
+    setFull: "Full points",
+    confirmReduced: "Award only {{percent}}% of the race and sprint points? Results already entered will be re-scored.",
+    confirmFull: "Restore full points for the race and sprint? Results already entered will be re-scored.",
+  },
+
+  // Tie-breakers
+  tieBreakers: {
+    title: "Tie-breakers",
+    description: "Players tied on points are separated by these rules, in order. Players still tied after the last rule share the position.",
+    p1Hits: "Most exact winners predicted",
+    perfectPodiums: "Most perfect podiums",
+    fewestPenalties: "Fewest penalty points",
+    lastRace: "Best result in the last race",
+    moveUp: "Move up",
+    moveDown: "Move down",
+    explain: "Tied on points with {{name}}, behind on: {{rule}} ({{value}} vs {{aheadValue}})",
+    legend: "⚖️ Tied on points, separated by a tie-breaker (hover for the rule)",
+  },
+
+  // Seasons
+  seasons: {
+    season: "Season",
+    select: "Select season",
+    archived: "archived",
+    finalStandings: "Final standings",
+    rolloverTitle: "End-of-season rollover",
+    rolloverDescription: "Archives the final standings, the championship results and the ranking snapshots of every league, then starts a clean season. Races and formations stay browsable from History and Statistics.",
+    seasonToClose: "Season to close",
+    noOpenSeason: "No season to close: import the calendar first.",
+    races: "Races",
+    scoredRaces: "Scored",
+    cancelledRaces: "Cancelled",
+    pendingRaces: "Races still to be scored: {{races}}",
+    championshipSaved: "Championship results saved",
+    championshipMissing: "Championship results not saved: the season will be archived without them.",
+    leagues: "Leagues",
+    resetWarning: "Every ranking will be reset to zero (points, jokers, championship picks). The operation cannot be undone from the app.",
+    confirmHint: "Type {{season}} to confirm",
+    archive: "Archive season {{season}}",
+    archivedSeasons: "Archived seasons",
+    noArchived: "No archived seasons",
+    archivedOn: "Archived on {{date}}",
+    error: "Rollover failed",
+  },
+
   // Home
   home: {
     title: "Fanta F1",
@@ -73,6 +282,8 @@ export const en = {
     leader: "Leader",
     you: "You",
     noData: "No data available",
+    breakdown: "Race {{main}} · Sprint {{sprint}} · Props {{props}} · Championship {{championship}}",
+    breakdownBoost: "Boost: {{race}} ({{points}})",
   },
 
   // Participant Detail
@@ -122,12 +333,30 @@ export const en = {
     lateConfirm: "Yes, Accept Penalty (-3)",
     jolly2Hint: "Use an extra joker to double your chances",
     jolly2RefundHint: "Remove to get your joker back",
-    doublePointsRace: "Season finale: points are doubled",
+    doublePointsRace: "Season finale: points are multiplied by {{multiplier}}",
     othersHidden: "Other players' lineups will be visible after qualifying starts.",
     othersMainHidden: "Other players' race lineups will be visible after qualifying starts. Sprint lineups are already visible.",
     mainPicksHidden: "Race lineup hidden until qualifying starts",
     sprintPicksHidden: "Sprint lineup hidden until sprint qualifying starts",
     hiddenSubmissions: "{{count}} lineups hidden",
+    othersSealed: "Other players' lineups stay sealed until the late window of the race's last qualifying closes: for now you only see who has submitted.",
+    sealedSubmitted: "Submitted",
+    sealedNotSubmitted: "Not submitted",
+    notSubmittedYet: "Not submitted yet: {{names}}",
+  },
+
+  // Revisions
+  revisions: {
+    title: "Edit history",
+    selectRace: "Select a race",
+    revision: "Revision {{n}}",
+    byAdmin: "Admin",
+    byPlayer: "Player",
+    modeMain: "Race",
+    receipt: "Receipt",
+    receiptHint: "Keep this receipt: it must match the one in the history.",
+    empty: "No revisions recorded",
+    loadError: "Unable to load the history",
   },
 
   // History
@@ -173,6 +402,10 @@ export const en = {
     sprintCancelledBadge: "SPRINT CANCELLED",
     raceCount: "{{count}} races completed",
     completed: "Completed",
+    partial: {
+      oneOff: "Partial credit: one place off (finished P{{position}})",
+      podium: "Partial credit: on the podium in another slot (finished P{{position}})",
+    },
   },
 
   // F1 Hub
@@ -265,6 +498,26 @@ export const en = {
     selectPlayerPrompt: "Select a participant to view their detailed statistics",
   },
 
+  // Hall of Fame
+  hallOfFame: {
+    title: "Hall of Fame",
+    description: "All-time records of the league across the archived seasons. Click a player to see each season.",
+    noSeasons: "No archived seasons yet: the hall of fame fills up when the first season is closed.",
+    errorLoading: "Unable to load the hall of fame.",
+    player: "Player",
+    titles: "Titles",
+    podiums: "Podiums",
+    careerPoints: "Career points",
+    perfectPodiums: "Perfect podiums",
+    jollyEfficiency: "Jolly efficiency",
+    bestRace: "Best race",
+    seasons: "Seasons",
+    position: "Position",
+    points: "Points",
+    jollyHits: "{{hits}}/{{used}} on the podium",
+    openSeason: "Open {{season}} season",
+  },
+
   // Admin Panel
   admin: {
     title: "Administration Panel",
@@ -279,9 +532,32 @@ export const en = {
     formations: "Lineups",
     calendar: "Calendar",
     database: "Database",
+    audit: "Audit",
+    season: "Season",
+    auditLog: "Admin audit log",
+    auditDescription: "Latest {{count}} operations: click an entry to see the values before and after.",
+    auditAllActions: "All actions",
+    auditAllActors: "All admins",
+    auditSearchTarget: "Search document...",
+    auditEmpty: "No operations recorded",
+    auditBefore: "Before",
+    auditAfter: "After",
+    auditSystem: "System",
+    auditLoadError: "Unable to load the audit log",
+    adminRole: "Admin",
+    hasAdmin: "Has admin privileges",
+    noAdmin: "No admin privileges",
+    grantAdmin: "Grant admin",
+    revokeAdmin: "Revoke admin",
+    grantAdminConfirm: "Grant admin privileges to {{name}}? They get full access to every league.",
+    revokeAdminConfirm: "Revoke the admin privileges of {{name}}?",
+    adminGranted: "{{name}} is now an admin",
+    adminRevoked: "{{name}} is no longer an admin",
+    adminSelf: "You cannot revoke your own admin privileges",
+    staffOwnFormation: "Submit your own formations from the player pages: only admins edit them here",
+    staffSealed: "Formations stay sealed until the late window of the race's last qualifying closes: only admins read them before then. For now you see who has submitted.",
 
     // Participants
-    addParticipant: "Add Participant",
     editParticipant: "Edit Participant",
     deleteParticipant: "Delete Participant",
     participantName: "Participant Name",
@@ -289,7 +565,6 @@ export const en = {
     availableJokers: "Available Jokers",
     lateSubmissionUsed: "Late Submission Used",
     deleteWarning: "This action is irreversible",
-    participantAdded: "Participant added successfully",
     participantUpdated: "Participant updated successfully",
     participantDeleted: "Participant deleted successfully",
     email: "Email",
@@ -416,6 +691,37 @@ export const en = {
     participantsCount: "Number of Participants",
     description: "Description",
     refresh: "Refresh",
+
+    // Scoring rules
+    scoring: "Scoring",
+    scoringDescription: "Scoring rules versioned per season. Every calculation uses the version active for the race's season; seasons without a version inherit the previous one.",
+    scoringConfigured: "Configured version",
+    scoringInherited: "Inherited / default",
+    scoringScoredRacesWarning: "{{count}} races of this season have already been scored: after saving, recalculate points to apply the new rules.",
+    scoringMainPositions: "Main race",
+    scoringSprintPositions: "Sprint",
+    scoringBonusesPenalties: "Bonuses and penalties",
+    scoringBonusJollyMain: "Race jolly bonus",
+    scoringBonusJollySprint: "Sprint jolly bonus",
+    scoringPenaltyEmptyList: "Missing lineup penalty",
+    scoringLatePenalty: "Late submission penalty",
+    scoringPerfectPodiumBonus: "Perfect podium bonus (29 → 30)",
+    scoringPerfectPodiumJolly: "Perfect podium extra jolly",
+    scoringLastRaceMultiplier: "Last race multiplier",
+    scoringReducedPointsPercent: "Reduced-points race: share awarded (%)",
+    scoringPartialPodiumPercent: "Partial credit: podium in another slot (%)",
+    scoringPartialOneOffPercent: "Partial credit: one place off (%)",
+    scoringPartialCredit: "Partial credit",
+    scoringPartialCreditDescription: "Points for a podium pick in the wrong slot, as a percentage (rounded) of the points of the position the driver finished in. Applies to main race, sprint and championship picks.",
+    scoringPartialMode: {
+      off: "Off: exact positions only",
+      podium: "On the podium in another slot",
+      distance: "Distance: one place off, then podium",
+    },
+    scoringResetDefaults: "Defaults",
+    scoringSave: "Save {{season}} rules",
+    scoringSaved: "{{season}} scoring rules saved",
+    scoringLoadError: "Error loading scoring rules",
   },
 
   // Calculate Points
@@ -448,6 +754,24 @@ export const en = {
     calculatingPoints: "Calculating points…",
     pleaseWait: "Please wait",
     saveError: "Error saving or calculating.",
+    rolledBack: "Calculation rolled back: no changes were saved. Please try again.",
+    rollbackIncomplete: "Calculation interrupted and rollback incomplete (ID {{id}}): restore the latest backup before retrying.",
+    stepLoading: "Loading data…",
+    stepScoring: "Scoring…",
+    stepSaving: "Saving…",
+    stepDone: "Done",
+    previewTitle: "Calculation preview",
+    previewDescription: "Nothing has been saved yet. Check the results: if something looks wrong (e.g. wrong P2) cancel and fix it.",
+    previewParticipant: "Participant",
+    previewPoints: "Points",
+    previewJolly: "Jokers",
+    previewPenalties: "Penalties",
+    previewTotal: "Total",
+    previewPosition: "Position",
+    previewConfirm: "Confirm and save",
+    rollbackRace: "Undo race scoring",
+    rollbackRaceConfirm: "Remove the points, jokers earned and ranking snapshots of {{race}}? Other races are not changed; official results stay saved.",
+    rollingBack: "Undoing calculation…",
     championshipAvailableAfterEnd: "⚠️ Calculation available only after championship ends.",
     mainRace: "Main Race",
     sprint: "Sprint",
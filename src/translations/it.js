@@ -41,6 +41,7 @@ export const it = {
     history: "Storico",
     raceResults: "F1 Hub",
     statistics: "Statistiche",
+    hallOfFame: "Albo d'Oro",
     admin: "Admin",
     calculatePoints: "Calcola Punteggi",
     toggleTheme: "Cambia tema",
@@ -48,6 +49,214 @@ export const it = {
     myProfile: "Il mio Profilo",
   },
 
+  // Leagues
+  leagues: {
+    league: "Lega",
+    mainLeague: "Lega principale",
+    manage: "Crea o unisciti a una lega",
+    create: "Crea lega",
+    createHint: "Diventi il proprietario: condividi il codice invito con gli altri giocatori.",
+    name: "Nome lega",
+    namePlaceholder: "Es. Amici del paddock",
+    join: "Unisciti",
+    joinHint: "Inserisci il codice invito ricevuto dal proprietario della lega.",
+    inviteCode: "Codice invito",
+    created: "Lega \"{{name}}\" creata. Codice invito: {{code}}",
+    joined: "Ti sei unito alla lega \"{{name}}\"",
+    alreadyMember: "Fai già parte della lega \"{{name}}\"",
+    currentInvite: "Codice invito di \"{{name}}\": {{code}}",
+    mainHint: "Tutti i giocatori fanno parte della lega principale. Calendario e risultati sono comuni a tutte le leghe.",
+    error: "Operazione non riuscita",
+    adminScope: "Lega selezionata: {{name}}. Partecipanti, formazioni e reset riguardano questa lega; calendario e risultati sono comuni, i backup riguardano la lega principale.",
+  },
+
+  // League roles
+  roles: {
+    owner: "Proprietario",
+    moderator: "Moderatore",
+    player: "Giocatore",
+    spectator: "Spettatore",
+    role: "Ruolo",
+    roleHint: "I moderatori inseriscono i risultati e correggono le formazioni; gli spettatori seguono la lega senza giocare.",
+    ownerFixed: "Il ruolo del proprietario non può essere cambiato.",
+    spectatorConfirm: "{{name}} uscirà dalla classifica e non potrà più schierare formazioni. Continuare?",
+    spectators: "Spettatori",
+    makePlayer: "Rendi giocatore",
+    updated: "Ruolo di {{name}} aggiornato: {{role}}",
+    spectatorNotice: "Segui questa lega come spettatore: puoi consultare la classifica ma non schierare formazioni.",
+  },
+
+  // Join requests
+  joinRequests: {
+    tab: "Richieste",
+    title: "Richieste di iscrizione",
+    description: "I nuovi account chiedono di entrare nella lega. Approvali come nuovi partecipanti, oppure assegna loro un partecipante creato a mano con i suoi punti e le sue formazioni.",
+    empty: "Nessuna richiesta in attesa.",
+    loadError: "Errore nel caricamento delle richieste di iscrizione",
+    statusRejected: "Rifiutata",
+    newParticipant: "Nuovo partecipante",
+    mergeInto: "Partecipante da assegnare",
+    mergeOption: "Subentra a {{name}} ({{points}} pt)",
+    mergeConfirm: "Punti e formazioni di {{placeholder}} passeranno all'account di {{name}} e {{placeholder}} verrà rimosso. Continuare?",
+    approve: "Approva",
+    reject: "Rifiuta",
+    rejectConfirm: "Rifiutare la richiesta di {{name}}?",
+    approved: "{{name}} è entrato nella lega",
+    merged: "{{name}} è subentrato a {{placeholder}} ({{count}} formazioni spostate)",
+    rejected: "Richiesta di {{name}} rifiutata",
+    pendingNotice: "La tua richiesta di iscrizione alla lega è in attesa di un admin. Nel frattempo puoi consultare l'app; potrai schierare le formazioni quando sarà approvata.",
+    rejectedNotice: "La tua richiesta di iscrizione alla lega è stata rifiutata. Contatta un admin se pensi si tratti di un errore, oppure ripresentala.",
+    requestAgain: "Ripresenta la richiesta",
+    participantsHint: "I nuovi giocatori si registrano e compaiono nella scheda Richieste.",
+    leagueParticipantsHint: "I nuovi giocatori entrano con il codice invito della lega.",
+  },
+
+  // Duplicate account merge
+  merge: {
+    open: "Unisci duplicati",
+    title: "Unisci account duplicati",
+    description: "Per un giocatore registrato due volte: formazioni, punti, jolly, flag del ritardo, storico classifica, leghe e notifiche del duplicato passano all'account mantenuto, poi il duplicato e il suo accesso vengono eliminati.",
+    target: "Account da mantenere",
+    source: "Duplicato da unire ed eliminare",
+    preview: "Anteprima",
+    merge: "Unisci",
+    warning: "{{source}} verrà unito a {{target}} in tutte le leghe qui sotto e poi eliminato, accesso compreso. Il giocatore accederà con le credenziali di {{target}}.",
+    movedSubmissions: "Formazioni spostate: {{count}}",
+    snapshots: "Istantanee dello storico: {{count}}",
+    championship: "Formazione campionato",
+    unresolved: "Conflitti ancora da risolvere: {{count}}",
+    confirm: "Unire {{source}} a {{target}}? L'operazione non è reversibile.",
+    done: "{{source}} unito a {{target}}.",
+    accountKept: "Non è stato possibile eliminare l'accesso del duplicato: rimuovilo dalla console Firebase.",
+  },
+
+  // Ingresso a stagione iniziata
+  joinPolicy: {
+    label: "Giocatori che entrano a stagione iniziata",
+    zero: "Partono da zero",
+    lastPlace: "Punti dell'ultimo classificato per ogni gara persa",
+    average: "Media della lega per ogni gara persa",
+    hint: "Si applica quando il giocatore viene aggiunto. Le gare precedenti all'ingresso non sono mai penalizzate come saltate; chi è già iscritto mantiene la propria regola.",
+    saved: "Regola di ingresso salvata",
+    lateJoiner: "Entrato a stagione iniziata: {{rounds}} gare perse, {{points}} punti accreditati ({{policy}})",
+    legend: "🕒 Entrato a stagione iniziata (passa sopra per i punti accreditati)",
+  },
+
+  // Domande bonus
+  bonusQuestions: {
+    title: "Domande bonus",
+    optional: "Domande bonus (facoltative)",
+    hint: "Punti di ogni domanda, a cui si risponde con la formazione della gara entro la stessa scadenza. 0 = domanda non posta.",
+    saved: "Domande bonus salvate",
+    pole: "Pole position",
+    fastestLap: "Giro più veloce",
+    dnfCount: "Ritirati (DNF)",
+    firstRetirement: "Primo ritirato",
+    worth: "{{points}} pt",
+    official: "Risposte ufficiali",
+    officialHint: "Compilate da qualifiche e gara quando disponibili. Lascia vuota una domanda per annullarla.",
+    noRetirement: "Nessun ritirato",
+    void: "Annullata",
+  },
+
+  // Domande del weekend
+  props: {
+    tab: "Pronostici",
+    title: "Domande del weekend",
+    description: "Domande a scelta multipla su un weekend di gara, comuni a tutte le leghe. Ognuna ha la sua scadenza e i suoi punti; si chiudono in Calcolo Punti.",
+    empty: "Nessuna domanda per questa gara",
+    add: "Aggiungi domanda",
+    edit: "Modifica domanda",
+    question: "Domanda",
+    questionPlaceholder: "Entrerà la safety car?",
+    options: "Risposte",
+    option: "Risposta {{n}}",
+    addOption: "Aggiungi risposta",
+    deadline: "Scadenza",
+    points: "Punti",
+    saved: "Domande salvate",
+    deleteConfirm: "Eliminare la domanda \"{{question}}\"? Le risposte già date non contano più.",
+    invalid: "Compila la domanda, da {{min}} a {{max}} risposte diverse, la scadenza e i punti",
+    settled: "Chiusa",
+    closesAt: "Scade {{date}}",
+    closed: "Scaduta",
+    save: "Salva risposte",
+    answersSaved: "Risposte salvate",
+    noAnswer: "Nessuna risposta",
+    official: "Risposte alle domande",
+    officialHint: "Scegli la risposta giusta di ogni domanda. Le domande lasciate vuote non vengono chiuse e non danno punti.",
+    worth: "{{points}} pt",
+  },
+
+  // Moltiplicatori gara e boost stagionale
+  boost: {
+    badge: "Boost",
+    label: "Usa il boost su questa gara ({{multiplier}}x)",
+    hint: "Una volta per stagione: i punti di questa formazione vengono moltiplicati. Fino alla deadline puoi spostarlo togliendolo prima da qui.",
+    refundHint: "Salvando senza boost lo liberi per un'altra gara.",
+    used: "Boost già usato su {{race}}.",
+    anotherRace: "un'altra gara",
+    raceMultiplier: "Questa gara vale {{multiplier}}x punti",
+    raceMultiplierBadge: "Punti {{multiplier}}x",
+    multiplierLabel: "Moltiplicatore punti",
+    multiplierHint: "1 = punti normali; es. 1.5 per un circuito cittadino, 0.5 per una gara accorciata. Se la gara ha già i risultati, la modifica ricalcola i punti.",
+    invalidMultiplier: "Il moltiplicatore deve essere tra {{min}} e {{max}}.",
+  },
+
+  // Stato gara
+  raceStatus: {
+    full: "Punti pieni",
+    reduced: "Punti ridotti",
+    cancelled: "Annullata",
+    reducedBadge: "Punti ridotti ({{percent}}%)",
+    reducedTitle: "Gara a punti ridotti",
+    reducedDescription: "Il weekend è stato interrotto prima del termine: punti posizione, bonus podio perfetto, bonus Jolly e penalità di gara e sprint valgono il {{percent}}% (arrotondati). Domande bonus e prop mantengono il valore pieno.",
+    setReduced: "Punti ridotti",
+    setFull: "Punti pieni",
+    confirmReduced: "Assegnare solo il {{percent}}% dei punti di gara e sprint? I risultati già inseriti verranno ricalcolati.",
+    confirmFull: "Ripristinare i punti pieni di gara e sprint? I risultati già inseriti verranno ricalcolati.",
+  },
+
+  // Criteri di spareggio
+  tieBreakers: {
+    title: "Criteri di spareggio",
+    description: "I giocatori a pari punti vengono separati da questi criteri, in ordine. Chi resta pari dopo l'ultimo criterio condivide la posizione.",
+    p1Hits: "Più vincitori indovinati",
+    perfectPodiums: "Più podi perfetti",
+    fewestPenalties: "Meno punti di penalità",
+    lastRace: "Miglior risultato nell'ultima gara",
+    moveUp: "Sposta su",
+    moveDown: "Sposta giù",
+    explain: "A pari punti con {{name}}, dietro per: {{rule}} ({{value}} contro {{aheadValue}})",
+    legend: "⚖️ Pari punti, separati da un criterio di spareggio (passa sopra per il criterio)",
+  },
+
+  // Stagioni
+  seasons: {
+    season: "Stagione",
+    select: "Seleziona stagione",
+    archived: "archiviata",
+    finalStandings: "Classifica finale",
+    rolloverTitle: "Chiusura stagione",
+    rolloverDescription: "Archivia la classifica finale, i risultati del campionato e gli snapshot della classifica di ogni lega, poi avvia una stagione pulita. Gare e formazioni restano consultabili da Storico e Statistiche.",
+    seasonToClose: "Stagione da chiudere",
+    noOpenSeason: "Nessuna stagione da chiudere: importa prima il calendario.",
+    races: "Gare",
+    scoredRaces: "Calcolate",
+    cancelledRaces: "Annullate",
+    pendingRaces: "Gare ancora da calcolare: {{races}}",
+    championshipSaved: "Risultati campionato salvati",
+    championshipMissing: "Risultati campionato non salvati: la stagione verrà archiviata senza.",
+    leagues: "Leghe",
+    resetWarning: "Tutte le classifiche verranno azzerate (punti, jolly, pronostici campionato). L'operazione non si può annullare dall'app.",
+    confirmHint: "Scrivi {{season}} per confermare",
+    archive: "Archivia stagione {{season}}",
+    archivedSeasons: "Stagioni archiviate",
+    noArchived: "Nessuna stagione archiviata",
+    archivedOn: "Archiviata il {{date}}",
+    error: "Chiusura stagione non riuscita",
+  },
+
   // Home
   home: {
     title: "Fanta F1",
@@ -73,6 +282,8 @@ export const it = {
     leader: "Leader",
     you: "Tu",
     noData: "Nessun dato disponibile",
+    breakdown: "Gara {{main}} · Sprint {{sprint}} · Domande {{props}} · Campionato {{championship}}",
+    breakdownBoost: "Boost: {{race}} ({{points}})",
   },
 
   // Participant Detail
@@ -122,12 +333,30 @@ export const it = {
     lateConfirm: "Sì, Accetto la Penalità (-3)",
     jolly2Hint: "Usa un jolly extra per raddoppiare le possibilità",
     jolly2RefundHint: "Rimuovi per riavere il jolly indietro",
-    doublePointsRace: "Ultima gara della stagione: i punti vengono raddoppiati",
+    doublePointsRace: "Ultima gara della stagione: i punti vengono moltiplicati per {{multiplier}}",
     othersHidden: "Le formazioni degli altri giocatori saranno visibili dopo l'inizio delle qualifiche.",
     othersMainHidden: "Le formazioni gara degli altri giocatori saranno visibili dopo l'inizio delle qualifiche. Le formazioni sprint sono già visibili.",
     mainPicksHidden: "Formazione gara nascosta fino all'inizio delle qualifiche",
     sprintPicksHidden: "Formazione sprint nascosta fino all'inizio delle qualifiche sprint",
     hiddenSubmissions: "{{count}} formazioni nascoste",
+    othersSealed: "Le formazioni degli altri giocatori restano sigillate fino alla chiusura della finestra late dell'ultima qualifica della gara: per ora vedi solo chi l'ha già inserita.",
+    sealedSubmitted: "Inserita",
+    sealedNotSubmitted: "Non inserita",
+    notSubmittedYet: "Non ancora inserita: {{names}}",
+  },
+
+  // Revisions
+  revisions: {
+    title: "Storico modifiche",
+    selectRace: "Seleziona una gara",
+    revision: "Revisione {{n}}",
+    byAdmin: "Admin",
+    byPlayer: "Giocatore",
+    modeMain: "Gara",
+    receipt: "Ricevuta",
+    receiptHint: "Conserva la ricevuta: deve coincidere con quella dello storico.",
+    empty: "Nessuna revisione registrata",
+    loadError: "Impossibile caricare lo storico",
   },
 
   // History
@@ -173,6 +402,10 @@ export const it = {
     sprintCancelledBadge: "SPRINT CANCELLATA",
     raceCount: "{{count}} gare disputate",
     completed: "Completata",
+    partial: {
+      oneOff: "Punteggio parziale: una posizione di scarto (arrivato P{{position}})",
+      podium: "Punteggio parziale: sul podio in un'altra posizione (arrivato P{{position}})",
+    },
   },
 
   // F1 Hub
@@ -265,6 +498,26 @@ export const it = {
     selectPlayerPrompt: "Seleziona un partecipante per visualizzarne le statistiche dettagliate",
   },
 
+  // Hall of Fame
+  hallOfFame: {
+    title: "Albo d'Oro",
+    description: "I record di sempre della lega nelle stagioni archiviate. Clicca su un giocatore per vedere ogni stagione.",
+    noSeasons: "Nessuna stagione archiviata: l'albo d'oro si riempie alla chiusura della prima stagione.",
+    errorLoading: "Impossibile caricare l'albo d'oro.",
+    player: "Giocatore",
+    titles: "Titoli",
+    podiums: "Podi",
+    careerPoints: "Punti in carriera",
+    perfectPodiums: "Podi perfetti",
+    jollyEfficiency: "Efficienza jolly",
+    bestRace: "Miglior gara",
+    seasons: "Stagioni",
+    position: "Posizione",
+    points: "Punti",
+    jollyHits: "{{hits}}/{{used}} a podio",
+    openSeason: "Apri la stagione {{season}}",
+  },
+
   // Admin Panel
   admin: {
     title: "Pannello Amministrazione",
@@ -279,9 +532,32 @@ export const it = {
     formations: "Formazioni",
     calendar: "Calendario",
     database: "Database",
+    audit: "Audit",
+    season: "Stagione",
+    auditLog: "Registro operazioni admin",
+    auditDescription: "Ultime {{count}} operazioni: clicca una voce per vedere i valori prima e dopo.",
+    auditAllActions: "Tutte le azioni",
+    auditAllActors: "Tutti gli admin",
+    auditSearchTarget: "Cerca documento...",
+    auditEmpty: "Nessuna operazione registrata",
+    auditBefore: "Prima",
+    auditAfter: "Dopo",
+    auditSystem: "Sistema",
+    auditLoadError: "Impossibile caricare il registro",
+    adminRole: "Admin",
+    hasAdmin: "Ha i privilegi di admin",
+    noAdmin: "Nessun privilegio di admin",
+    grantAdmin: "Rendi admin",
+    revokeAdmin: "Revoca admin",
+    grantAdminConfirm: "Concedere i privilegi di admin a {{name}}? Avrà accesso completo a ogni lega.",
+    revokeAdminConfirm: "Revocare i privilegi di admin di {{name}}?",
+    adminGranted: "{{name}} ora è admin",
+    adminRevoked: "{{name}} non è più admin",
+    adminSelf: "Non puoi revocare i tuoi privilegi di admin",
+    staffOwnFormation: "Invia le tue formazioni dalle pagine del giocatore: qui le modificano solo gli admin",
+    staffSealed: "Le formazioni restano sigillate fino alla chiusura della finestra late dell'ultima qualifica della gara: prima le leggono solo gli admin. Per ora vedi chi le ha inserite.",
 
     // Participants
-    addParticipant: "Aggiungi Partecipante",
     editParticipant: "Modifica Partecipante",
     deleteParticipant: "Elimina Partecipante",
     participantName: "Nome Partecipante",
@@ -289,7 +565,6 @@ export const it = {
     availableJokers: "Jolly Disponibili",
     lateSubmissionUsed: "Inserimento Ritardo Usato",
     deleteWarning: "Questa azione è irreversibile",
-    participantAdded: "Partecipante aggiunto con successo",
     participantUpdated: "Partecipante modificato con successo",
     participantDeleted: "Partecipante eliminato con successo",
     email: "Email",
@@ -416,6 +691,37 @@ export const it = {
     participantsCount: "Numero Partecipanti",
     description: "Descrizione",
     refresh: "Aggiorna",
+
+    // Scoring rules
+    scoring: "Punteggi",
+    scoringDescription: "Regole di punteggio versionate per stagione. Ogni calcolo usa la versione attiva per la stagione della gara; le stagioni senza versione ereditano la precedente.",
+    scoringConfigured: "Versione configurata",
+    scoringInherited: "Ereditata / predefinita",
+    scoringScoredRacesWarning: "{{count}} gare di questa stagione sono già state calcolate: dopo il salvataggio ricalcola i punti per applicare le nuove regole.",
+    scoringMainPositions: "Gara principale",
+    scoringSprintPositions: "Sprint",
+    scoringBonusesPenalties: "Bonus e penalità",
+    scoringBonusJollyMain: "Bonus jolly gara",
+    scoringBonusJollySprint: "Bonus jolly sprint",
+    scoringPenaltyEmptyList: "Penalità formazione mancante",
+    scoringLatePenalty: "Penalità inserimento in ritardo",
+    scoringPerfectPodiumBonus: "Bonus podio perfetto (29 → 30)",
+    scoringPerfectPodiumJolly: "Jolly extra podio perfetto",
+    scoringLastRaceMultiplier: "Moltiplicatore ultima gara",
+    scoringReducedPointsPercent: "Gara a punti ridotti: quota assegnata (%)",
+    scoringPartialPodiumPercent: "Punteggio parziale: sul podio in altra posizione (%)",
+    scoringPartialOneOffPercent: "Punteggio parziale: una posizione di scarto (%)",
+    scoringPartialCredit: "Punteggio parziale",
+    scoringPartialCreditDescription: "Punti per un pronostico sul podio ma nella posizione sbagliata, in percentuale (arrotondata) dei punti della posizione in cui è arrivato il pilota. Vale per gara, sprint e campionato.",
+    scoringPartialMode: {
+      off: "Disattivato: solo posizioni esatte",
+      podium: "Sul podio in un'altra posizione",
+      distance: "Distanza: una posizione di scarto, poi podio",
+    },
+    scoringResetDefaults: "Valori predefiniti",
+    scoringSave: "Salva regole {{season}}",
+    scoringSaved: "Regole di punteggio {{season}} salvate",
+    scoringLoadError: "Errore caricamento regole di punteggio",
   },
 
   // Calculate Points
@@ -448,6 +754,24 @@ export const it = {
     calculatingPoints: "Calcolo punti in corso…",
     pleaseWait: "Attendere prego",
     saveError: "Errore nel salvataggio o calcolo.",
+    rolledBack: "Calcolo annullato: nessuna modifica è stata salvata. Riprova.",
+    rollbackIncomplete: "Calcolo interrotto e rollback incompleto (ID {{id}}): ripristina l'ultimo backup prima di riprovare.",
+    stepLoading: "Caricamento dati…",
+    stepScoring: "Calcolo punteggi…",
+    stepSaving: "Salvataggio…",
+    stepDone: "Completato",
+    previewTitle: "Anteprima calcolo",
+    previewDescription: "Nessuna modifica è stata ancora salvata. Controlla i risultati: se qualcosa non torna (es. P2 sbagliato) annulla e correggi.",
+    previewParticipant: "Partecipante",
+    previewPoints: "Punti",
+    previewJolly: "Jolly",
+    previewPenalties: "Penalità",
+    previewTotal: "Totale",
+    previewPosition: "Posizione",
+    previewConfirm: "Conferma e salva",
+    rollbackRace: "Annulla calcolo gara",
+    rollbackRaceConfirm: "Rimuovere i punti, i jolly guadagnati e gli snapshot di classifica di {{race}}? Le altre gare non vengono modificate; i risultati ufficiali restano salvati.",
+    rollingBack: "Annullamento calcolo in corso…",
     championshipAvailableAfterEnd: "⚠️ Calcolo disponibile solo a campionato concluso.",
     mainRace: "Gara Principale",
     sprint: "Sprint",
@@ -1,11 +1,14 @@
 /**
  * @file championshipDeadline.js
  * @description Utility to calculate the championship formation deadline
- * based on the mid-season race. Reused across ChampionshipForm, ParticipantDetail, and Statistics.
+ * based on the mid-season race of the latest season. Reused across ChampionshipForm, ParticipantDetail, and Statistics.
  * Admin can override the deadline via the config/championship Firestore document.
+ * The rule itself is championshipDeadlineMs in the shared engine, also enforced by the
+ * submitChampionshipPicks Cloud Function.
  */
-import { collection, query, orderBy, getDocs, doc, getDoc } from "firebase/firestore";
+import { collection, getDocs, doc, getDoc } from "firebase/firestore";
 import { db } from "../services/firebase";
+import { championshipDeadlineMs } from "./scoringEngine";
 
 /**
  * Calculate the auto deadline from the mid-season race (no override check).
@@ -13,18 +16,8 @@ import { db } from "../services/firebase";
  */
 export async function getChampionshipDeadlineAutoMs() {
   try {
-    const racesQuery = query(collection(db, "races"), orderBy("round", "asc"));
-    const racesSnap = await getDocs(racesQuery);
-    const races = racesSnap.docs.map((d) => ({ id: d.id, ...d.data() }));
-
-    if (races.length === 0) return new Date("2025-09-07T23:59:00").getTime();
-
-    const midRound = Math.ceil(races.length / 2);
-    const midRace = races.find((r) => r.round === midRound);
-
-    if (midRace?.raceUTC) return midRace.raceUTC.toDate().getTime();
-
-    return new Date("2025-09-07T23:59:00").getTime();
+    const racesSnap = await getDocs(collection(db, "races"));
+    return championshipDeadlineMs(racesSnap.docs.map((d) => d.data()));
   } catch {
     return null;
   }
@@ -52,6 +52,17 @@ export function makeSlug(str) {
     .replace(/(^-|-$)/g, "");
 }
 
+/**
+ * Builds the identifier of a race, namespaced by season so that the same Grand Prix
+ * of different years never collides (e.g. "2026-italian-grand-prix")
+ * @param {string} name - Race name
+ * @param {number} season - Season year
+ * @returns {string} Race ID
+ */
+export function makeRaceId(name, season) {
+  return `${season}-${makeSlug(name)}`;
+}
+
 /**
  * Parses an ICS file and extracts F1 races
  * @param {string} icsText - ICS file content
@@ -141,7 +152,7 @@ export function parseF1Calendar(icsText) {
     .filter((r) => r.quali && r.race)
     .sort((a, b) => a.race - b.race)
     .map((r, idx) => ({
-      id: makeSlug(r.name),
+      id: makeRaceId(r.name, r.race.getUTCFullYear()),
       name: r.name,
       round: idx + 1,
       qualiUTC: r.quali,
@@ -0,0 +1,7 @@
+/**
+ * @file leaguePaths.js
+ * @description Web entry point for the league paths. The implementation lives in
+ * functions/shared/leaguePaths.mjs so that Cloud Functions resolve the same collections.
+ */
+
+export * from "../../functions/shared/leaguePaths.mjs";
@@ -0,0 +1,7 @@
+/**
+ * @file leagueRoles.js
+ * @description Web entry point for the league roles. The implementation lives in
+ * functions/shared/leagueRoles.mjs so that Cloud Functions enforce the same permissions.
+ */
+
+export * from "../../functions/shared/leagueRoles.mjs";
@@ -0,0 +1,7 @@
+/**
+ * @file scoringEngine.js
+ * @description Web entry point for the pure scoring engine. The implementation lives in
+ * functions/shared/scoringEngine.mjs so that Cloud Functions score with the exact same code.
+ */
+
+export * from "../../functions/shared/scoringEngine.mjs";